@@ -6,9 +6,30 @@ import cors from "cors";
 import fs from "fs";
 import path from "path";
 import dotenv from "dotenv";
+import { Readable } from "stream";
+import { pipeline } from "stream/promises";
 import * as mm from "music-metadata";
-import { XMLParser } from "fast-xml-parser";
 import { classifyAudioQuality } from "./src/ultis/ClassifyAudioQuality.js";
+import { discoverMediaServers, fetchDeviceDescription } from "./src/ultis/DlnaDiscovery.js";
+import { browseAll, walk, isAudioItem, getSearchCapabilities, buildSearchCriteria, searchAll } from "./src/ultis/ContentDirectory.js";
+import { parsePlaylist, detectFormat, matchEntries, PLAYLIST_FORMATS } from "./src/ultis/PlaylistFormats.js";
+import { INITIAL_WINDOW, MAX_WINDOW, requiredHeaderBytes, toAudioMetadata } from "./src/ultis/AudioMetadata.js";
+import { createSearchIndex, highlightItem } from "./src/ultis/SearchIndex.js";
+import { openLibraryStore, importLegacyJson, albumIdOf, toAlbumArtId, SORT_COLUMNS } from "./src/ultis/LibraryStore.js";
+import { createAlbumArtStore, importLegacyAlbumArt, backfillAlbumArtPalettes, MAX_ART_BYTES } from "./src/ultis/AlbumArtStore.js";
+import { DEFAULT_SETTINGS, withDefaults, mergeSettings } from "./src/ultis/UserSettings.js";
+import { parseLrc, fromEmbedded, toLrc } from "./src/ultis/Lyrics.js";
+import {
+    startScanJob,
+    getScanJob,
+    cancelScanJob,
+    resumeScanJob,
+    subscribeScanJob,
+    onScanJobUpdate,
+    findActiveJob,
+    serializeJob,
+    isFinished
+} from "./src/ultis/ScanJobs.js";
 
 dotenv.config();
 
@@ -17,15 +38,26 @@ dotenv.config();
 // ==============================
 const app = express();
 app.use(cors());
+app.use(express.json());
 
 const PORT = process.env.PORT;
 const IP = process.env.IP;
 const DLNA_URL = process.env.DLNA_URL;
+const SSDP_ADDRESS = process.env.SSDP_ADDRESS || undefined;
+const SSDP_TIMEOUT = parseInt(process.env.SSDP_TIMEOUT) || 3000;
+const DISCOVERY_TTL = 60 * 1000;
 
+const libraryDbPath = path.join(process.cwd(), "library.db");
+// File JSON cũ, chỉ còn dùng để nhập một lần vào SQLite
 const dbPath = path.join(process.cwd(), "database.json");
+const serversPath = path.join(process.cwd(), "servers.json");
 const publicDir = path.join(process.cwd(), "public");
 const albumArtDir = path.join(publicDir, "album-art");
 
+// Ảnh bìa phục vụ qua /api/art/:id (id là hash nội dung ảnh), bài không có ảnh dùng ảnh mặc định
+const DEFAULT_ART_URL = `${IP}:${PORT}/public/default.png`;
+const toArtUrl = (artId) => (artId ? `${IP}:${PORT}/api/art/${artId}` : DEFAULT_ART_URL);
+
 // ==============================
 // 📁 Ensure Directory Exists
 // ==============================
@@ -34,52 +66,30 @@ if (!fs.existsSync(albumArtDir)) fs.mkdirSync(albumArtDir, { recursive: true });
 app.use("/public", express.static(publicDir));
 
 // ==============================
-// 💾 Database Helpers
+// 💾 Database
 // ==============================
-export function readDatabase() {
-    if (!fs.existsSync(dbPath)) {
-        const defaultData = { containers: [], items: [], metadata: { lastUpdated: null } };
-        writeDatabase(defaultData);
-        return defaultData;
-    }
+const store = openLibraryStore(libraryDbPath);
+importLegacyJson(store, { dbPath, serversPath });
+store.markInterruptedScans();
 
-    const raw = fs.readFileSync(dbPath, "utf-8");
-    if (!raw.trim()) {
-        console.log("Database file is empty, initializing...");
-        const defaultData = { containers: [], items: [], metadata: { lastUpdated: null } };
-        writeDatabase(defaultData);
-        return defaultData;
-    }
-
-    const parsed = JSON.parse(raw);
-    if (parsed.lastUpdated && !parsed.metadata) {
-        return {
-            containers: parsed.containers || [],
-            items: parsed.items || [],
-            metadata: { lastUpdated: parsed.lastUpdated }
-        };
-    }
+const artStore = createAlbumArtStore({ dir: albumArtDir, store });
+importLegacyAlbumArt(store, artStore, { dir: albumArtDir, toUrl: toArtUrl });
 
-    return parsed;
-}
+// Chỉ mục tìm kiếm dựng một lần khi khởi động, sau đó cập nhật theo từng lần ghi item
+const searchIndex = createSearchIndex();
+searchIndex.rebuild(store.getItems());
+store.onItemsChanged(({ upserted, removed }) => {
+    searchIndex.remove(removed);
+    searchIndex.upsert(upserted);
+});
 
-export function writeDatabase(data) {
-    fs.writeFileSync(
-        dbPath,
-        JSON.stringify(
-            {
-                containers: data.containers || [],
-                items: data.items || [],
-                metadata: {
-                    lastUpdated: new Date().toISOString(),
-                    totalContainers: data.containers?.length || 0,
-                    totalItems: data.items?.length || 0
-                }
-            },
-            null,
-            2
-        )
-    );
+// Ảnh chụp toàn bộ thư viện, giữ dạng { containers, items, metadata } như database.json cũ
+export function readDatabase() {
+    return {
+        containers: store.getContainers(),
+        items: store.getItems(),
+        metadata: store.getLibraryMetadata()
+    };
 }
 
 // ==============================
@@ -87,18 +97,22 @@ export function writeDatabase(data) {
 // ==============================
 const ensureArray = (val) => (Array.isArray(val) ? val : val ? [val] : []);
 
-const formatBitrate = (bitrate) => {
-    if (!bitrate) return null;
-    const n = parseInt(bitrate);
-    return isNaN(n) ? null : n > 1000 ? `${Math.round(n / 1000)}kbps` : `${n}kbps`;
-};
-
 const createFileName = (title, date, artist = "") => {
     let name = artist && artist !== "Unknown" ? `${artist} - ${title}` : title;
     if (date) name += ` (${date})`;
     return name.replace(/[<>:"/\\|?*]/g, "").replace(/\s+/g, " ").trim().substring(0, 200);
 };
 
+const fileBaseName = (url) => {
+    try {
+        return decodeURIComponent(path.posix.basename(new URL(url).pathname)).replace(/\.[^.]+$/, "");
+    } catch {
+        return "";
+    }
+};
+
+const normalizeName = (name) => String(name || "").normalize("NFC").toLowerCase().replace(/[\s_.-]+/g, " ").trim();
+
 const fetchWithTimeout = async (url, options = {}, timeout = 5000) => {
     const controller = new AbortController();
     const id = setTimeout(() => controller.abort(), timeout);
@@ -111,92 +125,285 @@ const fetchWithTimeout = async (url, options = {}, timeout = 5000) => {
 
 const asyncHandler = (fn) => (req, res, next) => Promise.resolve(fn(req, res, next)).catch(next);
 
-const parseXml = (xmlString) => {
+// ==============================
+// 🖼️ Album Art Utilities
+// ==============================
+const FOLDER_ART_TTL = 10 * 60 * 1000;
+const FOLDER_ART_CACHE_SIZE = 500;
+// Tên file ảnh bìa đặt cạnh file nhạc, theo thứ tự ưu tiên
+const FOLDER_ART_NAMES = ["folder", "cover", "front", "albumart"];
+const IMAGE_EXT = /\.(jpe?g|png|gif|webp)$/i;
+
+// Ảnh theo URL (albumArtURI, folder.jpg...); null nếu lỗi hoặc không phải ảnh
+const fetchImage = async (url) => {
     try {
-        return xmlParser.parse(xmlString);
+        const resp = await fetchWithTimeout(url, {}, 5000);
+        const type = resp.headers.get("content-type") || "";
+        if (!resp.ok || /html|text|audio|video/i.test(type) || parseInt(resp.headers.get("content-length")) > MAX_ART_BYTES) {
+            resp.body?.cancel();
+            return null;
+        }
+        return Buffer.from(await resp.arrayBuffer());
     } catch (err) {
-        throw new Error(`XML parse error: ${err.message}`);
+        console.warn(`Failed to fetch image ${url}:`, err.message);
+        return null;
     }
 };
 
-// ==============================
-// 🧠 XML Parser Setup
-// ==============================
-const xmlParser = new XMLParser({
-    ignoreAttributes: false,
-    attributeNamePrefix: "",
-    allowBooleanAttributes: true,
-    parseTagValue: true,
-    parseAttributeValue: true,
-    trimValues: true
-});
+// folder.jpg/cover.jpg...: tìm trong container cha trên DLNA server, không thấy thì thử cùng thư mục với URL của bài
+const findFolderArt = async (item) => {
+    const candidates = [];
+    const server = await resolveMediaServer(item.serverId);
+    const parentObjectId = item.parentID?.slice(`${item.serverId}${ITEM_ID_SEPARATOR}`.length);
+    if (server && parentObjectId) {
+        try {
+            const { items } = await browseAll(server, parentObjectId);
+            for (const raw of items) {
+                const url = ensureArray(raw.res)[0]?.["#text"];
+                const rawTitle = String(raw["dc:title"] || "");
+                const isImage = String(raw["upnp:class"] || "").includes("imageItem") || IMAGE_EXT.test(rawTitle);
+                if (!url || !isImage) continue;
+                const rank = Math.max(
+                    FOLDER_ART_NAMES.indexOf(normalizeName(fileBaseName(url))),
+                    FOLDER_ART_NAMES.indexOf(normalizeName(rawTitle.replace(IMAGE_EXT, "")))
+                );
+                if (rank >= 0) candidates.push({ url, rank });
+            }
+        } catch (err) {
+            console.warn(`Browse for folder art failed (${item.id}):`, err.message);
+        }
+    }
+
+    const urls = candidates.sort((a, b) => a.rank - b.rank).map((c) => c.url);
+    try {
+        if (/\.[a-z0-9]{2,4}$/i.test(new URL(item.url).pathname)) {
+            urls.push(...["folder.jpg", "cover.jpg"].map((name) => new URL(name, item.url).href));
+        }
+    } catch {
+        // URL của bài không hợp lệ: chỉ dùng kết quả duyệt thư mục
+    }
+
+    for (const url of urls) {
+        const art = artStore.save(await fetchImage(url));
+        if (art) return art;
+    }
+    return null;
+};
+
+// Các bài cùng thư mục dùng chung kết quả (kể cả "không có ảnh") trong FOLDER_ART_TTL
+const folderArtCache = new Map();
+const getFolderArt = (item) => {
+    const key = item.parentID || item.url;
+    const cached = folderArtCache.get(key);
+    if (cached && Date.now() - cached.at < FOLDER_ART_TTL) return cached.art;
 
-const createSoapBody = (objectId) => `<?xml version="1.0" encoding="utf-8"?>
-<s:Envelope xmlns:s="http://schemas.xmlsoap.org/soap/envelope/" 
-  s:encodingStyle="http://schemas.xmlsoap.org/soap/encoding/">
-  <s:Body>
-    <u:Browse xmlns:u="urn:schemas-upnp-org:service:ContentDirectory:1">
-      <ObjectID>${objectId}</ObjectID>
-      <BrowseFlag>BrowseDirectChildren</BrowseFlag>
-      <Filter>*</Filter>
-      <StartingIndex>0</StartingIndex>
-      <RequestedCount>0</RequestedCount>
-      <SortCriteria></SortCriteria>
-    </u:Browse>
-  </s:Body>
-</s:Envelope>`;
+    const art = findFolderArt(item);
+    folderArtCache.delete(key);
+    folderArtCache.set(key, { at: Date.now(), art });
+    if (folderArtCache.size > FOLDER_ART_CACHE_SIZE) folderArtCache.delete(folderArtCache.keys().next().value);
+    return art;
+};
+
+// Ưu tiên: upnp:albumArtURI trong DIDL > ảnh trong thư mục > ảnh nhúng trong file
+const resolveAlbumArt = async (item) => {
+    const fromDidl = item.albumArtURI ? artStore.save(await fetchImage(item.albumArtURI)) : null;
+    if (fromDidl) return { art: fromDidl, source: "didl" };
+    const fromFolder = await getFolderArt(item);
+    if (fromFolder) return { art: fromFolder, source: "folder" };
+    const embedded = await getAlbumArt(item.url);
+    const fromFile = embedded ? artStore.save(embedded.data) : null;
+    return fromFile ? { art: fromFile, source: "embedded" } : null;
+};
+
+// Ảnh bìa gắn theo album: bài đầu tiên của album đi tìm ảnh, các bài sau (kể cả bài đang xử lý song song
+// trong cùng lô) dùng lại. Bài không rõ album thì tìm riêng. extracted: lần này vừa tìm được ảnh
+const pendingAlbumArt = new Map();
+const findAlbumArt = async (item) => {
+    const albumId = albumIdOf(item);
+    const linked = albumId ? store.getAlbumCover(albumId) : null;
+    if (artStore.isStored(linked)) return { art: linked, extracted: false };
+
+    const key = albumId || item.id;
+    let pending = pendingAlbumArt.get(key);
+    const isOwner = !pending;
+    if (isOwner) {
+        pending = resolveAlbumArt(item)
+            .then((found) => {
+                if (found && albumId) store.linkAlbumCover(albumId, found.art.id, found.source);
+                // Bảng màu tính trên worker, không bắt lô quét chờ
+                if (found) artStore.ensurePalette(found.art);
+                return found?.art || null;
+            })
+            .catch((err) => {
+                console.warn(`Album art failed for ${item.title}:`, err.message);
+                return null;
+            })
+            .finally(() => pendingAlbumArt.delete(key));
+        pendingAlbumArt.set(key, pending);
+    }
+    const art = await pending;
+    return { art, extracted: isOwner && Boolean(art) };
+};
+
+// Bảng màu của ảnh mới được tính sau khi item đã dựng xong: lấy bản mới nhất ngay lúc ghi item.
+// Tính xong sau lúc ghi thì artStore tự cập nhật các item đang dùng ảnh
+const withArtPalette = (items) =>
+    items.map((item) => {
+        if (item.albumArtPalette || !item.albumArtUrl) return item;
+        const palette = store.getAlbumArt(toAlbumArtId(item.albumArtUrl))?.palette;
+        return palette ? { ...item, albumArtPalette: palette } : item;
+    });
 
 // ==============================
-// 🖼️ Album Art Utilities
+// 📡 DLNA Server Discovery
 // ==============================
-const checkAlbumArtCache = (title, date, artist) => {
-    const name = createFileName(title, date, artist);
-    for (const ext of ["jpg", "jpeg", "png"]) {
-        const file = path.join(albumArtDir, `${name}.${ext}`);
-        if (fs.existsSync(file)) return `${IP}:${PORT}/public/album-art/${name}.${ext}`;
+let discoveredServers = [];
+let lastDiscoveryAt = 0;
+let discoveryPromise = null;
+
+// DLNA_URL cũ vẫn được giữ như một server khai báo tay (đường dẫn kiểu MiniDLNA)
+const getManualServers = () =>
+    DLNA_URL
+        ? [{
+            id: `manual:${DLNA_URL}`,
+            name: new URL(DLNA_URL).host,
+            manufacturer: null,
+            modelName: null,
+            location: null,
+            baseUrl: DLNA_URL,
+            serviceType: "urn:schemas-upnp-org:service:ContentDirectory:1",
+            controlURL: `${DLNA_URL}/ctl/ContentDir`,
+            iconUrl: null,
+            manual: true
+        }]
+        : [];
+
+// Registry lưu mọi server từng thấy, kèm trạng thái bật/tắt của từng nguồn
+const registerServers = (servers) => {
+    const registry = new Map(store.listServers().map((s) => [s.id, s]));
+    const now = new Date().toISOString();
+    store.transaction(() => {
+        for (const server of servers) {
+            const existing = registry.get(server.id);
+            store.saveServer({
+                ...existing,
+                ...server,
+                name: existing?.customName ? existing.name : server.name,
+                enabled: existing?.enabled ?? true,
+                lastSeenAt: now
+            });
+        }
+    });
+};
+
+const getMediaServers = async (refresh = false) => {
+    const stale = Date.now() - lastDiscoveryAt > DISCOVERY_TTL;
+    if (refresh || stale) {
+        // Gộp các request đồng thời vào một lần M-SEARCH
+        discoveryPromise ??= discoverMediaServers({ timeout: SSDP_TIMEOUT, address: SSDP_ADDRESS })
+            .then((servers) => {
+                discoveredServers = servers;
+                lastDiscoveryAt = Date.now();
+            })
+            .catch((err) => console.warn("SSDP discovery failed:", err.message))
+            .finally(() => {
+                registerServers([...discoveredServers, ...getManualServers()]);
+                discoveryPromise = null;
+            });
+        await discoveryPromise;
     }
-    return null;
+
+    const onlineIds = new Set(discoveredServers.map((s) => s.id));
+    return store.listServers().map((s) => ({ ...s, online: Boolean(s.manual || onlineIds.has(s.id)) }));
+};
+
+const resolveMediaServer = async (serverId) => {
+    let servers = await getMediaServers();
+    if (serverId && !servers.some((s) => s.id === serverId)) servers = await getMediaServers(true);
+    if (serverId) return servers.find((s) => s.id === serverId) || null;
+    return servers.find((s) => s.enabled && s.online) || null;
+};
+
+const withSource = (item, servers = store.listServers()) => {
+    const server = servers.find((s) => s.id === item.serverId);
+    return { ...item, source: item.serverId ? { id: item.serverId, name: server?.name || item.serverId } : null };
 };
 
-const saveAlbumArtToFile = async (albumArt, filename) => {
+// Chỉ giữ item của nguồn đang bật; item cũ chưa gắn server vẫn hiển thị
+const listLibraryItems = async () => {
+    const servers = await getMediaServers();
+    const disabled = new Set(servers.filter((s) => !s.enabled).map((s) => s.id));
+    return store
+        .getItems()
+        .filter((i) => !disabled.has(i.serverId))
+        .map((i) => withSource(i, servers));
+};
+
+// Id của item/container được gắn thêm id server để các nguồn không đụng nhau
+const ITEM_ID_SEPARATOR = "::";
+const makeItemId = (serverId, objectId) => `${serverId}${ITEM_ID_SEPARATOR}${objectId}`;
+
+const isSameHost = (url, server) => {
     try {
-        const ext = albumArt.format.split("/")[1] || "jpg";
-        const fullName = `${filename}.${ext}`;
-        const file = path.join(albumArtDir, fullName);
+        return new URL(url).hostname === new URL(server.baseUrl).hostname;
+    } catch {
+        return false;
+    }
+};
 
-        if (fs.existsSync(file)) return `/public/album-art/${fullName}`;
-        fs.writeFileSync(file, albumArt.data);
-        return `/public/album-art/${fullName}`;
-    } catch (err) {
-        console.error("Error saving album art:", err);
-        return null;
+// Capabilities không đổi trong suốt vòng đời server nên chỉ hỏi một lần
+const searchCapabilitiesCache = new Map();
+
+const getCachedSearchCapabilities = async (server) => {
+    if (!searchCapabilitiesCache.has(server.id)) {
+        const caps = await getSearchCapabilities(server).catch((err) => {
+            console.warn(`GetSearchCapabilities failed for ${server.name}:`, err.message);
+            return [];
+        });
+        searchCapabilitiesCache.set(server.id, caps);
     }
+    return searchCapabilitiesCache.get(server.id);
 };
 
 // ==============================
 // 🎵 Audio Metadata & DLNA Tools
 // ==============================
+// Tải thêm dần theo kích thước tag (ID3 có ảnh bìa lớn, FLAC nhiều block) thay vì cố định vài KB đầu
+const fetchAudioHeader = async (url) => {
+    let buffer = Buffer.alloc(0);
+    let size = null;
+    let mimeType = null;
+    let want = INITIAL_WINDOW;
+
+    while (buffer.length < want) {
+        const resp = await fetchWithTimeout(url, { headers: { Range: `bytes=${buffer.length}-${want - 1}` } }, 5000);
+        if (!resp.ok) throw new Error(`Failed to fetch: ${resp.status}`);
+        mimeType ||= resp.headers.get("content-type");
+        const chunk = Buffer.from(await resp.arrayBuffer());
+
+        // Server bỏ qua Range thì đã có nguyên file
+        if (resp.status !== 206) return { buffer: chunk, size: chunk.length, mimeType };
+        size ??= parseInt(resp.headers.get("content-range")?.split("/")[1]) || null;
+        buffer = Buffer.concat([buffer, chunk]);
+        if (!chunk.length || (size && buffer.length >= size)) break;
+
+        const needed = requiredHeaderBytes(buffer);
+        want = Math.min(Math.max(needed ?? 0, buffer.length), MAX_WINDOW, size ?? MAX_WINDOW);
+    }
+    return { buffer, size, mimeType };
+};
+
 const getAudioMetadata = async (url) => {
     try {
-        const resp = await fetchWithTimeout(url, { headers: { Range: "bytes=0-9000" } }, 5000);
-        if (!resp.ok && resp.status !== 206) throw new Error(`Failed to fetch: ${resp.status}`);
-        const buffer = Buffer.from(await resp.arrayBuffer());
-        const meta = await mm.parseBuffer(buffer, {
-            mimeType: resp.headers.get("content-type") || "audio/flac",
-            skipCovers: true,
-            duration: false,
-            skipPostHeaders: true
-        });
-
-        return {
-            bitDepth: meta.format.bitsPerSample || null,
-            sampleRate: meta.format.sampleRate || null,
-            bitDepthLabel: meta.format.bitsPerSample ? `${meta.format.bitsPerSample}-bit` : null,
-            sampleRateLabel: meta.format.sampleRate ? `${(meta.format.sampleRate / 1000).toFixed(1)}kHz` : null,
-            date: meta.common.date || null,
-            composer: meta.common.composer || null,
-            lyrics: meta.common.lyrics || null
-        };
+        const { buffer, size, mimeType } = await fetchAudioHeader(url);
+        // parseBuffer luôn coi độ dài buffer là kích thước file; qua stream thì giữ được size thật
+        // để tính thời lượng MP3 CBR khi chỉ có phần đầu file
+        const meta = await mm.parseWebStream(
+            new Blob([buffer]).stream(),
+            { mimeType: mimeType || "audio/flac", size: size ?? buffer.length },
+            { skipCovers: true, duration: false, skipPostHeaders: true }
+        );
+        return toAudioMetadata(meta);
     } catch (err) {
         console.warn(`Failed to get metadata for ${url}:`, err.message);
         return null;
@@ -227,173 +434,1204 @@ const getAlbumArt = async (url) => {
 // ==============================
 // 🔁 Transform DIDL Data
 // ==============================
-const transformDIDLData = async (didl, includeMetadata = false) => {
-    const containers = ensureArray(didl["DIDL-Lite"]?.container).map((c) => ({
-        id: c.id,
-        parentID: c.parentID,
-        title: c["dc:title"],
-        class: c["upnp:class"],
-        childCount: c.childCount
-    }));
-
-    const rawItems = ensureArray(didl["DIDL-Lite"]?.item).map((i) => {
-        const res = ensureArray(i.res)[0] || {};
-        return {
-            id: i.id,
-            title: i["dc:title"] || "Unknown",
-            artist: i["upnp:artist"] || "Unknown",
-            album: i["upnp:album"] || "Unknown",
-            duration: res.duration || null,
-            url: res["#text"],
-            genre: i["upnp:genre"],
-            bitrate: res.bitrate,
-            nrAudioChannels: res.nrAudioChannels
-        };
-    });
+const toContainer = (c, serverId) => ({
+    id: makeItemId(serverId, c.id),
+    objectId: String(c.id),
+    parentID: makeItemId(serverId, c.parentID),
+    serverId,
+    title: c["dc:title"],
+    class: c["upnp:class"],
+    childCount: c.childCount
+});
+
+// upnp:artist có thể lặp lại với thuộc tính role (AlbumArtist, Composer...)
+const didlValues = (val) =>
+    ensureArray(val)
+        .map((v) => (typeof v === "object" ? { text: v["#text"], role: v.role } : { text: v, role: null }))
+        .filter((v) => v.text != null && v.text !== "")
+        .map((v) => ({ ...v, text: String(v.text) }));
+
+const toItem = (i, serverId) => {
+    const res = ensureArray(i.res)[0] || {};
+    const artists = didlValues(i["upnp:artist"]);
+    return {
+        id: makeItemId(serverId, i.id),
+        objectId: String(i.id),
+        parentID: makeItemId(serverId, i.parentID),
+        serverId,
+        title: i["dc:title"] || "Unknown",
+        artist: (artists.find((a) => !a.role || a.role === "Performer") || artists[0])?.text || "Unknown",
+        albumArtist: didlValues(i["upnp:albumArtist"])[0]?.text || artists.find((a) => a.role === "AlbumArtist")?.text || null,
+        album: i["upnp:album"] || "Unknown",
+        trackNumber: parseInt(i["upnp:originalTrackNumber"]) || null,
+        duration: res.duration || null,
+        url: res["#text"],
+        // protocolInfo dạng "http-get:*:audio/flac:DLNA.ORG_PN=..."
+        mimeType: String(res.protocolInfo || "").split(":")[2] || null,
+        genre: i["upnp:genre"],
+        // Ảnh bìa server cung cấp sẵn (MiniDLNA, Serviio...), dùng trước khi tự tìm
+        albumArtURI: didlValues(i["upnp:albumArtURI"])[0]?.text || null,
+        bitrate: res.bitrate,
+        nrAudioChannels: res.nrAudioChannels
+    };
+};
+
+// Tăng khi đọc thêm trường từ tag: lần quét kèm metadata sau sẽ đọc lại các bài quét bằng bản cũ
+const METADATA_VERSION = 4;
+
+// Trường lấy từ tag của file, ghi đè giá trị từ DIDL nếu có
+const TAG_FIELDS = [
+    "albumArtist",
+    "trackNumber",
+    "trackTotal",
+    "discNumber",
+    "discTotal",
+    "durationSeconds",
+    "codec",
+    "lossless",
+    "replayGain",
+    "musicBrainz"
+];
 
-    if (!includeMetadata) return { containers, items: rawItems };
+// onItem: báo tiến độ từng item, onBatch: nhận kết quả mỗi lô để ghi dần vào database
+const transformDIDLData = async (didl, includeMetadata = false, { serverId, signal, onItem, onBatch } = {}) => {
+    const containers = ensureArray(didl["DIDL-Lite"]?.container).map((c) => toContainer(c, serverId));
+    const rawItems = ensureArray(didl["DIDL-Lite"]?.item).map((i) => toItem(i, serverId));
+
+    if (!includeMetadata) {
+        onBatch?.(rawItems);
+        return { containers, items: rawItems };
+    }
 
     const items = [];
     const LIMIT = 15;
 
     for (let i = 0; i < rawItems.length; i += LIMIT) {
+        signal?.throwIfAborted();
         const batch = rawItems.slice(i, i + LIMIT);
 
         const batchResults = await Promise.all(
             batch.map(async (item) => {
                 const meta = await getAudioMetadata(item.url);
-                const dateForFile = meta?.date || null;
-
-                let artUrl = checkAlbumArtCache(item.title, dateForFile, item.artist);
-                if (!artUrl) {
-                    try {
-                        const art = await getAlbumArt(item.url);
-                        if (art) {
-                            const file = createFileName(item.title, dateForFile, item.artist);
-                            const saved = await saveAlbumArtToFile(art, file);
-                            if (saved) artUrl = `${IP}:${PORT}${saved}`;
-                        }
-                    } catch (e) {
-                        console.warn(`Album art failed for ${item.title}:`, e.message);
-                    }
-                }
-
-                if (!artUrl) artUrl = `${IP}:${PORT}/public/default.png`;
-
-                const out = { ...item, albumArtUrl: artUrl };
+                const out = { ...item };
 
                 if (meta) {
-                    const q = classifyAudioQuality(meta, item.bitrate);
-                    out.quality = {
-                        encoding: q.encoding,
-                        label: q.label,
-                        tier: q.tier,
-                        bitDepth: meta.bitDepthLabel || "16-bit",
-                        sampleRate: meta.sampleRateLabel || "44.1kHz",
-                        bitrate: formatBitrate(item.bitrate)
-                    };
+                    out.quality = classifyAudioQuality(meta, item);
                     if (meta.date) out.date = meta.date;
                     if (meta.composer) out.composer = meta.composer;
                     if (meta.lyrics) out.lyrics = meta.lyrics;
+                    // Tag trong file đáng tin hơn DIDL (nhiều server không trả albumArtist, số track)
+                    for (const key of TAG_FIELDS) {
+                        if (meta[key] != null) out[key] = meta[key];
+                    }
+                    out.metadataVersion = METADATA_VERSION;
                 }
 
+                // Sau khi gộp tag để album (theo album artist) khớp với cách thư viện nhóm
+                const { art, extracted: artExtracted } = await findAlbumArt(out);
+                out.albumArtUrl = toArtUrl(art?.id);
+                // Màu lấy từ ảnh bìa để giao diện trình phát đổi theo bài
+                out.albumArtPalette = art?.palette || null;
+
+                onItem?.({ item: out, metadata: !!meta, artExtracted });
                 return out;
             })
         );
 
         items.push(...batchResults);
+        onBatch?.(batchResults);
     }
 
     return { containers, items };
 };
 
+// ==============================
+// 🗂️ Library Sync
+// ==============================
+// Gộp kết quả Browse vào thư viện: chỉ lấy metadata cho item mới/đổi,
+// xoá item nằm trong phạm vi (isInScope) nhưng không còn trên server
+const syncLibrary = async ({ server, containers, rawItems, isInScope, includeMetadata, signal, progress, reportProgress }) => {
+    // Item của server này và item cũ chưa gắn server
+    const cached = store.getItems({ serverId: server.id });
+    const cachedMap = new Map(cached.map((i) => [i.id, i]));
+
+    // Item của database cũ (chưa có serverId) được nhận lại theo URL, khỏi phải quét metadata lại
+    const legacyByUrl = new Map(cached.filter((i) => !i.serverId).map((i) => [i.url, i]));
+    const adopted = new Set();
+    const adoptedItems = [];
+    for (const raw of rawItems) {
+        const id = makeItemId(server.id, raw.id);
+        const legacy = legacyByUrl.get(ensureArray(raw.res)[0]?.["#text"]);
+        if (legacy && !cachedMap.has(id)) {
+            const item = {
+                ...legacy,
+                id,
+                objectId: String(raw.id),
+                parentID: makeItemId(server.id, raw.parentID),
+                serverId: server.id
+            };
+            cachedMap.set(id, item);
+            adoptedItems.push(item);
+            adopted.add(legacy.id);
+        }
+    }
+
+    const itemsToScan = rawItems.filter((i) => {
+        const c = cachedMap.get(makeItemId(server.id, i.id));
+        if (!c) return true;
+        const newUrl = ensureArray(i.res)[0]?.["#text"];
+        if (includeMetadata && (c.metadataVersion || 0) < METADATA_VERSION) return true;
+        return i["dc:title"] !== c.title || newUrl !== c.url;
+    });
+
+    const dlnaIds = new Set(rawItems.map((i) => makeItemId(server.id, i.id)));
+    const toRemove = new Set(
+        [...cachedMap.values()].filter((i) => adopted.has(i.id) || (isInScope(i) && !dlnaIds.has(i.id))).map((i) => i.id)
+    );
+
+    if (progress) {
+        progress.total = itemsToScan.length;
+        reportProgress?.(true);
+    }
+
+    // Mỗi lô ghi trong một transaction nên job của server khác chạy song song không ghi đè nhau.
+    // Job bị huỷ giữa chừng vẫn giữ được phần đã quét, lần chạy lại sẽ bỏ qua.
+    const commit = ({ removeIds = [], items = [], containers = [] }) =>
+        store.transaction(() => {
+            store.deleteItems(removeIds);
+            store.upsertItems(withArtPalette(items));
+            store.upsertContainers(containers);
+            store.setMeta("lastUpdated", new Date().toISOString());
+        });
+
+    // Cây container luôn được lưu (chế độ duyệt thư mục cần), kể cả khi không có bài nào đổi
+    store.deleteLegacyContainers();
+    commit({
+        removeIds: toRemove,
+        items: adoptedItems,
+        containers: containers.map((c) => toContainer(c, server.id))
+    });
+    if (!itemsToScan.length) return;
+
+    const filtered = { "DIDL-Lite": { item: itemsToScan } };
+    await transformDIDLData(filtered, includeMetadata, {
+        serverId: server.id,
+        signal,
+        onItem: ({ metadata, artExtracted }) => {
+            if (!progress) return;
+            progress.processed++;
+            if (metadata) progress.metadataFetched++;
+            else progress.failures++;
+            if (artExtracted) progress.artExtracted++;
+            reportProgress?.();
+        },
+        onBatch: (items) => {
+            if (progress && !includeMetadata) progress.processed += items.length;
+            commit({ items });
+        }
+    });
+};
+
+// Cùng một bài xuất hiện ở nhiều view (Artist, Genre, Folders...) với object id khác nhau.
+// Bài đã có trong thư viện được dùng lại theo URL; bài mới được thêm vào để có thể phát qua /api/stream.
+// Không xoá gì ở đây, việc dọn item đã mất là của job quét.
+const resolveBrowsedItems = async (server, rawItems, { includeMetadata = false, signal } = {}) => {
+    const urlOf = (raw) => ensureArray(raw.res)[0]?.["#text"];
+    const known = new Map();
+    const fresh = [];
+    for (const raw of rawItems) {
+        const url = urlOf(raw);
+        if (!url || known.has(url)) continue;
+        const item = store.getItemByUrl(url);
+        if (item) known.set(url, item);
+        else fresh.push(raw);
+    }
+
+    const { items: added } = await transformDIDLData({ "DIDL-Lite": { item: fresh } }, includeMetadata, {
+        serverId: server.id,
+        signal
+    });
+    if (added.length) {
+        store.transaction(() => {
+            store.upsertItems(withArtPalette(added));
+            store.setMeta("lastUpdated", new Date().toISOString());
+        });
+    }
+    for (const item of added) known.set(item.url, item);
+
+    // Giữ thứ tự server trả về, bỏ bài trùng URL
+    const seen = new Set();
+    return rawItems
+        .map((raw) => known.get(urlOf(raw)))
+        .filter((item) => item && !seen.has(item.id) && seen.add(item.id));
+};
+
+// ==============================
+// 🔄 Scan Jobs
+// ==============================
+const runLibraryScan = (server, { root, metadata }) => async ({ signal, progress, setPhase, reportProgress }) => {
+    setPhase("browsing");
+    const library = await walk(server, root, {
+        signal,
+        onContainer: ({ discovered }) => {
+            progress.containers++;
+            progress.discovered = discovered;
+            reportProgress();
+        },
+        onContainerError: ({ id, error }) => {
+            console.warn(`Browse failed for container ${id} on ${server.name}, skipping:`, error.message);
+            progress.failures++;
+            progress.failedContainers.push(id);
+            reportProgress();
+        }
+    });
+
+    setPhase(metadata ? "metadata" : "saving");
+    await syncLibrary({
+        server,
+        containers: library.containers,
+        rawItems: library.items,
+        // Quét toàn bộ: mọi item của server này (và item cũ cùng host) đều thuộc phạm vi.
+        // Có container duyệt lỗi thì không biết bài nào đã mất thật, nên lần này không xoá bài nào
+        isInScope: (i) =>
+            !library.failed.length && (i.serverId ? i.serverId === server.id : isSameHost(i.url, server)),
+        includeMetadata: metadata,
+        signal,
+        progress,
+        reportProgress
+    });
+    setPhase("done");
+};
+
+onScanJobUpdate((scan) => store.saveScan(scan));
+
 // ==============================
 // 🌐 API Endpoints
 // ==============================
+// Con trực tiếp của một container (id là ObjectID của DLNA, "0" là gốc) cho chế độ duyệt thư mục.
+// Trả về kèm đường dẫn các container cha đã biết để dựng breadcrumb.
 app.get(
     "/api/browse/:id",
     asyncHandler(async (req, res) => {
         const { id } = req.params;
         const includeMetadata = req.query.metadata === "true";
-        const cached = readDatabase();
-
-        const response = await fetch(`${DLNA_URL}/ctl/ContentDir`, {
-            method: "POST",
-            headers: {
-                "Content-Type": 'text/xml; charset="utf-8"',
-                SOAPACTION: '"urn:schemas-upnp-org:service:ContentDirectory:1#Browse"'
-            },
-            body: createSoapBody(id)
+        const server = await resolveMediaServer(req.query.server);
+        if (!server) return res.status(404).json({ error: "DLNA server not found", server: req.query.server || null });
+
+        const page = await browseAll(server, id);
+        const containers = page.containers.map((c) => toContainer(c, server.id));
+        store.upsertContainers(containers);
+        const items = await resolveBrowsedItems(server, page.items.filter(isAudioItem), { includeMetadata });
+
+        const containerId = makeItemId(server.id, id);
+        const servers = store.listServers();
+        res.json({
+            server: { id: server.id, name: server.name },
+            container: store.getContainer(containerId) || { id: containerId, objectId: String(id), serverId: server.id, title: null },
+            path: store.getContainerPath(containerId),
+            containers,
+            items: items.map((i) => withSource(i, servers))
         });
+    })
+);
+
+// Mọi bài trong container và các container con, để phát hoặc thêm cả thư mục vào hàng đợi
+app.get(
+    "/api/browse/:id/tracks",
+    asyncHandler(async (req, res) => {
+        const server = await resolveMediaServer(req.query.server);
+        if (!server) return res.status(404).json({ error: "DLNA server not found", server: req.query.server || null });
+
+        // Thư mục lớn có thể duyệt lâu, client huỷ thì dừng luôn
+        const controller = new AbortController();
+        res.on("close", () => controller.abort());
+
+        let library;
+        try {
+            library = await walk(server, req.params.id, { signal: controller.signal });
+        } catch (err) {
+            if (controller.signal.aborted) return;
+            throw err;
+        }
+        store.upsertContainers(library.containers.map((c) => toContainer(c, server.id)));
+        const items = await resolveBrowsedItems(server, library.items);
+        const servers = store.listServers();
+        res.json({ total: items.length, items: items.map((i) => withSource(i, servers)) });
+    })
+);
+
+// Quét toàn bộ thư viện từ container gốc "0" thay vì phụ thuộc id kiểu "1$4" của MiniDLNA.
+// Job chạy nền, tiến độ được đẩy qua Server-Sent Events ở /api/scans/:id/events
+app.post(
+    "/api/scans",
+    asyncHandler(async (req, res) => {
+        const { server: serverId, root = "0", metadata = true } = req.body || {};
+        const server = await resolveMediaServer(serverId);
+        if (!server) return res.status(404).json({ error: "DLNA server not found", server: serverId || null });
 
-        const xmlText = await response.text();
-        const didl = parseXml(parseXml(xmlText)["s:Envelope"]["s:Body"]["u:BrowseResponse"].Result);
-        const rawItems = ensureArray(didl["DIDL-Lite"]?.item);
+        const active = findActiveJob(server.id);
+        if (active) return res.status(409).json({ error: "A scan is already running", job: serializeJob(active) });
 
-        const cachedMap = new Map(cached.items.map((i) => [i.id, i]));
-        const itemsToScan = rawItems.filter((i) => {
-            const c = cachedMap.get(i.id);
-            if (!c) return true;
-            const newUrl = ensureArray(i.res)[0]?.["#text"];
-            return i["dc:title"] !== c.title || newUrl !== c.url;
+        const params = { serverId: server.id, root: String(root), metadata: metadata !== false };
+        const job = startScanJob(params, runLibraryScan(server, params));
+        res.status(202).json(serializeJob(job));
+    })
+);
+
+app.get("/api/scans", (req, res) => res.json(store.listScans()));
+
+app.get("/api/scans/:id", (req, res) => {
+    const job = getScanJob(req.params.id);
+    const scan = job ? serializeJob(job) : store.getScan(req.params.id);
+    if (!scan) return res.status(404).json({ error: "Scan job not found" });
+    res.json(scan);
+});
+
+app.get("/api/scans/:id/events", (req, res) => {
+    const job = getScanJob(req.params.id);
+    if (!job) return res.status(404).json({ error: "Scan job not found" });
+
+    res.set({
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        Connection: "keep-alive"
+    });
+    res.flushHeaders();
+
+    const send = (type, data) => res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    send("status", serializeJob(job));
+    if (isFinished(job)) return res.end();
+
+    const heartbeat = setInterval(() => res.write(": ping\n\n"), 15000);
+    const cleanup = () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    };
+    const unsubscribe = subscribeScanJob(job, (event) => {
+        send(event.type, event.job);
+        if (event.type === "status") {
+            cleanup();
+            res.end();
+        }
+    });
+    req.on("close", cleanup);
+});
+
+app.post("/api/scans/:id/cancel", (req, res) => {
+    const job = cancelScanJob(req.params.id);
+    if (!job) return res.status(404).json({ error: "Scan job not found" });
+    res.json(serializeJob(job));
+});
+
+app.post(
+    "/api/scans/:id/resume",
+    asyncHandler(async (req, res) => {
+        // Job cũ có thể chỉ còn trong lịch sử (server vừa khởi động lại)
+        const inMemory = getScanJob(req.params.id);
+        const previous = inMemory ? serializeJob(inMemory) : store.getScan(req.params.id);
+        if (!previous) return res.status(404).json({ error: "Scan job not found" });
+
+        const server = await resolveMediaServer(previous.serverId);
+        if (!server) return res.status(404).json({ error: "DLNA server not found", server: previous.serverId });
+        if (findActiveJob(server.id)) return res.status(409).json({ error: "A scan is already running" });
+
+        const job = resumeScanJob(previous, runLibraryScan(server, previous));
+        if (!job) return res.status(409).json({ error: `Cannot resume a ${previous.status} scan` });
+        res.status(202).json(serializeJob(job));
+    })
+);
+
+const SEARCH_QUERY_FIELDS = ["q", "title", "artist", "album", "genre"];
+// Lấy mọi kết quả khớp từ chỉ mục: tổng số bài và tổng thời lượng phải tính trên toàn bộ, không chỉ phần đầu
+const ALL_RESULTS = Infinity;
+const MAX_SUGGESTIONS = 20;
+
+// Tìm trong chỉ mục cho các nguồn không hỗ trợ Search; trả về id theo thứ hạng.
+// Mỗi điều kiện theo trường (title=, artist=...) chỉ tìm trong trường đó và phải khớp cùng lúc
+const searchLocalItems = (query, filter) => {
+    const searches = [
+        query.q && searchIndex.search(query.q, { prefix: true, limit: ALL_RESULTS, filter }),
+        ...["title", "artist", "album", "genre"]
+            .filter((field) => query[field])
+            .map((field) => searchIndex.search(query[field], { prefix: true, limit: ALL_RESULTS, fields: [field], filter }))
+    ].filter(Boolean);
+    const [first, ...rest] = searches;
+    const restIds = rest.map((s) => new Set(s.results.map((r) => r.id)));
+    return first.results.map((r) => r.id).filter((id) => restIds.every((ids) => ids.has(id)));
+};
+
+// Gọi UPnP Search trên một server; null nếu server không hỗ trợ hoặc lỗi
+const searchMediaServer = async (server, query, limit) => {
+    const criteria = buildSearchCriteria(query, await getCachedSearchCapabilities(server));
+    if (!criteria) return null;
+    try {
+        const result = await searchAll(server, "0", criteria, { limit });
+        const { items } = await transformDIDLData({ "DIDL-Lite": { item: result.items.filter(isAudioItem) } }, false, {
+            serverId: server.id
         });
+        return { criteria, total: result.totalMatches, items };
+    } catch (err) {
+        console.warn(`UPnP Search failed on ${server.name}, falling back to local:`, err.message);
+        return null;
+    }
+};
+
+app.get(
+    "/api/search",
+    asyncHandler(async (req, res) => {
+        const query = Object.fromEntries(
+            SEARCH_QUERY_FIELDS.filter((f) => req.query[f]?.trim()).map((f) => [f, req.query[f].trim()])
+        );
+        if (!Object.keys(query).length) return res.status(400).json({ error: "Missing search query" });
 
-        const dlnaIds = new Set(rawItems.map((i) => i.id));
-        const toRemove = cached.items.filter((i) => !dlnaIds.has(i.id));
+        const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+        let targets;
+        if (req.query.server) {
+            const server = await resolveMediaServer(req.query.server);
+            if (!server) return res.status(404).json({ error: "DLNA server not found", server: req.query.server });
+            targets = [server];
+        } else {
+            targets = (await getMediaServers()).filter((s) => s.enabled && s.online);
+        }
 
-        if (!itemsToScan.length && !toRemove.length) return res.json(cached);
+        const results = await Promise.all(targets.map((server) => searchMediaServer(server, query, limit)));
+        const library = await listLibraryItems();
+        // Item đã có trong database thì trả bản đầy đủ (ảnh bìa, chất lượng, lời bài hát...)
+        const libraryMap = new Map(library.map((i) => [i.id, i]));
 
-        const filtered = {
-            "DIDL-Lite": {
-                container: didl["DIDL-Lite"].container || [],
-                item: itemsToScan
+        const upnpItems = [];
+        let total = 0;
+        const sources = targets.map((server, idx) => {
+            const result = results[idx];
+            if (result) {
+                total += result.total;
+                upnpItems.push(...result.items.map((i) => libraryMap.get(i.id) || withSource(i)));
             }
-        };
+            return { server: server.id, source: result ? "upnp" : "local", criteria: result?.criteria || null };
+        });
 
-        const newData = await transformDIDLData(filtered, includeMetadata);
+        // Nguồn không hỗ trợ Search (và item cũ chưa gắn server khi tìm trên mọi nguồn) thì tìm local
+        const localIds = new Set(sources.filter((s) => s.source === "local").map((s) => s.server));
+        const localItems = searchLocalItems(query, (doc) => (doc.serverId ? localIds.has(doc.serverId) : !req.query.server))
+            .map((id) => libraryMap.get(id))
+            .filter(Boolean);
+        total += localItems.length;
 
-        const mergedMap = new Map(
-            cached.items.filter((i) => !toRemove.some((r) => r.id === i.id)).map((i) => [i.id, i])
-        );
+        const kinds = new Set(sources.map((s) => s.source));
+        if (localItems.length && !req.query.server) kinds.add("local");
+        res.json({
+            source: kinds.size > 1 ? "mixed" : [...kinds][0] || "local",
+            sources,
+            total,
+            items: [...upnpItems, ...localItems].slice(0, limit)
+        });
+    })
+);
+
+// Gợi ý khi đang gõ: từ cuối được coi là gõ dở (khớp tiền tố), chỉ tìm trong thư viện đã quét
+app.get(
+    "/api/search/suggest",
+    asyncHandler(async (req, res) => {
+        const q = req.query.q?.trim();
+        if (!q) return res.json({ total: 0, items: [] });
+        const limit = Math.min(parseInt(req.query.limit) || 8, MAX_SUGGESTIONS);
+
+        const servers = await getMediaServers();
+        const disabled = new Set(servers.filter((s) => !s.enabled).map((s) => s.id));
+        const search = searchIndex.search(q, { prefix: true, limit, filter: (doc) => !disabled.has(doc.serverId) });
+        const items = search.results
+            .map((r) => store.getItem(r.id))
+            .filter(Boolean)
+            .map((i) => ({ ...withSource(i, servers), ...highlightItem(i, search.terms) }));
+        res.json({ total: search.total, items });
+    })
+);
+
+// Thư viện gộp từ mọi nguồn đang bật
+const ITEM_FILTER_FIELDS = ["artist", "album", "genre", "tier", "year", "q"];
+const MAX_PAGE_SIZE = 500;
+// "relevance" chỉ có nghĩa khi có q: xếp theo điểm của chỉ mục tìm kiếm
+const ITEM_SORTS = [...Object.keys(SORT_COLUMNS), "relevance"];
+
+const ALBUM_SORTS = ["title", "artist", "year", "tracks", "duration", "updatedAt"];
+const ARTIST_SORTS = ["name", "albums", "tracks", "duration", "updatedAt"];
+
+// Bộ lọc + sort dùng chung cho item, album, nghệ sĩ và export; null nếu cột sort không hợp lệ
+const parseItemQuery = (query, servers, sorts = Object.keys(SORT_COLUMNS)) => {
+    const sort = query.sort || sorts[0];
+    if (!sorts.includes(sort)) return null;
+    const filters = Object.fromEntries(
+        ITEM_FILTER_FIELDS.filter((f) => query[f]?.trim()).map((f) => [f, query[f].trim()])
+    );
+    return {
+        ...filters,
+        serverId: query.server || undefined,
+        excludeServerIds: servers.filter((s) => !s.enabled).map((s) => s.id),
+        sort,
+        order: query.order === "desc" ? "desc" : "asc"
+    };
+};
 
-        for (const item of newData.items) mergedMap.set(item.id, item);
+const invalidSort = (res, sorts = Object.keys(SORT_COLUMNS)) =>
+    res.status(400).json({ error: "Invalid sort column", allowed: sorts });
 
-        const merged = {
-            containers: didl["DIDL-Lite"].container || cached.containers,
-            items: [...mergedMap.values()],
-            metadata: {
-                lastUpdated: new Date().toISOString(),
-                totalContainers: (didl["DIDL-Lite"].container || cached.containers).length,
-                totalItems: mergedMap.size
+// q đi qua chỉ mục tìm kiếm (bỏ dấu, gõ sai, xếp hạng) rồi lọc tiếp bằng SQL theo danh sách id
+const applyItemSearch = (itemQuery) => {
+    const { q, ...rest } = itemQuery;
+    if (!q) return { itemQuery: rest, search: null };
+    // Ô tìm kiếm gửi q khi đang gõ nên từ cuối được khớp tiền tố
+    const search = searchIndex.search(q, { prefix: true, limit: ALL_RESULTS });
+    return { itemQuery: { ...rest, ids: search.results.map((r) => r.id) }, search };
+};
+
+// Như store.queryItems nhưng hiểu q và sort=relevance
+const queryLibraryItems = ({ limit, offset, ...itemQuery }) => {
+    const { itemQuery: query, search } = applyItemSearch(itemQuery);
+    if (query.sort !== "relevance" || !search) {
+        return { ...store.queryItems({ ...query, sort: query.sort === "relevance" ? "title" : query.sort, limit, offset }), search };
+    }
+    const rank = new Map(search.results.map((r, idx) => [r.id, idx]));
+    const result = store.queryItems({ ...query, limit: -1 });
+    const ranked = result.items.sort((a, b) => rank.get(a.id) - rank.get(b.id));
+    return { ...result, items: limit === -1 ? ranked : ranked.slice(offset, offset + limit), search };
+};
+
+const parsePaging = (query) => {
+    const page = Math.max(parseInt(query.page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(query.pageSize) || 100, 1), MAX_PAGE_SIZE);
+    return { page, pageSize, limit: pageSize, offset: (page - 1) * pageSize };
+};
+
+// Danh sách bài hát theo trang: ?page=1&pageSize=100&sort=artist&order=desc&genre=Pop&year=1990-1999&q=...
+// Có q thì có thể dùng sort=relevance để xếp theo độ liên quan
+app.get(
+    "/api/items",
+    asyncHandler(async (req, res) => {
+        const servers = await getMediaServers();
+        const itemQuery = parseItemQuery(req.query, servers, ITEM_SORTS);
+        if (!itemQuery) return invalidSort(res, ITEM_SORTS);
+        const { sort, order } = itemQuery;
+        const { page, pageSize, limit, offset } = parsePaging(req.query);
+
+        const result = queryLibraryItems({ ...itemQuery, limit, offset });
+
+        res.json({
+            // Có q thì kèm vị trí từ khớp để tô sáng và đoạn lời bài hát chứa từ khớp
+            items: result.items.map((i) => ({
+                ...withSource(i, servers),
+                ...(result.search && highlightItem(i, result.search.terms))
+            })),
+            total: result.total,
+            totalDuration: result.totalDuration,
+            page,
+            pageSize,
+            sort,
+            order
+        });
+    })
+);
+
+// Xuất danh sách đang lọc thành playlist: ?format=m3u8|xspf cùng các tham số như /api/items
+app.get(
+    "/api/items/export",
+    asyncHandler(async (req, res) => {
+        const itemQuery = parseItemQuery(req.query, await getMediaServers(), ITEM_SORTS);
+        if (!itemQuery) return invalidSort(res, ITEM_SORTS);
+        const { items } = queryLibraryItems({ ...itemQuery, limit: -1 });
+        sendPlaylistFile(res, req.query.format, req.query.name || "Caramel Music", items);
+    })
+);
+
+// Album gộp theo album artist + tên album: ?sort=year&order=desc&page=1&pageSize=100 cùng bộ lọc như /api/items
+app.get(
+    "/api/albums",
+    asyncHandler(async (req, res) => {
+        const albumQuery = parseItemQuery(req.query, await getMediaServers(), ALBUM_SORTS);
+        if (!albumQuery) return invalidSort(res, ALBUM_SORTS);
+        const { page, pageSize, limit, offset } = parsePaging(req.query);
+        const { albums, total } = store.queryAlbums({ ...albumQuery, limit, offset });
+        res.json({ albums, total, page, pageSize });
+    })
+);
+
+app.get(
+    "/api/albums/:id",
+    asyncHandler(async (req, res) => {
+        const servers = await getMediaServers();
+        const excludeServerIds = servers.filter((s) => !s.enabled).map((s) => s.id);
+        const [album] = store.queryAlbums({ albumId: req.params.id, excludeServerIds }).albums;
+        if (!album) return res.status(404).json({ error: "Album not found", id: req.params.id });
+
+        const { items } = store.queryItems({ albumId: album.id, excludeServerIds, sort: "track", limit: -1 });
+        res.json({ ...album, tracks: items.map((i) => withSource(i, servers)) });
+    })
+);
+
+app.get(
+    "/api/artists",
+    asyncHandler(async (req, res) => {
+        const artistQuery = parseItemQuery(req.query, await getMediaServers(), ARTIST_SORTS);
+        if (!artistQuery) return invalidSort(res, ARTIST_SORTS);
+        const { page, pageSize, limit, offset } = parsePaging(req.query);
+        const { artists, total } = store.queryArtists({ ...artistQuery, limit, offset });
+        res.json({ artists, total, page, pageSize });
+    })
+);
+
+// Nghệ sĩ kèm các album và toàn bộ bài hát (kể cả bài không rõ album)
+app.get(
+    "/api/artists/:id",
+    asyncHandler(async (req, res) => {
+        const servers = await getMediaServers();
+        const excludeServerIds = servers.filter((s) => !s.enabled).map((s) => s.id);
+        const [artist] = store.queryArtists({ artistId: req.params.id, excludeServerIds }).artists;
+        if (!artist) return res.status(404).json({ error: "Artist not found", id: req.params.id });
+
+        const { albums } = store.queryAlbums({ artistId: artist.id, excludeServerIds, sort: "year" });
+        const { items } = store.queryItems({ artistId: artist.id, excludeServerIds, sort: "album", limit: -1 });
+        res.json({ ...artist, albums, tracks: items.map((i) => withSource(i, servers)) });
+    })
+);
+
+// Các giá trị để dựng bộ lọc ở front-end
+app.get(
+    "/api/items/facets",
+    asyncHandler(async (req, res) => {
+        const servers = await getMediaServers();
+        res.json(store.getItemFacets({ excludeServerIds: servers.filter((s) => !s.enabled).map((s) => s.id) }));
+    })
+);
+
+app.get(
+    "/api/servers",
+    asyncHandler(async (req, res) => {
+        const servers = await getMediaServers(req.query.refresh === "true");
+        const counts = store.countItemsByServer();
+        res.json({
+            servers: servers.map((s) => ({ ...s, itemCount: counts.get(s.id) || 0 })),
+            lastDiscoveryAt: lastDiscoveryAt ? new Date(lastDiscoveryAt).toISOString() : null
+        });
+    })
+);
+
+// Thêm server bằng URL mô tả thiết bị (khi SSDP bị chặn giữa các mạng con)
+app.post(
+    "/api/servers",
+    asyncHandler(async (req, res) => {
+        const { location } = req.body || {};
+        if (!location) return res.status(400).json({ error: "Missing device description location" });
+
+        const server = await fetchDeviceDescription(location);
+        registerServers([{ ...server, manual: true }]);
+        const saved = (await getMediaServers()).find((s) => s.id === server.id);
+        res.status(201).json(saved);
+    })
+);
+
+// Bật/tắt một nguồn hoặc đổi tên hiển thị
+app.patch(
+    "/api/servers/:id",
+    asyncHandler(async (req, res) => {
+        const server = store.listServers().find((s) => s.id === req.params.id);
+        if (!server) return res.status(404).json({ error: "DLNA server not found" });
+
+        const { enabled, name } = req.body || {};
+        if (typeof enabled === "boolean") server.enabled = enabled;
+        if (typeof name === "string" && name.trim()) {
+            server.name = name.trim();
+            server.customName = true;
+        }
+        store.saveServer(server);
+        res.json((await getMediaServers()).find((s) => s.id === server.id));
+    })
+);
+
+// Ảnh bìa theo hash nội dung: nội dung của một id không bao giờ đổi nên cho cache lâu, ETag là hash kèm cỡ ảnh.
+// ?size=64|300|1000 trả ảnh thu nhỏ (cỡ chuẩn gần nhất không nhỏ hơn), bỏ trống thì trả ảnh gốc
+// Ảnh thu nhỏ chưa có thì được tạo trên worker thread ở request đầu tiên
+app.get(
+    "/api/art/:id",
+    asyncHandler(async (req, res) => {
+        const art = await artStore.getFile(req.params.id, parseInt(req.query.size) || null);
+        if (!art) return res.status(404).json({ error: "Album art not found", id: req.params.id });
+
+        res.set({
+            "Content-Type": art.mime,
+            ETag: `"${req.params.id}-${art.size}"`,
+            "Last-Modified": new Date(art.createdAt).toUTCString(),
+            "Cache-Control": "public, max-age=31536000, immutable"
+        });
+        if (req.fresh) return res.status(304).end();
+        res.sendFile(art.file, { etag: false, lastModified: false });
+    })
+);
+
+// Item quét trước khi có mimeType thì đoán theo đuôi file
+const AUDIO_MIME_TYPES = {
+    mp3: "audio/mpeg",
+    flac: "audio/flac",
+    m4a: "audio/mp4",
+    aac: "audio/aac",
+    ogg: "audio/ogg",
+    opus: "audio/ogg",
+    wav: "audio/wav",
+    aif: "audio/aiff",
+    aiff: "audio/aiff",
+    dsf: "audio/x-dsf",
+    wma: "audio/x-ms-wma"
+};
+const STREAM_HEADERS = ["content-length", "content-range", "accept-ranges", "last-modified", "etag"];
+
+const guessMimeType = (item, upstreamType) => {
+    if (upstreamType && upstreamType !== "application/octet-stream") return upstreamType;
+    if (item.mimeType) return item.mimeType;
+    const ext = path.extname(new URL(item.url).pathname).slice(1).toLowerCase();
+    return AUDIO_MIME_TYPES[ext] || upstreamType || "application/octet-stream";
+};
+
+// Phát nhạc qua backend: trình duyệt không cần truy cập thẳng NAS (HTTPS, CORS, mạng khác)
+app.get(
+    "/api/stream/:id",
+    asyncHandler(async (req, res) => {
+        const item = store.getItem(req.params.id);
+        if (!item?.url) return res.status(404).json({ error: "Item not found", id: req.params.id });
+
+        // Client tua hoặc chuyển bài thì ngắt luôn request tới DLNA server
+        const controller = new AbortController();
+        res.on("close", () => controller.abort());
+
+        const headers = {};
+        if (req.headers.range) headers.Range = req.headers.range;
+        if (req.headers["if-range"]) headers["If-Range"] = req.headers["if-range"];
+
+        let upstream;
+        try {
+            upstream = await fetch(item.url, { headers, signal: controller.signal });
+        } catch (err) {
+            if (controller.signal.aborted) return;
+            return res.status(502).json({ error: "Cannot reach DLNA server", detail: err.message });
+        }
+
+        if (upstream.status === 416) {
+            upstream.body?.cancel();
+            const contentRange = upstream.headers.get("content-range");
+            if (contentRange) res.set("Content-Range", contentRange);
+            return res.status(416).end();
+        }
+        if (!upstream.ok) {
+            upstream.body?.cancel();
+            return res.status(502).json({ error: "DLNA server returned an error", status: upstream.status });
+        }
+
+        res.status(upstream.status);
+        for (const name of STREAM_HEADERS) {
+            const value = upstream.headers.get(name);
+            if (value) res.set(name, value);
+        }
+        res.set("Content-Type", guessMimeType(item, upstream.headers.get("content-type")));
+
+        if (req.method === "HEAD" || !upstream.body) {
+            controller.abort();
+            return res.end();
+        }
+
+        try {
+            await pipeline(Readable.fromWeb(upstream.body), res);
+        } catch (err) {
+            // Ngắt giữa chừng do client là chuyện bình thường khi tua
+            if (!controller.signal.aborted) console.warn(`Stream failed for ${item.id}:`, err.message);
+        }
+    })
+);
+
+// ==============================
+// 📃 Playlists
+// ==============================
+// Entry trỏ tới item đã bị xoá khỏi thư viện vẫn được giữ, chỉ đánh dấu unavailable
+const sendPlaylist = (res, id, status = 200) => {
+    const playlist = store.getPlaylist(id);
+    if (!playlist) return res.status(404).json({ error: "Playlist not found", id });
+    const servers = store.listServers();
+    res.status(status).json({
+        ...playlist,
+        entries: playlist.entries.map((e) => ({
+            ...e,
+            item: e.item && withSource(e.item, servers),
+            available: Boolean(e.item)
+        }))
+    });
+};
+
+const readPlaylistName = (body) => (typeof body?.name === "string" ? body.name.trim() : "");
+
+// Trả về danh sách id không có trong thư viện
+const findMissingItems = (itemIds) => itemIds.filter((id) => !store.getItem(id));
+
+const MAX_PLAYLIST_FILE_SIZE = "5mb";
+const PLAYLIST_UPLOAD_TYPES = ["text/*", "audio/*", "application/xspf+xml", "application/vnd.apple.mpegurl", "application/octet-stream"];
+
+// Tải về file playlist; tên file giữ ký tự Unicode qua filename*
+const sendPlaylistFile = (res, format = "m3u8", name, tracks) => {
+    const playlistFormat = PLAYLIST_FORMATS[format];
+    if (!playlistFormat) {
+        return res.status(400).json({ error: "Unsupported format", allowed: Object.keys(PLAYLIST_FORMATS) });
+    }
+    const filename = `${name}.${playlistFormat.extension}`;
+    res.set({
+        "Content-Type": `${playlistFormat.mime}; charset=utf-8`,
+        "Content-Disposition": `attachment; filename="${filename.replace(/[^\x20-\x7e]|"/g, "_")}"; filename*=UTF-8''${encodeURIComponent(filename)}`
+    });
+    res.send(playlistFormat.serialize(name, tracks.filter((t) => t.url)));
+};
+
+app.get("/api/playlists", (req, res) => {
+    res.json(store.listPlaylists());
+});
+
+app.post("/api/playlists", (req, res) => {
+    const name = readPlaylistName(req.body);
+    if (!name) return res.status(400).json({ error: "Playlist name is required" });
+    const itemIds = Array.isArray(req.body.itemIds) ? req.body.itemIds.map(String) : [];
+    const missing = findMissingItems(itemIds);
+    if (missing.length) return res.status(400).json({ error: "Unknown items", missing });
+
+    const id = store.transaction(() => {
+        const id = store.createPlaylist(name);
+        if (itemIds.length) store.addPlaylistEntries(id, itemIds);
+        return id;
+    });
+    sendPlaylist(res, id, 201);
+});
+
+// Nhập file .m3u/.m3u8/.xspf: body là nội dung file, ?filename=...&name=...
+// Entry khớp theo URL trước, sau đó theo nghệ sĩ + tên bài + thời lượng; dòng không khớp được trả về trong report
+app.post("/api/playlists/import", express.text({ type: PLAYLIST_UPLOAD_TYPES, limit: MAX_PLAYLIST_FILE_SIZE }), (req, res) => {
+    const filename = String(req.query.filename || "");
+    const content = typeof req.body === "string" ? req.body : "";
+    if (!content.trim()) return res.status(400).json({ error: "Playlist file is empty" });
+    const format = detectFormat(filename, content);
+    if (!format) return res.status(400).json({ error: "Unsupported playlist format", allowed: Object.keys(PLAYLIST_FORMATS) });
+
+    let parsed;
+    try {
+        parsed = parsePlaylist(content, format);
+    } catch (err) {
+        return res.status(400).json({ error: err.message });
+    }
+
+    const { matched, unmatched } = matchEntries(parsed.entries, store.getItems());
+    const report = { format, total: parsed.entries.length, matched: matched.length, unmatched };
+    if (!matched.length) return res.status(422).json({ error: "No entries matched the library", ...report });
+
+    const name = readPlaylistName(req.query) || parsed.name || path.basename(filename, path.extname(filename)) || "Imported playlist";
+    const id = store.transaction(() => {
+        const id = store.createPlaylist(name);
+        store.addPlaylistEntries(id, matched.map((m) => m.itemId));
+        return id;
+    });
+    res.status(201).json({ playlist: store.listPlaylists().find((p) => p.id === id), ...report });
+});
+
+// Body: { ids: [...] } gồm mọi playlist theo thứ tự mới
+app.put("/api/playlists/order", (req, res) => {
+    const ids = Array.isArray(req.body?.ids) ? req.body.ids.map(String) : null;
+    if (!ids || !store.reorderPlaylists(ids)) {
+        return res.status(400).json({ error: "ids must list every playlist exactly once" });
+    }
+    res.json(store.listPlaylists());
+});
+
+app.get("/api/playlists/:id", (req, res) => {
+    sendPlaylist(res, req.params.id);
+});
+
+app.get("/api/playlists/:id/export", (req, res) => {
+    const playlist = store.getPlaylist(req.params.id);
+    if (!playlist) return res.status(404).json({ error: "Playlist not found", id: req.params.id });
+    sendPlaylistFile(res, req.query.format, playlist.name, playlist.entries.filter((e) => e.item).map((e) => e.item));
+});
+
+app.patch("/api/playlists/:id", (req, res) => {
+    const name = readPlaylistName(req.body);
+    if (!name) return res.status(400).json({ error: "Playlist name is required" });
+    if (!store.renamePlaylist(req.params.id, name)) return res.status(404).json({ error: "Playlist not found" });
+    sendPlaylist(res, req.params.id);
+});
+
+app.delete("/api/playlists/:id", (req, res) => {
+    if (!store.deletePlaylist(req.params.id)) return res.status(404).json({ error: "Playlist not found" });
+    res.status(204).end();
+});
+
+// Body: { itemIds: [...], position?: number }
+app.post("/api/playlists/:id/entries", (req, res) => {
+    if (!store.getPlaylist(req.params.id)) return res.status(404).json({ error: "Playlist not found" });
+    const itemIds = Array.isArray(req.body?.itemIds) ? req.body.itemIds.map(String) : [];
+    if (!itemIds.length) return res.status(400).json({ error: "itemIds is required" });
+    const missing = findMissingItems(itemIds);
+    if (missing.length) return res.status(400).json({ error: "Unknown items", missing });
+
+    const position = Number.isInteger(req.body.position) ? req.body.position : undefined;
+    store.addPlaylistEntries(req.params.id, itemIds, position);
+    sendPlaylist(res, req.params.id);
+});
+
+// Body: { entryIds: [...] } gồm mọi entry của playlist theo thứ tự mới
+app.put("/api/playlists/:id/entries/order", (req, res) => {
+    if (!store.getPlaylist(req.params.id)) return res.status(404).json({ error: "Playlist not found" });
+    const entryIds = Array.isArray(req.body?.entryIds) ? req.body.entryIds.map(Number) : null;
+    if (!entryIds || !store.reorderPlaylistEntries(req.params.id, entryIds)) {
+        return res.status(400).json({ error: "entryIds must list every entry of the playlist exactly once" });
+    }
+    sendPlaylist(res, req.params.id);
+});
+
+app.delete("/api/playlists/:id/entries/:entryId", (req, res) => {
+    if (!store.removePlaylistEntry(req.params.id, Number(req.params.entryId))) {
+        return res.status(404).json({ error: "Playlist entry not found" });
+    }
+    sendPlaylist(res, req.params.id);
+});
+
+// ==============================
+// 🎤 Lyrics
+// ==============================
+const LYRICS_CACHE_TTL = 10 * 60 * 1000;
+const LYRICS_CACHE_SIZE = 200;
+const MAX_LRC_BYTES = 512 * 1024;
+// Kết quả (kể cả "không có lời") giữ trong bộ nhớ để khỏi duyệt lại thư mục DLNA mỗi lần mở player
+const lyricsCache = new Map();
+
+const fetchLrcText = async (url) => {
+    const resp = await fetchWithTimeout(url, {}, 5000);
+    const type = resp.headers.get("content-type") || "";
+    if (!resp.ok || /html|audio|image|video/i.test(type)) {
+        resp.body?.cancel();
+        return null;
+    }
+    if (parseInt(resp.headers.get("content-length")) > MAX_LRC_BYTES) {
+        resp.body?.cancel();
+        return null;
+    }
+    const text = Buffer.from(await resp.arrayBuffer()).subarray(0, MAX_LRC_BYTES).toString("utf8");
+    return text.trim() ? text : null;
+};
+
+// File .lrc cùng tên nằm cạnh file nhạc: tìm trong container cha trên DLNA server (server nào liệt kê file .lrc),
+// không thấy thì thử đổi đuôi URL của bài (server phục vụ file theo đường dẫn thật)
+const findSidecarLrc = async (item) => {
+    const audioBase = normalizeName(fileBaseName(item.url));
+    const title = normalizeName(item.title);
+    const matches = (name) => {
+        const base = normalizeName(name);
+        return Boolean(base) && (base === audioBase || base === title || (title && base.endsWith(` ${title}`)));
+    };
+
+    const server = await resolveMediaServer(item.serverId);
+    const parentObjectId = item.parentID?.slice(`${item.serverId}${ITEM_ID_SEPARATOR}`.length);
+    if (server && parentObjectId) {
+        try {
+            const { items } = await browseAll(server, parentObjectId);
+            for (const raw of items) {
+                const url = ensureArray(raw.res)[0]?.["#text"];
+                const rawTitle = String(raw["dc:title"] || "");
+                const isLrc = /\.lrc$/i.test(url ? new URL(url).pathname : "") || /\.lrc$/i.test(rawTitle);
+                if (!url || !isLrc) continue;
+                if (matches(fileBaseName(url)) || matches(rawTitle.replace(/\.lrc$/i, ""))) {
+                    const text = await fetchLrcText(url);
+                    if (text) return text;
+                }
             }
-        };
+        } catch (err) {
+            console.warn(`Browse for sidecar lyrics failed (${item.id}):`, err.message);
+        }
+    }
+
+    try {
+        const url = new URL(item.url);
+        if (!/\.[a-z0-9]{2,4}$/i.test(url.pathname)) return null;
+        url.pathname = url.pathname.replace(/\.[a-z0-9]{2,4}$/i, ".lrc");
+        return await fetchLrcText(url.href);
+    } catch {
+        return null;
+    }
+};
+
+// Ưu tiên: bản tự đồng bộ trong app > lời đồng bộ nhúng trong file > .lrc đi kèm
+// > lời thường nhúng trong file > .lrc không có mốc thời gian
+const resolveLyrics = async (item) => {
+    const override = store.getLyricsOverride(item.id);
+    if (override) return { source: "override", updatedAt: override.updatedAt, ...parseLrc(override.lrc) };
+
+    // Bài quét không kèm metadata thì đọc tag ngay lúc cần
+    const tags = item.lyrics ?? (item.metadataVersion ? null : (await getAudioMetadata(item.url))?.lyrics);
+    const embedded = fromEmbedded(tags);
+    if (embedded.synced) return { source: "embedded", ...embedded.synced };
+
+    const lrc = await findSidecarLrc(item);
+    const sidecar = lrc ? parseLrc(lrc) : null;
+    if (sidecar?.synced) return { source: "sidecar", ...sidecar };
+    if (embedded.plain) return { source: "embedded", ...embedded.plain };
+    if (sidecar?.lines.length) return { source: "sidecar", ...sidecar };
+    return null;
+};
 
-        writeDatabase(merged);
-        res.json(merged);
+const getLyrics = async (item) => {
+    const cached = lyricsCache.get(item.id);
+    if (cached && Date.now() - cached.at < LYRICS_CACHE_TTL) return cached.lyrics;
+
+    const lyrics = await resolveLyrics(item);
+    lyricsCache.delete(item.id);
+    lyricsCache.set(item.id, { at: Date.now(), lyrics });
+    if (lyricsCache.size > LYRICS_CACHE_SIZE) lyricsCache.delete(lyricsCache.keys().next().value);
+    return lyrics;
+};
+
+// null nếu bài không có lời
+app.get(
+    "/api/lyrics/:id",
+    asyncHandler(async (req, res) => {
+        const item = store.getItem(req.params.id);
+        if (!item?.url) return res.status(404).json({ error: "Item not found", id: req.params.id });
+        res.json(await getLyrics(item));
     })
 );
 
+// Tải lời đồng bộ hiện tại (bất kể nguồn nào) dưới dạng file .lrc
 app.get(
-    "/api/album-art/:fileUrl",
+    "/api/lyrics/:id/lrc",
     asyncHandler(async (req, res) => {
-        const fileUrl = decodeURIComponent(req.params.fileUrl);
-        const db = readDatabase();
-        const item = db.items.find((i) => i.url === fileUrl);
+        const item = store.getItem(req.params.id);
+        if (!item?.url) return res.status(404).json({ error: "Item not found", id: req.params.id });
+        const lyrics = await getLyrics(item);
+        if (!lyrics?.synced) return res.status(404).json({ error: "No synced lyrics", id: item.id });
 
-        if (!item || !item.albumArtUrl)
-            return res.status(404).json({ error: "Album art not found", fileUrl });
+        const filename = `${createFileName(item.title, null, item.artist)}.lrc`;
+        res.set({
+            "Content-Type": "text/plain; charset=utf-8",
+            "Content-Disposition": `attachment; filename="${filename.replace(/[^\x20-\x7e]|"/g, "_")}"; filename*=UTF-8''${encodeURIComponent(filename)}`
+        });
+        res.send(toLrc(lyrics, item));
+    })
+);
 
-        const file = path.join(albumArtDir, path.basename(item.albumArtUrl));
-        if (!fs.existsSync(file)) return res.status(404).json({ error: "Album art file not found" });
+// Lưu bản tự đồng bộ: body là nội dung LRC (text/plain) hoặc JSON { lines: [{ time, text, words }] }
+// như trình chấm lời gửi lên, backend tự ghi thành LRC. Trả về lời sau khi lưu
+app.put(
+    "/api/lyrics/:id",
+    express.text({ type: ["text/*", "application/octet-stream"], limit: MAX_LRC_BYTES }),
+    asyncHandler(async (req, res) => {
+        const item = store.getItem(req.params.id);
+        if (!item?.url) return res.status(404).json({ error: "Item not found", id: req.params.id });
+        let lrc = typeof req.body === "string" ? req.body : "";
+        if (req.is("application/json")) {
+            const lines = req.body?.lines;
+            if (!Array.isArray(lines) || !lines.every((line) => line && typeof line.text === "string")) {
+                return res.status(400).json({ error: "lines must be an array of { time, text, words }" });
+            }
+            lrc = toLrc({ lines }, item);
+        }
+        if (!parseLrc(lrc).synced) return res.status(400).json({ error: "LRC must contain timestamped lines" });
 
-        const ext = path.extname(file).slice(1);
-        const mime = ext === "png" ? "image/png" : "image/jpeg";
+        store.saveLyricsOverride(item.id, lrc);
+        lyricsCache.delete(item.id);
+        res.json(await getLyrics(item));
+    })
+);
 
-        res.set({ "Content-Type": mime, "Cache-Control": "public, max-age=31536000" });
-        res.sendFile(file);
+// Bỏ bản tự đồng bộ, quay về lời nhúng/.lrc đi kèm
+app.delete(
+    "/api/lyrics/:id",
+    asyncHandler(async (req, res) => {
+        const item = store.getItem(req.params.id);
+        if (!item?.url) return res.status(404).json({ error: "Item not found", id: req.params.id });
+        if (!store.deleteLyricsOverride(item.id)) return res.status(404).json({ error: "No lyrics override", id: item.id });
+
+        lyricsCache.delete(item.id);
+        res.json(await getLyrics(item));
     })
 );
 
+// ==============================
+// ▶️ Playback State
+// ==============================
+// Trạng thái phát gần nhất (một bản cho cả mạng LAN) để thiết bị khác mở lên có thể nghe tiếp
+const PLAYBACK_STATE_KEY = "playbackState";
+const MAX_PLAYBACK_QUEUE = 1000;
+const REPEAT_MODES = ["off", "all", "one"];
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+const readPlaybackState = (body) => {
+    const itemIds = Array.isArray(body?.queue?.itemIds) ? body.queue.itemIds.slice(0, MAX_PLAYBACK_QUEUE).map(String) : [];
+    const index = Number.isInteger(body?.queue?.index) ? clamp(body.queue.index, 0, Math.max(itemIds.length - 1, 0)) : 0;
+    const trackId = body?.trackId ? String(body.trackId) : itemIds[index] || null;
+    if (!trackId || !body?.deviceId) return null;
+    return {
+        deviceId: String(body.deviceId),
+        deviceName: String(body.deviceName || "").slice(0, 100),
+        trackId,
+        position: Number(body.position) > 0 ? Number(body.position) : 0,
+        volume: Number.isFinite(Number(body.volume)) ? clamp(Number(body.volume), 0, 1) : 1,
+        muted: Boolean(body.muted),
+        isFullPlayer: Boolean(body.isFullPlayer),
+        shuffle: Boolean(body.shuffle),
+        repeat: REPEAT_MODES.includes(body.repeat) ? body.repeat : "off",
+        queue: { itemIds, index },
+        updatedAt: new Date().toISOString()
+    };
+};
+
+// Trả về kèm item đầy đủ; bài đã bị xoá khỏi thư viện thì bỏ khỏi hàng đợi
+app.get("/api/playback", (req, res) => {
+    const state = store.getMeta(PLAYBACK_STATE_KEY);
+    if (!state) return res.json(null);
+    const servers = store.listServers();
+    const { items } = store.queryItems({ ids: [...new Set([state.trackId, ...state.queue.itemIds])], limit: -1 });
+    const itemMap = new Map(items.map((i) => [i.id, withSource(i, servers)]));
+    const track = itemMap.get(state.trackId);
+    if (!track) return res.json(null);
+
+    const queueItems = [];
+    let index = -1;
+    state.queue.itemIds.forEach((id, idx) => {
+        if (!itemMap.has(id)) return;
+        if (idx === state.queue.index) index = queueItems.length;
+        queueItems.push(itemMap.get(id));
+    });
+    if (index < 0 || queueItems[index].id !== track.id) {
+        queueItems.splice(index + 1, 0, track);
+        index++;
+    }
+    res.json({ ...state, track, queue: { items: queueItems, index } });
+});
+
+// Body: { deviceId, deviceName, trackId, position, volume, muted, isFullPlayer, shuffle, repeat, queue: { itemIds, index } }
+app.put("/api/playback", (req, res) => {
+    const state = readPlaybackState(req.body);
+    if (!state) return res.status(400).json({ error: "deviceId and trackId are required" });
+    store.setMeta(PLAYBACK_STATE_KEY, state);
+    res.json({ updatedAt: state.updatedAt });
+});
+
+// ==============================
+// 🎛️ User Settings
+// ==============================
+const SETTINGS_KEY = "settings";
+
+// defaults: giá trị mặc định (band EQ phẳng...), client không giữ bản sao riêng
+app.get("/api/settings", (req, res) => {
+    res.json({ settings: withDefaults(store.getMeta(SETTINGS_KEY)), defaults: DEFAULT_SETTINGS });
+});
+
+// Body: một phần settings, ví dụ { replayGain: { mode: "album" } }; trả về settings đầy đủ sau khi gộp
+app.patch("/api/settings", (req, res) => {
+    const { settings, errors } = mergeSettings(store.getMeta(SETTINGS_KEY), req.body);
+    if (errors.length) return res.status(400).json({ error: errors.join("; ") });
+    store.setMeta(SETTINGS_KEY, settings);
+    res.json(settings);
+});
+
 // ==============================
 // ⚠️ Error Handler
 // ==============================
@@ -405,4 +1643,8 @@ app.use((err, req, res, next) => {
 // ==============================
 // 🚀 Start Server
 // ==============================
-app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
+app.listen(PORT, () => {
+    console.log(`Server running on port ${PORT}`);
+    // Chạy nền sau khi đã nhận request: giải mã ảnh nằm trên worker thread
+    backfillAlbumArtPalettes(store, artStore).catch((err) => console.warn("Palette backfill failed:", err.message));
+});
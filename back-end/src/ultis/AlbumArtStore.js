@@ -0,0 +1,228 @@
+import fs from "fs";
+import path from "path";
+import { createHash } from "crypto";
+import { Worker } from "worker_threads";
+import { albumIdOf } from "./LibraryStore.js";
+import { DECODABLE_TYPES, readImageSize } from "./ImageCodec.js";
+
+// Cạnh dài (px) của ảnh thu nhỏ: danh sách bài, lưới album, trình phát toàn màn hình
+const THUMBNAIL_SIZES = [64, 300, 1000];
+const THUMBNAIL_QUALITY = 85;
+const MAX_ART_BYTES = 16 * 1024 * 1024;
+// Bảng màu tính trên ảnh thu nhỏ nhỏ nhất: đủ chính xác mà nhanh
+const PALETTE_SIZE = THUMBNAIL_SIZES[0];
+
+// Nhận dạng theo byte đầu file: mime trong tag/header của server nhiều khi sai
+const IMAGE_TYPES = [
+  { mime: "image/jpeg", ext: "jpg", magic: [0xff, 0xd8, 0xff] },
+  { mime: "image/png", ext: "png", magic: [0x89, 0x50, 0x4e, 0x47] },
+  { mime: "image/gif", ext: "gif", magic: [0x47, 0x49, 0x46, 0x38] },
+  { mime: "image/webp", ext: "webp", magic: [0x52, 0x49, 0x46, 0x46], tag: "WEBP" }
+];
+
+const sniffImage = (data) =>
+  IMAGE_TYPES.find((type) => type.magic.every((byte, i) => data[i] === byte) && (!type.tag || data.toString("ascii", 8, 12) === type.tag)) ||
+  null;
+
+// Một worker thread dùng chung (AlbumArtWorker.js), tạo khi cần lần đầu; chết thì lần sau tạo lại.
+// Trả về hàm gửi việc, resolve khi worker báo xong
+const createWorkerPool = () => {
+  let worker = null;
+  let nextId = 0;
+  const tasks = new Map();
+
+  const start = () => {
+    const current = new Worker(new URL("./AlbumArtWorker.js", import.meta.url));
+    const fail = (err) => {
+      if (worker !== current) return;
+      worker = null;
+      for (const { reject } of tasks.values()) reject(err);
+      tasks.clear();
+    };
+    current.on("message", ({ id, error, ...result }) => {
+      const task = tasks.get(id);
+      if (!task) return;
+      tasks.delete(id);
+      // Worker rảnh không giữ process sống
+      if (!tasks.size) current.unref();
+      if (error) task.reject(new Error(error));
+      else task.resolve(result);
+    });
+    current.on("error", fail);
+    current.on("exit", (code) => fail(new Error(`Album art worker exited with code ${code}`)));
+    return current;
+  };
+
+  return (job) =>
+    new Promise((resolve, reject) => {
+      const id = ++nextId;
+      tasks.set(id, { resolve, reject });
+      worker ??= start();
+      worker.ref();
+      worker.postMessage({ id, ...job });
+    });
+};
+
+// Kho ảnh bìa theo hash nội dung: cùng một ảnh (nhiều bài, nhiều album) chỉ lưu một bản.
+// Bản ghi nằm trong bảng album_art, file nằm trong dir. Lúc quét chỉ ghi ảnh gốc;
+// ảnh thu nhỏ được tạo trên worker thread ở lần đầu có người cần (getFile), bảng màu tính từ ảnh 64px
+const createAlbumArtStore = ({ dir, store }) => {
+  const fileFor = (name) => path.join(dir, name);
+  const thumbnailName = (id, size) => `${id}-${size}.jpg`;
+  const runWorker = createWorkerPool();
+  // file ảnh thu nhỏ -> Promise đang tạo, để nhiều request cùng lúc chỉ tạo một lần
+  const pendingThumbnails = new Map();
+  // id ảnh -> Promise đang tính bảng màu
+  const pendingPalettes = new Map();
+
+  const isStored = (art) => Boolean(art) && fs.existsSync(fileFor(art.file));
+
+  // Lưu ảnh (Buffer), trả về bản ghi album_art; null nếu không phải ảnh.
+  // Chỉ đọc kích thước trong header, không giải mã. Ảnh đã có thì trả về bản ghi cũ, không ghi lại
+  const save = (data) => {
+    if (!data?.length || data.length > MAX_ART_BYTES) return null;
+    const type = sniffImage(data);
+    if (!type) return null;
+
+    const id = createHash("sha256").update(data).digest("hex").slice(0, 32);
+    const existing = store.getAlbumArt(id);
+    if (isStored(existing)) return existing;
+
+    const file = `${id}.${type.ext}`;
+    fs.writeFileSync(fileFor(file), data);
+    const size = readImageSize(data, type.mime);
+    store.saveAlbumArt({ id, file, mime: type.mime, width: size?.width ?? null, height: size?.height ?? null, bytes: data.length });
+    return store.getAlbumArt(id);
+  };
+
+  // Ghi bảng màu vào album_art và các item đang dùng ảnh (item mang albumArtPalette cho giao diện trình phát)
+  const savePalette = (id, palette) => {
+    const art = store.getAlbumArt(id);
+    if (!art || !palette) return art;
+    store.transaction(() => {
+      store.saveAlbumArt({ ...art, palette });
+      store.upsertItems(store.getItemsByAlbumArt(id).map((item) => ({ ...item, albumArtPalette: palette })));
+    });
+    return store.getAlbumArt(id);
+  };
+
+  // Ảnh 64px được tạo thì tính luôn bảng màu trên chính ảnh đó
+  const renderThumbnail = (art, size) => {
+    const target = fileFor(thumbnailName(art.id, size));
+    let pending = pendingThumbnails.get(target);
+    if (!pending) {
+      const palette = size === PALETTE_SIZE && !art.palette;
+      pending = runWorker({ source: fileFor(art.file), mime: art.mime, size, quality: THUMBNAIL_QUALITY, target, palette })
+        .then((result) => {
+          if (palette) savePalette(art.id, result.palette);
+        })
+        .finally(() => pendingThumbnails.delete(target));
+      pendingThumbnails.set(target, pending);
+    }
+    return pending;
+  };
+
+  const canThumbnail = (art) => Boolean(art.width) && DECODABLE_TYPES.includes(art.mime);
+
+  // Bảng màu từ ảnh thu nhỏ 64px: chưa có ảnh đó thì tạo (trên worker), có rồi (hoặc ảnh gốc đã nhỏ hơn)
+  // thì chỉ giải mã nó. Không chờ cũng được: tính xong tự ghi vào album_art và các item.
+  // Trả về bản ghi mới nhất; lỗi chỉ ghi log
+  const ensurePalette = (art) => {
+    if (!art || art.palette || !canThumbnail(art)) return Promise.resolve(art);
+    let pending = pendingPalettes.get(art.id);
+    if (pending) return pending;
+
+    const thumbnail = fileFor(thumbnailName(art.id, PALETTE_SIZE));
+    const small = PALETTE_SIZE >= Math.max(art.width, art.height);
+    const task =
+      small || fs.existsSync(thumbnail)
+        ? runWorker({
+            source: small ? fileFor(art.file) : thumbnail,
+            mime: small ? art.mime : "image/jpeg",
+            size: PALETTE_SIZE,
+            palette: true
+          }).then((result) => savePalette(art.id, result.palette))
+        : renderThumbnail(art, PALETTE_SIZE);
+    pending = task
+      .then(() => store.getAlbumArt(art.id))
+      .catch((err) => {
+        console.warn(`Cannot compute palette for album art ${art.id}:`, err.message);
+        return art;
+      })
+      .finally(() => pendingPalettes.delete(art.id));
+    pendingPalettes.set(art.id, pending);
+    return pending;
+  };
+
+  // File cho cỡ size (px): cỡ chuẩn nhỏ nhất không nhỏ hơn size, không có thì ảnh gốc.
+  // Ảnh thu nhỏ chưa có (hoặc bị xoá) được tạo lúc này; tạo lỗi thì trả ảnh gốc
+  const getFile = async (id, size) => {
+    const art = store.getAlbumArt(id);
+    if (!isStored(art)) return null;
+    const original = { file: fileFor(art.file), mime: art.mime, size: "original", createdAt: art.createdAt };
+    const target = size ? THUMBNAIL_SIZES.find((s) => s >= size) : null;
+    // Không phóng to: ảnh gốc nhỏ hơn cỡ cần thì dùng luôn ảnh gốc
+    if (!target || !canThumbnail(art) || target >= Math.max(art.width, art.height)) return original;
+
+    const file = fileFor(thumbnailName(id, target));
+    if (!fs.existsSync(file)) {
+      try {
+        await renderThumbnail(art, target);
+      } catch (err) {
+        console.warn(`Cannot create thumbnail ${id}@${target}:`, err.message);
+        return original;
+      }
+    }
+    return { file, mime: "image/jpeg", size: target, createdAt: art.createdAt };
+  };
+
+  return { save, getFile, isStored, ensurePalette };
+};
+
+// Ảnh bìa của bản cũ (đặt tên theo nghệ sĩ - bài hát - năm, mỗi bài một file) chuyển sang kho theo hash
+// một lần khi khởi động: item trỏ sang URL mới (toUrl), album được gắn ảnh.
+// File cũ được đổi tên thành *.imported (như importLegacyJson) để còn khôi phục nếu chuyển đổi hỏng
+const importLegacyAlbumArt = (store, artStore, { dir, toUrl }) => {
+  const legacyIds = store.getLegacyAlbumArtIds();
+  if (!legacyIds.length) return;
+
+  let moved = 0;
+  for (const legacyId of legacyIds) {
+    const file = path.join(dir, path.basename(legacyId));
+    let art = null;
+    try {
+      if (fs.existsSync(file)) art = artStore.save(fs.readFileSync(file));
+    } catch (err) {
+      console.warn(`Cannot import legacy album art ${legacyId}:`, err.message);
+    }
+
+    const items = store.getItemsByAlbumArt(legacyId);
+    store.transaction(() => {
+      store.upsertItems(items.map((item) => ({ ...item, albumArtUrl: toUrl(art?.id), albumArtPalette: art?.palette ?? null })));
+      if (art) {
+        for (const albumId of new Set(items.map(albumIdOf))) {
+          if (albumId && !store.getAlbumCover(albumId)) store.linkAlbumCover(albumId, art.id, "embedded");
+        }
+      }
+      store.deleteAlbumArt(legacyId);
+    });
+    if (fs.existsSync(file)) fs.renameSync(file, `${file}.imported`);
+    if (art) moved++;
+  }
+  console.log(`Moved ${moved}/${legacyIds.length} legacy album art files to the content-addressed store`);
+};
+
+// Ảnh chưa có bảng màu (lưu trước khi có tính năng này, hoặc lần tính trước bị dừng giữa chừng):
+// tính bù lần lượt trên worker sau khi server đã chạy, item đang dùng ảnh được cập nhật theo
+const backfillAlbumArtPalettes = async (store, artStore) => {
+  const pending = store.getAlbumArtWithoutPalette().filter(artStore.isStored);
+  if (!pending.length) return;
+
+  let filled = 0;
+  for (const art of pending) {
+    if ((await artStore.ensurePalette(art))?.palette) filled++;
+  }
+  console.log(`Computed color palettes for ${filled}/${pending.length} album art images`);
+};
+
+export { createAlbumArtStore, importLegacyAlbumArt, backfillAlbumArtPalettes, MAX_ART_BYTES };
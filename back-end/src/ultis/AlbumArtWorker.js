@@ -0,0 +1,25 @@
+import fs from "fs";
+import { parentPort } from "worker_threads";
+import { decodeImage, resizeImage, encodeJpeg } from "./ImageCodec.js";
+import { extractPalette } from "./ColorPalette.js";
+
+// Worker thread của AlbumArtStore: giải mã ảnh, thu nhỏ và ghi JPEG ngoài event loop của server.
+// Nhận { id, source, mime, size, quality, target, palette }: target bỏ trống thì không ghi file,
+// palette = true thì tính bảng màu trên ảnh đã thu nhỏ. Trả về { id, palette } hoặc { id, error }
+parentPort.on("message", ({ id, source, mime, size, quality, target, palette }) => {
+  // Ghi ra file tạm rồi đổi tên để không ai đọc phải ảnh đang ghi dở
+  const temp = `${target}.${id}.tmp`;
+  try {
+    const image = decodeImage(fs.readFileSync(source), mime);
+    if (!image) throw new Error(`Cannot decode ${mime}`);
+    const resized = resizeImage(image, size);
+    if (target) {
+      fs.writeFileSync(temp, encodeJpeg(resized, quality));
+      fs.renameSync(temp, target);
+    }
+    parentPort.postMessage({ id, palette: palette ? extractPalette(resized) : null });
+  } catch (err) {
+    fs.rmSync(temp, { force: true });
+    parentPort.postMessage({ id, error: err.message });
+  }
+});
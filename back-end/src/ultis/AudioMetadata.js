@@ -0,0 +1,111 @@
+// Đọc metadata từ phần đầu file: số byte cần tải phụ thuộc kích thước tag nên phải dò trước
+const INITIAL_WINDOW = 64 * 1024;
+const MAX_WINDOW = 16 * 1024 * 1024;
+// Sau tag còn cần vài frame audio đầu (header Xing/LAME, STREAMINFO...) để biết định dạng
+const FRAME_MARGIN = 16 * 1024;
+
+// ID3v2 dùng số "synchsafe": 4 byte, mỗi byte 7 bit
+const synchsafe = (buf, offset) =>
+  ((buf[offset] & 0x7f) << 21) | ((buf[offset + 1] & 0x7f) << 14) | ((buf[offset + 2] & 0x7f) << 7) | (buf[offset + 3] & 0x7f);
+
+// FLAC: "fLaC" rồi các block metadata (1 byte cờ/loại + 3 byte độ dài), block cuối có bit 0x80
+const flacMetadataEnd = (buf, start) => {
+  let pos = start + 4;
+  while (pos + 4 <= buf.length) {
+    const last = buf[pos] & 0x80;
+    pos += 4 + buf.readUIntBE(pos + 1, 3);
+    if (last) return pos;
+  }
+  // Chưa đọc được header block tiếp theo: cần ít nhất tới đó
+  return pos + 4;
+};
+
+// MP4/M4A: cần trọn atom moov; moov nằm sau mdat (cuối file) thì không đọc được từ phần đầu
+const mp4MetadataEnd = (buf) => {
+  let pos = 0;
+  while (pos + 8 <= buf.length) {
+    const size = buf.readUInt32BE(pos);
+    const type = buf.toString("latin1", pos + 4, pos + 8);
+    if (type === "moov") return pos + size;
+    if (type === "mdat" || size < 8) return null;
+    pos += size;
+  }
+  return pos + 8;
+};
+
+// Số byte đầu file cần có để đọc hết tag; null nếu không nhận ra định dạng (dùng cửa sổ ban đầu)
+const requiredHeaderBytes = (buf) => {
+  let offset = 0;
+  // Có thể có nhiều tag ID3v2 nối nhau, FLAC cũng có thể bị gắn ID3 phía trước
+  while (buf.length >= offset + 10 && buf.toString("latin1", offset, offset + 3) === "ID3") {
+    const hasFooter = buf[offset + 5] & 0x10;
+    offset += 10 + synchsafe(buf, offset + 6) + (hasFooter ? 10 : 0);
+  }
+  if (offset + 4 > buf.length) return offset + FRAME_MARGIN;
+  if (buf.toString("latin1", offset, offset + 4) === "fLaC") return flacMetadataEnd(buf, offset);
+  if (!offset && buf.toString("latin1", 4, 8) === "ftyp") return mp4MetadataEnd(buf);
+  return offset ? offset + FRAME_MARGIN : null;
+};
+
+const round = (value, digits = 2) => (Number.isFinite(value) ? Number(value.toFixed(digits)) : null);
+const first = (value) => (Array.isArray(value) ? value[0] : value) || null;
+
+// Opus dùng R128_TRACK_GAIN/R128_ALBUM_GAIN: số nguyên Q7.8 (1/256 dB) so với mốc -23 LUFS,
+// cộng 5 dB để về mốc -18 LUFS của ReplayGain
+const R128_OFFSET = 5;
+const r128Gain = (native, id) => {
+  for (const tags of Object.values(native || {})) {
+    const value = parseInt(tags.find((t) => String(t.id).toUpperCase() === id)?.value);
+    if (Number.isFinite(value)) return value / 256 + R128_OFFSET;
+  }
+  return undefined;
+};
+
+// Gain lưu theo dB, peak theo tỉ lệ biên độ (1 = 0 dBFS)
+const toReplayGain = (common, format, native) => {
+  const replayGain = {
+    trackGain: round(common.replaygain_track_gain?.dB ?? r128Gain(native, "R128_TRACK_GAIN") ?? format.trackGain),
+    trackPeak: round(common.replaygain_track_peak?.ratio ?? format.trackPeakLevel, 6),
+    albumGain: round(common.replaygain_album_gain?.dB ?? r128Gain(native, "R128_ALBUM_GAIN") ?? format.albumGain),
+    albumPeak: round(common.replaygain_album_peak?.ratio, 6)
+  };
+  return Object.values(replayGain).some((v) => v != null) ? replayGain : null;
+};
+
+const toMusicBrainz = (common) => {
+  const ids = {
+    recordingId: common.musicbrainz_recordingid || null,
+    trackId: common.musicbrainz_trackid || null,
+    albumId: common.musicbrainz_albumid || null,
+    releaseGroupId: common.musicbrainz_releasegroupid || null,
+    artistId: first(common.musicbrainz_artistid),
+    albumArtistId: first(common.musicbrainz_albumartistid)
+  };
+  return Object.values(ids).some(Boolean) ? ids : null;
+};
+
+// Kết quả music-metadata -> các trường lưu cùng item
+const toAudioMetadata = ({ format, common, native }) => ({
+  bitDepth: format.bitsPerSample || null,
+  sampleRate: format.sampleRate || null,
+  codec: format.codec || null,
+  container: format.container || null,
+  lossless: format.lossless ?? null,
+  channels: format.numberOfChannels || null,
+  // bit/giây
+  bitrate: format.bitrate ? Math.round(format.bitrate) : null,
+  durationSeconds: round(format.duration, 3),
+  numberOfSamples: format.numberOfSamples ?? null,
+  date: common.date || null,
+  composer: common.composer || null,
+  lyrics: common.lyrics || null,
+  albumArtist: common.albumartist || null,
+  trackNumber: common.track?.no ?? null,
+  trackTotal: common.track?.of ?? null,
+  discNumber: common.disk?.no ?? null,
+  discTotal: common.disk?.of ?? null,
+  replayGain: toReplayGain(common, format, native),
+  musicBrainz: toMusicBrainz(common)
+});
+
+export { INITIAL_WINDOW, MAX_WINDOW, requiredHeaderBytes, toAudioMetadata };
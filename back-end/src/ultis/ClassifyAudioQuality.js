@@ -1,99 +1,107 @@
-const classifyAudioQuality = (metadata, bitrate) => {
-  const bitDepth = metadata.bitDepth || 0;
-  const sampleRate = metadata.sampleRate || 0;
-  const bitrateNum = parseInt(bitrate) || 0;
+// Tên codec/container chuẩn hoá từ chuỗi của music-metadata hoặc mime type trong protocolInfo
+const CODECS = [
+  { name: "FLAC", pattern: /flac/i, lossless: true },
+  { name: "ALAC", pattern: /alac/i, lossless: true },
+  { name: "DSD", pattern: /dsd|dsf|dff/i, lossless: true },
+  { name: "PCM", pattern: /pcm|l16|l24|wav|aiff?/i, lossless: true },
+  { name: "MP3", pattern: /mpeg.*layer\s*3|mp3|mpeg$/i, lossless: false },
+  { name: "AAC", pattern: /aac|mp4a/i, lossless: false },
+  { name: "Opus", pattern: /opus/i, lossless: false },
+  { name: "Vorbis", pattern: /vorbis/i, lossless: false }
+];
 
-  // console.log("🎵 classifyAudioQuality debug:", {
-  //   bitDepth,
-  //   sampleRate,
-  //   bitrateNum
-  // });
+const CONTAINERS = [
+  { name: "FLAC", pattern: /flac/i },
+  { name: "DSF", pattern: /dsf/i },
+  { name: "DFF", pattern: /dff|dsdiff/i },
+  { name: "WAV", pattern: /wav/i },
+  { name: "AIFF", pattern: /aiff?/i },
+  { name: "MP4", pattern: /mp4|m4a|mp42|isom/i },
+  { name: "Ogg", pattern: /ogg|opus|vorbis/i },
+  { name: "MP3", pattern: /mpeg|mp3/i }
+];
 
-  let encoding, label, tier;
+const findByPattern = (list, ...values) => {
+  for (const value of values) {
+    if (!value) continue;
+    const found = list.find((entry) => entry.pattern.test(value));
+    if (found) return found;
+  }
+  return null;
+};
+
+// Bitrate về kbps. music-metadata trả bit/giây; res@bitrate của DLNA theo chuẩn UPnP là byte/giây
+const normalizeBitrate = ({ bitrate, didlBitrate } = {}) => {
+  if (bitrate > 0) return Math.round(bitrate / 1000);
+  const bytesPerSecond = parseInt(didlBitrate);
+  return bytesPerSecond > 0 ? Math.round((bytesPerSecond * 8) / 1000) : null;
+};
+
+const channelLayout = (channels) => {
+  if (!channels) return null;
+  if (channels === 1) return "Mono";
+  if (channels === 2) return "Stereo";
+  if (channels === 6) return "5.1";
+  if (channels === 8) return "7.1";
+  return `${channels}ch`;
+};
+
+// 44100 -> "44.1", 96000 -> "96"
+const formatKHz = (sampleRate) => String(Number((sampleRate / 1000).toFixed(1)));
 
-  // Determine encoding based on audio specs
-  if (bitDepth === 1) {
+// metadata: kết quả getAudioMetadata; source: thông tin từ DIDL (mime type, bitrate, số kênh)
+const classifyAudioQuality = (metadata = {}, source = {}) => {
+  const codecInfo = findByPattern(CODECS, metadata.codec, source.mimeType);
+  const containerInfo = findByPattern(CONTAINERS, metadata.container, source.mimeType);
+  const bitrate = normalizeBitrate({ bitrate: metadata.bitrate, didlBitrate: source.bitrate });
+  const sampleRate = metadata.sampleRate || null;
+  const channels = metadata.channels || parseInt(source.nrAudioChannels) || null;
+  const isDSD = codecInfo?.name === "DSD" || metadata.bitDepth === 1;
+  const codec = isDSD ? "DSD" : codecInfo?.name || null;
+
+  // Ưu tiên cờ của music-metadata, rồi tới codec; không rõ thì đoán theo bitrate (lossy hiếm khi quá 500kbps)
+  const lossless = metadata.lossless ?? codecInfo?.lossless ?? (bitrate ? bitrate > 500 : null);
+  // Bit depth của file lossy chỉ là độ sâu khi giải mã, không nói lên chất lượng
+  const bitDepth = lossless ? metadata.bitDepth || null : null;
+
+  let encoding;
+  let tier;
+  let label;
+  if (isDSD) {
     encoding = "DSD";
-  } else if (bitDepth === 24 || bitDepth === 32) {
+    tier = "Ultimate";
+    label = sampleRate ? `DSD${Math.round(sampleRate / 44100)}` : "DSD";
+  } else if (lossless && ((bitDepth || 0) > 16 || (sampleRate || 0) > 48000)) {
     encoding = "Hi-Res";
-  } else if (bitDepth === 16 && sampleRate === 48000) {
-    encoding = "EHQ";
-  } else if (bitDepth === 16 && sampleRate === 44100) {
-    encoding = "HQ";
-  } else if (bitrateNum >= 128 && bitrateNum <= 320) {
-    encoding = "SQ";
+    tier = "Premium";
+  } else if (lossless) {
+    encoding = sampleRate === 48000 ? "EHQ" : "HQ";
+    tier = "High";
   } else {
-    encoding = "SQ"; // Default fallback
-  }
-
-  // Determine label based on encoding and specs
-  switch (encoding) {
-    case "DSD":
-      if (sampleRate >= 11289600) {
-        label = "DSD256";
-      } else if (sampleRate >= 5644800) {
-        label = "DSD128";
-      } else {
-        label = "DSD64";
-      }
-      break;
-    case "Hi-Res":
-      if ((bitDepth === 24 || bitDepth === 32) && sampleRate === 48000) {
-        label = "Hi-Res 48kHz";
-      } else if ((bitDepth === 24 || bitDepth === 32) && sampleRate === 88200) {
-        label = "Hi-Res 88.2kHz";
-      } else if ((bitDepth === 24 || bitDepth === 32) && sampleRate === 96000) {
-        label = "Hi-Res 96kHz";
-      } else if ((bitDepth === 24 || bitDepth === 32) && sampleRate === 176400) {
-        label = "Hi-Res 176.4kHz";
-      } else if ((bitDepth === 24 || bitDepth === 32) && sampleRate === 192000) {
-        label = "Hi-Res 192kHz";
-      } else {
-        label = `Hi-Res ${(sampleRate / 1000).toFixed(1)}kHz`;
-      }
-      break;
-    case "EHQ":
-      label = "Enhanced High Quality (CD)";
-      break;
-    case "HQ":
-      label = "High Quality (CD)";
-      break;
-    case "SQ":
-      if (bitrateNum < 128 || bitrateNum === 0) {
-        label = `Low ${bitrateNum || 'Unknown'}kbps`;
-      } else if (bitrateNum === 128000) {
-        label = "Standard 128kbps";
-      } else if (bitrateNum === 192000) {
-        label = "Medium 192kbps";
-      } else if (bitrateNum === 256000) {
-        label = "High 256kbps";
-      } else if (bitrateNum === 320000) {
-        label = "High 320kbps";
-      } else {
-        label = `${bitrateNum}kbps`;
-      }
-      break;
-    default:
-      label = "Unknown Quality";
+    encoding = "SQ";
+    tier = "Standard";
   }
 
-  // Determine tier based on encoding
-  switch (encoding) {
-    case "DSD":
-      tier = "Ultimate";
-      break;
-    case "Hi-Res":
-      tier = "Premium";
-      break;
-    case "EHQ":
-    case "HQ":
-      tier = "High";
-      break;
-    case "SQ":
-    default:
-      tier = "Standard";
+  if (!label) {
+    const name = codec || containerInfo?.name || "Unknown";
+    if (lossless && sampleRate) label = `${name} ${bitDepth ? `${bitDepth}/` : ""}${formatKHz(sampleRate)}`;
+    else label = bitrate ? `${name} ${bitrate}kbps` : name;
   }
 
-  return { encoding, label, tier };
+  return {
+    encoding,
+    tier,
+    label,
+    codec,
+    container: containerInfo?.name || null,
+    lossless,
+    bitDepth,
+    sampleRate,
+    bitrate,
+    channels,
+    channelLayout: channelLayout(channels),
+    multichannel: channels > 2
+  };
 };
-export { classifyAudioQuality };
+
+export { classifyAudioQuality, normalizeBitrate };
@@ -0,0 +1,77 @@
+// Bảng màu của ảnh bìa theo kiểu Android Palette: màu chủ đạo và các màu vibrant/muted sáng, tối.
+// Đầu vào là ảnh RGBA đã thu nhỏ (khoảng 64px), đầu ra là mã hex hoặc null nếu ảnh không có màu hợp
+
+// Khoảng độ bão hoà / độ sáng [min, mục tiêu, max] của từng loại màu
+const SWATCHES = {
+  vibrant: { sat: [0.35, 1, 1], light: [0.3, 0.5, 0.7] },
+  lightVibrant: { sat: [0.35, 1, 1], light: [0.55, 0.74, 1] },
+  darkVibrant: { sat: [0.35, 1, 1], light: [0, 0.26, 0.45] },
+  muted: { sat: [0, 0.3, 0.4], light: [0.3, 0.5, 0.7] },
+  darkMuted: { sat: [0, 0.3, 0.4], light: [0, 0.26, 0.45] }
+};
+
+// Gần mục tiêu về độ sáng quan trọng hơn độ bão hoà; màu phổ biến được cộng thêm một ít
+const WEIGHT_SAT = 3;
+const WEIGHT_LIGHT = 6.5;
+const WEIGHT_POPULATION = 0.5;
+
+const rgbToHsl = ([r, g, b]) => {
+  const [rn, gn, bn] = [r / 255, g / 255, b / 255];
+  const max = Math.max(rn, gn, bn);
+  const min = Math.min(rn, gn, bn);
+  const light = (max + min) / 2;
+  if (max === min) return { sat: 0, light };
+  const delta = max - min;
+  return { sat: light > 0.5 ? delta / (2 - max - min) : delta / (max + min), light };
+};
+
+const toHex = (rgb) => `#${rgb.map((c) => Math.round(c).toString(16).padStart(2, "0")).join("")}`;
+
+// Gom điểm ảnh vào ô màu 5 bit mỗi kênh, mỗi ô lấy màu trung bình; bỏ điểm ảnh gần như trong suốt
+const quantize = ({ data }) => {
+  const buckets = new Map();
+  for (let i = 0; i < data.length; i += 4) {
+    if (data[i + 3] < 125) continue;
+    const key = ((data[i] >> 3) << 10) | ((data[i + 1] >> 3) << 5) | (data[i + 2] >> 3);
+    const bucket = buckets.get(key) || { count: 0, r: 0, g: 0, b: 0 };
+    bucket.count++;
+    bucket.r += data[i];
+    bucket.g += data[i + 1];
+    bucket.b += data[i + 2];
+    buckets.set(key, bucket);
+  }
+  return [...buckets.values()].map(({ count, r, g, b }) => {
+    const rgb = [r / count, g / count, b / count];
+    return { count, rgb, ...rgbToHsl(rgb) };
+  });
+};
+
+const extractPalette = (image) => {
+  const colors = quantize(image).sort((a, b) => b.count - a.count);
+  if (!colors.length) return null;
+
+  const maxCount = colors[0].count;
+  const used = new Set();
+  const palette = { dominant: toHex(colors[0].rgb) };
+  for (const [name, { sat, light }] of Object.entries(SWATCHES)) {
+    let best = null;
+    let bestScore = -Infinity;
+    for (const color of colors) {
+      if (used.has(color) || color.sat < sat[0] || color.sat > sat[2] || color.light < light[0] || color.light > light[2]) continue;
+      const score =
+        (1 - Math.abs(color.sat - sat[1])) * WEIGHT_SAT +
+        (1 - Math.abs(color.light - light[1])) * WEIGHT_LIGHT +
+        (color.count / maxCount) * WEIGHT_POPULATION;
+      if (score > bestScore) {
+        best = color;
+        bestScore = score;
+      }
+    }
+    // Một màu chỉ dùng cho một loại để các loại không trùng nhau
+    if (best) used.add(best);
+    palette[name] = best ? toHex(best.rgb) : null;
+  }
+  return palette;
+};
+
+export { extractPalette };
@@ -0,0 +1,290 @@
+import { XMLParser } from "fast-xml-parser";
+
+const DEFAULT_SERVICE_TYPE = "urn:schemas-upnp-org:service:ContentDirectory:1";
+const PAGE_SIZE = 200;
+const WALK_CONCURRENCY = 4;
+
+const ensureArray = (val) => (Array.isArray(val) ? val : val ? [val] : []);
+
+// Chỉ giữ bài nhạc: upnp:class thuộc object.item.audioItem hoặc <res> có protocolInfo audio/*.
+// Ảnh bìa, .lrc, video... cùng thư mục chỉ dùng làm file đi kèm, không phải bài hát
+const isAudioItem = (item) => {
+  const cls = String(item["upnp:class"]?.["#text"] ?? item["upnp:class"] ?? "");
+  if (cls.startsWith("object.item.audioItem")) return true;
+  return ensureArray(item.res).some((res) => /^[^:]*:[^:]*:audio\//i.test(String(res?.protocolInfo || "")));
+};
+
+// DIDL-Lite: giữ prefix (dc:title, upnp:artist...) và thuộc tính của <res>
+const didlParser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: "",
+  allowBooleanAttributes: true,
+  parseTagValue: true,
+  parseAttributeValue: true,
+  trimValues: true
+});
+
+// Envelope SOAP: bỏ prefix namespace vì mỗi server đặt prefix khác nhau (u:, m:, ...)
+const soapParser = new XMLParser({
+  removeNSPrefix: true,
+  parseTagValue: false,
+  trimValues: true
+});
+
+const escapeXml = (val) =>
+  String(val ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const parseDidl = (xmlString) => {
+  try {
+    return didlParser.parse(xmlString);
+  } catch (err) {
+    throw new Error(`XML parse error: ${err.message}`);
+  }
+};
+
+const getSoapResult = (xmlString, action) => {
+  const body = soapParser.parse(xmlString)?.Envelope?.Body;
+  if (body?.Fault) {
+    const detail = body.Fault.detail?.UPnPError;
+    throw new Error(`SOAP fault: ${detail?.errorDescription || body.Fault.faultstring || "unknown"}`);
+  }
+  const response = body?.[`${action}Response`];
+  if (!response) throw new Error(`Missing ${action}Response in SOAP reply`);
+  return response;
+};
+
+// Thứ tự tham số phải đúng như khai báo trong SCPD của action
+const createSoapBody = (serviceType, action, args) => `<?xml version="1.0" encoding="utf-8"?>
+<s:Envelope xmlns:s="http://schemas.xmlsoap.org/soap/envelope/"
+  s:encodingStyle="http://schemas.xmlsoap.org/soap/encoding/">
+  <s:Body>
+    <u:${action} xmlns:u="${serviceType}">
+${Object.entries(args).map(([k, v]) => `      <${k}>${escapeXml(v)}</${k}>`).join("\n")}
+    </u:${action}>
+  </s:Body>
+</s:Envelope>`;
+
+const callAction = async (server, action, args = {}, { signal, timeout = 15000 } = {}) => {
+  const serviceType = server.serviceType || DEFAULT_SERVICE_TYPE;
+  const timeoutSignal = AbortSignal.timeout(timeout);
+  const response = await fetch(server.controlURL, {
+    method: "POST",
+    headers: {
+      "Content-Type": 'text/xml; charset="utf-8"',
+      SOAPACTION: `"${serviceType}#${action}"`
+    },
+    body: createSoapBody(serviceType, action, args),
+    signal: signal ? AbortSignal.any([signal, timeoutSignal]) : timeoutSignal
+  });
+  return getSoapResult(await response.text(), action);
+};
+
+// Một trang Browse: trả về container/item thô của DIDL-Lite kèm TotalMatches
+const browse = async (server, objectId, { start = 0, count = PAGE_SIZE, flag = "BrowseDirectChildren", signal } = {}) => {
+  const result = await callAction(
+    server,
+    "Browse",
+    {
+      ObjectID: objectId,
+      BrowseFlag: flag,
+      Filter: "*",
+      StartingIndex: start,
+      RequestedCount: count,
+      SortCriteria: ""
+    },
+    { signal }
+  );
+
+  const didl = result.Result ? parseDidl(result.Result)["DIDL-Lite"] : null;
+  return {
+    containers: ensureArray(didl?.container),
+    items: ensureArray(didl?.item),
+    numberReturned: parseInt(result.NumberReturned) || 0,
+    totalMatches: parseInt(result.TotalMatches) || 0
+  };
+};
+
+// Đọc hết con trực tiếp của một container theo từng trang
+const browseAll = async (server, objectId, { pageSize = PAGE_SIZE, signal } = {}) => {
+  const containers = [];
+  const items = [];
+  let start = 0;
+
+  while (true) {
+    signal?.throwIfAborted();
+    const page = await browse(server, objectId, { start, count: pageSize, signal });
+    containers.push(...page.containers);
+    items.push(...page.items);
+    start += page.numberReturned;
+
+    if (!page.numberReturned) break;
+    // Một số server trả TotalMatches = 0 khi không biết tổng, lúc đó dừng khi trang thiếu
+    if (page.totalMatches ? start >= page.totalMatches : page.numberReturned < pageSize) break;
+  }
+
+  return { containers, items, totalMatches: start };
+};
+
+// Duyệt đệ quy cây container bắt đầu từ rootId, chỉ lấy bài nhạc (isAudioItem).
+// Cùng một bài có thể xuất hiện ở nhiều view (Artist, Album, Folders...) với id khác nhau,
+// nên item được khử trùng theo URL của <res>.
+// Container duyệt lỗi được bỏ qua (báo qua onContainerError, trả về trong failed); chỉ dừng hẳn khi bị huỷ
+const walk = async (
+  server,
+  rootId = "0",
+  { pageSize = PAGE_SIZE, concurrency = WALK_CONCURRENCY, signal, onContainer, onContainerError } = {}
+) => {
+  const containers = new Map();
+  const items = new Map();
+  const failed = [];
+  const visited = new Set([String(rootId)]);
+  const queue = [String(rootId)];
+  let active = 0;
+
+  await new Promise((resolve, reject) => {
+    let aborted = false;
+    const next = () => {
+      if (aborted) return;
+      if (!queue.length && !active) return resolve();
+
+      while (queue.length && active < concurrency) {
+        const id = queue.shift();
+        active++;
+        browseAll(server, id, { pageSize, signal })
+          .then((page) => {
+            for (const c of page.containers) {
+              containers.set(c.id, c);
+              if (!visited.has(String(c.id))) {
+                visited.add(String(c.id));
+                queue.push(String(c.id));
+              }
+            }
+            const tracks = page.items.filter(isAudioItem);
+            for (const i of tracks) {
+              const key = ensureArray(i.res)[0]?.["#text"] || i.id;
+              if (!items.has(key)) items.set(key, i);
+            }
+            onContainer?.({ id, containers: page.containers.length, items: tracks.length, discovered: items.size });
+          })
+          .catch((err) => {
+            if (signal?.aborted) {
+              aborted = true;
+              return reject(err);
+            }
+            failed.push({ id, error: err.message });
+            onContainerError?.({ id, error: err });
+          })
+          .finally(() => {
+            active--;
+            next();
+          });
+      }
+    };
+    next();
+  });
+
+  return { containers: [...containers.values()], items: [...items.values()], failed };
+};
+
+// "dc:title,upnp:artist" -> ["dc:title", "upnp:artist"]; chuỗi rỗng nghĩa là server không hỗ trợ Search
+const getSearchCapabilities = async (server, { signal } = {}) => {
+  const result = await callAction(server, "GetSearchCapabilities", {}, { signal, timeout: 5000 });
+  return String(result.SearchCaps || "")
+    .split(",")
+    .map((cap) => cap.trim())
+    .filter(Boolean);
+};
+
+const SEARCH_FIELDS = {
+  title: "dc:title",
+  artist: "upnp:artist",
+  album: "upnp:album",
+  genre: "upnp:genre"
+};
+
+const escapeCriteria = (val) => String(val).replace(/\\/g, "\\\\").replace(/"/g, '\\"');
+
+// Dịch query đơn giản sang SearchCriteria của UPnP.
+// Trả về null nếu server không hỗ trợ thuộc tính cần dùng (để caller chuyển sang tìm local).
+const buildSearchCriteria = ({ q, ...fields }, capabilities) => {
+  const supports = (prop) => capabilities.includes("*") || capabilities.includes(prop);
+  const clauses = [];
+
+  for (const [field, prop] of Object.entries(SEARCH_FIELDS)) {
+    if (!fields[field]) continue;
+    if (!supports(prop)) return null;
+    clauses.push(`${prop} contains "${escapeCriteria(fields[field])}"`);
+  }
+
+  if (q) {
+    const props = ["dc:title", "upnp:artist", "upnp:album"].filter(supports);
+    if (!props.length) return null;
+    clauses.push(`(${props.map((prop) => `${prop} contains "${escapeCriteria(q)}"`).join(" or ")})`);
+  }
+
+  if (!clauses.length) return null;
+  if (supports("upnp:class")) clauses.unshift('upnp:class derivedfrom "object.item.audioItem"');
+  return clauses.join(" and ");
+};
+
+const search = async (server, containerId, criteria, { start = 0, count = PAGE_SIZE, signal } = {}) => {
+  const result = await callAction(
+    server,
+    "Search",
+    {
+      ContainerID: containerId,
+      SearchCriteria: criteria,
+      Filter: "*",
+      StartingIndex: start,
+      RequestedCount: count,
+      SortCriteria: ""
+    },
+    { signal }
+  );
+
+  const didl = result.Result ? parseDidl(result.Result)["DIDL-Lite"] : null;
+  return {
+    items: ensureArray(didl?.item),
+    numberReturned: parseInt(result.NumberReturned) || 0,
+    totalMatches: parseInt(result.TotalMatches) || 0
+  };
+};
+
+// Lấy kết quả Search theo trang cho tới khi đủ limit
+const searchAll = async (server, containerId, criteria, { limit = PAGE_SIZE, signal } = {}) => {
+  const items = [];
+  let start = 0;
+  let totalMatches = 0;
+
+  while (items.length < limit) {
+    const page = await search(server, containerId, criteria, {
+      start,
+      count: Math.min(PAGE_SIZE, limit - items.length),
+      signal
+    });
+    items.push(...page.items);
+    start += page.numberReturned;
+    totalMatches = page.totalMatches || start;
+    if (!page.numberReturned || start >= totalMatches) break;
+  }
+
+  return { items, totalMatches };
+};
+
+export {
+  browse,
+  browseAll,
+  walk,
+  isAudioItem,
+  callAction,
+  parseDidl,
+  getSearchCapabilities,
+  buildSearchCriteria,
+  search,
+  searchAll,
+  PAGE_SIZE
+};
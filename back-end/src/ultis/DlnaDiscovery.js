@@ -0,0 +1,157 @@
+import dgram from "dgram";
+import { XMLParser } from "fast-xml-parser";
+
+const SSDP_ADDRESS = "239.255.255.250";
+const SSDP_PORT = 1900;
+const MEDIA_SERVER_URN = "urn:schemas-upnp-org:device:MediaServer:1";
+// UDP có thể rớt gói nên M-SEARCH được gửi lại sau khoảng này
+const RESEND_DELAY = 250;
+const CONTENT_DIRECTORY_PREFIX = "urn:schemas-upnp-org:service:ContentDirectory:";
+
+// Giữ nguyên text của tag (friendlyName "2024" không bị ép thành số)
+const descriptionParser = new XMLParser({
+  ignoreAttributes: true,
+  parseTagValue: false,
+  trimValues: true
+});
+
+const ensureArray = (val) => (Array.isArray(val) ? val : val ? [val] : []);
+
+const createSearchMessage = (target, mx, address, port) =>
+  [
+    "M-SEARCH * HTTP/1.1",
+    `HOST: ${address}:${port}`,
+    'MAN: "ssdp:discover"',
+    `MX: ${mx}`,
+    `ST: ${target}`,
+    "",
+    ""
+  ].join("\r\n");
+
+// "HTTP/1.1 200 OK\r\nLOCATION: ...\r\n" -> { location: "...", ... }
+const parseSsdpResponse = (message) => {
+  const [statusLine, ...lines] = message.toString("utf-8").split(/\r?\n/);
+  if (!/^HTTP\/1\.[01] 200/i.test(statusLine)) return null;
+
+  const headers = {};
+  for (const line of lines) {
+    const idx = line.indexOf(":");
+    if (idx <= 0) continue;
+    headers[line.slice(0, idx).trim().toLowerCase()] = line.slice(idx + 1).trim();
+  }
+  return headers;
+};
+
+// Gửi M-SEARCH và gom các LOCATION trả về trong khoảng timeout
+const searchSsdp = ({
+  target = MEDIA_SERVER_URN,
+  timeout = 3000,
+  address = SSDP_ADDRESS,
+  port = SSDP_PORT
+} = {}) =>
+  new Promise((resolve, reject) => {
+    const socket = dgram.createSocket({ type: "udp4", reuseAddr: true });
+    const locations = new Map();
+    const wait = Math.max(RESEND_DELAY, timeout);
+    const mx = Math.max(1, Math.min(5, Math.floor(wait / 1000)));
+    const message = Buffer.from(createSearchMessage(target, mx, address, port));
+    let timer;
+    let resendTimer;
+
+    // Socket đã đóng thì send sẽ ném lỗi không bắt được, nên huỷ cả hai timer trước khi đóng
+    const close = () => {
+      clearTimeout(timer);
+      clearTimeout(resendTimer);
+      socket.close();
+    };
+
+    socket.on("message", (msg) => {
+      const headers = parseSsdpResponse(msg);
+      if (!headers?.location) return;
+      if (headers.st && headers.st !== target && target !== "ssdp:all") return;
+      if (!locations.has(headers.location)) locations.set(headers.location, headers);
+    });
+
+    socket.on("error", (err) => {
+      close();
+      reject(err);
+    });
+
+    socket.bind(0, () => {
+      socket.send(message, port, address);
+      resendTimer = setTimeout(() => socket.send(message, port, address), RESEND_DELAY);
+      timer = setTimeout(() => {
+        close();
+        resolve([...locations.values()]);
+      }, wait);
+    });
+  });
+
+// Tìm device MediaServer (có thể nằm trong deviceList của root device)
+const findMediaServerDevice = (device) => {
+  if (!device) return null;
+  if (String(device.deviceType || "").startsWith("urn:schemas-upnp-org:device:MediaServer:")) return device;
+  for (const child of ensureArray(device.deviceList?.device)) {
+    const found = findMediaServerDevice(child);
+    if (found) return found;
+  }
+  return null;
+};
+
+const fetchDeviceDescription = async (location, timeout = 5000) => {
+  const controller = new AbortController();
+  const id = setTimeout(() => controller.abort(), timeout);
+  let xml;
+  try {
+    const resp = await fetch(location, { signal: controller.signal });
+    if (!resp.ok) throw new Error(`Failed to fetch description: ${resp.status}`);
+    xml = await resp.text();
+  } finally {
+    clearTimeout(id);
+  }
+
+  const root = descriptionParser.parse(xml)?.root;
+  const device = findMediaServerDevice(root?.device);
+  if (!device) throw new Error(`No MediaServer device in ${location}`);
+
+  const service = ensureArray(device.serviceList?.service).find((s) =>
+    String(s.serviceType || "").startsWith(CONTENT_DIRECTORY_PREFIX)
+  );
+  if (!service?.controlURL) throw new Error(`No ContentDirectory service in ${location}`);
+
+  // controlURL có thể là đường dẫn tương đối so với URLBase hoặc LOCATION
+  const base = root.URLBase || location;
+  const icon = ensureArray(device.iconList?.icon).find((i) => i.mimetype === "image/png") ||
+    ensureArray(device.iconList?.icon)[0];
+
+  return {
+    id: device.UDN || location,
+    name: device.friendlyName || new URL(location).host,
+    manufacturer: device.manufacturer || null,
+    modelName: device.modelName || null,
+    location,
+    baseUrl: new URL(base).origin,
+    serviceType: service.serviceType,
+    controlURL: new URL(service.controlURL, base).href,
+    iconUrl: icon?.url ? new URL(icon.url, base).href : null
+  };
+};
+
+const discoverMediaServers = async (options = {}) => {
+  const responses = await searchSsdp(options);
+  const results = await Promise.allSettled(
+    responses.map((r) => fetchDeviceDescription(r.location, options.descriptionTimeout))
+  );
+
+  const servers = new Map();
+  results.forEach((r, idx) => {
+    if (r.status === "fulfilled") {
+      if (!servers.has(r.value.id)) servers.set(r.value.id, r.value);
+    } else {
+      console.warn(`Skip ${responses[idx].location}:`, r.reason.message);
+    }
+  });
+  return [...servers.values()];
+};
+
+export { discoverMediaServers, fetchDeviceDescription, searchSsdp, MEDIA_SERVER_URN };
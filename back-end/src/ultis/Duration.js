@@ -0,0 +1,9 @@
+// Thời lượng DIDL-Lite "h:mm:ss.fff" sang giây: "0:03:25.123" -> 205.123; null nếu không hợp lệ
+const parseDuration = (duration) => {
+  if (!duration) return null;
+  const parts = String(duration).split(":").map(Number);
+  if (parts.some(isNaN)) return null;
+  return parts.reduce((total, part) => total * 60 + part, 0);
+};
+
+export { parseDuration };
@@ -0,0 +1,85 @@
+import jpeg from "jpeg-js";
+import { PNG } from "pngjs";
+
+// Ảnh PNG trong suốt được phủ lên nền tối của trình phát trước khi lưu thành JPEG
+const BACKGROUND = 0x22;
+
+// Chỉ JPEG/PNG giải mã được; GIF/WebP chỉ lưu bản gốc, không tạo ảnh thu nhỏ
+const DECODABLE_TYPES = ["image/jpeg", "image/png"];
+
+// Marker SOF của JPEG chứa kích thước ảnh (trừ DHT C4, JPG C8, DAC CC)
+const isStartOfFrame = (marker) => marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker);
+
+// Kích thước ảnh đọc từ header, không giải mã: { width, height } hoặc null
+const readImageSize = (data, mime) => {
+  if (mime === "image/png") {
+    if (data.length < 24 || data.toString("ascii", 12, 16) !== "IHDR") return null;
+    return { width: data.readUInt32BE(16), height: data.readUInt32BE(20) };
+  }
+  if (mime !== "image/jpeg") return null;
+
+  let i = 2;
+  while (i + 9 < data.length) {
+    if (data[i] !== 0xff) return null;
+    const marker = data[i + 1];
+    // Byte đệm 0xFF và các marker không có độ dài
+    if (marker === 0xff) {
+      i++;
+      continue;
+    }
+    if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd8)) {
+      i += 2;
+      continue;
+    }
+    if (isStartOfFrame(marker)) return { width: data.readUInt16BE(i + 7), height: data.readUInt16BE(i + 5) };
+    i += 2 + data.readUInt16BE(i + 2);
+  }
+  return null;
+};
+
+// { width, height, data: RGBA }; null nếu không giải mã được loại ảnh này
+const decodeImage = (data, mime) => {
+  if (mime === "image/jpeg") return jpeg.decode(data, { useTArray: true, formatAsRGBA: true, maxMemoryUsageInMB: 512 });
+  if (mime === "image/png") return PNG.sync.read(data);
+  return null;
+};
+
+// Thu nhỏ theo trung bình vùng: mỗi điểm ảnh đích là trung bình khối điểm ảnh nguồn nó phủ lên
+const resizeImage = ({ width, height, data }, maxSize) => {
+  const scale = maxSize / Math.max(width, height);
+  const w = Math.max(Math.round(width * scale), 1);
+  const h = Math.max(Math.round(height * scale), 1);
+  const out = Buffer.alloc(w * h * 4);
+
+  for (let y = 0; y < h; y++) {
+    const y0 = Math.floor((y * height) / h);
+    const y1 = Math.max(Math.floor(((y + 1) * height) / h), y0 + 1);
+    for (let x = 0; x < w; x++) {
+      const x0 = Math.floor((x * width) / w);
+      const x1 = Math.max(Math.floor(((x + 1) * width) / w), x0 + 1);
+      let r = 0;
+      let g = 0;
+      let b = 0;
+      for (let sy = y0; sy < y1; sy++) {
+        for (let sx = x0; sx < x1; sx++) {
+          const i = (sy * width + sx) * 4;
+          const alpha = data[i + 3] / 255;
+          r += data[i] * alpha + BACKGROUND * (1 - alpha);
+          g += data[i + 1] * alpha + BACKGROUND * (1 - alpha);
+          b += data[i + 2] * alpha + BACKGROUND * (1 - alpha);
+        }
+      }
+      const count = (y1 - y0) * (x1 - x0);
+      const o = (y * w + x) * 4;
+      out[o] = Math.round(r / count);
+      out[o + 1] = Math.round(g / count);
+      out[o + 2] = Math.round(b / count);
+      out[o + 3] = 255;
+    }
+  }
+  return { width: w, height: h, data: out };
+};
+
+const encodeJpeg = (image, quality) => jpeg.encode(image, quality).data;
+
+export { DECODABLE_TYPES, readImageSize, decodeImage, resizeImage, encodeJpeg };
@@ -0,0 +1,781 @@
+import fs from "fs";
+import { randomUUID, createHash } from "crypto";
+import Database from "better-sqlite3";
+import { removeVietnameseTones } from "./RemoveVietnameseTones.js";
+import { parseDuration } from "./Duration.js";
+
+// Mỗi migration chỉ chạy một lần, theo thứ tự version. Không sửa migration đã phát hành,
+// muốn đổi schema thì thêm version mới vào cuối danh sách.
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: "initial schema",
+    up: `
+      CREATE TABLE servers (
+        id TEXT PRIMARY KEY,
+        enabled INTEGER NOT NULL DEFAULT 1,
+        data TEXT NOT NULL
+      );
+
+      CREATE TABLE album_art (
+        id TEXT PRIMARY KEY,
+        file TEXT NOT NULL,
+        mime TEXT,
+        created_at TEXT NOT NULL
+      );
+
+      CREATE TABLE containers (
+        id TEXT PRIMARY KEY,
+        server_id TEXT,
+        object_id TEXT,
+        parent_id TEXT,
+        title TEXT,
+        class TEXT,
+        child_count INTEGER
+      );
+      CREATE INDEX idx_containers_parent ON containers(parent_id);
+      CREATE INDEX idx_containers_server ON containers(server_id);
+
+      CREATE TABLE items (
+        id TEXT PRIMARY KEY,
+        server_id TEXT,
+        object_id TEXT,
+        parent_id TEXT,
+        title TEXT,
+        artist TEXT,
+        album TEXT,
+        genre TEXT,
+        url TEXT,
+        duration_seconds REAL,
+        year INTEGER,
+        tier TEXT,
+        album_art_id TEXT,
+        data TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+      CREATE INDEX idx_items_server ON items(server_id);
+      CREATE INDEX idx_items_parent ON items(parent_id);
+      CREATE INDEX idx_items_url ON items(url);
+      CREATE INDEX idx_items_artist ON items(artist);
+      CREATE INDEX idx_items_album ON items(album);
+
+      CREATE TABLE scans (
+        id TEXT PRIMARY KEY,
+        server_id TEXT,
+        root TEXT,
+        metadata INTEGER,
+        status TEXT NOT NULL,
+        phase TEXT,
+        progress TEXT,
+        error TEXT,
+        resumed_from TEXT,
+        created_at TEXT NOT NULL,
+        finished_at TEXT
+      );
+
+      CREATE TABLE meta (
+        key TEXT PRIMARY KEY,
+        value TEXT
+      );
+    `
+  },
+  {
+    version: 2,
+    name: "playlists",
+    // item_id không có khoá ngoại: quét lại có thể xoá rồi thêm lại item, entry vẫn phải còn
+    up: `
+      CREATE TABLE playlists (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        position INTEGER NOT NULL,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+
+      CREATE TABLE playlist_entries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        playlist_id TEXT NOT NULL REFERENCES playlists(id) ON DELETE CASCADE,
+        item_id TEXT NOT NULL,
+        position INTEGER NOT NULL,
+        added_at TEXT NOT NULL
+      );
+      CREATE INDEX idx_playlist_entries_playlist ON playlist_entries(playlist_id, position);
+      CREATE INDEX idx_playlist_entries_item ON playlist_entries(item_id);
+    `
+  },
+  {
+    version: 3,
+    name: "album and artist grouping",
+    up: (db) => {
+      db.exec(`
+        ALTER TABLE items ADD COLUMN album_artist TEXT;
+        ALTER TABLE items ADD COLUMN album_id TEXT;
+        ALTER TABLE items ADD COLUMN artist_id TEXT;
+        CREATE INDEX idx_items_album_id ON items(album_id);
+        CREATE INDEX idx_items_artist_id ON items(artist_id);
+      `);
+      const update = db.prepare("UPDATE items SET album_artist = @album_artist, album_id = @album_id, artist_id = @artist_id WHERE id = @id");
+      for (const row of db.prepare("SELECT id, data FROM items").all()) {
+        update.run({ id: row.id, ...toGroupColumns(JSON.parse(row.data)) });
+      }
+    }
+  },
+  {
+    version: 4,
+    name: "track and disc numbers",
+    up: `
+      ALTER TABLE items ADD COLUMN disc_number INTEGER;
+      ALTER TABLE items ADD COLUMN track_number INTEGER;
+      UPDATE items SET
+        disc_number = json_extract(data, '$.discNumber'),
+        track_number = json_extract(data, '$.trackNumber'),
+        duration_seconds = COALESCE(json_extract(data, '$.durationSeconds'), duration_seconds);
+    `
+  },
+  {
+    version: 5,
+    name: "lyrics overrides",
+    // Lời tự đồng bộ trong app (LRC), ưu tiên hơn lời nhúng/.lrc. Không khoá ngoại như playlist_entries
+    up: `
+      CREATE TABLE lyrics_overrides (
+        item_id TEXT PRIMARY KEY,
+        lrc TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+    `
+  },
+  {
+    version: 6,
+    name: "content-addressed album art",
+    // album_art.id từ đây là hash nội dung ảnh (AlbumArtStore); album_covers gắn mỗi album với một ảnh bìa.
+    // Bản ghi đặt tên theo bài hát của bản cũ được chuyển sang khi khởi động (importLegacyAlbumArt)
+    up: `
+      ALTER TABLE album_art ADD COLUMN width INTEGER;
+      ALTER TABLE album_art ADD COLUMN height INTEGER;
+      ALTER TABLE album_art ADD COLUMN bytes INTEGER;
+      CREATE TABLE album_covers (
+        album_id TEXT PRIMARY KEY,
+        art_id TEXT NOT NULL,
+        source TEXT,
+        updated_at TEXT NOT NULL
+      );
+      CREATE INDEX idx_items_album_art ON items(album_art_id);
+    `
+  },
+  {
+    version: 7,
+    name: "album art palette",
+    // JSON { dominant, vibrant, lightVibrant, darkVibrant, muted, darkMuted } (ColorPalette)
+    up: `
+      ALTER TABLE album_art ADD COLUMN palette TEXT;
+    `
+  }
+];
+
+const runMigrations = (db) => {
+  db.exec(`CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    applied_at TEXT NOT NULL
+  )`);
+
+  const current = db.prepare("SELECT MAX(version) AS version FROM schema_migrations").get().version || 0;
+  for (const migration of MIGRATIONS.filter((m) => m.version > current)) {
+    db.transaction(() => {
+      if (typeof migration.up === "function") migration.up(db);
+      else db.exec(migration.up);
+      db.prepare("INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)").run(
+        migration.version,
+        migration.name,
+        new Date().toISOString()
+      );
+    })();
+    console.log(`Applied migration ${migration.version}: ${migration.name}`);
+  }
+};
+
+const parseYear = (date) => {
+  const match = /\d{4}/.exec(String(date ?? ""));
+  return match ? parseInt(match[0]) : null;
+};
+
+const UNKNOWN = "unknown";
+
+// So khớp tên album/nghệ sĩ không phân biệt hoa thường và khoảng trắng thừa (vẫn giữ dấu tiếng Việt)
+const groupKey = (value) => {
+  const key = String(value ?? "").normalize("NFC").trim().replace(/\s+/g, " ").toLowerCase();
+  return key && key !== UNKNOWN ? key : null;
+};
+
+const hashId = (...parts) => createHash("sha1").update(parts.join("\u0000")).digest("hex").slice(0, 16);
+
+// Album nhóm theo (album artist, tên album): hai album "Unknown" hay hai album trùng tên
+// của hai nghệ sĩ khác nhau không bị gộp làm một
+const toGroupColumns = (item) => {
+  const artistKey = groupKey(item.albumArtist) || groupKey(item.artist);
+  const albumKey = groupKey(item.album);
+  return {
+    album_artist: item.albumArtist ?? null,
+    album_id: albumKey ? hashId(artistKey || UNKNOWN, albumKey) : null,
+    artist_id: artistKey ? hashId(artistKey) : null
+  };
+};
+
+const albumIdOf = (item) => toGroupColumns(item).album_id;
+
+// albumArtUrl dạng ".../api/art/<hash>"; ảnh mặc định (public/default.png) không nằm trong bảng album_art.
+// Bản cũ: ".../public/album-art/<tên file>"
+const toAlbumArtId = (url) => {
+  const match = /\/api\/art\/([0-9a-f]+)/.exec(url || "");
+  if (match) return match[1];
+  return url?.includes("/album-art/") ? decodeURIComponent(url.split("/").pop()) : null;
+};
+
+const toItemRow = (item, now) => ({
+  id: item.id,
+  server_id: item.serverId || null,
+  object_id: item.objectId || null,
+  parent_id: item.parentID || null,
+  title: item.title ?? null,
+  artist: item.artist ?? null,
+  album: item.album ?? null,
+  genre: item.genre ?? null,
+  url: item.url ?? null,
+  duration_seconds: item.durationSeconds ?? parseDuration(item.duration),
+  year: parseYear(item.date),
+  tier: item.quality?.tier || null,
+  album_art_id: toAlbumArtId(item.albumArtUrl),
+  disc_number: item.discNumber ?? null,
+  track_number: item.trackNumber ?? null,
+  ...toGroupColumns(item),
+  data: JSON.stringify(item),
+  updated_at: now
+});
+
+const toItem = (row) => (row ? JSON.parse(row.data) : null);
+
+// Cột được phép sort qua API -> biểu thức SQL
+const SORT_COLUMNS = {
+  title: "title COLLATE NOCASE",
+  artist: "artist COLLATE NOCASE",
+  album: "album COLLATE NOCASE",
+  genre: "genre COLLATE NOCASE",
+  duration: "duration_seconds",
+  // Thứ tự trong album: đĩa rồi số track (bài không có số track xếp cuối)
+  track: "(COALESCE(disc_number, 1) * 1000 + track_number)",
+  year: "year",
+  tier: "tier",
+  server: "server_id",
+  updatedAt: "updated_at"
+};
+
+// Dựng WHERE cho danh sách item; mọi giá trị đều đi qua tham số bind
+const buildItemFilters = ({ artist, album, genre, tier, year, serverId, albumId, artistId, ids, q, excludeServerIds = [] }) => {
+  const clauses = [];
+  const params = {};
+
+  if (excludeServerIds.length) {
+    const keys = excludeServerIds.map((id, idx) => {
+      params[`ex${idx}`] = id;
+      return `@ex${idx}`;
+    });
+    clauses.push(`(server_id IS NULL OR server_id NOT IN (${keys.join(", ")}))`);
+  }
+  for (const [field, value] of Object.entries({ artist, album, genre, tier })) {
+    if (!value) continue;
+    clauses.push(`${field} = @${field} COLLATE NOCASE`);
+    params[field] = value;
+  }
+  if (serverId) {
+    clauses.push("server_id = @serverId");
+    params.serverId = serverId;
+  }
+  if (albumId) {
+    clauses.push("album_id = @albumId");
+    params.albumId = albumId;
+  }
+  if (artistId) {
+    clauses.push("artist_id = @artistId");
+    params.artistId = artistId;
+  }
+  // Danh sách id (kết quả của chỉ mục tìm kiếm), truyền một tham số JSON thay vì hàng nghìn placeholder
+  if (ids) {
+    clauses.push("id IN (SELECT value FROM json_each(@ids))");
+    params.ids = JSON.stringify(ids);
+  }
+  // "1999" hoặc khoảng "1990-1999"
+  if (year) {
+    const [from, to = from] = String(year).split("-").map((y) => parseInt(y));
+    if (!isNaN(from)) {
+      clauses.push("year BETWEEN @yearFrom AND @yearTo");
+      params.yearFrom = from;
+      params.yearTo = isNaN(to) ? from : to;
+    }
+  }
+  if (q) {
+    removeVietnameseTones(q).split(" ").filter(Boolean).forEach((keyword, idx) => {
+      clauses.push(`fold(COALESCE(title, '') || ' ' || COALESCE(artist, '') || ' ' || COALESCE(album, '') || ' ' || COALESCE(genre, '')) LIKE @q${idx} ESCAPE '\\'`);
+      params[`q${idx}`] = `%${keyword.replace(/[\\%_]/g, (c) => `\\${c}`)}%`;
+    });
+  }
+
+  return { where: clauses.length ? `WHERE ${clauses.join(" AND ")}` : "", params };
+};
+
+const toAlbumArt = (row) =>
+  row && {
+    id: row.id,
+    file: row.file,
+    mime: row.mime,
+    width: row.width,
+    height: row.height,
+    bytes: row.bytes,
+    palette: row.palette ? JSON.parse(row.palette) : null,
+    createdAt: row.created_at,
+    ...(row.source !== undefined && { source: row.source })
+  };
+
+const toContainer = (row) => ({
+  id: row.id,
+  objectId: row.object_id,
+  parentID: row.parent_id,
+  serverId: row.server_id,
+  title: row.title,
+  class: row.class,
+  childCount: row.child_count
+});
+
+const toScan = (row) =>
+  row && {
+    id: row.id,
+    serverId: row.server_id,
+    root: row.root,
+    metadata: Boolean(row.metadata),
+    status: row.status,
+    phase: row.phase,
+    progress: JSON.parse(row.progress || "{}"),
+    error: row.error,
+    resumedFrom: row.resumed_from,
+    createdAt: row.created_at,
+    finishedAt: row.finished_at
+  };
+
+// Cột sort cho danh sách album/nghệ sĩ (tính trên kết quả GROUP BY)
+const GROUP_SORT_COLUMNS = {
+  title: "title COLLATE NOCASE",
+  name: "name COLLATE NOCASE",
+  artist: "artist COLLATE NOCASE",
+  year: "year",
+  tracks: "track_count",
+  albums: "album_count",
+  duration: "total_duration",
+  updatedAt: "updated_at"
+};
+
+// Ảnh bìa đại diện: ưu tiên ảnh đã trích xuất thật, không có thì lấy ảnh mặc định
+const COVER_COLUMNS = `
+  MAX(CASE WHEN album_art_id IS NOT NULL THEN json_extract(data, '$.albumArtUrl') END) AS cover,
+  MAX(json_extract(data, '$.albumArtUrl')) AS fallback_cover`;
+
+const toAlbum = (row) =>
+  row && {
+    id: row.id,
+    title: row.title,
+    artist: row.artist,
+    artistId: row.artist_id,
+    year: row.year,
+    trackCount: row.track_count,
+    totalDuration: row.total_duration || 0,
+    albumArtUrl: row.cover || row.fallback_cover || null
+  };
+
+const toArtist = (row) =>
+  row && {
+    id: row.id,
+    name: row.name,
+    albumCount: row.album_count,
+    trackCount: row.track_count,
+    totalDuration: row.total_duration || 0,
+    albumArtUrl: row.cover || row.fallback_cover || null
+  };
+
+const toPlaylist = (row) =>
+  row && {
+    id: row.id,
+    name: row.name,
+    position: row.position,
+    entryCount: row.entry_count,
+    totalDuration: row.total_duration || 0,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+
+const PLAYLIST_SELECT = `
+  SELECT p.*, COUNT(e.id) AS entry_count, SUM(i.duration_seconds) AS total_duration
+  FROM playlists p
+  LEFT JOIN playlist_entries e ON e.playlist_id = p.id
+  LEFT JOIN items i ON i.id = e.item_id`;
+
+// Cùng tập id, khác thứ tự
+const isPermutation = (ids, expected) => {
+  const set = new Set(ids);
+  return ids.length === expected.length && set.size === ids.length && expected.every((id) => set.has(id));
+};
+
+const openLibraryStore = (file) => {
+  const db = new Database(file);
+  db.pragma("journal_mode = WAL");
+  db.pragma("foreign_keys = ON");
+  runMigrations(db);
+  db.function("fold", { deterministic: true }, (text) => removeVietnameseTones(text));
+
+  const statements = {
+    upsertItem: db.prepare(`
+      INSERT INTO items (id, server_id, object_id, parent_id, title, artist, album, genre, url,
+        duration_seconds, year, tier, album_art_id, album_artist, album_id, artist_id, disc_number, track_number,
+        data, updated_at)
+      VALUES (@id, @server_id, @object_id, @parent_id, @title, @artist, @album, @genre, @url,
+        @duration_seconds, @year, @tier, @album_art_id, @album_artist, @album_id, @artist_id, @disc_number, @track_number,
+        @data, @updated_at)
+      ON CONFLICT(id) DO UPDATE SET
+        server_id = excluded.server_id, object_id = excluded.object_id, parent_id = excluded.parent_id,
+        title = excluded.title, artist = excluded.artist, album = excluded.album, genre = excluded.genre,
+        url = excluded.url, duration_seconds = excluded.duration_seconds, year = excluded.year,
+        tier = excluded.tier, album_art_id = excluded.album_art_id, album_artist = excluded.album_artist,
+        album_id = excluded.album_id, artist_id = excluded.artist_id, disc_number = excluded.disc_number,
+        track_number = excluded.track_number, data = excluded.data,
+        updated_at = excluded.updated_at`),
+    deleteItem: db.prepare("DELETE FROM items WHERE id = ?"),
+    upsertContainer: db.prepare(`
+      INSERT INTO containers (id, server_id, object_id, parent_id, title, class, child_count)
+      VALUES (@id, @serverId, @objectId, @parentID, @title, @class, @childCount)
+      ON CONFLICT(id) DO UPDATE SET
+        server_id = excluded.server_id, object_id = excluded.object_id, parent_id = excluded.parent_id,
+        title = excluded.title, class = excluded.class, child_count = excluded.child_count`),
+    setMeta: db.prepare("INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value"),
+    saveScan: db.prepare(`
+      INSERT INTO scans (id, server_id, root, metadata, status, phase, progress, error, resumed_from, created_at, finished_at)
+      VALUES (@id, @serverId, @root, @metadata, @status, @phase, @progress, @error, @resumedFrom, @createdAt, @finishedAt)
+      ON CONFLICT(id) DO UPDATE SET
+        status = excluded.status, phase = excluded.phase, progress = excluded.progress,
+        error = excluded.error, finished_at = excluded.finished_at`)
+  };
+
+  // Chỉ mục tìm kiếm trong bộ nhớ theo dõi thay đổi qua đây
+  const itemListeners = new Set();
+  const emitItemsChanged = (change) => itemListeners.forEach((listener) => listener(change));
+
+  const store = {
+    db,
+    transaction: (fn) => db.transaction(fn)(),
+
+    getItems: ({ serverId } = {}) =>
+      (serverId === undefined
+        ? db.prepare("SELECT data FROM items").all()
+        : db.prepare("SELECT data FROM items WHERE server_id = ? OR server_id IS NULL").all(serverId)
+      ).map(toItem),
+    getItem: (id) => toItem(db.prepare("SELECT data FROM items WHERE id = ?").get(id)),
+    getItemByUrl: (url) => toItem(db.prepare("SELECT data FROM items WHERE url = ? LIMIT 1").get(url)),
+    // Một trang item kèm tổng số bài và tổng thời lượng (giây) của toàn bộ kết quả lọc
+    queryItems: ({ sort = "title", order = "asc", limit = 100, offset = 0, ...filters } = {}) => {
+      const { where, params } = buildItemFilters(filters);
+      const column = SORT_COLUMNS[sort] || SORT_COLUMNS.title;
+      const direction = String(order).toLowerCase() === "desc" ? "DESC" : "ASC";
+      const summary = db
+        .prepare(`SELECT COUNT(*) AS total, COALESCE(SUM(duration_seconds), 0) AS totalDuration FROM items ${where}`)
+        .get(params);
+      const rows = db
+        .prepare(`SELECT data FROM items ${where}
+          ORDER BY ${column} IS NULL, ${column} ${direction}, title COLLATE NOCASE, id
+          LIMIT @limit OFFSET @offset`)
+        .all({ ...params, limit, offset });
+      return { items: rows.map(toItem), total: summary.total, totalDuration: summary.totalDuration };
+    },
+    // Giá trị có thể lọc (thể loại, tier, năm) để front-end dựng bộ lọc
+    getItemFacets: ({ excludeServerIds = [] } = {}) => {
+      const { where, params } = buildItemFilters({ excludeServerIds });
+      const distinct = (column) =>
+        db
+          .prepare(`SELECT ${column} AS value, COUNT(*) AS total FROM items ${where}
+            ${where ? "AND" : "WHERE"} ${column} IS NOT NULL GROUP BY ${column} ORDER BY ${column}`)
+          .all(params);
+      return { genres: distinct("genre"), tiers: distinct("tier"), years: distinct("year") };
+    },
+    // Album trong thư viện (item không rõ album không thuộc album nào)
+    queryAlbums: ({ sort = "title", order = "asc", limit = -1, offset = 0, ...filters } = {}) => {
+      const { where, params } = buildItemFilters(filters);
+      const scope = `${where ? `${where} AND` : "WHERE"} album_id IS NOT NULL`;
+      const column = GROUP_SORT_COLUMNS[sort] || GROUP_SORT_COLUMNS.title;
+      const direction = String(order).toLowerCase() === "desc" ? "DESC" : "ASC";
+      const total = db.prepare(`SELECT COUNT(DISTINCT album_id) AS total FROM items ${scope}`).get(params).total;
+      const albums = db
+        .prepare(`SELECT album_id AS id, MIN(album) AS title, MIN(COALESCE(album_artist, artist)) AS artist,
+            MIN(artist_id) AS artist_id, MIN(year) AS year, COUNT(*) AS track_count,
+            SUM(duration_seconds) AS total_duration, MAX(updated_at) AS updated_at, ${COVER_COLUMNS}
+          FROM items ${scope} GROUP BY album_id
+          ORDER BY ${column} IS NULL, ${column} ${direction}, title COLLATE NOCASE
+          LIMIT @limit OFFSET @offset`)
+        .all({ ...params, limit, offset })
+        .map(toAlbum);
+      return { albums, total };
+    },
+    queryArtists: ({ sort = "name", order = "asc", limit = -1, offset = 0, ...filters } = {}) => {
+      const { where, params } = buildItemFilters(filters);
+      const scope = `${where ? `${where} AND` : "WHERE"} artist_id IS NOT NULL`;
+      const column = GROUP_SORT_COLUMNS[sort] || GROUP_SORT_COLUMNS.name;
+      const direction = String(order).toLowerCase() === "desc" ? "DESC" : "ASC";
+      const total = db.prepare(`SELECT COUNT(DISTINCT artist_id) AS total FROM items ${scope}`).get(params).total;
+      const artists = db
+        .prepare(`SELECT artist_id AS id, MIN(COALESCE(album_artist, artist)) AS name,
+            COUNT(DISTINCT album_id) AS album_count, COUNT(*) AS track_count,
+            SUM(duration_seconds) AS total_duration, MAX(updated_at) AS updated_at, ${COVER_COLUMNS}
+          FROM items ${scope} GROUP BY artist_id
+          ORDER BY ${column} IS NULL, ${column} ${direction}, name COLLATE NOCASE
+          LIMIT @limit OFFSET @offset`)
+        .all({ ...params, limit, offset })
+        .map(toArtist);
+      return { artists, total };
+    },
+    countItemsByServer: () =>
+      new Map(db.prepare("SELECT server_id, COUNT(*) AS total FROM items GROUP BY server_id").all().map((r) => [r.server_id, r.total])),
+
+    upsertItems: (items) => {
+      const now = new Date().toISOString();
+      for (const item of items) statements.upsertItem.run(toItemRow(item, now));
+      if (items.length) emitItemsChanged({ upserted: items, removed: [] });
+    },
+    deleteItems: (ids) => {
+      const removed = [...ids];
+      for (const id of removed) statements.deleteItem.run(id);
+      if (removed.length) emitItemsChanged({ upserted: [], removed });
+    },
+    // listener({ upserted, removed }); trả về hàm huỷ đăng ký
+    onItemsChanged: (listener) => {
+      itemListeners.add(listener);
+      return () => itemListeners.delete(listener);
+    },
+
+    getContainers: () => db.prepare("SELECT * FROM containers").all().map(toContainer),
+    getContainer: (id) => {
+      const row = db.prepare("SELECT * FROM containers WHERE id = ?").get(id);
+      return row ? toContainer(row) : null;
+    },
+    // Các container cha từ gốc xuống tới id (không gồm id), dừng khi gặp container chưa lưu
+    getContainerPath: (id) => {
+      const path = [];
+      const seen = new Set([id]);
+      let parentId = store.getContainer(id)?.parentID;
+      while (parentId && !seen.has(parentId)) {
+        seen.add(parentId);
+        const parent = store.getContainer(parentId);
+        if (!parent) break;
+        path.unshift(parent);
+        parentId = parent.parentID;
+      }
+      return path;
+    },
+    upsertContainers: (containers) => {
+      for (const c of containers) {
+        statements.upsertContainer.run({ ...c, title: c.title != null ? String(c.title) : null, childCount: c.childCount ?? null });
+      }
+    },
+    // Container của database cũ không gắn server
+    deleteLegacyContainers: () => db.prepare("DELETE FROM containers WHERE server_id IS NULL").run(),
+
+    saveAlbumArt: ({ id, file, mime, width = null, height = null, bytes = null, palette = null }) =>
+      db
+        .prepare(`INSERT INTO album_art (id, file, mime, width, height, bytes, palette, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+          ON CONFLICT(id) DO UPDATE SET file = excluded.file, mime = excluded.mime,
+            width = excluded.width, height = excluded.height, bytes = excluded.bytes, palette = excluded.palette`)
+        .run(id, file, mime, width, height, bytes, palette && JSON.stringify(palette), new Date().toISOString()),
+    getAlbumArt: (id) => toAlbumArt(db.prepare("SELECT * FROM album_art WHERE id = ?").get(id)),
+    // Ảnh giải mã được (có kích thước) nhưng chưa có bảng màu
+    getAlbumArtWithoutPalette: () =>
+      db.prepare("SELECT * FROM album_art WHERE palette IS NULL AND width IS NOT NULL").all().map(toAlbumArt),
+    deleteAlbumArt: (id) => db.prepare("DELETE FROM album_art WHERE id = ?").run(id),
+    // Ảnh đặt tên theo file của bản cũ (id có đuôi .jpg/.png), kể cả ảnh chỉ còn được item trỏ tới
+    getLegacyAlbumArtIds: () =>
+      db
+        .prepare(`SELECT id FROM album_art WHERE id LIKE '%.%'
+          UNION SELECT album_art_id FROM items WHERE album_art_id LIKE '%.%'`)
+        .pluck()
+        .all(),
+    getItemsByAlbumArt: (artId) => db.prepare("SELECT data FROM items WHERE album_art_id = ?").all(artId).map(toItem),
+    // Ảnh bìa đã gắn cho album (bản ghi album_art kèm nguồn: didl, folder, embedded)
+    getAlbumCover: (albumId) =>
+      toAlbumArt(
+        db
+          .prepare("SELECT a.*, c.source FROM album_covers c JOIN album_art a ON a.id = c.art_id WHERE c.album_id = ?")
+          .get(albumId)
+      ),
+    linkAlbumCover: (albumId, artId, source) =>
+      db
+        .prepare(`INSERT INTO album_covers (album_id, art_id, source, updated_at) VALUES (?, ?, ?, ?)
+          ON CONFLICT(album_id) DO UPDATE SET art_id = excluded.art_id, source = excluded.source, updated_at = excluded.updated_at`)
+        .run(albumId, artId, source, new Date().toISOString()),
+
+    getMeta: (key) => {
+      const row = db.prepare("SELECT value FROM meta WHERE key = ?").get(key);
+      return row ? JSON.parse(row.value) : null;
+    },
+    setMeta: (key, value) => statements.setMeta.run(key, JSON.stringify(value)),
+
+    getLibraryMetadata: () => ({
+      lastUpdated: store.getMeta("lastUpdated"),
+      totalContainers: db.prepare("SELECT COUNT(*) AS total FROM containers").get().total,
+      totalItems: db.prepare("SELECT COUNT(*) AS total FROM items").get().total
+    }),
+
+    listServers: () => db.prepare("SELECT data, enabled FROM servers ORDER BY rowid").all()
+      .map((r) => ({ ...JSON.parse(r.data), enabled: Boolean(r.enabled) })),
+    saveServer: (server) =>
+      db
+        .prepare(`INSERT INTO servers (id, enabled, data) VALUES (?, ?, ?)
+          ON CONFLICT(id) DO UPDATE SET enabled = excluded.enabled, data = excluded.data`)
+        .run(server.id, server.enabled === false ? 0 : 1, JSON.stringify(server)),
+
+    saveScan: (scan) =>
+      statements.saveScan.run({
+        ...scan,
+        metadata: scan.metadata ? 1 : 0,
+        progress: JSON.stringify(scan.progress || {}),
+        error: scan.error || null,
+        resumedFrom: scan.resumedFrom || null,
+        finishedAt: scan.finishedAt || null
+      }),
+    getScan: (id) => toScan(db.prepare("SELECT * FROM scans WHERE id = ?").get(id)),
+    listScans: (limit = 20) => db.prepare("SELECT * FROM scans ORDER BY created_at DESC LIMIT ?").all(limit).map(toScan),
+    // Job đang chạy khi tiến trình bị tắt thì không thể tiếp tục chạy nữa, đánh dấu để người dùng resume
+    markInterruptedScans: () =>
+      db.prepare("UPDATE scans SET status = 'failed', error = 'Interrupted by server restart' WHERE status = 'running'").run(),
+
+    listPlaylists: () =>
+      db.prepare(`${PLAYLIST_SELECT} GROUP BY p.id ORDER BY p.position, p.created_at`).all().map(toPlaylist),
+    // Entry trỏ tới item đã biến mất (chưa quét lại) có item = null
+    getPlaylist: (id) => {
+      const playlist = toPlaylist(db.prepare(`${PLAYLIST_SELECT} WHERE p.id = ? GROUP BY p.id`).get(id));
+      if (!playlist) return null;
+      const entries = db
+        .prepare(`SELECT e.id, e.item_id, e.position, e.added_at, i.data
+          FROM playlist_entries e LEFT JOIN items i ON i.id = e.item_id
+          WHERE e.playlist_id = ? ORDER BY e.position`)
+        .all(id)
+        .map((row) => ({ id: row.id, itemId: row.item_id, position: row.position, addedAt: row.added_at, item: toItem(row) }));
+      return { ...playlist, entries };
+    },
+    createPlaylist: (name) => {
+      const id = randomUUID();
+      const now = new Date().toISOString();
+      const position = db.prepare("SELECT COALESCE(MAX(position) + 1, 0) AS next FROM playlists").get().next;
+      db.prepare("INSERT INTO playlists (id, name, position, created_at, updated_at) VALUES (?, ?, ?, ?, ?)")
+        .run(id, name, position, now, now);
+      return id;
+    },
+    renamePlaylist: (id, name) =>
+      db.prepare("UPDATE playlists SET name = ?, updated_at = ? WHERE id = ?").run(name, new Date().toISOString(), id).changes > 0,
+    deletePlaylist: (id) => db.prepare("DELETE FROM playlists WHERE id = ?").run(id).changes > 0,
+    // ids phải đủ mọi playlist hiện có, theo thứ tự mới
+    reorderPlaylists: (ids) =>
+      store.transaction(() => {
+        const current = db.prepare("SELECT id FROM playlists").pluck().all();
+        if (!isPermutation(ids, current)) return false;
+        const update = db.prepare("UPDATE playlists SET position = ? WHERE id = ?");
+        ids.forEach((id, position) => update.run(position, id));
+        return true;
+      }),
+    // Chèn itemIds vào vị trí position (mặc định cuối playlist), dồn các entry phía sau xuống
+    addPlaylistEntries: (id, itemIds, position) =>
+      store.transaction(() => {
+        const count = db.prepare("SELECT COUNT(*) AS total FROM playlist_entries WHERE playlist_id = ?").get(id).total;
+        const at = position == null ? count : Math.min(Math.max(position, 0), count);
+        const now = new Date().toISOString();
+        db.prepare("UPDATE playlist_entries SET position = position + ? WHERE playlist_id = ? AND position >= ?")
+          .run(itemIds.length, id, at);
+        const insert = db.prepare("INSERT INTO playlist_entries (playlist_id, item_id, position, added_at) VALUES (?, ?, ?, ?)");
+        itemIds.forEach((itemId, idx) => insert.run(id, itemId, at + idx, now));
+        db.prepare("UPDATE playlists SET updated_at = ? WHERE id = ?").run(now, id);
+      }),
+    removePlaylistEntry: (id, entryId) =>
+      store.transaction(() => {
+        const entry = db.prepare("SELECT position FROM playlist_entries WHERE id = ? AND playlist_id = ?").get(entryId, id);
+        if (!entry) return false;
+        db.prepare("DELETE FROM playlist_entries WHERE id = ?").run(entryId);
+        db.prepare("UPDATE playlist_entries SET position = position - 1 WHERE playlist_id = ? AND position > ?")
+          .run(id, entry.position);
+        db.prepare("UPDATE playlists SET updated_at = ? WHERE id = ?").run(new Date().toISOString(), id);
+        return true;
+      }),
+    // entryIds phải đủ mọi entry của playlist, theo thứ tự mới
+    reorderPlaylistEntries: (id, entryIds) =>
+      store.transaction(() => {
+        const current = db.prepare("SELECT id FROM playlist_entries WHERE playlist_id = ?").pluck().all(id);
+        if (!isPermutation(entryIds, current)) return false;
+        const update = db.prepare("UPDATE playlist_entries SET position = ? WHERE id = ?");
+        entryIds.forEach((entryId, position) => update.run(position, entryId));
+        db.prepare("UPDATE playlists SET updated_at = ? WHERE id = ?").run(new Date().toISOString(), id);
+        return true;
+      }),
+
+    getLyricsOverride: (itemId) => {
+      const row = db.prepare("SELECT lrc, updated_at FROM lyrics_overrides WHERE item_id = ?").get(itemId);
+      return row ? { itemId, lrc: row.lrc, updatedAt: row.updated_at } : null;
+    },
+    saveLyricsOverride: (itemId, lrc) =>
+      db
+        .prepare(`INSERT INTO lyrics_overrides (item_id, lrc, updated_at) VALUES (?, ?, ?)
+          ON CONFLICT(item_id) DO UPDATE SET lrc = excluded.lrc, updated_at = excluded.updated_at`)
+        .run(itemId, lrc, new Date().toISOString()),
+    deleteLyricsOverride: (itemId) => db.prepare("DELETE FROM lyrics_overrides WHERE item_id = ?").run(itemId).changes > 0
+  };
+
+  return store;
+};
+
+// Nhập database.json (kể cả dạng cũ có lastUpdated ở cấp cao nhất) và servers.json một lần duy nhất.
+// File gốc được đổi tên thành *.imported để giữ lại bản sao lưu.
+const importLegacyJson = (store, { dbPath, serversPath }) => {
+  if (store.getMeta("legacyImportedAt")) return;
+
+  let imported = { items: 0, containers: 0, servers: 0 };
+  store.transaction(() => {
+    if (fs.existsSync(dbPath)) {
+      const raw = fs.readFileSync(dbPath, "utf-8");
+      const parsed = raw.trim() ? JSON.parse(raw) : {};
+      const lastUpdated = parsed.metadata?.lastUpdated || parsed.lastUpdated || null;
+      const items = (parsed.items || []).filter((i) => i?.id != null);
+      // Container của database.json đời đầu là DIDL thô (dc:title...)
+      const containers = (parsed.containers || []).filter((c) => c?.id != null).map((c) => ({
+        id: String(c.id),
+        objectId: c.objectId ?? String(c.id),
+        parentID: c.parentID != null ? String(c.parentID) : null,
+        serverId: c.serverId || null,
+        title: c.title ?? c["dc:title"] ?? null,
+        class: c.class ?? c["upnp:class"] ?? null,
+        childCount: c.childCount ?? null
+      }));
+
+      store.upsertItems(items.map((i) => ({ ...i, id: String(i.id) })));
+      store.upsertContainers(containers);
+      if (lastUpdated) store.setMeta("lastUpdated", lastUpdated);
+      imported = { ...imported, items: items.length, containers: containers.length };
+    }
+
+    if (fs.existsSync(serversPath)) {
+      const raw = fs.readFileSync(serversPath, "utf-8");
+      const servers = raw.trim() ? JSON.parse(raw) : [];
+      for (const server of servers) store.saveServer(server);
+      imported.servers = servers.length;
+    }
+
+    store.setMeta("legacyImportedAt", new Date().toISOString());
+  });
+
+  for (const file of [dbPath, serversPath]) {
+    if (fs.existsSync(file)) fs.renameSync(file, `${file}.imported`);
+  }
+  if (imported.items || imported.servers) {
+    console.log(`Imported legacy JSON: ${imported.items} items, ${imported.containers} containers, ${imported.servers} servers`);
+  }
+};
+
+export { openLibraryStore, importLegacyJson, albumIdOf, toAlbumArtId, SORT_COLUMNS };
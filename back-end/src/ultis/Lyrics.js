@@ -0,0 +1,137 @@
+// Chuẩn hoá lời bài hát về một dạng chung cho client:
+// { source, synced, offset, lines: [{ time, text, words }] }
+// time tính bằng ms (null nếu lời không đồng bộ); words chỉ có với LRC mở rộng (<mm:ss.xx> từng từ)
+const TIME_TAG = /\[(\d{1,3}):(\d{1,2}(?:[.:]\d{1,3})?)\]/g;
+const WORD_TAG = /<(\d{1,3}):(\d{1,2}(?:[.:]\d{1,3})?)>/g;
+const META_TAG = /^\[([a-z#]+):([^\]]*)\]$/i;
+// ID3 SYLT: 1 = mốc theo frame MPEG (không đổi ra thời gian được), 2 = theo ms
+const TIMESTAMP_MPEG_FRAMES = 1;
+
+const toMs = (min, sec) => Math.round((parseInt(min) * 60 + parseFloat(sec.replace(":", "."))) * 1000);
+
+const hasTimeTags = (text) => /\[\d{1,3}:\d{1,2}(?:[.:]\d{1,3})?\]/.test(text || "");
+
+// "<00:01.00>Xin <00:01.50>chào<00:02.10>" -> [{ time, text }]; tag cuối không có chữ là lúc kết thúc từ cuối
+const parseWords = (text, lineTime, offset) => {
+  const tags = [...text.matchAll(WORD_TAG)];
+  if (!tags.length) return { text: text.trim(), words: null };
+
+  const words = [];
+  const lead = text.slice(0, tags[0].index);
+  if (lead.trim()) words.push({ time: lineTime, text: lead });
+  tags.forEach((tag, idx) => {
+    const end = idx + 1 < tags.length ? tags[idx + 1].index : text.length;
+    const word = text.slice(tag.index + tag[0].length, end);
+    const time = Math.max(toMs(tag[1], tag[2]) - offset, 0);
+    if (word) words.push({ time, text: word });
+    else if (words.length) words[words.length - 1].end = time;
+  });
+  return { text: words.map((w) => w.text).join("").trim(), words };
+};
+
+// LRC thường và LRC mở rộng. [offset:+500] nghĩa là lời hiện sớm hơn 500 ms.
+// Một dòng có thể mang nhiều mốc thời gian ([00:10.00][01:20.00]điệp khúc)
+const parseLrc = (content) => {
+  const meta = {};
+  const lines = [];
+  const plain = [];
+
+  const rows = String(content).replace(/^\uFEFF/, "").split(/\r?\n/);
+  for (const raw of rows) {
+    const row = raw.trim();
+    const metaMatch = row.match(META_TAG);
+    if (metaMatch) {
+      meta[metaMatch[1].toLowerCase()] = metaMatch[2].trim();
+      continue;
+    }
+    if (!hasTimeTags(row)) {
+      if (row) plain.push(row);
+      continue;
+    }
+    const stamps = [...row.matchAll(TIME_TAG)];
+    const text = row.slice(stamps[stamps.length - 1].index + stamps[stamps.length - 1][0].length);
+    for (const stamp of stamps) lines.push({ stamp: toMs(stamp[1], stamp[2]), text });
+  }
+
+  const offset = parseInt(meta.offset) || 0;
+  if (!lines.length) {
+    return { synced: false, offset: 0, meta, lines: plain.map((text) => ({ time: null, text, words: null })) };
+  }
+
+  return {
+    synced: true,
+    offset,
+    meta,
+    lines: lines
+      .map(({ stamp, text }) => {
+        const time = Math.max(stamp - offset, 0);
+        return { time, ...parseWords(text, time, offset) };
+      })
+      .sort((a, b) => a.time - b.time)
+  };
+};
+
+const plainLines = (text) =>
+  String(text)
+    .replace(/^\uFEFF/, "")
+    .split(/\r?\n/)
+    .map((line) => ({ time: null, text: line.trim(), words: null }));
+
+// Lời nhúng trong file (common.lyrics của music-metadata): SYLT, USLT hoặc tag LYRICS chứa nguyên LRC.
+// Trả về { synced, plain } — mỗi loại có thể null
+const fromEmbedded = (tags) => {
+  let synced = null;
+  let plain = null;
+  for (const tag of Array.isArray(tags) ? tags : []) {
+    const timed = tag.timeStampFormat !== TIMESTAMP_MPEG_FRAMES ? (tag.syncText || []).filter((l) => Number.isFinite(l.timestamp)) : [];
+    if (!synced && timed.length) {
+      synced = {
+        synced: true,
+        offset: 0,
+        language: tag.language || null,
+        lines: timed
+          .map((l) => ({ time: l.timestamp, text: String(l.text ?? "").trim(), words: null }))
+          .sort((a, b) => a.time - b.time)
+      };
+      continue;
+    }
+    const text = tag.text || (tag.syncText || []).map((l) => l.text).join("\n");
+    if (!text?.trim()) continue;
+    if (hasTimeTags(text)) {
+      const parsed = parseLrc(text);
+      if (parsed.synced && !synced) synced = { ...parsed, language: tag.language || null };
+    } else if (!plain) {
+      plain = { synced: false, offset: 0, language: tag.language || null, lines: plainLines(text) };
+    }
+  }
+  return { synced, plain };
+};
+
+// 83456 -> "01:23.46"
+const formatLrcTime = (ms) => {
+  const centis = Math.round(Math.max(ms, 0) / 10);
+  const min = Math.floor(centis / 6000);
+  const sec = (centis % 6000) / 100;
+  return `${String(min).padStart(2, "0")}:${sec.toFixed(2).padStart(5, "0")}`;
+};
+
+// Ghi lại thành LRC (mốc thời gian đã trừ offset nên không ghi [offset]); dòng không có mốc bị bỏ,
+// các dòng còn lại xếp theo thời gian
+const toLrc = (lyrics, { title, artist, album } = {}) => {
+  const header = Object.entries({ ti: title, ar: artist, al: album })
+    .filter(([, value]) => value && value !== "Unknown")
+    .map(([key, value]) => `[${key}:${value}]`);
+  const body = (lyrics?.lines || [])
+    .filter((line) => Number.isFinite(line.time))
+    .sort((a, b) => a.time - b.time)
+    .map((line) => {
+      const words = line.words?.length
+        ? line.words.map((w) => `<${formatLrcTime(w.time)}>${w.text}`).join("") +
+          (Number.isFinite(line.words[line.words.length - 1].end) ? `<${formatLrcTime(line.words[line.words.length - 1].end)}>` : "")
+        : line.text;
+      return `[${formatLrcTime(line.time)}]${words}`;
+    });
+  return [...header, ...body].join("\n") + "\n";
+};
+
+export { parseLrc, fromEmbedded, hasTimeTags, toLrc };
@@ -0,0 +1,279 @@
+import path from "path";
+import { XMLParser } from "fast-xml-parser";
+import { removeVietnameseTones } from "./RemoveVietnameseTones.js";
+import { similarity } from "./StringSimilarity.js";
+import { parseDuration } from "./Duration.js";
+
+const DURATION_TOLERANCE = 3;
+const MIN_ARTIST_SIMILARITY = 0.6;
+const MIN_TITLE_SIMILARITY = 0.8;
+
+const ensureArray = (val) => (Array.isArray(val) ? val : val != null ? [val] : []);
+
+const xspfParser = new XMLParser({
+  ignoreAttributes: true,
+  parseTagValue: false,
+  trimValues: true
+});
+
+const escapeXml = (val) =>
+  String(val ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+// "Artist - Title" -> { artist, title }
+const splitDisplayName = (text) => {
+  const idx = text.indexOf(" - ");
+  if (idx === -1) return { artist: null, title: text.trim() || null };
+  return { artist: text.slice(0, idx).trim() || null, title: text.slice(idx + 3).trim() || null };
+};
+
+// "/music/Album/01 - Artist - Title.flac" -> { artist: "Artist", title: "Title" }
+const guessFromLocation = (location) => {
+  let name = location;
+  try {
+    name = decodeURIComponent(new URL(location, "file:///").pathname);
+  } catch {
+    // Đường dẫn Windows hoặc ký tự % lạc, dùng nguyên chuỗi
+  }
+  const base = path.basename(name.replace(/\\/g, "/"), path.extname(name)).replace(/^\d{1,3}\s*[-._]\s*/, "");
+  return splitDisplayName(base);
+};
+
+// M3U/M3U8: #EXTINF:<giây>[ thuộc tính],<Artist - Title> rồi tới dòng đường dẫn/URL
+const parseM3U = (text) => {
+  const entries = [];
+  let name = null;
+  let info = null;
+
+  text
+    .replace(/^\uFEFF/, "")
+    .split(/\r?\n/)
+    .forEach((raw, idx) => {
+      const line = raw.trim();
+      if (!line) return;
+      if (line.startsWith("#EXTINF:")) {
+        const body = line.slice(8);
+        const comma = body.indexOf(",");
+        const duration = parseFloat(comma === -1 ? body : body.slice(0, comma));
+        info = { duration: duration > 0 ? duration : null, ...splitDisplayName(comma === -1 ? "" : body.slice(comma + 1)) };
+        return;
+      }
+      if (line.startsWith("#PLAYLIST:")) {
+        name = line.slice(10).trim() || null;
+        return;
+      }
+      if (line.startsWith("#")) return;
+
+      const guessed = guessFromLocation(line);
+      entries.push({
+        line: idx + 1,
+        location: line,
+        title: info?.title || guessed.title,
+        artist: info?.artist || guessed.artist,
+        album: null,
+        duration: info?.duration ?? null
+      });
+      info = null;
+    });
+
+  return { name, entries };
+};
+
+// XSPF: <track> có location, title, creator, album, duration (mili giây)
+const parseXSPF = (text) => {
+  let playlist;
+  try {
+    playlist = xspfParser.parse(text)?.playlist;
+  } catch (err) {
+    throw new Error(`XSPF parse error: ${err.message}`);
+  }
+  if (!playlist) throw new Error("Not an XSPF playlist");
+
+  const entries = ensureArray(playlist.trackList?.track).map((track, idx) => {
+    const location = ensureArray(track.location)[0] || null;
+    const guessed = location ? guessFromLocation(location) : {};
+    const duration = parseFloat(track.duration);
+    return {
+      line: idx + 1,
+      location,
+      title: track.title || guessed.title || null,
+      artist: track.creator || guessed.artist || null,
+      album: track.album || null,
+      duration: duration > 0 ? duration / 1000 : null
+    };
+  });
+
+  return { name: playlist.title || null, entries };
+};
+
+const detectFormat = (filename = "", text = "") => {
+  const ext = path.extname(filename).slice(1).toLowerCase();
+  if (ext === "xspf" || /^\s*(<\?xml[^>]*>\s*)?<playlist[\s>]/i.test(text)) return "xspf";
+  if (ext === "m3u" || ext === "m3u8" || /^\uFEFF?#EXTM3U/.test(text)) return "m3u8";
+  return null;
+};
+
+const parsePlaylist = (text, format) => (format === "xspf" ? parseXSPF(text) : parseM3U(text));
+
+// Bỏ dấu, ký tự đặc biệt; bản "loose" bỏ thêm phần trong ngoặc như (Remastered), [Live]
+const normalize = (text) =>
+  removeVietnameseTones(text ?? "")
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+const normalizeLoose = (text) => normalize(String(text ?? "").replace(/\([^)]*\)|\[[^\]]*\]/g, " ")) || normalize(text);
+
+const urlPath = (url) => {
+  try {
+    const parsed = new URL(url);
+    return `${parsed.pathname}${parsed.search}`;
+  } catch {
+    return null;
+  }
+};
+
+// Độ giống tên bài: lấy cao hơn giữa bản đầy đủ và bản bỏ phần trong ngoặc
+const titleSimilarity = (keys, otherKeys) => {
+  let best = 0;
+  for (const a of keys) {
+    for (const b of otherKeys) {
+      if (!a || !b) continue;
+      // Chênh lệch độ dài đã đủ để dưới ngưỡng thì khỏi tính Levenshtein
+      if (Math.min(a.length, b.length) / Math.max(a.length, b.length) < MIN_TITLE_SIMILARITY) continue;
+      best = Math.max(best, similarity(a, b));
+    }
+  }
+  return best;
+};
+
+const artistSimilarity = (entryArtist, itemArtist) => {
+  const a = normalize(entryArtist);
+  const b = normalize(itemArtist);
+  return a && b && (a.includes(b) || b.includes(a)) ? 1 : similarity(a, b);
+};
+
+// Khớp từng entry với thư viện: URL trùng khớp, rồi cùng đường dẫn trên server (IP đổi),
+// cuối cùng là so gần đúng tên bài + nghệ sĩ, thời lượng lệch tối đa ±3 giây
+const matchEntries = (entries, items) => {
+  const byUrl = new Map();
+  const byPath = new Map();
+  const byTitle = new Map();
+  const library = [];
+  for (const libraryItem of items) {
+    const item = {
+      ...libraryItem,
+      durationSeconds: libraryItem.durationSeconds ?? parseDuration(libraryItem.duration),
+      titleKeys: [...new Set([normalize(libraryItem.title), normalizeLoose(libraryItem.title)])].filter(Boolean)
+    };
+    library.push(item);
+    if (item.url) {
+      byUrl.set(item.url, item);
+      const key = urlPath(item.url);
+      if (key && !byPath.has(key)) byPath.set(key, item);
+    }
+    for (const key of item.titleKeys) {
+      if (!byTitle.has(key)) byTitle.set(key, []);
+      byTitle.get(key).push(item);
+    }
+  }
+
+  const matched = [];
+  const unmatched = [];
+
+  for (const entry of entries) {
+    const location = entry.location;
+    let item = location && (byUrl.get(location) || byPath.get(urlPath(location)));
+    let by = item ? "url" : null;
+
+    if (!item && entry.title) {
+      const keys = [...new Set([normalize(entry.title), normalizeLoose(entry.title)])].filter(Boolean);
+      const durationFits = (c) =>
+        entry.duration == null || c.durationSeconds == null || Math.abs(c.durationSeconds - entry.duration) <= DURATION_TOLERANCE;
+      // Trùng tên sau chuẩn hoá thì tra thẳng; không có mới dò gần đúng trên cả thư viện
+      const exact = [...new Set(keys.flatMap((key) => byTitle.get(key) || []))].filter(durationFits);
+      const candidates = exact.length
+        ? exact.map((c) => ({ item: c, title: 1 }))
+        : library
+            .filter(durationFits)
+            .map((c) => ({ item: c, title: titleSimilarity(keys, c.titleKeys) }))
+            .filter((c) => c.title >= MIN_TITLE_SIMILARITY);
+
+      const scored = candidates
+        .map((c) => ({ ...c, artist: entry.artist ? artistSimilarity(entry.artist, c.item.artist) : 0.5 }))
+        .filter((c) => (entry.artist ? c.artist >= MIN_ARTIST_SIMILARITY : true))
+        .map((c) => ({ item: c.item, score: c.title * c.artist }))
+        .sort((x, y) => y.score - x.score);
+
+      // Không có nghệ sĩ để phân biệt thì chỉ nhận khi có đúng một ứng viên
+      if (scored.length && (entry.artist || scored.length === 1)) {
+        item = scored[0].item;
+        by = "metadata";
+      }
+    }
+
+    if (item) {
+      matched.push({ line: entry.line, itemId: item.id, by });
+    } else {
+      unmatched.push({
+        line: entry.line,
+        location,
+        title: entry.title,
+        artist: entry.artist,
+        duration: entry.duration,
+        reason: entry.title ? "No library item with matching artist, title and duration" : "No library item with this URL"
+      });
+    }
+  }
+
+  return { matched, unmatched };
+};
+
+// Tên playlist, tên bài nằm trên một dòng của M3U: bỏ xuống dòng để không chèn thêm dòng lạ
+const singleLine = (text) => String(text ?? "").replace(/[\r\n]+/g, " ");
+
+// Ưu tiên thời lượng đã lưu (giây), không có mới đọc chuỗi duration của DIDL
+const trackDuration = (t) => t.durationSeconds ?? parseDuration(t.duration);
+
+// tracks: item của thư viện; dùng URL gốc của DLNA để player khác trong LAN phát trực tiếp
+const toM3U8 = (name, tracks) =>
+  [
+    "#EXTM3U",
+    `#PLAYLIST:${singleLine(name)}`,
+    ...tracks.flatMap((t) => [
+      `#EXTINF:${Math.round(trackDuration(t) ?? -1)},${singleLine(t.artist ? `${t.artist} - ${t.title ?? ""}` : t.title)}`,
+      singleLine(t.url)
+    ]),
+    ""
+  ].join("\n");
+
+const toXSPF = (name, tracks) => `<?xml version="1.0" encoding="UTF-8"?>
+<playlist version="1" xmlns="http://xspf.org/ns/0/">
+  <title>${escapeXml(name)}</title>
+  <trackList>
+${tracks
+  .map((t) =>
+    [
+      "    <track>",
+      `      <location>${escapeXml(t.url)}</location>`,
+      t.title && `      <title>${escapeXml(t.title)}</title>`,
+      t.artist && `      <creator>${escapeXml(t.artist)}</creator>`,
+      t.album && `      <album>${escapeXml(t.album)}</album>`,
+      trackDuration(t) > 0 && `      <duration>${Math.round(trackDuration(t) * 1000)}</duration>`,
+      "    </track>"
+    ]
+      .filter(Boolean)
+      .join("\n")
+  )
+  .join("\n")}
+  </trackList>
+</playlist>
+`;
+
+const PLAYLIST_FORMATS = {
+  m3u8: { mime: "audio/x-mpegurl", extension: "m3u8", serialize: toM3U8 },
+  xspf: { mime: "application/xspf+xml", extension: "xspf", serialize: toXSPF }
+};
+
+export { parsePlaylist, parseM3U, parseXSPF, detectFormat, matchEntries, toM3U8, toXSPF, PLAYLIST_FORMATS };
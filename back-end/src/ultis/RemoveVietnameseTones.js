@@ -0,0 +1,10 @@
+// Bỏ dấu tiếng Việt và đưa về lowercase để so khớp không phân biệt dấu
+const removeVietnameseTones = (str) => {
+  return String(str ?? "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/đ/g, "d")
+    .replace(/Đ/g, "D")
+    .toLowerCase();
+};
+export { removeVietnameseTones };
@@ -0,0 +1,156 @@
+import { EventEmitter } from "events";
+import { randomUUID } from "crypto";
+
+const MAX_FINISHED_JOBS = 20;
+const PROGRESS_THROTTLE = 250;
+
+const jobs = new Map();
+const updateListeners = new Set();
+
+const createProgress = () => ({
+  containers: 0,
+  discovered: 0,
+  total: 0,
+  processed: 0,
+  metadataFetched: 0,
+  artExtracted: 0,
+  failures: 0,
+  // ObjectID của container duyệt lỗi (đã bỏ qua)
+  failedContainers: []
+});
+
+const isFinished = (job) => ["completed", "failed", "cancelled"].includes(job.status);
+
+const serializeJob = (job) => ({
+  id: job.id,
+  serverId: job.params.serverId,
+  root: job.params.root,
+  metadata: job.params.metadata,
+  status: job.status,
+  phase: job.phase,
+  progress: { ...job.progress },
+  error: job.error,
+  resumedFrom: job.resumedFrom,
+  createdAt: job.createdAt,
+  finishedAt: job.finishedAt
+});
+
+// Chỉ giữ lại một số job đã xong để client còn xem được kết quả
+const pruneJobs = () => {
+  const finished = [...jobs.values()].filter(isFinished);
+  for (const job of finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_JOBS))) jobs.delete(job.id);
+};
+
+const emitJob = (job, type) => {
+  const data = serializeJob(job);
+  for (const listener of updateListeners) listener(data);
+  job.emitter.emit("event", { type, job: data });
+};
+
+// Nghe mọi thay đổi của mọi job (dùng để lưu lịch sử quét xuống database)
+const onScanJobUpdate = (listener) => {
+  updateListeners.add(listener);
+  return () => updateListeners.delete(listener);
+};
+
+// run({ signal, progress, setPhase, reportProgress }) là hàm quét thực sự (nằm ở server.js)
+const runJob = async (job, run) => {
+  let lastEmit = 0;
+  const reportProgress = (force = false) => {
+    const now = Date.now();
+    if (!force && now - lastEmit < PROGRESS_THROTTLE) return;
+    lastEmit = now;
+    emitJob(job, "progress");
+  };
+  const setPhase = (phase) => {
+    job.phase = phase;
+    reportProgress(true);
+  };
+
+  try {
+    await run({ signal: job.controller.signal, progress: job.progress, setPhase, reportProgress });
+    job.status = "completed";
+  } catch (err) {
+    if (job.controller.signal.aborted) {
+      job.status = "cancelled";
+    } else {
+      job.status = "failed";
+      job.error = err.message;
+      console.error(`Scan job ${job.id} failed:`, err);
+    }
+  } finally {
+    job.finishedAt = new Date().toISOString();
+    emitJob(job, "status");
+    job.emitter.removeAllListeners();
+    pruneJobs();
+  }
+};
+
+const findActiveJob = (serverId) =>
+  [...jobs.values()].find((j) => j.params.serverId === serverId && !isFinished(j)) || null;
+
+const startScanJob = (params, run, resumedFrom = null) => {
+  const job = {
+    id: randomUUID(),
+    params,
+    status: "running",
+    phase: "browsing",
+    progress: createProgress(),
+    error: null,
+    resumedFrom,
+    createdAt: new Date().toISOString(),
+    finishedAt: null,
+    controller: new AbortController(),
+    emitter: new EventEmitter()
+  };
+  jobs.set(job.id, job);
+  emitJob(job, "status");
+  runJob(job, run).catch((err) => {
+    // Listener ném lỗi ở bước kết thúc (vd: database bị khoá khi lưu lịch sử quét):
+    // vẫn báo trạng thái cuối cho client đang theo dõi và dọn job thay vì để rejection không ai bắt
+    console.error(`Scan job ${job.id} could not be finalized:`, err);
+    if (!isFinished(job)) {
+      job.status = "failed";
+      job.error = err.message;
+    }
+    job.finishedAt ??= new Date().toISOString();
+    job.emitter.emit("event", { type: "status", job: serializeJob(job) });
+    job.emitter.removeAllListeners();
+    pruneJobs();
+  });
+  return job;
+};
+
+const getScanJob = (id) => jobs.get(id) || null;
+
+const cancelScanJob = (id) => {
+  const job = jobs.get(id);
+  if (!job || isFinished(job)) return job || null;
+  job.controller.abort();
+  return job;
+};
+
+// Job chạy lại với cùng tham số; những item đã ghi vào database sẽ không bị quét lại.
+// previous là job đã serialize (có thể lấy từ lịch sử trong database sau khi server khởi động lại)
+const resumeScanJob = (previous, run) => {
+  if (!previous || !["cancelled", "failed"].includes(previous.status)) return null;
+  const params = { serverId: previous.serverId, root: previous.root, metadata: previous.metadata };
+  return startScanJob(params, run, previous.id);
+};
+
+const subscribeScanJob = (job, listener) => {
+  job.emitter.on("event", listener);
+  return () => job.emitter.off("event", listener);
+};
+
+export {
+  startScanJob,
+  getScanJob,
+  cancelScanJob,
+  resumeScanJob,
+  subscribeScanJob,
+  onScanJobUpdate,
+  findActiveJob,
+  serializeJob,
+  isFinished
+};
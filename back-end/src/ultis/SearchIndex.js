@@ -0,0 +1,297 @@
+import { removeVietnameseTones } from "./RemoveVietnameseTones.js";
+import { boundedLevenshtein } from "./StringSimilarity.js";
+
+// Trọng số theo trường: khớp ở tên bài quan trọng hơn khớp trong lời bài hát
+const FIELDS = [
+  { name: "title", weight: 10 },
+  { name: "artist", weight: 6 },
+  { name: "album", weight: 4 },
+  { name: "composer", weight: 3 },
+  { name: "genre", weight: 2 },
+  { name: "lyrics", weight: 1 }
+];
+const FIELD_BIT = Object.fromEntries(FIELDS.map((f, idx) => [f.name, 1 << idx]));
+const ALL_FIELDS = (1 << FIELDS.length) - 1;
+// Mỗi posting là một số: docNum * MASK_SIZE + bitmask các trường chứa từ đó
+const MASK_SIZE = 1 << FIELDS.length;
+const MASK_WEIGHT = Array.from({ length: MASK_SIZE }, (_, mask) =>
+  Math.max(0, ...FIELDS.filter((_, idx) => mask & (1 << idx)).map((f) => f.weight))
+);
+
+const MATCH_QUALITY = { exact: 1, prefix: 0.7, fuzzy: 0.5 };
+const MAX_PREFIX_TERMS = 100;
+// Doc bị xoá chỉ được đánh dấu; quá tỉ lệ này thì dọn postings
+const COMPACT_RATIO = 0.3;
+const SNIPPET_RADIUS = 40;
+
+// Gồm cả dấu rời (\p{M}) để chuỗi dạng NFD không bị tách giữa từ
+const WORD = /[\p{L}\p{M}\p{N}]+/gu;
+const fold = (text) => removeVietnameseTones(text);
+const tokenize = (text) => fold(text).match(WORD) || [];
+
+// Số lỗi gõ cho phép theo độ dài từ
+const maxEdits = (length) => (length >= 8 ? 2 : length >= 4 ? 1 : 0);
+
+const lyricsText = (lyrics) =>
+  (Array.isArray(lyrics) ? lyrics : lyrics ? [lyrics] : [])
+    .map((l) => (typeof l === "string" ? l : l?.text || (l?.syncText || []).map((s) => s.text).join("\n")))
+    .join("\n");
+
+const fieldText = (item, field) => {
+  if (field === "lyrics") return lyricsText(item.lyrics);
+  const value = item[field];
+  return Array.isArray(value) ? value.join(", ") : String(value ?? "");
+};
+
+const lowerBound = (list, value) => {
+  let lo = 0;
+  let hi = list.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (list[mid] < value) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+};
+
+// Chỉ mục ngược trong bộ nhớ cho thư viện: bỏ dấu, cho phép gõ sai, xếp hạng theo trường khớp
+const createSearchIndex = () => {
+  const postings = new Map();
+  const docs = [];
+  const docNums = new Map();
+  let removed = 0;
+  // Dựng lại khi có từ mới
+  let sortedTerms = null;
+  let fuzzyTerms = null;
+
+  const invalidate = () => {
+    sortedTerms = null;
+    fuzzyTerms = null;
+  };
+
+  const getSortedTerms = () => (sortedTerms ||= [...postings.keys()].sort());
+
+  // Từ chỉ xuất hiện trong lời bài hát không tham gia so gần đúng: quá nhiều và dễ khớp nhầm
+  const getFuzzyTerms = () => {
+    if (!fuzzyTerms) {
+      fuzzyTerms = new Map();
+      for (const [term, list] of postings) {
+        if (!list.some((p) => p % MASK_SIZE & ~FIELD_BIT.lyrics)) continue;
+        if (!fuzzyTerms.has(term.length)) fuzzyTerms.set(term.length, []);
+        fuzzyTerms.get(term.length).push(term);
+      }
+    }
+    return fuzzyTerms;
+  };
+
+  const removeDoc = (id) => {
+    const docNum = docNums.get(id);
+    if (docNum === undefined) return;
+    docs[docNum] = null;
+    docNums.delete(id);
+    removed++;
+  };
+
+  const addDoc = (item) => {
+    const masks = new Map();
+    FIELDS.forEach(({ name }, idx) => {
+      for (const term of tokenize(fieldText(item, name))) masks.set(term, (masks.get(term) || 0) | (1 << idx));
+    });
+    const docNum = docs.length;
+    docs.push({ id: item.id, serverId: item.serverId || null, title: tokenize(item.title).join(" ") });
+    docNums.set(item.id, docNum);
+    for (const [term, mask] of masks) {
+      let list = postings.get(term);
+      if (!list) {
+        list = [];
+        postings.set(term, list);
+        invalidate();
+      }
+      list.push(docNum * MASK_SIZE + mask);
+    }
+  };
+
+  const compact = () => {
+    for (const [term, list] of postings) {
+      const live = list.filter((p) => docs[Math.floor(p / MASK_SIZE)]);
+      if (live.length) postings.set(term, live);
+      else postings.delete(term);
+    }
+    removed = 0;
+    invalidate();
+  };
+
+  const maybeCompact = () => {
+    if (removed > 1000 && removed > docs.length * COMPACT_RATIO) compact();
+  };
+
+  // Các từ trong chỉ mục ứng với một từ của truy vấn -> độ khớp (0..1)
+  const expand = (token, { prefix, fuzzy }) => {
+    const found = new Map();
+    if (postings.has(token)) found.set(token, MATCH_QUALITY.exact);
+    if (prefix) {
+      const terms = getSortedTerms();
+      for (let i = lowerBound(terms, token), n = 0; i < terms.length && n < MAX_PREFIX_TERMS; i++, n++) {
+        if (!terms[i].startsWith(token)) break;
+        if (!found.has(terms[i])) found.set(terms[i], MATCH_QUALITY.prefix);
+      }
+    }
+    // Chỉ dò gần đúng khi không có từ nào khớp, tránh quét từ điển cho mọi truy vấn
+    const edits = fuzzy && !found.size ? maxEdits(token.length) : 0;
+    if (edits) {
+      const byLength = getFuzzyTerms();
+      for (let length = token.length - edits; length <= token.length + edits; length++) {
+        for (const term of byLength.get(length) || []) {
+          const distance = boundedLevenshtein(token, term, edits);
+          if (distance <= edits) found.set(term, MATCH_QUALITY.fuzzy * (1 - distance / (token.length + 1)));
+        }
+      }
+    }
+    return found;
+  };
+
+  // prefix: từ cuối được coi là đang gõ dở; fields: chỉ tìm trong các trường này;
+  // filter(doc) với doc = { id, serverId }. Trả về thứ hạng và các từ đã khớp để tô sáng
+  const search = (query, { limit = 50, offset = 0, prefix = false, fuzzy = true, fields, filter } = {}) => {
+    const tokens = [...new Set(tokenize(query))];
+    if (!tokens.length) return { total: 0, results: [], terms: [] };
+    const fieldMask = fields ? fields.reduce((mask, f) => mask | (FIELD_BIT[f] || 0), 0) : ALL_FIELDS;
+    const terms = new Set();
+    let scores = null;
+
+    for (const [idx, token] of tokens.entries()) {
+      const tokenScores = new Map();
+      const candidates = expand(token, { prefix: prefix && idx === tokens.length - 1, fuzzy });
+      const collect = (term, quality, posting) => {
+        const docNum = Math.floor(posting / MASK_SIZE);
+        const mask = posting % MASK_SIZE & fieldMask;
+        if (!mask || !docs[docNum] || (scores && !scores.has(docNum))) return;
+        terms.add(term);
+        const score = MASK_WEIGHT[mask] * quality;
+        const prev = tokenScores.get(docNum);
+        if (!prev) tokenScores.set(docNum, { score, mask });
+        else {
+          prev.score = Math.max(prev.score, score);
+          prev.mask |= mask;
+        }
+      };
+      for (const [term, quality] of candidates) {
+        const list = postings.get(term);
+        // Postings luôn tăng dần theo docNum: khi số doc còn lại ít thì tra nhị phân thay vì duyệt cả danh sách
+        if (scores && scores.size * 16 < list.length) {
+          for (const docNum of scores.keys()) {
+            const i = lowerBound(list, docNum * MASK_SIZE);
+            if (i < list.length && list[i] < (docNum + 1) * MASK_SIZE) collect(term, quality, list[i]);
+          }
+        } else {
+          for (const posting of list) collect(term, quality, posting);
+        }
+      }
+      // Mọi từ của truy vấn đều phải khớp
+      if (scores) {
+        for (const [docNum, entry] of tokenScores) {
+          const prev = scores.get(docNum);
+          entry.score += prev.score;
+          entry.mask |= prev.mask;
+        }
+      }
+      scores = tokenScores;
+      if (!scores.size) break;
+    }
+
+    // Cộng thêm khi cả cụm từ nằm trong tên bài
+    const phrase = tokens.join(" ");
+    const results = [];
+    for (const [docNum, { score, mask }] of scores) {
+      const doc = docs[docNum];
+      if (filter && !filter(doc)) continue;
+      const bonus = doc.title === phrase ? 10 : doc.title.startsWith(phrase) ? 5 : doc.title.includes(phrase) ? 3 : 0;
+      results.push({
+        id: doc.id,
+        title: doc.title,
+        score: Number((score + bonus).toFixed(3)),
+        fields: FIELDS.filter((_, idx) => mask & (1 << idx)).map((f) => f.name)
+      });
+    }
+    results.sort((a, b) => b.score - a.score || a.title.localeCompare(b.title));
+
+    return {
+      total: results.length,
+      results: results.slice(offset, offset + limit).map(({ id, score, fields: matched }) => ({ id, score, fields: matched })),
+      terms: [...terms]
+    };
+  };
+
+  return {
+    rebuild: (items) => {
+      postings.clear();
+      docs.length = 0;
+      docNums.clear();
+      removed = 0;
+      invalidate();
+      for (const item of items) addDoc(item);
+    },
+    upsert: (items) => {
+      for (const item of items) {
+        removeDoc(item.id);
+        addDoc(item);
+      }
+      maybeCompact();
+    },
+    remove: (ids) => {
+      for (const id of ids) removeDoc(id);
+      maybeCompact();
+    },
+    search,
+    size: () => docNums.size
+  };
+};
+
+// Vị trí [start, end) của các từ khớp trong chuỗi gốc
+const highlightRanges = (text, terms) => {
+  const ranges = [];
+  for (const match of String(text ?? "").matchAll(WORD)) {
+    if (terms.has(fold(match[0]))) ranges.push([match.index, match.index + match[0].length]);
+  }
+  return ranges;
+};
+
+// Đoạn lời bài hát quanh từ khớp đầu tiên, cắt theo ranh giới từ
+const makeSnippet = (text, terms) => {
+  const ranges = highlightRanges(text, terms);
+  if (!ranges.length) return null;
+  const [first] = ranges;
+  let start = Math.max(0, first[0] - SNIPPET_RADIUS);
+  let end = Math.min(text.length, first[1] + SNIPPET_RADIUS);
+  if (start > 0) {
+    const space = text.slice(start, first[0]).search(/\s/);
+    if (space !== -1) start += space + 1;
+  }
+  if (end < text.length) {
+    const space = text.slice(first[1], end).search(/\s\S*$/);
+    if (space !== -1) end = first[1] + space;
+  }
+  const lead = start > 0 ? "…" : "";
+  return {
+    // Thay xuống dòng bằng khoảng trắng (cùng độ dài) để vị trí tô sáng không lệch
+    text: `${lead}${text.slice(start, end).replace(/\s/g, " ")}${end < text.length ? "…" : ""}`,
+    ranges: ranges
+      .filter(([s, e]) => s >= start && e <= end)
+      .map(([s, e]) => [s - start + lead.length, e - start + lead.length])
+  };
+};
+
+// { highlights: { title: [[start, end]], ... }, snippet } cho một item, terms lấy từ kết quả search
+const highlightItem = (item, terms) => {
+  const termSet = new Set(terms);
+  const highlights = {};
+  for (const { name } of FIELDS) {
+    if (name === "lyrics") continue;
+    const ranges = highlightRanges(fieldText(item, name), termSet);
+    if (ranges.length) highlights[name] = ranges;
+  }
+  const snippet = item.lyrics ? makeSnippet(lyricsText(item.lyrics), termSet) : null;
+  return { highlights, snippet };
+};
+
+export { createSearchIndex, highlightItem };
@@ -0,0 +1,137 @@
+// Cài đặt người dùng (một bản cho cả LAN), lưu trong bảng meta.
+// Mỗi nhóm có giá trị mặc định; client chỉ gửi phần thay đổi (PATCH)
+const REPLAY_GAIN_MODES = ["off", "track", "album", "auto"];
+const MAX_PREAMP = 15;
+
+// Equalizer: 10 band BiquadFilter, tần số mặc định theo quãng tám như EQ đồ hoạ
+const EQ_BAND_COUNT = 10;
+const EQ_FILTER_TYPES = ["peaking", "lowshelf", "highshelf", "lowpass", "highpass", "notch"];
+const EQ_FREQUENCIES = [31, 62, 125, 250, 500, 1000, 2000, 4000, 8000, 16000];
+const MAX_EQ_GAIN = 24;
+const MAX_EQ_PRESETS = 50;
+const MAX_PRESET_NAME = 50;
+
+const flatBands = () => EQ_FREQUENCIES.map((frequency) => ({ type: "peaking", frequency, gain: 0, q: 1.41 }));
+
+const DEFAULT_SETTINGS = {
+  replayGain: { mode: "off", preamp: 0, preventClipping: true },
+  // enabled = false là bypass EQ (preamp + band); balance/mono vẫn áp dụng
+  equalizer: { enabled: false, preamp: 0, balance: 0, mono: false, bands: flatBands(), preset: null, presets: {} }
+};
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+const round = (value, digits = 1) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// Giá trị đã lưu + mặc định cho các trường còn thiếu (kể cả trường mới thêm sau này)
+const withDefaults = (saved) => {
+  const settings = {};
+  for (const [group, defaults] of Object.entries(DEFAULT_SETTINGS)) {
+    settings[group] = { ...defaults, ...saved?.[group] };
+  }
+  return settings;
+};
+
+const validateReplayGain = (patch, errors) => {
+  const out = {};
+  if (patch.mode !== undefined) {
+    if (REPLAY_GAIN_MODES.includes(patch.mode)) out.mode = patch.mode;
+    else errors.push(`replayGain.mode must be one of ${REPLAY_GAIN_MODES.join(", ")}`);
+  }
+  if (patch.preamp !== undefined) {
+    const preamp = Number(patch.preamp);
+    if (Number.isFinite(preamp)) out.preamp = clamp(round(preamp), -MAX_PREAMP, MAX_PREAMP);
+    else errors.push("replayGain.preamp must be a number");
+  }
+  if (patch.preventClipping !== undefined) out.preventClipping = Boolean(patch.preventClipping);
+  return out;
+};
+
+const readNumber = (value, min, max, digits) => {
+  const number = Number(value);
+  return Number.isFinite(number) ? clamp(round(number, digits), min, max) : null;
+};
+
+// Thiếu band thì bù band phẳng ở tần số mặc định, dư thì báo lỗi
+const readBands = (bands, path, errors) => {
+  if (!Array.isArray(bands) || bands.length > EQ_BAND_COUNT) {
+    errors.push(`${path} must be an array of at most ${EQ_BAND_COUNT} bands`);
+    return null;
+  }
+  const out = flatBands();
+  for (const [idx, band] of bands.entries()) {
+    const type = band?.type ?? "peaking";
+    const frequency = readNumber(band?.frequency, 20, 20000, 0);
+    const gain = readNumber(band?.gain ?? 0, -MAX_EQ_GAIN, MAX_EQ_GAIN, 1);
+    const q = readNumber(band?.q ?? 1.41, 0.1, 20, 2);
+    if (!EQ_FILTER_TYPES.includes(type) || frequency == null || gain == null || q == null) {
+      errors.push(`${path}[${idx}] is invalid`);
+      return null;
+    }
+    out[idx] = { type, frequency, gain, q };
+  }
+  return out;
+};
+
+const validateEqualizer = (patch, errors) => {
+  const out = {};
+  if (patch.enabled !== undefined) out.enabled = Boolean(patch.enabled);
+  if (patch.mono !== undefined) out.mono = Boolean(patch.mono);
+  if (patch.preamp !== undefined) {
+    const preamp = readNumber(patch.preamp, -MAX_EQ_GAIN, MAX_EQ_GAIN, 1);
+    if (preamp != null) out.preamp = preamp;
+    else errors.push("equalizer.preamp must be a number");
+  }
+  if (patch.balance !== undefined) {
+    const balance = readNumber(patch.balance, -1, 1, 2);
+    if (balance != null) out.balance = balance;
+    else errors.push("equalizer.balance must be a number");
+  }
+  if (patch.bands !== undefined) {
+    const bands = readBands(patch.bands, "equalizer.bands", errors);
+    if (bands) out.bands = bands;
+  }
+  if (patch.preset !== undefined) out.preset = patch.preset ? String(patch.preset).slice(0, MAX_PRESET_NAME) : null;
+  // presets gửi cả bộ: { [tên]: { preamp, bands } }
+  if (patch.presets !== undefined) {
+    const entries = patch.presets && typeof patch.presets === "object" ? Object.entries(patch.presets) : null;
+    if (!entries || entries.length > MAX_EQ_PRESETS) {
+      errors.push(`equalizer.presets must be an object with at most ${MAX_EQ_PRESETS} presets`);
+    } else {
+      const presets = {};
+      for (const [name, preset] of entries) {
+        const key = name.trim().slice(0, MAX_PRESET_NAME);
+        const bands = readBands(preset?.bands, `equalizer.presets.${key}.bands`, errors);
+        if (!key || !bands) continue;
+        presets[key] = { preamp: readNumber(preset.preamp ?? 0, -MAX_EQ_GAIN, MAX_EQ_GAIN, 1) ?? 0, bands };
+      }
+      out.presets = presets;
+    }
+  }
+  return out;
+};
+
+const VALIDATORS = { replayGain: validateReplayGain, equalizer: validateEqualizer };
+
+// Gộp patch vào settings hiện tại; trả về { settings, errors } (errors rỗng nếu hợp lệ)
+const mergeSettings = (current, patch) => {
+  const errors = [];
+  const settings = withDefaults(current);
+  if (!patch || typeof patch !== "object" || Array.isArray(patch)) {
+    return { settings, errors: ["Body must be an object"] };
+  }
+  for (const [group, value] of Object.entries(patch)) {
+    const validate = VALIDATORS[group];
+    if (!validate) {
+      errors.push(`Unknown setting: ${group}`);
+      continue;
+    }
+    if (!value || typeof value !== "object") {
+      errors.push(`${group} must be an object`);
+      continue;
+    }
+    settings[group] = { ...settings[group], ...validate(value, errors) };
+  }
+  return { settings, errors };
+};
+
+export { REPLAY_GAIN_MODES, EQ_FILTER_TYPES, DEFAULT_SETTINGS, withDefaults, mergeSettings };
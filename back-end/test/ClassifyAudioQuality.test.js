@@ -0,0 +1,72 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { classifyAudioQuality, normalizeBitrate } from "../src/ultis/ClassifyAudioQuality.js";
+
+describe("classifyAudioQuality", () => {
+  it("classifies DSD as Ultimate with its DSD rate", () => {
+    const quality = classifyAudioQuality({ codec: "DSD", container: "DSF", sampleRate: 2822400, bitDepth: 1, channels: 2 });
+    assert.equal(quality.encoding, "DSD");
+    assert.equal(quality.tier, "Ultimate");
+    assert.equal(quality.label, "DSD64");
+    assert.equal(quality.container, "DSF");
+  });
+
+  it("classifies lossless above 16 bit or 48 kHz as Hi-Res", () => {
+    const quality = classifyAudioQuality({ codec: "FLAC", container: "FLAC", lossless: true, bitDepth: 24, sampleRate: 96000, channels: 2 });
+    assert.deepEqual(quality, {
+      encoding: "Hi-Res",
+      tier: "Premium",
+      label: "FLAC 24/96",
+      codec: "FLAC",
+      container: "FLAC",
+      lossless: true,
+      bitDepth: 24,
+      sampleRate: 96000,
+      bitrate: null,
+      channels: 2,
+      channelLayout: "Stereo",
+      multichannel: false
+    });
+  });
+
+  it("classifies CD-quality lossless as HQ, and 48 kHz as EHQ", () => {
+    const cd = classifyAudioQuality({ codec: "FLAC", bitDepth: 16, sampleRate: 44100 });
+    assert.equal(cd.encoding, "HQ");
+    assert.equal(cd.tier, "High");
+    assert.equal(cd.label, "FLAC 16/44.1");
+    assert.equal(classifyAudioQuality({ codec: "ALAC", bitDepth: 16, sampleRate: 48000 }).encoding, "EHQ");
+  });
+
+  it("classifies lossy as SQ and ignores its decoded bit depth", () => {
+    const quality = classifyAudioQuality({ codec: "MPEG 1 Layer 3", container: "MPEG", bitrate: 320000, bitDepth: 16, sampleRate: 44100 });
+    assert.equal(quality.encoding, "SQ");
+    assert.equal(quality.tier, "Standard");
+    assert.equal(quality.label, "MP3 320kbps");
+    assert.equal(quality.bitDepth, null);
+    assert.equal(quality.lossless, false);
+  });
+
+  it("falls back to the DIDL mime type, bitrate and channel count", () => {
+    const quality = classifyAudioQuality({}, { mimeType: "audio/mpeg", bitrate: "40000", nrAudioChannels: "6" });
+    assert.equal(quality.codec, "MP3");
+    assert.equal(quality.bitrate, 320);
+    assert.equal(quality.channels, 6);
+    assert.equal(quality.channelLayout, "5.1");
+    assert.equal(quality.multichannel, true);
+  });
+
+  it("guesses lossless from the bitrate when the codec is unknown", () => {
+    assert.equal(classifyAudioQuality({}, { bitrate: "176400" }).lossless, true);
+    assert.equal(classifyAudioQuality({}, { bitrate: "16000" }).lossless, false);
+    assert.equal(classifyAudioQuality().lossless, null);
+  });
+});
+
+describe("normalizeBitrate", () => {
+  it("converts bit/s from metadata and byte/s from DIDL to kbps", () => {
+    assert.equal(normalizeBitrate({ bitrate: 1411200 }), 1411);
+    assert.equal(normalizeBitrate({ didlBitrate: "176400" }), 1411);
+    assert.equal(normalizeBitrate({ bitrate: 0, didlBitrate: "0" }), null);
+    assert.equal(normalizeBitrate(), null);
+  });
+});
@@ -0,0 +1,53 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { extractPalette } from "../src/ultis/ColorPalette.js";
+
+// Ảnh RGBA từ danh sách [màu, số điểm ảnh]
+const image = (...regions) => {
+  const pixels = regions.flatMap(([rgba, count]) => Array.from({ length: count }, () => (rgba.length === 3 ? [...rgba, 255] : rgba)));
+  return { width: pixels.length, height: 1, data: Uint8ClampedArray.from(pixels.flat()) };
+};
+
+describe("extractPalette", () => {
+  it("picks the most common color as dominant and sorts colors into swatches", () => {
+    const palette = extractPalette(
+      image(
+        [[200, 40, 40], 50], // đỏ tươi: vibrant
+        [[250, 180, 180], 30], // hồng nhạt: lightVibrant
+        [[80, 10, 10], 20], // đỏ sẫm: darkVibrant
+        [[140, 120, 120], 10], // xám ngả đỏ: muted
+        [[50, 45, 45], 5] // gần đen: darkMuted
+      )
+    );
+    assert.deepEqual(palette, {
+      dominant: "#c82828",
+      vibrant: "#c82828",
+      lightVibrant: "#fab4b4",
+      darkVibrant: "#500a0a",
+      muted: "#8c7878",
+      darkMuted: "#322d2d"
+    });
+  });
+
+  it("leaves swatches without a fitting color empty and never reuses a color", () => {
+    // Độ sáng 0.4 nằm trong cả khoảng của vibrant lẫn darkVibrant nhưng chỉ được dùng một lần
+    assert.deepEqual(extractPalette(image([[180, 25, 25], 10])), {
+      dominant: "#b41919",
+      vibrant: "#b41919",
+      lightVibrant: null,
+      darkVibrant: null,
+      muted: null,
+      darkMuted: null
+    });
+  });
+
+  it("averages pixels that fall in the same bucket", () => {
+    assert.equal(extractPalette(image([[200, 40, 40], 1], [[202, 42, 42], 1])).dominant, "#c92929");
+  });
+
+  it("ignores transparent pixels and returns null when nothing is opaque", () => {
+    assert.equal(extractPalette(image([[0, 0, 255, 0], 100], [[200, 40, 40], 1])).dominant, "#c82828");
+    assert.equal(extractPalette(image([[200, 40, 40, 100], 10])), null);
+    assert.equal(extractPalette({ width: 0, height: 0, data: new Uint8ClampedArray(0) }), null);
+  });
+});
@@ -0,0 +1,185 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { browse, browseAll, walk, isAudioItem, buildSearchCriteria } from "../src/ultis/ContentDirectory.js";
+import { startFakeMediaServer } from "./fakeMediaServer.js";
+
+const track = (id, url = `http://nas/${id}.flac`) => ({ id, title: `Track ${id}`, url });
+const tracks = (count, prefix = "t") => Array.from({ length: count }, (_, i) => track(`${prefix}${i}`));
+
+describe("browse", () => {
+  let fake;
+  before(async () => {
+    fake = await startFakeMediaServer({ tree: { 0: { containers: [{ id: "1", title: "Music" }], items: tracks(2) } } });
+  });
+  after(() => fake.close());
+
+  it("returns containers, items and paging counters of one page", async () => {
+    const page = await browse(fake.mediaServer, "0");
+    assert.deepEqual(
+      page.containers.map((c) => [c.id, c["dc:title"]]),
+      [[1, "Music"]]
+    );
+    assert.deepEqual(
+      page.items.map((i) => i["dc:title"]),
+      ["Track t0", "Track t1"]
+    );
+    assert.equal(page.items[0].res["#text"], "http://nas/t0.flac");
+    assert.equal(page.numberReturned, 3);
+    assert.equal(page.totalMatches, 3);
+  });
+
+  it("surfaces SOAP faults as errors", async () => {
+    await assert.rejects(browse(fake.mediaServer, "missing"), /SOAP fault: No such object/);
+  });
+});
+
+describe("browseAll", () => {
+  it("follows TotalMatches across pages", async () => {
+    const fake = await startFakeMediaServer({ maxPage: 3, tree: { 0: { items: tracks(7) } } });
+    try {
+      const result = await browseAll(fake.mediaServer, "0", { pageSize: 3 });
+      assert.equal(result.items.length, 7);
+      assert.equal(result.totalMatches, 7);
+      assert.deepEqual(
+        fake.requests.map((r) => r.start),
+        [0, 3, 6]
+      );
+    } finally {
+      await fake.close();
+    }
+  });
+
+  it("keeps paging when the server returns fewer items than requested", async () => {
+    const fake = await startFakeMediaServer({ maxPage: 2, tree: { 0: { items: tracks(5) } } });
+    try {
+      const result = await browseAll(fake.mediaServer, "0", { pageSize: 10 });
+      assert.equal(result.items.length, 5);
+      assert.deepEqual(
+        fake.requests.map((r) => r.start),
+        [0, 2, 4]
+      );
+    } finally {
+      await fake.close();
+    }
+  });
+
+  it("stops on a short page when TotalMatches is unknown", async () => {
+    const fake = await startFakeMediaServer({ maxPage: 4, reportTotal: false, tree: { 0: { items: tracks(6) } } });
+    try {
+      const result = await browseAll(fake.mediaServer, "0", { pageSize: 4 });
+      assert.equal(result.items.length, 6);
+      assert.equal(fake.requests.length, 2);
+    } finally {
+      await fake.close();
+    }
+  });
+
+  it("stops before the next page once aborted", async () => {
+    const fake = await startFakeMediaServer({ tree: { 0: { items: tracks(2) } } });
+    try {
+      await assert.rejects(browseAll(fake.mediaServer, "0", { signal: AbortSignal.abort() }), { name: "AbortError" });
+      assert.equal(fake.requests.length, 0);
+    } finally {
+      await fake.close();
+    }
+  });
+});
+
+describe("walk", () => {
+  const tree = {
+    0: { containers: [{ id: "1", title: "All Music" }, { id: "2", title: "Folders" }] },
+    1: { items: [track("a"), track("b")] },
+    // Cùng bài ở view khác (id khác, URL giống) và ảnh bìa, .lrc cùng thư mục
+    2: {
+      containers: [{ id: "2$1", title: "Album" }, { id: "2$9", title: "Broken" }],
+      items: [
+        { id: "cover", title: "Folder", url: "http://nas/folder.jpg", upnpClass: "object.item.imageItem.photo", mime: "image/jpeg" },
+        { id: "lyrics", title: "b.lrc", url: "http://nas/b.lrc", upnpClass: "object.item.textItem", mime: "text/plain" }
+      ]
+    },
+    "2$1": {
+      containers: [{ id: "0", title: "Loop back to root" }],
+      items: [
+        { ...track("b2"), url: "http://nas/b.flac" },
+        // Lớp lạ nhưng protocolInfo là audio/*
+        { id: "c", title: "Track c", url: "http://nas/c.dsf", upnpClass: "object.item", mime: "audio/x-dsf" }
+      ]
+    }
+  };
+
+  it("walks nested containers, deduplicating tracks by URL and skipping non-audio items", async () => {
+    const fake = await startFakeMediaServer({ maxPage: 2, tree, failing: ["2$9"] });
+    try {
+      const visited = [];
+      const result = await walk(fake.mediaServer, "0", { pageSize: 2, onContainer: (p) => visited.push(p) });
+      assert.deepEqual(result.items.map((i) => i["dc:title"]).sort(), ["Track a", "Track b", "Track c"]);
+      assert.deepEqual(
+        result.containers.map((c) => String(c.id)).sort(),
+        ["0", "1", "2", "2$1", "2$9"]
+      );
+      // Container đã duyệt (kể cả root) không bị duyệt lại
+      assert.deepEqual(visited.map((v) => v.id).sort(), ["0", "1", "2", "2$1"]);
+      assert.equal(visited.find((v) => v.id === "2").items, 0);
+    } finally {
+      await fake.close();
+    }
+  });
+
+  it("skips containers that fail to browse and reports them", async () => {
+    const fake = await startFakeMediaServer({ tree, failing: ["2$9"] });
+    try {
+      const errors = [];
+      const result = await walk(fake.mediaServer, "0", { onContainerError: ({ id }) => errors.push(id) });
+      assert.deepEqual(errors, ["2$9"]);
+      assert.equal(result.failed.length, 1);
+      assert.equal(result.failed[0].id, "2$9");
+      assert.equal(result.items.length, 3);
+    } finally {
+      await fake.close();
+    }
+  });
+
+  it("rejects when aborted", async () => {
+    const fake = await startFakeMediaServer({ tree });
+    try {
+      const controller = new AbortController();
+      const walking = walk(fake.mediaServer, "0", {
+        signal: controller.signal,
+        onContainer: () => controller.abort()
+      });
+      await assert.rejects(walking, { name: "AbortError" });
+    } finally {
+      await fake.close();
+    }
+  });
+});
+
+describe("isAudioItem", () => {
+  it("accepts audioItem classes and audio/* protocolInfo", () => {
+    assert.equal(isAudioItem({ "upnp:class": "object.item.audioItem.musicTrack" }), true);
+    assert.equal(isAudioItem({ "upnp:class": { "#text": "object.item.audioItem", name: "x" } }), true);
+    assert.equal(isAudioItem({ "upnp:class": "object.item", res: [{ protocolInfo: "http-get:*:audio/flac:*" }] }), true);
+  });
+
+  it("rejects images, text and video", () => {
+    assert.equal(isAudioItem({ "upnp:class": "object.item.imageItem.photo", res: { protocolInfo: "http-get:*:image/jpeg:*" } }), false);
+    assert.equal(isAudioItem({ "upnp:class": "object.item.textItem", res: { protocolInfo: "http-get:*:text/plain:*" } }), false);
+    assert.equal(isAudioItem({ "upnp:class": "object.item.videoItem", res: { protocolInfo: "http-get:*:video/mp4:*" } }), false);
+  });
+});
+
+describe("buildSearchCriteria", () => {
+  it("combines fields and free text, restricted to audio items when supported", () => {
+    assert.equal(
+      buildSearchCriteria({ q: 'say "hi"', artist: "Mỹ Tâm" }, ["dc:title", "upnp:artist", "upnp:album", "upnp:class"]),
+      'upnp:class derivedfrom "object.item.audioItem" and upnp:artist contains "Mỹ Tâm" and ' +
+        '(dc:title contains "say \\"hi\\"" or upnp:artist contains "say \\"hi\\"" or upnp:album contains "say \\"hi\\"")'
+    );
+  });
+
+  it("returns null when the server cannot search a requested field", () => {
+    assert.equal(buildSearchCriteria({ genre: "Pop" }, ["dc:title"]), null);
+    assert.equal(buildSearchCriteria({ q: "x" }, []), null);
+    assert.equal(buildSearchCriteria({}, ["*"]), null);
+  });
+});
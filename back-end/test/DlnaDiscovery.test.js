@@ -0,0 +1,139 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { discoverMediaServers, fetchDeviceDescription, searchSsdp } from "../src/ultis/DlnaDiscovery.js";
+import { browse } from "../src/ultis/ContentDirectory.js";
+import { startFakeMediaServer, MEDIA_SERVER, CONTENT_DIRECTORY } from "./fakeMediaServer.js";
+
+const SEARCH_OPTIONS = { address: "127.0.0.1", timeout: 500 };
+
+describe("searchSsdp", () => {
+  let fake;
+  before(async () => {
+    fake = await startFakeMediaServer({
+      ssdpResponses: (url) => [
+        `HTTP/1.1 200 OK\r\nST: ${MEDIA_SERVER}\r\nLOCATION: ${url}/description.xml\r\n\r\n`,
+        // Trùng LOCATION, sai ST, không phải 200, thiếu LOCATION: đều bị bỏ
+        `HTTP/1.1 200 OK\r\nST: ${MEDIA_SERVER}\r\nLOCATION: ${url}/description.xml\r\n\r\n`,
+        `HTTP/1.1 200 OK\r\nST: urn:schemas-upnp-org:device:MediaRenderer:1\r\nLOCATION: ${url}/renderer.xml\r\n\r\n`,
+        `HTTP/1.1 404 Not Found\r\nST: ${MEDIA_SERVER}\r\nLOCATION: ${url}/missing.xml\r\n\r\n`,
+        `HTTP/1.1 200 OK\r\nST: ${MEDIA_SERVER}\r\n\r\n`
+      ]
+    });
+  });
+  after(() => fake.close());
+
+  it("sends M-SEARCH for MediaServer and collects unique locations", async () => {
+    const responses = await searchSsdp({ ...SEARCH_OPTIONS, port: fake.ssdpPort });
+    assert.deepEqual(
+      responses.map((r) => r.location),
+      [`${fake.url}/description.xml`]
+    );
+    assert.match(fake.searches[0], /^M-SEARCH \* HTTP\/1\.1\r\n/);
+    assert.match(fake.searches[0], /\r\nMAN: "ssdp:discover"\r\n/);
+    assert.match(fake.searches[0], new RegExp(`\r\nST: ${MEDIA_SERVER}\r\n`));
+  });
+
+  it("waits at least until the resend when the timeout is shorter, without sending on a closed socket", async () => {
+    const before = fake.searches.length;
+    const responses = await searchSsdp({ ...SEARCH_OPTIONS, timeout: 100, port: fake.ssdpPort });
+    assert.equal(responses.length, 1);
+    // Timer gửi lại chạy sau khi socket đóng sẽ là lỗi không bắt được và làm test thất bại
+    await new Promise((resolve) => setTimeout(resolve, 300));
+    assert.equal(fake.searches.length - before, 2);
+  });
+});
+
+describe("discoverMediaServers", () => {
+  let fake;
+  before(async () => {
+    fake = await startFakeMediaServer({
+      udn: "uuid:nas-1",
+      name: "2024",
+      tree: { 0: { items: [{ id: "t1", title: "Song", url: "http://nas/1.flac" }] } }
+    });
+  });
+  after(() => fake.close());
+
+  it("resolves SSDP responses into ContentDirectory endpoints", async () => {
+    const servers = await discoverMediaServers({ ...SEARCH_OPTIONS, port: fake.ssdpPort });
+    assert.equal(servers.length, 1);
+    assert.deepEqual(servers[0], {
+      id: "uuid:nas-1",
+      // friendlyName dạng số vẫn là chuỗi
+      name: "2024",
+      manufacturer: "Test",
+      modelName: "FakeNAS",
+      location: `${fake.url}/description.xml`,
+      baseUrl: fake.url,
+      serviceType: CONTENT_DIRECTORY,
+      controlURL: `${fake.url}/control`,
+      iconUrl: null
+    });
+  });
+
+  it("returns a server that answers Browse over SOAP", async () => {
+    const [server] = await discoverMediaServers({ ...SEARCH_OPTIONS, port: fake.ssdpPort });
+    const page = await browse(server, "0");
+    assert.equal(page.totalMatches, 1);
+    assert.equal(page.items[0]["dc:title"], "Song");
+  });
+
+  it("skips devices whose description cannot be fetched", async () => {
+    const broken = await startFakeMediaServer({
+      ssdpResponses: (url) => [`HTTP/1.1 200 OK\r\nST: ${MEDIA_SERVER}\r\nLOCATION: ${url}/missing.xml\r\n\r\n`]
+    });
+    try {
+      assert.deepEqual(await discoverMediaServers({ ...SEARCH_OPTIONS, port: broken.ssdpPort }), []);
+    } finally {
+      await broken.close();
+    }
+  });
+});
+
+describe("fetchDeviceDescription", () => {
+  const withDescription = async (description, fn) => {
+    const fake = await startFakeMediaServer({ description });
+    try {
+      await fn(`${fake.url}/description.xml`, fake.url);
+    } finally {
+      await fake.close();
+    }
+  };
+
+  it("finds a MediaServer nested in the root device and resolves URLs against URLBase", () =>
+    withDescription(
+      (base) => `<?xml version="1.0"?><root xmlns="urn:schemas-upnp-org:device-1-0"><URLBase>${base}/upnp/</URLBase>
+        <device><deviceType>urn:schemas-upnp-org:device:Basic:1</deviceType><friendlyName>NAS</friendlyName>
+          <deviceList><device><deviceType>${MEDIA_SERVER}</deviceType><friendlyName>Media</friendlyName><UDN>uuid:inner</UDN>
+            <iconList>
+              <icon><mimetype>image/jpeg</mimetype><url>icon.jpg</url></icon>
+              <icon><mimetype>image/png</mimetype><url>icon.png</url></icon>
+            </iconList>
+            <serviceList>
+              <service><serviceType>urn:schemas-upnp-org:service:ConnectionManager:1</serviceType><controlURL>cm</controlURL></service>
+              <service><serviceType>urn:schemas-upnp-org:service:ContentDirectory:2</serviceType><controlURL>cds/control</controlURL></service>
+            </serviceList>
+          </device></deviceList>
+        </device></root>`,
+      async (location, base) => {
+        const server = await fetchDeviceDescription(location);
+        assert.equal(server.id, "uuid:inner");
+        assert.equal(server.name, "Media");
+        assert.equal(server.serviceType, "urn:schemas-upnp-org:service:ContentDirectory:2");
+        assert.equal(server.controlURL, `${base}/upnp/cds/control`);
+        assert.equal(server.iconUrl, `${base}/upnp/icon.png`);
+      }
+    ));
+
+  it("rejects devices without a ContentDirectory service", () =>
+    withDescription(
+      () => `<?xml version="1.0"?><root><device><deviceType>${MEDIA_SERVER}</deviceType><UDN>uuid:x</UDN></device></root>`,
+      (location) => assert.rejects(fetchDeviceDescription(location), /No ContentDirectory service/)
+    ));
+
+  it("rejects descriptions without a MediaServer device", () =>
+    withDescription(
+      () => '<?xml version="1.0"?><root><device><deviceType>urn:schemas-upnp-org:device:MediaRenderer:1</deviceType></device></root>',
+      (location) => assert.rejects(fetchDeviceDescription(location), /No MediaServer device/)
+    ));
+});
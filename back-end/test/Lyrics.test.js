@@ -0,0 +1,116 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { parseLrc, fromEmbedded, toLrc } from "../src/ultis/Lyrics.js";
+
+describe("parseLrc", () => {
+  it("parses timed lines and metadata, sorted by time", () => {
+    const lyrics = parseLrc("\uFEFF[ti:Bài hát]\r\n[ar:Mỹ Tâm]\r\n[00:12.50]Dòng hai\r\n[00:01.2]Dòng một\r\n\r\n");
+    assert.deepEqual(lyrics, {
+      synced: true,
+      offset: 0,
+      meta: { ti: "Bài hát", ar: "Mỹ Tâm" },
+      lines: [
+        { time: 1200, text: "Dòng một", words: null },
+        { time: 12500, text: "Dòng hai", words: null }
+      ]
+    });
+  });
+
+  it("repeats a line for every leading timestamp", () => {
+    const { lines } = parseLrc("[00:10.00][01:20.00]Điệp khúc\n[00:30.00]Verse");
+    assert.deepEqual(
+      lines.map((l) => [l.time, l.text]),
+      [
+        [10000, "Điệp khúc"],
+        [30000, "Verse"],
+        [80000, "Điệp khúc"]
+      ]
+    );
+  });
+
+  it("applies a positive offset by showing lines earlier, never before zero", () => {
+    const lyrics = parseLrc("[offset:+500]\n[00:00.20]Sớm\n[00:02.00]Sau");
+    assert.equal(lyrics.offset, 500);
+    assert.deepEqual(
+      lyrics.lines.map((l) => l.time),
+      [0, 1500]
+    );
+  });
+
+  it("parses word timings of enhanced LRC, with the closing tag as the end of the last word", () => {
+    const { lines } = parseLrc("[00:01.00]<00:01.00>Xin <00:01.50>chào<00:02.10>");
+    assert.deepEqual(lines, [
+      {
+        time: 1000,
+        text: "Xin chào",
+        words: [
+          { time: 1000, text: "Xin " },
+          { time: 1500, text: "chào", end: 2100 }
+        ]
+      }
+    ]);
+  });
+
+  it("accepts mm:ss:xx timestamps", () => {
+    assert.equal(parseLrc("[01:02:50]x").lines[0].time, 62500);
+  });
+
+  it("returns plain lines when there is no timestamp", () => {
+    assert.deepEqual(parseLrc("Câu một\n\nCâu hai"), {
+      synced: false,
+      offset: 0,
+      meta: {},
+      lines: [
+        { time: null, text: "Câu một", words: null },
+        { time: null, text: "Câu hai", words: null }
+      ]
+    });
+  });
+});
+
+describe("fromEmbedded", () => {
+  it("prefers SYLT in milliseconds and keeps USLT as plain lyrics", () => {
+    const { synced, plain } = fromEmbedded([
+      { language: "vie", text: "Lời thường" },
+      { timeStampFormat: 2, syncText: [{ timestamp: 2000, text: " B " }, { timestamp: 1000, text: "A" }] }
+    ]);
+    assert.deepEqual(
+      synced.lines.map((l) => [l.time, l.text]),
+      [
+        [1000, "A"],
+        [2000, "B"]
+      ]
+    );
+    assert.equal(plain.lines[0].text, "Lời thường");
+    assert.equal(plain.language, "vie");
+  });
+
+  it("reads LRC text stored in a lyrics tag and ignores MPEG-frame timestamps", () => {
+    const { synced } = fromEmbedded([
+      { timeStampFormat: 1, syncText: [{ timestamp: 5, text: "frames" }] },
+      { text: "[00:03.00]Từ tag" }
+    ]);
+    assert.deepEqual(synced.lines, [{ time: 3000, text: "Từ tag", words: null }]);
+  });
+});
+
+describe("toLrc", () => {
+  it("writes sorted timed lines with word tags and skips untimed lines", () => {
+    const lrc = toLrc(
+      {
+        lines: [
+          { time: 62500, text: "Sau", words: null },
+          { time: null, text: "Chưa chấm" },
+          { time: 1000, text: "Xin chào", words: [{ time: 1000, text: "Xin " }, { time: 1500, text: "chào", end: 2100 }] }
+        ]
+      },
+      { title: "Bài", artist: "Unknown", album: "Album" }
+    );
+    assert.equal(lrc, "[ti:Bài]\n[al:Album]\n[00:01.00]<00:01.00>Xin <00:01.50>chào<00:02.10>\n[01:02.50]Sau\n");
+  });
+
+  it("round-trips through parseLrc", () => {
+    const original = parseLrc("[00:01.00]<00:01.00>A <00:01.40>B<00:02.00>\n[00:05.25]C");
+    assert.deepEqual(parseLrc(toLrc(original)).lines, original.lines);
+  });
+});
@@ -0,0 +1,196 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { detectFormat, parseM3U, parseXSPF, parsePlaylist, matchEntries, toM3U8, toXSPF } from "../src/ultis/PlaylistFormats.js";
+
+const M3U = `#EXTM3U
+#PLAYLIST:Đi làm
+#EXTINF:205,Sơn Tùng M-TP - Chúng Ta Của Hiện Tại
+http://192.168.1.10:8200/MediaItems/21.flac
+
+#EXTINF:-1,
+/music/Album/03 - Mỹ Tâm - Đừng Hỏi Em.mp3
+`;
+
+const XSPF = `<?xml version="1.0" encoding="UTF-8"?>
+<playlist version="1" xmlns="http://xspf.org/ns/0/">
+  <title>Chill</title>
+  <trackList>
+    <track>
+      <location>http://nas/a.flac</location>
+      <title>A &amp; B</title>
+      <creator>Artist</creator>
+      <album>Album</album>
+      <duration>183500</duration>
+    </track>
+    <track><location>file:///music/01%20-%20X%20-%20Y.flac</location></track>
+  </trackList>
+</playlist>`;
+
+describe("detectFormat", () => {
+  it("uses the extension, then sniffs the content", () => {
+    assert.equal(detectFormat("list.m3u"), "m3u8");
+    assert.equal(detectFormat("list.XSPF"), "xspf");
+    assert.equal(detectFormat("upload", "#EXTM3U\n"), "m3u8");
+    assert.equal(detectFormat("upload", XSPF), "xspf");
+    assert.equal(detectFormat("notes.txt", "hello"), null);
+  });
+});
+
+describe("parseM3U", () => {
+  it("reads EXTINF names and durations, guessing from the path otherwise", () => {
+    assert.deepEqual(parseM3U(M3U), {
+      name: "Đi làm",
+      entries: [
+        {
+          line: 4,
+          location: "http://192.168.1.10:8200/MediaItems/21.flac",
+          title: "Chúng Ta Của Hiện Tại",
+          artist: "Sơn Tùng M-TP",
+          album: null,
+          duration: 205
+        },
+        {
+          line: 7,
+          location: "/music/Album/03 - Mỹ Tâm - Đừng Hỏi Em.mp3",
+          title: "Đừng Hỏi Em",
+          artist: "Mỹ Tâm",
+          album: null,
+          duration: null
+        }
+      ]
+    });
+  });
+});
+
+describe("parseXSPF", () => {
+  it("reads track fields with durations in seconds", () => {
+    const { name, entries } = parseXSPF(XSPF);
+    assert.equal(name, "Chill");
+    assert.deepEqual(entries[0], {
+      line: 1,
+      location: "http://nas/a.flac",
+      title: "A & B",
+      artist: "Artist",
+      album: "Album",
+      duration: 183.5
+    });
+    assert.equal(entries[1].title, "Y");
+    assert.equal(entries[1].artist, "X");
+  });
+
+  it("rejects documents that are not XSPF", () => {
+    assert.throws(() => parseXSPF("<rss></rss>"), /Not an XSPF playlist/);
+    assert.equal(parsePlaylist(M3U, "m3u8").entries.length, 2);
+  });
+});
+
+describe("matchEntries", () => {
+  const library = [
+    { id: "1", url: "http://192.168.1.5:8200/MediaItems/21.flac", title: "Chúng Ta Của Hiện Tại", artist: "Sơn Tùng M-TP", duration: "0:03:25" },
+    { id: "2", url: "http://nas/2.mp3", title: "Đừng Hỏi Em (Remastered)", artist: "Mỹ Tâm", duration: "0:04:10" },
+    { id: "3", url: "http://nas/3.mp3", title: "Intro", artist: "A", durationSeconds: 60, duration: "0:09:00" },
+    { id: "4", url: "http://nas/4.mp3", title: "Intro", artist: "B", duration: "0:01:00" }
+  ];
+  const entry = (fields) => ({ line: 1, location: null, title: null, artist: null, duration: null, ...fields });
+
+  it("matches by URL, then by path on the server when the host changed", () => {
+    const { matched } = matchEntries(
+      [entry({ location: "http://nas/2.mp3" }), entry({ line: 2, location: "http://192.168.1.10:8200/MediaItems/21.flac" })],
+      library
+    );
+    assert.deepEqual(matched, [
+      { line: 1, itemId: "2", by: "url" },
+      { line: 2, itemId: "1", by: "url" }
+    ]);
+  });
+
+  it("matches by title without diacritics or bracketed suffixes, and a similar artist", () => {
+    const { matched } = matchEntries([entry({ title: "dung hoi em", artist: "My Tam", duration: 251 })], library);
+    assert.deepEqual(matched, [{ line: 1, itemId: "2", by: "metadata" }]);
+  });
+
+  it("matches titles that differ by a typo or a bracketed suffix on either side", () => {
+    const { matched } = matchEntries(
+      [
+        entry({ title: "Chung Ta Cua Hien Tai (Remastered)", artist: "Sơn Tùng", duration: 205 }),
+        entry({ line: 2, title: "Dung Hoi Emm", artist: "Mỹ Tâm" }),
+        entry({ line: 3, title: "Chúng Ta Của Hiện Tạii" })
+      ],
+      library
+    );
+    assert.deepEqual(matched, [
+      { line: 1, itemId: "1", by: "metadata" },
+      { line: 2, itemId: "2", by: "metadata" },
+      { line: 3, itemId: "1", by: "metadata" }
+    ]);
+  });
+
+  it("does not match titles that are only loosely similar", () => {
+    const { matched } = matchEntries([entry({ title: "Đừng Hỏi Anh", artist: "Mỹ Tâm" })], library);
+    assert.deepEqual(matched, []);
+  });
+
+  it("rejects metadata matches whose duration differs by more than 3 seconds", () => {
+    const { matched, unmatched } = matchEntries([entry({ title: "Đừng Hỏi Em", artist: "Mỹ Tâm", duration: 240 })], library);
+    assert.deepEqual(matched, []);
+    assert.equal(unmatched[0].reason, "No library item with matching artist, title and duration");
+  });
+
+  it("prefers the stored durationSeconds over the DIDL duration string", () => {
+    const { matched } = matchEntries([entry({ title: "Intro", artist: "A", duration: 61 })], library);
+    assert.deepEqual(matched, [{ line: 1, itemId: "3", by: "metadata" }]);
+  });
+
+  it("needs a single candidate when the entry has no artist", () => {
+    const { matched, unmatched } = matchEntries([entry({ title: "Intro" }), entry({ line: 2, location: "http://other/x.mp3" })], library);
+    assert.deepEqual(matched, []);
+    assert.deepEqual(
+      unmatched.map((u) => u.reason),
+      ["No library item with matching artist, title and duration", "No library item with this URL"]
+    );
+  });
+});
+
+describe("serializers", () => {
+  const tracks = [
+    { url: "http://nas/a.flac", title: "A & B", artist: "Artist", album: "Album", duration: "0:03:03.500" },
+    { url: "http://nas/b.flac", title: "No artist" }
+  ];
+
+  it("prefers the stored durationSeconds and keeps names on one line", () => {
+    const track = { url: "http://nas/c.flac", title: "Line\r\nbreak", artist: "A", durationSeconds: 61.6 };
+    const m3u = toM3U8("Evil\n#EXTINF:1,Injected\nhttp://x", [track]);
+    assert.equal(m3u, "#EXTM3U\n#PLAYLIST:Evil #EXTINF:1,Injected http://x\n#EXTINF:62,A - Line break\nhttp://nas/c.flac\n");
+    assert.equal(parseM3U(m3u).entries.length, 1);
+    assert.match(toXSPF("X", [track]), /<duration>61600<\/duration>/);
+    assert.doesNotMatch(toXSPF("X", [{ url: "http://nas/d.flac", title: "D" }]), /<duration>/);
+  });
+
+  it("writes M3U8 that parses back to the same entries", () => {
+    const text = toM3U8("Chill", tracks);
+    assert.equal(text, "#EXTM3U\n#PLAYLIST:Chill\n#EXTINF:184,Artist - A & B\nhttp://nas/a.flac\n#EXTINF:-1,No artist\nhttp://nas/b.flac\n");
+    const { name, entries } = parseM3U(text);
+    assert.equal(name, "Chill");
+    assert.deepEqual(
+      entries.map((e) => [e.location, e.title, e.artist, e.duration]),
+      [
+        ["http://nas/a.flac", "A & B", "Artist", 184],
+        ["http://nas/b.flac", "No artist", null, null]
+      ]
+    );
+  });
+
+  it("writes escaped XSPF that parses back to the same entries", () => {
+    const text = toXSPF("R&B", tracks);
+    assert.match(text, /<title>R&amp;B<\/title>/);
+    const { name, entries } = parseXSPF(text);
+    assert.equal(name, "R&B");
+    assert.deepEqual(
+      entries.map((e) => [e.location, e.title, e.artist, e.album, e.duration]),
+      [
+        ["http://nas/a.flac", "A & B", "Artist", "Album", 183.5],
+        ["http://nas/b.flac", "No artist", null, null, null]
+      ]
+    );
+  });
+});
@@ -0,0 +1,73 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { startScanJob, cancelScanJob, subscribeScanJob, onScanJobUpdate, serializeJob } from "../src/ultis/ScanJobs.js";
+
+const PARAMS = { serverId: "uuid:nas", root: "0", metadata: false };
+
+// Chờ sự kiện status cuối cùng của job
+const waitForFinish = (job) =>
+  new Promise((resolve) =>
+    subscribeScanJob(job, (event) => {
+      if (event.type === "status" && event.job.finishedAt) resolve(event.job);
+    })
+  );
+
+describe("startScanJob", () => {
+  it("runs the scan in the background and reports progress and completion", async () => {
+    const job = startScanJob(PARAMS, async ({ progress, setPhase }) => {
+      progress.discovered = 3;
+      setPhase("metadata");
+      progress.processed = 3;
+    });
+    assert.equal(serializeJob(job).status, "running");
+    const finished = await waitForFinish(job);
+    assert.equal(finished.status, "completed");
+    assert.equal(finished.phase, "metadata");
+    assert.equal(finished.progress.processed, 3);
+  });
+
+  it("marks a job cancelled when aborted and failed when the scan throws", async () => {
+    const cancelled = startScanJob(
+      PARAMS,
+      ({ signal }) => new Promise((_, reject) => signal.addEventListener("abort", () => reject(new Error("aborted"))))
+    );
+    const cancelledDone = waitForFinish(cancelled);
+    cancelScanJob(cancelled.id);
+    assert.equal((await cancelledDone).status, "cancelled");
+
+    const failed = startScanJob(PARAMS, async () => {
+      throw new Error("Browse failed");
+    });
+    const failedJob = await waitForFinish(failed);
+    assert.equal(failedJob.status, "failed");
+    assert.equal(failedJob.error, "Browse failed");
+  });
+
+  it("still finishes the job when a subscriber throws on the final status", async () => {
+    const job = startScanJob(PARAMS, async () => {});
+    let thrown = false;
+    subscribeScanJob(job, (event) => {
+      if (event.type !== "status" || thrown) return;
+      thrown = true;
+      throw new Error("write after end");
+    });
+    const finished = await waitForFinish(job);
+    assert.equal(finished.status, "completed");
+    assert.ok(thrown);
+  });
+
+  it("still finishes the job when an update listener throws on the final status", async () => {
+    const stop = onScanJobUpdate((job) => {
+      if (job.finishedAt) throw new Error("database is locked");
+    });
+    try {
+      const job = startScanJob(PARAMS, async () => {});
+      const finished = await waitForFinish(job);
+      assert.equal(finished.status, "completed");
+      // Không còn rejection nào treo sau khi job kết thúc
+      await new Promise((resolve) => setImmediate(resolve));
+    } finally {
+      stop();
+    }
+  });
+});
@@ -0,0 +1,94 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { createSearchIndex, highlightItem } from "../src/ultis/SearchIndex.js";
+
+const LIBRARY = [
+  { id: "1", serverId: "nas", title: "Chúng Ta Của Hiện Tại", artist: "Sơn Tùng M-TP", album: "Chúng Ta", genre: "V-Pop" },
+  { id: "2", serverId: "nas", title: "Nắng Ấm Xa Dần", artist: "Sơn Tùng M-TP", album: "m-tp M-TP" },
+  { id: "3", serverId: "pc", title: "Hello", artist: "Adele", album: "25", lyrics: [{ text: "Hello, it's me\nI was wondering" }] },
+  { id: "4", serverId: "pc", title: "Someone Like You", artist: "Adele", composer: ["Adele Adkins", "Dan Wilson"] },
+  { id: "5", serverId: "pc", title: "Tại Vì Sao", artist: "MCK", lyrics: "Chúng ta không thuộc về nhau" }
+];
+
+const ids = (result) => result.results.map((r) => r.id);
+
+describe("createSearchIndex", () => {
+  let index;
+  beforeEach(() => {
+    index = createSearchIndex();
+    index.rebuild(LIBRARY);
+  });
+
+  it("matches without diacritics and requires every query word", () => {
+    assert.deepEqual(ids(index.search("nang am")), ["2"]);
+    assert.deepEqual(ids(index.search("son tung hien tai")), ["1"]);
+    assert.equal(index.search("adele xyz").total, 0);
+  });
+
+  it("ranks title matches above artist and lyrics matches", () => {
+    const result = index.search("chung ta");
+    assert.deepEqual(ids(result), ["1", "5"]);
+    assert.deepEqual(result.results[0].fields, ["title", "album"]);
+    assert.deepEqual(result.results[1].fields, ["lyrics"]);
+    assert.ok(result.results[0].score > result.results[1].score);
+    assert.deepEqual(ids(index.search("adele")), ["3", "4"]);
+  });
+
+  it("completes the last word only in prefix mode", () => {
+    assert.equal(index.search("someone li").total, 0);
+    assert.deepEqual(ids(index.search("someone li", { prefix: true })), ["4"]);
+  });
+
+  it("tolerates typos in longer words unless fuzzy is off", () => {
+    assert.deepEqual(ids(index.search("adelle")), ["3", "4"]);
+    assert.deepEqual(ids(index.search("someonne")), ["4"]);
+    assert.equal(index.search("adelle", { fuzzy: false }).total, 0);
+    // Từ ngắn phải khớp chính xác
+    assert.equal(index.search("mck", { fuzzy: true }).total, 1);
+    assert.equal(index.search("mcx").total, 0);
+  });
+
+  it("does not match typos against words that only appear in lyrics", () => {
+    assert.deepEqual(ids(index.search("wondering")), ["3"]);
+    assert.equal(index.search("wonderinf").total, 0);
+  });
+
+  it("restricts to fields, filters documents and pages results", () => {
+    assert.deepEqual(ids(index.search("chung ta", { fields: ["title"] })), ["1"]);
+    assert.deepEqual(ids(index.search("adele", { filter: (doc) => doc.id !== "3" })), ["4"]);
+    assert.deepEqual(ids(index.search("wilson")), ["4"]);
+    const page = index.search("adele", { limit: 1, offset: 1 });
+    assert.equal(page.total, 2);
+    assert.deepEqual(ids(page), ["4"]);
+  });
+
+  it("returns the index terms that matched for highlighting", () => {
+    assert.deepEqual(index.search("adelle").terms, ["adele"]);
+    assert.deepEqual(index.search("").terms, []);
+  });
+
+  it("updates and removes documents in place", () => {
+    index.upsert([{ id: "3", title: "Hello Again", artist: "Adele" }]);
+    assert.equal(index.size(), 5);
+    assert.deepEqual(ids(index.search("again")), ["3"]);
+    assert.equal(index.search("wondering").total, 0);
+    index.remove(["3", "missing"]);
+    assert.equal(index.size(), 4);
+    assert.deepEqual(ids(index.search("adele")), ["4"]);
+  });
+});
+
+describe("highlightItem", () => {
+  it("returns ranges in the original text and a lyrics snippet", () => {
+    const item = { title: "Chúng Ta Của Hiện Tại", artist: "Sơn Tùng M-TP", lyrics: "Mùa thu rơi vào em\nchúng ta của hiện tại" };
+    assert.deepEqual(highlightItem(item, ["chung", "ta"]), {
+      highlights: { title: [[0, 5], [6, 8]] },
+      snippet: { text: "Mùa thu rơi vào em chúng ta của hiện tại", ranges: [[19, 24], [25, 27]] }
+    });
+  });
+
+  it("has no snippet without lyrics or without a match in them", () => {
+    assert.equal(highlightItem({ title: "Hello" }, ["hello"]).snippet, null);
+    assert.equal(highlightItem({ title: "Hello", lyrics: "nothing here" }, ["hello"]).snippet, null);
+  });
+});
@@ -0,0 +1,157 @@
+import http from "http";
+import dgram from "dgram";
+
+// Media server DLNA giả cho test, chạy trên 127.0.0.1 với cổng ngẫu nhiên:
+// - HTTP: /description.xml và SOAP ContentDirectory (Browse) ở /control
+// - UDP: trả lời M-SEARCH bằng LOCATION của description.xml
+// tree: { [containerId]: { containers: [{ id, title }], items: [{ id, title, url, upnpClass, mime }] } }
+
+const MEDIA_SERVER = "urn:schemas-upnp-org:device:MediaServer:1";
+const CONTENT_DIRECTORY = "urn:schemas-upnp-org:service:ContentDirectory:1";
+
+const escapeXml = (val) =>
+  String(val ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const tagValue = (xml, tag) => new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`).exec(xml)?.[1];
+
+const toDidl = (parentId, containers, items) =>
+  '<DIDL-Lite xmlns="urn:schemas-upnp-org:metadata-1-0/DIDL-Lite/" xmlns:dc="http://purl.org/dc/elements/1.1/" ' +
+  'xmlns:upnp="urn:schemas-upnp-org:metadata-1-0/upnp/">' +
+  containers
+    .map(
+      (c) =>
+        `<container id="${escapeXml(c.id)}" parentID="${escapeXml(parentId)}" restricted="1">` +
+        `<dc:title>${escapeXml(c.title)}</dc:title><upnp:class>object.container.storageFolder</upnp:class></container>`
+    )
+    .join("") +
+  items
+    .map(
+      (i) =>
+        `<item id="${escapeXml(i.id)}" parentID="${escapeXml(parentId)}" restricted="1">` +
+        `<dc:title>${escapeXml(i.title)}</dc:title>` +
+        `<upnp:class>${i.upnpClass || "object.item.audioItem.musicTrack"}</upnp:class>` +
+        `<res protocolInfo="http-get:*:${i.mime || "audio/flac"}:*">${escapeXml(i.url)}</res></item>`
+    )
+    .join("") +
+  "</DIDL-Lite>";
+
+const soapEnvelope = (body) =>
+  '<?xml version="1.0"?><s:Envelope xmlns:s="http://schemas.xmlsoap.org/soap/envelope/"><s:Body>' + body + "</s:Body></s:Envelope>";
+
+const soapFault = (description) =>
+  soapEnvelope(
+    "<s:Fault><faultcode>s:Client</faultcode><faultstring>UPnPError</faultstring><detail>" +
+      `<UPnPError xmlns="urn:schemas-upnp-org:control-1-0"><errorCode>701</errorCode><errorDescription>${description}</errorDescription></UPnPError>` +
+      "</detail></s:Fault>"
+  );
+
+const defaultDescription = ({ udn, name }) =>
+  '<?xml version="1.0"?><root xmlns="urn:schemas-upnp-org:device-1-0"><specVersion><major>1</major><minor>0</minor></specVersion>' +
+  `<device><deviceType>${MEDIA_SERVER}</deviceType><friendlyName>${escapeXml(name)}</friendlyName>` +
+  `<manufacturer>Test</manufacturer><modelName>FakeNAS</modelName><UDN>${udn}</UDN>` +
+  `<serviceList><service><serviceType>${CONTENT_DIRECTORY}</serviceType><serviceId>urn:upnp-org:serviceId:ContentDirectory</serviceId>` +
+  "<controlURL>/control</controlURL><eventSubURL>/event</eventSubURL><SCPDURL>/scpd.xml</SCPDURL></service></serviceList>" +
+  "</device></root>";
+
+// maxPage: số con tối đa mỗi trang (server thật thường giới hạn); failing: container trả HTTP 500;
+// reportTotal = false: TotalMatches luôn là 0 như một số server không biết tổng;
+// description(base): XML thay cho description mặc định; ssdpResponses(base): các gói trả lời M-SEARCH
+const startFakeMediaServer = async ({
+  tree = {},
+  maxPage = 10,
+  failing = [],
+  reportTotal = true,
+  udn = "uuid:fake-nas",
+  name = "Fake NAS",
+  description,
+  ssdpResponses
+} = {}) => {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      const base = `http://127.0.0.1:${server.address().port}`;
+      if (req.url === "/description.xml") {
+        res.setHeader("Content-Type", "text/xml");
+        return res.end(description ? description(base) : defaultDescription({ udn, name }));
+      }
+      if (req.url !== "/control") {
+        res.statusCode = 404;
+        return res.end();
+      }
+
+      const action = String(req.headers.soapaction || "").replace(/"/g, "").split("#")[1];
+      res.setHeader("Content-Type", 'text/xml; charset="utf-8"');
+      if (action !== "Browse") {
+        res.statusCode = 500;
+        return res.end(soapFault("Invalid Action"));
+      }
+
+      const id = tagValue(body, "ObjectID");
+      const start = parseInt(tagValue(body, "StartingIndex")) || 0;
+      const count = Math.min(parseInt(tagValue(body, "RequestedCount")) || maxPage, maxPage);
+      requests.push({ id, start, count });
+      if (failing.includes(id)) {
+        res.statusCode = 500;
+        return res.end("Internal error");
+      }
+      const node = tree[id];
+      if (!node) {
+        res.statusCode = 500;
+        return res.end(soapFault("No such object"));
+      }
+
+      const children = [...(node.containers || []).map((c) => ({ c })), ...(node.items || []).map((i) => ({ i }))];
+      const page = children.slice(start, start + count);
+      const didl = toDidl(
+        id,
+        page.filter((x) => x.c).map((x) => x.c),
+        page.filter((x) => x.i).map((x) => x.i)
+      );
+      res.end(
+        soapEnvelope(
+          `<u:BrowseResponse xmlns:u="${CONTENT_DIRECTORY}"><Result>${escapeXml(didl)}</Result>` +
+            `<NumberReturned>${page.length}</NumberReturned><TotalMatches>${reportTotal ? children.length : 0}</TotalMatches>` +
+            "<UpdateID>1</UpdateID></u:BrowseResponse>"
+        )
+      );
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  const ssdp = dgram.createSocket("udp4");
+  const searches = [];
+  ssdp.on("message", (msg, rinfo) => {
+    const text = msg.toString();
+    if (!text.startsWith("M-SEARCH")) return;
+    searches.push(text);
+    const replies = ssdpResponses
+      ? ssdpResponses(url)
+      : [
+          "HTTP/1.1 200 OK\r\nCACHE-CONTROL: max-age=1800\r\n" +
+            `ST: ${MEDIA_SERVER}\r\nUSN: ${udn}::${MEDIA_SERVER}\r\nLOCATION: ${url}/description.xml\r\n\r\n`
+        ];
+    for (const reply of replies) ssdp.send(Buffer.from(reply), rinfo.port, rinfo.address);
+  });
+  await new Promise((resolve) => ssdp.bind(0, "127.0.0.1", resolve));
+
+  return {
+    url,
+    ssdpPort: ssdp.address().port,
+    // Đối tượng server như DlnaDiscovery trả về, dùng thẳng cho ContentDirectory
+    mediaServer: { id: udn, name, serviceType: CONTENT_DIRECTORY, controlURL: `${url}/control` },
+    requests,
+    searches,
+    close: () =>
+      Promise.all([new Promise((resolve) => server.close(resolve)), new Promise((resolve) => ssdp.close(resolve))])
+  };
+};
+
+export { startFakeMediaServer, MEDIA_SERVER, CONTENT_DIRECTORY };
@@ -1,12 +1,25 @@
 import './App.css';
 import { BrowserRouter, Route, Routes } from 'react-router-dom';
 import Home from './pages/Home';
+import Albums from './pages/Albums';
+import AlbumDetail from './pages/AlbumDetail';
+import Artists from './pages/Artists';
+import ArtistDetail from './pages/ArtistDetail';
+import Folders from './pages/Folders';
 
 function App() {
   return (
     <BrowserRouter>
       <Routes>
-        <Route path='/' element={<Home />}></Route>
+        {/* Các trang con render bên trong Home để player không bị dừng khi chuyển trang */}
+        <Route path='/' element={<Home />}>
+          <Route path='albums' element={<Albums />} />
+          <Route path='albums/:id' element={<AlbumDetail />} />
+          <Route path='artists' element={<Artists />} />
+          <Route path='artists/:id' element={<ArtistDetail />} />
+          <Route path='folders' element={<Folders />} />
+          <Route path='folders/:id' element={<Folders />} />
+        </Route>
       </Routes>
     </BrowserRouter>
   )
@@ -0,0 +1,30 @@
+import { Row, Col } from "react-bootstrap";
+import { Link } from "react-router-dom";
+import { albumArtSrc } from "../utils/format";
+
+// Lưới bìa album, mỗi ô dẫn tới /albums/:id
+export default function AlbumGrid({ albums, showArtist = true }) {
+  return (
+    <Row xs={2} sm={3} md={4} xl={5} className="g-3">
+      {albums.map((a) => (
+        <Col key={a.id}>
+          <Link to={`/albums/${a.id}`} className="text-white text-decoration-none d-block">
+            <img
+              src={albumArtSrc(a.albumArtUrl, 300)}
+              alt={`${a.title} album art`}
+              className="album-art w-100 mb-2"
+              style={{ aspectRatio: "1 / 1" }}
+              loading="lazy"
+            />
+            <div className="fw-bold text-truncate" title={a.title}>
+              {a.title}
+            </div>
+            <small className="text-secondary d-block text-truncate">
+              {[showArtist && a.artist, a.year, `${a.trackCount} bài`].filter(Boolean).join(" · ")}
+            </small>
+          </Link>
+        </Col>
+      ))}
+    </Row>
+  );
+}
@@ -1,12 +1,9 @@
+import { albumArtSrc } from "../utils/format";
+
 export default function DynamicBackground({ track, isFullPlayer }) {
-  const imageUrl =
-    track?.albumArtUrl
-      ? track.albumArtUrl
-          .replace(/\s/g, "%20")
-          .replace(/\(/g, "%28")
-          .replace(/\)/g, "%29")
-          .replace(/#/g, "%23")
-      : null;
+  // Nền bị làm mờ nên bản 300px là đủ. Trình phát toàn màn hình phủ thêm dải màu từ bảng màu
+  // của ảnh bìa (--player-gradient, đặt ở Home) lên ảnh
+  const imageUrl = albumArtSrc(track?.albumArtUrl, 300);
 
   return (
     <div
@@ -18,7 +15,7 @@ export default function DynamicBackground({ track, isFullPlayer }) {
         height: "100%",
         background:
           isFullPlayer && imageUrl
-            ? `url(${imageUrl}) center/cover no-repeat`
+            ? `var(--player-gradient, linear-gradient(transparent, transparent)), url(${imageUrl}) center/cover no-repeat`
             : "#222222",
         filter: isFullPlayer && track ? "blur(20px)" : "none",
         opacity: isFullPlayer && track ? 0.6 : 1,
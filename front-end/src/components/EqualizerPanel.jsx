@@ -0,0 +1,249 @@
+import { useMemo, useRef, useState } from "react";
+import { Modal, Form, Button, Row, Col, InputGroup } from "react-bootstrap";
+import { FaFileImport, FaSave, FaTrash } from "react-icons/fa";
+import { EQ_FILTER_TYPES, MAX_EQ_GAIN } from "../utils/dspChain";
+import { parseAutoEq } from "../utils/autoEq";
+
+// Preset có sẵn, không sửa/xoá được; preset người dùng lưu trong settings.equalizer.presets.
+// Gain theo thứ tự band mặc định (quãng tám từ 31 Hz), dựng trên band phẳng của backend
+const builtinPresets = (flatBands) => {
+  const withGains = (gains) => flatBands.map((band, idx) => ({ ...band, gain: gains[idx] ?? 0 }));
+  return {
+    "Phẳng": { preamp: 0, bands: flatBands },
+    "Tăng bass": { preamp: -5, bands: withGains([6, 5, 4, 2, 0, 0, 0, 0, 0, 0]) },
+    "Tăng treble": { preamp: -5, bands: withGains([0, 0, 0, 0, 0, 0, 1, 3, 5, 6]) },
+    "Giọng hát": { preamp: -3, bands: withGains([-2, -2, -1, 0, 2, 3, 3, 2, 0, -1]) },
+    "Loudness": { preamp: -5, bands: withGains([5, 4, 2, 0, -1, 0, 0, 1, 3, 4]) },
+  };
+};
+
+const FILTER_LABELS = {
+  peaking: "Peak",
+  lowshelf: "Low shelf",
+  highshelf: "High shelf",
+  lowpass: "Low pass",
+  highpass: "High pass",
+  notch: "Notch",
+};
+
+// Thanh trượt chỉ ±12 dB cho dễ chỉnh; ô nhập số cho phép tới ±MAX_EQ_GAIN
+const SLIDER_RANGE = 12;
+
+const formatFrequency = (hz) => (hz >= 1000 ? `${Math.round(hz / 100) / 10}k` : String(hz));
+const formatDb = (db) => `${db > 0 ? "+" : ""}${db} dB`;
+
+// Equalizer theo band + preamp, balance, mono; onChange nhận một phần của settings.equalizer.
+// defaults: settings.equalizer mặc định từ backend
+export default function EqualizerPanel({ show, onHide, equalizer, defaults, onChange }) {
+  const fileInput = useRef(null);
+  const [selected, setSelected] = useState(0);
+  const [presetName, setPresetName] = useState("");
+  const [message, setMessage] = useState(null);
+  const { bands, presets } = equalizer;
+  const band = bands[selected];
+  const defaultBand = defaults.bands[selected];
+  const builtins = useMemo(() => builtinPresets(defaults.bands), [defaults.bands]);
+
+  // Sửa preamp/band thì không còn đúng preset nào nữa
+  const updateBand = (idx, patch) =>
+    onChange({ bands: bands.map((b, i) => (i === idx ? { ...b, ...patch } : b)), preset: null });
+
+  const applyPreset = (name) => {
+    const preset = builtins[name] || presets[name];
+    if (preset) onChange({ preamp: preset.preamp, bands: preset.bands, preset: name, enabled: true });
+  };
+
+  const savePreset = () => {
+    const name = presetName.trim();
+    if (!name) return;
+    if (builtins[name]) {
+      setMessage({ error: true, text: `"${name}" trùng tên preset có sẵn.` });
+      return;
+    }
+    onChange({ presets: { ...presets, [name]: { preamp: equalizer.preamp, bands } }, preset: name });
+    setPresetName("");
+    setMessage({ text: `Đã lưu preset "${name}".` });
+  };
+
+  const deletePreset = () => {
+    const next = { ...presets };
+    delete next[equalizer.preset];
+    onChange({ presets: next, preset: null });
+  };
+
+  const importProfile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const { preamp, bands: imported, warnings } = parseAutoEq(await file.text(), defaults.bands);
+      const name = file.name.replace(/\.txt$/i, "").replace(/\s*(Parametric|Graphic)EQ$/i, "").trim() || "AutoEq";
+      onChange({ preamp, bands: imported, enabled: true, preset: name, presets: { ...presets, [name]: { preamp, bands: imported } } });
+      setMessage({ text: [`Đã nhập "${name}".`, ...warnings].join(" ") });
+    } catch (error) {
+      setMessage({ error: true, text: error.message });
+    }
+  };
+
+  return (
+    <Modal show={show} onHide={onHide} centered size="lg" contentClassName="bg-dark text-white">
+      <Modal.Header closeButton closeVariant="white" className="border-secondary">
+        <Modal.Title as="h5" className="d-flex align-items-center gap-3">
+          Equalizer
+          <Form.Check
+            type="switch"
+            id="eq-enabled"
+            className="fs-6"
+            label={equalizer.enabled ? "Bật" : "Bypass"}
+            checked={equalizer.enabled}
+            onChange={(e) => onChange({ enabled: e.target.checked })}
+          />
+        </Modal.Title>
+      </Modal.Header>
+      <Modal.Body>
+        <div className="d-flex flex-wrap gap-2 mb-3">
+          <Form.Select
+            size="sm"
+            style={{ maxWidth: "220px" }}
+            value={equalizer.preset || ""}
+            onChange={(e) => applyPreset(e.target.value)}
+          >
+            <option value="" disabled>Tuỳ chỉnh</option>
+            <optgroup label="Có sẵn">
+              {Object.keys(builtins).map((name) => <option key={name} value={name}>{name}</option>)}
+            </optgroup>
+            {Object.keys(presets).length > 0 && (
+              <optgroup label="Của bạn">
+                {Object.keys(presets).map((name) => <option key={name} value={name}>{name}</option>)}
+              </optgroup>
+            )}
+          </Form.Select>
+          {presets[equalizer.preset] && (
+            <Button size="sm" variant="outline-danger" title="Xoá preset" onClick={deletePreset}>
+              <FaTrash />
+            </Button>
+          )}
+          <InputGroup size="sm" style={{ maxWidth: "260px" }}>
+            <Form.Control
+              placeholder="Tên preset mới"
+              value={presetName}
+              onChange={(e) => setPresetName(e.target.value)}
+              onKeyDown={(e) => e.key === "Enter" && savePreset()}
+            />
+            <Button variant="outline-light" title="Lưu preset" disabled={!presetName.trim()} onClick={savePreset}>
+              <FaSave />
+            </Button>
+          </InputGroup>
+          <Button size="sm" variant="outline-light" onClick={() => fileInput.current.click()}>
+            <FaFileImport className="me-1" /> Nhập AutoEq
+          </Button>
+          <input ref={fileInput} type="file" accept=".txt,text/plain" hidden onChange={importProfile} />
+        </div>
+        {message && <div className={`small mb-2 ${message.error ? "text-danger" : "text-secondary"}`}>{message.text}</div>}
+
+        <div className={`eq-bands ${equalizer.enabled ? "" : "eq-bypassed"}`}>
+          <div className="eq-band">
+            <small>{formatDb(equalizer.preamp)}</small>
+            <Form.Range
+              min={-SLIDER_RANGE}
+              max={SLIDER_RANGE}
+              step={0.5}
+              value={equalizer.preamp}
+              onChange={(e) => onChange({ preamp: Number(e.target.value), preset: null })}
+            />
+            <small className="text-secondary">Pre</small>
+          </div>
+          {bands.map((b, idx) => (
+            <div key={idx} className={`eq-band ${idx === selected ? "eq-band-selected" : ""}`} onClick={() => setSelected(idx)}>
+              <small>{b.type === "peaking" || b.type.endsWith("shelf") ? b.gain : "–"}</small>
+              <Form.Range
+                min={-SLIDER_RANGE}
+                max={SLIDER_RANGE}
+                step={0.5}
+                value={b.gain}
+                onChange={(e) => updateBand(idx, { gain: Number(e.target.value) })}
+              />
+              <small className="text-secondary">{formatFrequency(b.frequency)}</small>
+            </div>
+          ))}
+        </div>
+
+        {band && (
+          <Row className="g-2 mt-2 small align-items-end">
+            <Col xs={12} className="text-secondary">Band {selected + 1}</Col>
+            <Col sm={3}>
+              <Form.Label className="mb-1">Kiểu</Form.Label>
+              <Form.Select size="sm" value={band.type} onChange={(e) => updateBand(selected, { type: e.target.value })}>
+                {EQ_FILTER_TYPES.map((type) => <option key={type} value={type}>{FILTER_LABELS[type]}</option>)}
+              </Form.Select>
+            </Col>
+            <Col sm={3}>
+              <Form.Label className="mb-1">Tần số (Hz)</Form.Label>
+              <Form.Control
+                size="sm"
+                type="number"
+                min={20}
+                max={20000}
+                value={band.frequency}
+                onChange={(e) => updateBand(selected, { frequency: Math.min(Math.max(Number(e.target.value) || defaultBand.frequency, 20), 20000) })}
+              />
+            </Col>
+            <Col sm={3}>
+              <Form.Label className="mb-1">Gain (dB)</Form.Label>
+              <Form.Control
+                size="sm"
+                type="number"
+                step={0.1}
+                min={-MAX_EQ_GAIN}
+                max={MAX_EQ_GAIN}
+                value={band.gain}
+                onChange={(e) => updateBand(selected, { gain: Math.min(Math.max(Number(e.target.value) || 0, -MAX_EQ_GAIN), MAX_EQ_GAIN) })}
+              />
+            </Col>
+            <Col sm={3}>
+              <Form.Label className="mb-1">Q</Form.Label>
+              <Form.Control
+                size="sm"
+                type="number"
+                step={0.01}
+                min={0.1}
+                max={20}
+                value={band.q}
+                onChange={(e) => updateBand(selected, { q: Math.min(Math.max(Number(e.target.value) || defaultBand.q, 0.1), 20) })}
+              />
+            </Col>
+          </Row>
+        )}
+
+        <hr className="border-secondary" />
+        <Row className="g-3 small align-items-center">
+          <Col sm={8}>
+            <Form.Label className="d-flex justify-content-between mb-1">
+              <span>Cân bằng trái / phải</span>
+              <span>
+                {equalizer.balance === 0 ? "Giữa" : `${Math.round(Math.abs(equalizer.balance) * 100)}% ${equalizer.balance < 0 ? "trái" : "phải"}`}
+              </span>
+            </Form.Label>
+            <Form.Range
+              min={-1}
+              max={1}
+              step={0.05}
+              value={equalizer.balance}
+              onChange={(e) => onChange({ balance: Number(e.target.value) })}
+              onDoubleClick={() => onChange({ balance: 0 })}
+            />
+          </Col>
+          <Col sm={4}>
+            <Form.Check
+              type="switch"
+              id="eq-mono"
+              label="Mono"
+              checked={equalizer.mono}
+              onChange={(e) => onChange({ mono: e.target.checked })}
+            />
+          </Col>
+        </Row>
+      </Modal.Body>
+    </Modal>
+  );
+}
@@ -0,0 +1,35 @@
+import { Dropdown } from "react-bootstrap";
+import { FaFileExport } from "react-icons/fa";
+
+const FORMATS = [
+  { format: "m3u8", label: "M3U8" },
+  { format: "xspf", label: "XSPF" },
+];
+
+// Tải danh sách bài dưới dạng playlist dùng URL DLNA gốc (mở được bằng VLC, foobar2000... trong LAN)
+export default function ExportMenu({ url, params = {}, size = "sm" }) {
+  const buildHref = (format) => {
+    const query = new URLSearchParams();
+    for (const [key, value] of Object.entries(params)) {
+      if (value != null && value !== "") query.set(key, value);
+    }
+    query.set("format", format);
+    return `${url}?${query}`;
+  };
+
+  return (
+    <Dropdown align="end">
+      <Dropdown.Toggle size={size} variant="outline-light" title="Xuất playlist">
+        <FaFileExport size={12} />
+      </Dropdown.Toggle>
+      <Dropdown.Menu variant="dark">
+        <Dropdown.Header>Xuất playlist</Dropdown.Header>
+        {FORMATS.map((f) => (
+          <Dropdown.Item key={f.format} href={buildHref(f.format)} download>
+            {f.label}
+          </Dropdown.Item>
+        ))}
+      </Dropdown.Menu>
+    </Dropdown>
+  );
+}
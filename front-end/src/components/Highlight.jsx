@@ -0,0 +1,19 @@
+// Tô sáng các đoạn [start, end) do backend trả về trong kết quả tìm kiếm
+export default function Highlight({ text, ranges }) {
+  if (!text || !ranges?.length) return text ?? null;
+
+  const parts = [];
+  let cursor = 0;
+  for (const [start, end] of ranges) {
+    if (start < cursor) continue;
+    if (start > cursor) parts.push(text.slice(cursor, start));
+    parts.push(
+      <mark key={start} className="search-highlight">
+        {text.slice(start, end)}
+      </mark>
+    );
+    cursor = end;
+  }
+  if (cursor < text.length) parts.push(text.slice(cursor));
+  return <>{parts}</>;
+}
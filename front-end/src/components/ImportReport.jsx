@@ -0,0 +1,52 @@
+import { Modal, Table, Button, Badge } from "react-bootstrap";
+
+// Kết quả nhập playlist: số bài khớp và các dòng không tìm thấy trong thư viện
+export default function ImportReport({ report, onClose }) {
+  if (!report) return null;
+
+  return (
+    <Modal show onHide={onClose} centered size="lg" contentClassName="bg-dark text-white">
+      <Modal.Header closeButton closeVariant="white">
+        <Modal.Title as="h5">
+          {report.playlist ? `Đã nhập "${report.playlist.name}"` : report.error || "Không nhập được playlist"}
+        </Modal.Title>
+      </Modal.Header>
+      <Modal.Body>
+        {report.total != null && (
+          <div className="d-flex gap-2 mb-3">
+            <Badge bg="success">Khớp: {report.matched}</Badge>
+            <Badge bg="secondary">Không khớp: {report.unmatched.length}</Badge>
+            <Badge bg="dark">Tổng: {report.total}</Badge>
+          </div>
+        )}
+        {report.unmatched?.length > 0 && (
+          <div style={{ maxHeight: "50vh", overflowY: "auto" }} className="custom-scroll">
+            <Table size="sm" variant="dark" className="mb-0">
+              <thead>
+                <tr>
+                  <th>Dòng</th>
+                  <th>Bài hát</th>
+                  <th>Đường dẫn</th>
+                </tr>
+              </thead>
+              <tbody>
+                {report.unmatched.map((u) => (
+                  <tr key={u.line}>
+                    <td>{u.line}</td>
+                    <td>{[u.artist, u.title].filter(Boolean).join(" - ")}</td>
+                    <td className="text-break small text-secondary">{u.location}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          </div>
+        )}
+      </Modal.Body>
+      <Modal.Footer>
+        <Button variant="outline-light" onClick={onClose}>
+          Đóng
+        </Button>
+      </Modal.Footer>
+    </Modal>
+  );
+}
@@ -0,0 +1,115 @@
+import { useEffect, useRef, useState } from "react";
+import { ListGroup, Spinner } from "react-bootstrap";
+
+// Dòng (hoặc từ) cuối cùng đã tới thời điểm timeMs, -1 nếu chưa tới dòng nào
+const findActive = (list, timeMs) => {
+  let found = -1;
+  for (let i = 0; i < list.length && list[i].time <= timeMs; i++) found = i;
+  return found;
+};
+
+// Lời bài hát trong trình phát toàn màn hình. Lời đồng bộ: tô dòng đang hát (và từng từ nếu có mốc
+// thời gian theo từ), bấm vào dòng để tua tới đó. Lời thường: hiển thị nguyên văn
+export default function LyricsPanel({ lyrics, loading, audio, onSeek }) {
+  const containerRef = useRef(null);
+  const [active, setActive] = useState({ line: -1, word: -1 });
+  const synced = Boolean(lyrics?.synced);
+
+  // Đồng hồ theo requestAnimationFrame khi đang phát (timeupdate chỉ ~4 lần/giây, không đủ cho từng từ);
+  // chỉ setState khi dòng/từ đang hát đổi
+  useEffect(() => {
+    if (!synced || !audio) return;
+    let frame = null;
+    const update = () => {
+      const timeMs = audio.currentTime * 1000;
+      const line = findActive(lyrics.lines, timeMs);
+      const words = lyrics.lines[line]?.words;
+      const word = words ? findActive(words, timeMs) : -1;
+      setActive((prev) => (prev.line === line && prev.word === word ? prev : { line, word }));
+    };
+    const tick = () => {
+      update();
+      frame = requestAnimationFrame(tick);
+    };
+    const start = () => {
+      if (frame === null) tick();
+    };
+    const stop = () => {
+      if (frame !== null) cancelAnimationFrame(frame);
+      frame = null;
+      update();
+    };
+
+    if (!audio.paused) start();
+    else update();
+    audio.addEventListener("play", start);
+    audio.addEventListener("pause", stop);
+    audio.addEventListener("seeked", update);
+    return () => {
+      if (frame !== null) cancelAnimationFrame(frame);
+      audio.removeEventListener("play", start);
+      audio.removeEventListener("pause", stop);
+      audio.removeEventListener("seeked", update);
+    };
+  }, [audio, lyrics, synced]);
+
+  // Bài mới: về đầu
+  useEffect(() => {
+    if (containerRef.current) containerRef.current.scrollTop = 0;
+  }, [lyrics]);
+
+  // Giữ dòng đang hát ở giữa khung
+  useEffect(() => {
+    const container = containerRef.current;
+    const element = container?.querySelector(`[data-line="${active.line}"]`);
+    if (container && element) {
+      container.scrollTop = element.offsetTop - container.offsetTop - container.clientHeight / 2 + element.clientHeight / 2;
+    }
+  }, [active.line]);
+
+  if (loading || !lyrics?.lines?.length) {
+    return (
+      <div className="lyrics-panel lyrics-empty d-flex flex-column justify-content-center align-items-center">
+        {loading ? <Spinner animation="border" size="sm" /> : "Không có lời bài hát"}
+      </div>
+    );
+  }
+
+  if (!synced) {
+    return (
+      <div ref={containerRef} className="lyrics-panel lyrics-plain">
+        {lyrics.lines.map((line, idx) => (
+          <div key={idx} className="lyric-plain-line">{line.text || " "}</div>
+        ))}
+      </div>
+    );
+  }
+
+  const renderWords = (words, isActive) =>
+    words.map((word, idx) => (
+      <span
+        key={idx}
+        className={isActive && idx < active.word ? "lyric-word-sung" : isActive && idx === active.word ? "lyric-word-active" : undefined}
+      >
+        {word.text}
+      </span>
+    ));
+
+  return (
+    <ListGroup ref={containerRef} variant="flush" className="lyrics-panel">
+      {lyrics.lines.map((line, idx) => {
+        const isActive = idx === active.line;
+        return (
+          <ListGroup.Item
+            key={idx}
+            data-line={idx}
+            className={`lyric-line ${isActive ? "lyric-active" : ""}`}
+            onClick={() => onSeek?.(line.time / 1000)}
+          >
+            {line.words ? renderWords(line.words, isActive) : line.text || "♪"}
+          </ListGroup.Item>
+        );
+      })}
+    </ListGroup>
+  );
+}
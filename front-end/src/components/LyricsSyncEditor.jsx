@@ -0,0 +1,191 @@
+import { useEffect, useRef, useState } from "react";
+import { Button, ButtonGroup, Form, ListGroup } from "react-bootstrap";
+import { FaTimes } from "react-icons/fa";
+import LyricsPanel from "./LyricsPanel";
+import { retimeLine } from "../utils/lrc";
+import { formatTimestamp } from "../utils/format";
+
+const NUDGE = 100;
+const NUDGE_FINE = 10;
+
+const HELP = [
+  ["Space / Enter", "chấm dòng đang chọn"],
+  ["Backspace", "bỏ mốc dòng vừa chấm"],
+  ["↑ / ↓", "chọn dòng"],
+  ["[ / ]", "lùi / tới 0,1 giây (dòng vừa chấm)"],
+  ["{ / }", "lùi / tới 0,01 giây"],
+];
+
+const toDraft = (lyrics) =>
+  (lyrics?.lines || [])
+    .filter((line) => line.text.trim())
+    .map((line) => ({ text: line.text, time: lyrics.synced ? line.time : null, words: line.words || null }));
+
+// Tự đồng bộ lời: nghe và bấm phím đúng lúc từng dòng bắt đầu, chỉnh lại từng mốc, xem thử rồi lưu thành LRC.
+// Bắt phím ở capture phase để phím tắt chung của player (Space, ↑/↓, Esc) không chạy trong lúc chấm
+export default function LyricsSyncEditor({ track, lyrics, audio, onSave, onRemoveOverride, onClose }) {
+  const [lines, setLines] = useState(() => toDraft(lyrics));
+  const [cursor, setCursor] = useState(() => Math.max(lines.findIndex((l) => !Number.isFinite(l.time)), 0));
+  const [pasted, setPasted] = useState("");
+  const [preview, setPreview] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+  const listRef = useRef(null);
+  const timedCount = lines.filter((l) => Number.isFinite(l.time)).length;
+
+  const updateLine = (idx, fn) => setLines((prev) => prev.map((line, i) => (i === idx ? fn(line) : line)));
+  const nudge = (idx, delta) => updateLine(idx, (line) => (Number.isFinite(line.time) ? retimeLine(line, line.time + delta) : line));
+  const seekTo = (time) => {
+    if (audio && Number.isFinite(time)) audio.currentTime = time / 1000;
+  };
+
+  // Không khai báo deps: gắn lại sau mỗi lần render để handler luôn thấy cursor/lines mới nhất
+  useEffect(() => {
+    if (preview || !lines.length) return;
+    const handleKeyDown = (e) => {
+      if (e.target.tagName === "INPUT" || e.target.tagName === "TEXTAREA" || e.ctrlKey || e.altKey || e.metaKey) return;
+      const actions = {
+        " ": () => {
+          if (cursor >= lines.length) return;
+          updateLine(cursor, (line) => retimeLine(line, audio.currentTime * 1000));
+          setCursor(cursor + 1);
+        },
+        Backspace: () => {
+          if (cursor === 0) return;
+          updateLine(cursor - 1, (line) => ({ ...line, time: null }));
+          setCursor(cursor - 1);
+        },
+        ArrowUp: () => setCursor(Math.max(cursor - 1, 0)),
+        ArrowDown: () => setCursor(Math.min(cursor + 1, lines.length)),
+        "[": () => nudge(cursor - 1, -NUDGE),
+        "]": () => nudge(cursor - 1, NUDGE),
+        "{": () => nudge(cursor - 1, -NUDGE_FINE),
+        "}": () => nudge(cursor - 1, NUDGE_FINE),
+        // Esc không đóng trình phát giữa chừng để khỏi mất bản đang chấm
+        Escape: () => {},
+      };
+      actions.Enter = actions[" "];
+      const action = actions[e.key];
+      if (!action) return;
+      e.preventDefault();
+      e.stopPropagation();
+      // Nút vừa bấm (−/+) còn focus thì Space sẽ bấm lại nó khi nhả phím
+      if (e.target.tagName === "BUTTON") e.target.blur();
+      action();
+    };
+    window.addEventListener("keydown", handleKeyDown, true);
+    return () => window.removeEventListener("keydown", handleKeyDown, true);
+  });
+
+  // Giữ dòng đang chọn trong khung nhìn
+  useEffect(() => {
+    listRef.current?.querySelector(`[data-line="${cursor}"]`)?.scrollIntoView({ block: "center" });
+  }, [cursor]);
+
+  // Xuất .lrc = lưu rồi tải file backend ghi ra, để file tải về đúng với bản đã lưu
+  const save = async ({ exportFile = false } = {}) => {
+    setSaving(true);
+    setMessage(null);
+    try {
+      await onSave(lines);
+      if (exportFile) window.location.assign(`/api/lyrics/${encodeURIComponent(track.id)}/lrc`);
+      else onClose();
+    } catch (error) {
+      console.error("Lỗi khi lưu lời bài hát:", error);
+      setMessage(error.response?.data?.error || "Không lưu được lời bài hát");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!lines.length) {
+    return (
+      <div className="lyrics-editor">
+        <Form.Label className="small text-secondary">Bài này chưa có lời. Dán lời (mỗi câu một dòng) để bắt đầu đồng bộ:</Form.Label>
+        <Form.Control as="textarea" rows={14} value={pasted} onChange={(e) => setPasted(e.target.value)} className="bg-dark text-white" />
+        <div className="d-flex justify-content-end gap-2 mt-2">
+          <Button size="sm" variant="outline-light" onClick={onClose}>Huỷ</Button>
+          <Button
+            size="sm"
+            variant="success"
+            disabled={!pasted.trim()}
+            onClick={() => setLines(toDraft({ synced: false, lines: pasted.split(/\r?\n/).map((text) => ({ text })) }))}
+          >
+            Bắt đầu
+          </Button>
+        </div>
+      </div>
+    );
+  }
+
+  const draft = { synced: true, lines: lines.filter((l) => Number.isFinite(l.time)).sort((a, b) => a.time - b.time) };
+
+  return (
+    <div className="lyrics-editor">
+      <div className="d-flex flex-wrap align-items-center gap-2 mb-2">
+        <small className="text-secondary me-auto">Đã chấm {timedCount}/{lines.length} dòng</small>
+        <Form.Check type="switch" id="lyrics-preview" label="Xem thử" checked={preview} onChange={(e) => setPreview(e.target.checked)} />
+        <Button size="sm" variant="outline-light" disabled={!timedCount || saving} title="Lưu và tải file .lrc" onClick={() => save({ exportFile: true })}>
+          Xuất .lrc
+        </Button>
+        {lyrics?.source === "override" && (
+          <Button size="sm" variant="outline-danger" onClick={() => onRemoveOverride().then(onClose).catch(console.error)}>
+            Xoá bản đồng bộ
+          </Button>
+        )}
+        <Button size="sm" variant="outline-light" onClick={onClose}>Huỷ</Button>
+        <Button size="sm" variant="success" disabled={!timedCount || saving} onClick={() => save()}>Lưu</Button>
+      </div>
+      {message && <div className="small text-danger mb-2">{message}</div>}
+
+      {preview ? (
+        <LyricsPanel lyrics={draft} audio={audio} onSeek={(time) => seekTo(time * 1000)} />
+      ) : (
+        <>
+          <small className="d-block text-secondary mb-2">
+            {HELP.map(([keys, label]) => (
+              <span key={keys} className="me-3"><kbd>{keys}</kbd> {label}</span>
+            ))}
+          </small>
+          <ListGroup ref={listRef} variant="flush" className="lyrics-panel custom-scroll">
+            {lines.map((line, idx) => (
+              <ListGroup.Item
+                key={idx}
+                data-line={idx}
+                className={`lyrics-editor-line d-flex align-items-center gap-2 ${idx === cursor ? "lyrics-editor-cursor" : ""}`}
+                onClick={() => setCursor(idx)}
+              >
+                <Button
+                  size="sm"
+                  variant="link"
+                  className="lyrics-editor-time"
+                  disabled={!Number.isFinite(line.time)}
+                  title="Nghe từ mốc này"
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    seekTo(line.time);
+                  }}
+                >
+                  {Number.isFinite(line.time) ? formatTimestamp(line.time) : "-:--.--"}
+                </Button>
+                <span className="flex-grow-1 text-truncate">{line.text}</span>
+                {Number.isFinite(line.time) && (
+                  <ButtonGroup size="sm" onClick={(e) => e.stopPropagation()}>
+                    <Button variant="outline-secondary" title="Lùi 0,1 giây" onClick={() => nudge(idx, -NUDGE)}>−</Button>
+                    <Button variant="outline-secondary" title="Tới 0,1 giây" onClick={() => nudge(idx, NUDGE)}>+</Button>
+                    <Button variant="outline-secondary" title="Bỏ mốc" onClick={() => updateLine(idx, (l) => ({ ...l, time: null }))}>
+                      <FaTimes size={10} />
+                    </Button>
+                  </ButtonGroup>
+                )}
+              </ListGroup.Item>
+            ))}
+            <ListGroup.Item data-line={lines.length} className="lyrics-editor-line text-secondary small text-center">
+              {cursor >= lines.length ? "Đã chấm hết — xem thử hoặc lưu" : " "}
+            </ListGroup.Item>
+          </ListGroup>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,66 @@
+import { OverlayTrigger, Popover, Form, Button } from "react-bootstrap";
+import { FaSlidersH } from "react-icons/fa";
+import { MAX_CROSSFADE } from "../utils/playbackEngine";
+import { REPLAY_GAIN_MODES, MAX_PREAMP } from "../utils/replayGain";
+
+// Cài đặt phát nhạc trên thanh player: crossfade giữa các bài, chuẩn hoá âm lượng (ReplayGain), mở equalizer
+export default function PlaybackSettings({ crossfade, onCrossfadeChange, replayGain, onReplayGainChange, onOpenEqualizer }) {
+  const normalizing = replayGain.mode !== "off";
+  const popover = (
+    <Popover className="playback-settings" onClick={(e) => e.stopPropagation()}>
+      <Popover.Body>
+        <Form.Label className="d-flex justify-content-between small mb-1">
+          <span>Crossfade</span>
+          <span>{crossfade ? `${crossfade} giây` : "Tắt (gapless)"}</span>
+        </Form.Label>
+        <Form.Range min={0} max={MAX_CROSSFADE} step={1} value={crossfade} onChange={(e) => onCrossfadeChange(Number(e.target.value))} />
+        <small className="text-secondary d-block">Không áp dụng giữa các bài liền nhau của cùng một album.</small>
+
+        <hr className="my-2" />
+        <Form.Label className="small mb-1">Chuẩn hoá âm lượng</Form.Label>
+        <Form.Select size="sm" value={replayGain.mode} onChange={(e) => onReplayGainChange({ mode: e.target.value })}>
+          {REPLAY_GAIN_MODES.map((mode) => (
+            <option key={mode.value} value={mode.value}>{mode.label}</option>
+          ))}
+        </Form.Select>
+        {replayGain.mode === "auto" && (
+          <small className="text-secondary d-block mt-1">Theo album khi nghe liền các bài của một album, còn lại theo bài.</small>
+        )}
+        <Form.Label className="d-flex justify-content-between small mt-2 mb-1">
+          <span>Pre-amp</span>
+          <span>{replayGain.preamp > 0 ? "+" : ""}{replayGain.preamp} dB</span>
+        </Form.Label>
+        <Form.Range
+          min={-MAX_PREAMP}
+          max={MAX_PREAMP}
+          step={0.5}
+          value={replayGain.preamp}
+          disabled={!normalizing}
+          onChange={(e) => onReplayGainChange({ preamp: Number(e.target.value) })}
+        />
+        <Form.Check
+          type="checkbox"
+          id="replay-gain-clipping"
+          className="small"
+          label="Chống méo tiếng (giới hạn theo peak)"
+          checked={replayGain.preventClipping}
+          disabled={!normalizing}
+          onChange={(e) => onReplayGainChange({ preventClipping: e.target.checked })}
+        />
+
+        <hr className="my-2" />
+        <Button size="sm" variant="outline-secondary" className="w-100" onClick={onOpenEqualizer}>
+          Equalizer…
+        </Button>
+      </Popover.Body>
+    </Popover>
+  );
+
+  return (
+    <OverlayTrigger trigger="click" placement="top" rootClose overlay={popover}>
+      <span title="Cài đặt phát nhạc" style={{ cursor: "pointer", marginRight: "16px" }} onClick={(e) => e.stopPropagation()}>
+        <FaSlidersH size={14} color={crossfade || normalizing ? "#1DB954" : "white"} />
+      </span>
+    </OverlayTrigger>
+  );
+}
@@ -0,0 +1,153 @@
+import { useState, useRef } from "react";
+import { ListGroup, Form, Button } from "react-bootstrap";
+import { FaPlus, FaListUl, FaPen, FaTrash, FaArrowUp, FaArrowDown, FaFileImport } from "react-icons/fa";
+import ImportReport from "./ImportReport";
+
+// Cột bên trái: danh sách playlist, tạo/đổi tên/xoá/sắp xếp
+export default function PlaylistSidebar({ playlists, activeId, onSelect, onCreate, onImport, onRename, onDelete, onMove }) {
+  const [newName, setNewName] = useState("");
+  const [creating, setCreating] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [editName, setEditName] = useState("");
+  const [importReport, setImportReport] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!newName.trim()) return;
+    try {
+      await onCreate(newName.trim());
+      setNewName("");
+      setCreating(false);
+    } catch (error) {
+      console.error("Lỗi khi tạo playlist:", error);
+    }
+  };
+
+  const handleRename = async (e) => {
+    e.preventDefault();
+    if (!editName.trim()) return;
+    try {
+      await onRename(editingId, editName.trim());
+      setEditingId(null);
+    } catch (error) {
+      console.error("Lỗi khi đổi tên playlist:", error);
+    }
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      setImportReport(await onImport(file));
+    } catch (error) {
+      console.error("Lỗi khi nhập playlist:", error);
+      setImportReport({ error: "Có lỗi xảy ra khi nhập playlist" });
+    }
+  };
+
+  const handleDelete = async (playlist) => {
+    if (!window.confirm(`Xoá playlist "${playlist.name}"?`)) return;
+    try {
+      await onDelete(playlist.id);
+    } catch (error) {
+      console.error("Lỗi khi xoá playlist:", error);
+    }
+  };
+
+  return (
+    <div className="playlist-sidebar table-glass text-white d-none d-lg-flex flex-column">
+      <div className="d-flex justify-content-between align-items-center px-3 py-2">
+        <span className="fw-bold">
+          <FaListUl className="me-2" />
+          Playlist
+        </span>
+        <div>
+          <Button
+            size="sm"
+            variant="link"
+            className="text-white p-1"
+            onClick={() => fileInputRef.current?.click()}
+            title="Nhập playlist (.m3u, .m3u8, .xspf)"
+          >
+            <FaFileImport size={12} />
+          </Button>
+          <Button size="sm" variant="link" className="text-white p-1" onClick={() => setCreating(!creating)} title="Tạo playlist">
+            <FaPlus size={12} />
+          </Button>
+        </div>
+        <input ref={fileInputRef} type="file" accept=".m3u,.m3u8,.xspf" hidden onChange={handleImport} />
+      </div>
+
+      {creating && (
+        <Form onSubmit={handleCreate} className="px-3 pb-2">
+          <Form.Control
+            size="sm"
+            autoFocus
+            placeholder="Tên playlist"
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            onKeyDown={(e) => e.key === "Escape" && setCreating(false)}
+          />
+        </Form>
+      )}
+
+      <ListGroup variant="flush" className="flex-grow-1 overflow-auto custom-scroll">
+        {playlists.map((p, idx) => (
+          <ListGroup.Item
+            key={p.id}
+            action
+            active={p.id === activeId}
+            onClick={() => editingId !== p.id && onSelect(p.id)}
+            className="playlist-sidebar-item d-flex align-items-center gap-2 bg-transparent text-white border-0"
+          >
+            {editingId === p.id ? (
+              <Form onSubmit={handleRename} className="flex-grow-1">
+                <Form.Control
+                  size="sm"
+                  autoFocus
+                  value={editName}
+                  onChange={(e) => setEditName(e.target.value)}
+                  onKeyDown={(e) => e.key === "Escape" && setEditingId(null)}
+                  onBlur={() => setEditingId(null)}
+                />
+              </Form>
+            ) : (
+              <>
+                <div className="flex-grow-1 overflow-hidden">
+                  <div className="text-truncate">{p.name}</div>
+                  <small className="text-secondary">{p.entryCount} bài</small>
+                </div>
+                <div className="playlist-sidebar-actions d-flex gap-1" onClick={(e) => e.stopPropagation()}>
+                  <FaArrowUp size={10} title="Lên" style={{ opacity: idx ? 1 : 0.3 }} onClick={() => onMove(p.id, -1)} />
+                  <FaArrowDown
+                    size={10}
+                    title="Xuống"
+                    style={{ opacity: idx < playlists.length - 1 ? 1 : 0.3 }}
+                    onClick={() => onMove(p.id, 1)}
+                  />
+                  <FaPen
+                    size={10}
+                    title="Đổi tên"
+                    onClick={() => {
+                      setEditingId(p.id);
+                      setEditName(p.name);
+                    }}
+                  />
+                  <FaTrash size={10} title="Xoá" onClick={() => handleDelete(p)} />
+                </div>
+              </>
+            )}
+          </ListGroup.Item>
+        ))}
+        {!playlists.length && !creating && (
+          <ListGroup.Item className="bg-transparent text-secondary border-0 small">
+            Chưa có playlist. Chuột phải vào bài hát để thêm.
+          </ListGroup.Item>
+        )}
+      </ListGroup>
+      <ImportReport report={importReport} onClose={() => setImportReport(null)} />
+    </div>
+  );
+}
@@ -0,0 +1,100 @@
+import { Table, Button, Badge } from "react-bootstrap";
+import { FaPlay, FaTimes, FaArrowUp, FaArrowDown, FaTrash } from "react-icons/fa";
+import ExportMenu from "./ExportMenu";
+import { formatDuration } from "../utils/format";
+
+// Nội dung một playlist; bài không còn trong thư viện vẫn hiện nhưng không phát được
+export default function PlaylistView({ playlist, currentTrackId, onPlay, onRemoveEntry, onMoveEntry, onClose }) {
+  const { entries } = playlist;
+
+  return (
+    <div>
+      <div className="d-flex align-items-center gap-3 mb-3 text-white">
+        <Button
+          className="d-flex align-items-center justify-content-center rounded-circle p-2 flex-shrink-0"
+          style={{ backgroundColor: "#1DB954", border: "none", width: "44px", height: "44px" }}
+          onClick={() => onPlay(null)}
+          disabled={!entries.some((e) => e.available)}
+          title="Phát playlist"
+        >
+          <FaPlay size={16} />
+        </Button>
+        <div className="flex-grow-1 overflow-hidden">
+          <h4 className="mb-0 text-truncate">{playlist.name}</h4>
+          <small className="text-secondary">
+            {playlist.entryCount} bài · {formatDuration(playlist.totalDuration)}
+          </small>
+        </div>
+        <ExportMenu url={`/api/playlists/${playlist.id}/export`} />
+        <Button size="sm" variant="link" className="text-white" onClick={onClose} title="Đóng">
+          <FaTimes />
+        </Button>
+      </div>
+
+      <div style={{ maxHeight: "75vh", overflowY: "auto" }} className="custom-scroll">
+        <Table hover bordered className="table-glass text-white mb-0">
+          <thead className="bg-dark sticky-top">
+            <tr>
+              <th style={{ width: "48px" }}>#</th>
+              <th>Title</th>
+              <th>Artist</th>
+              <th className="d-none d-md-table-cell">Album</th>
+              <th className="d-none d-lg-table-cell">Duration</th>
+              <th style={{ width: "96px" }}></th>
+            </tr>
+          </thead>
+          <tbody>
+            {entries.map((e, idx) => (
+              <tr
+                key={e.id}
+                onClick={() => e.available && onPlay(e)}
+                style={{
+                  cursor: e.available ? "pointer" : "default",
+                  opacity: e.available ? 1 : 0.5,
+                  fontWeight: e.item?.id === currentTrackId ? "bold" : "normal",
+                }}
+              >
+                <td>{idx + 1}</td>
+                <td>
+                  {e.item?.title || e.itemId}
+                  {!e.available && (
+                    <Badge bg="secondary" className="ms-2 fw-normal">
+                      không còn trong thư viện
+                    </Badge>
+                  )}
+                </td>
+                <td>{e.item?.artist}</td>
+                <td className="d-none d-md-table-cell">{e.item?.album}</td>
+                <td className="d-none d-lg-table-cell">{e.item?.duration}</td>
+                <td onClick={(ev) => ev.stopPropagation()}>
+                  <div className="d-flex gap-2 justify-content-end">
+                    <FaArrowUp
+                      size={12}
+                      title="Lên"
+                      style={{ cursor: "pointer", opacity: idx ? 1 : 0.3 }}
+                      onClick={() => onMoveEntry(e.id, -1)}
+                    />
+                    <FaArrowDown
+                      size={12}
+                      title="Xuống"
+                      style={{ cursor: "pointer", opacity: idx < entries.length - 1 ? 1 : 0.3 }}
+                      onClick={() => onMoveEntry(e.id, 1)}
+                    />
+                    <FaTrash size={12} title="Xoá khỏi playlist" style={{ cursor: "pointer" }} onClick={() => onRemoveEntry(e.id)} />
+                  </div>
+                </td>
+              </tr>
+            ))}
+            {!entries.length && (
+              <tr>
+                <td colSpan={6} className="text-center text-secondary">
+                  Playlist trống
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </Table>
+      </div>
+    </div>
+  );
+}
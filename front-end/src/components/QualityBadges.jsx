@@ -0,0 +1,47 @@
+import { Badge } from "react-bootstrap";
+
+const TIER_COLORS = { Ultimate: "warning", Premium: "success", High: "info", Standard: "secondary" };
+
+// 44100 -> "44.1", 96000 -> "96"
+const formatKHz = (sampleRate) => String(Number((sampleRate / 1000).toFixed(1)));
+
+// Các badge chất lượng: codec, độ phân giải (hoặc bitrate với file lossy), Hi-Res/DSD, số kênh.
+// Bài quét bằng bản cũ chỉ có label thì hiện label
+export default function QualityBadges({ quality, size = "sm", className = "" }) {
+  if (!quality) return null;
+  if (quality.codec === undefined) {
+    return quality.label ? (
+      <span className={className}>
+        <Badge bg="secondary" className="fw-normal">
+          {quality.label}
+        </Badge>
+      </span>
+    ) : null;
+  }
+
+  const badges = [];
+  if (quality.encoding === "DSD") {
+    badges.push({ key: "dsd", text: quality.label, bg: TIER_COLORS.Ultimate });
+  } else {
+    if (quality.codec || quality.container) badges.push({ key: "codec", text: quality.codec || quality.container, bg: "dark" });
+    if (quality.lossless && quality.sampleRate) {
+      const resolution = quality.bitDepth ? `${quality.bitDepth}/${formatKHz(quality.sampleRate)}` : `${formatKHz(quality.sampleRate)}kHz`;
+      badges.push({ key: "resolution", text: resolution, bg: "dark" });
+    } else if (quality.bitrate) {
+      badges.push({ key: "bitrate", text: `${quality.bitrate}kbps`, bg: "dark" });
+    }
+    if (quality.encoding === "Hi-Res") badges.push({ key: "hires", text: "Hi-Res", bg: TIER_COLORS.Premium });
+    else if (quality.lossless) badges.push({ key: "lossless", text: "Lossless", bg: TIER_COLORS.High });
+  }
+  if (quality.multichannel) badges.push({ key: "channels", text: quality.channelLayout, bg: "primary" });
+
+  return (
+    <span className={`d-inline-flex flex-wrap gap-1 align-items-center ${className}`}>
+      {badges.map((b) => (
+        <Badge key={b.key} bg={b.bg} className="fw-normal" style={size === "sm" ? { fontSize: "0.65rem" } : undefined}>
+          {b.text}
+        </Badge>
+      ))}
+    </span>
+  );
+}
@@ -0,0 +1,104 @@
+import { useState } from "react";
+import { Offcanvas, ListGroup, Button } from "react-bootstrap";
+import { FaGripVertical, FaTimes } from "react-icons/fa";
+import { albumArtSrc } from "../utils/format";
+
+// Hàng đợi "Tiếp theo": bấm để phát, kéo thả để sắp xếp, xoá từng bài
+export default function QueuePanel({ show, onHide, queue }) {
+  const { entries, index } = queue;
+  const [dragFrom, setDragFrom] = useState(null);
+  const [dragOver, setDragOver] = useState(null);
+  const current = entries[index];
+  const upcoming = entries.slice(index + 1);
+
+  const endDrag = () => {
+    setDragFrom(null);
+    setDragOver(null);
+  };
+
+  const handleDrop = (to) => {
+    if (dragFrom !== null) queue.move(dragFrom, to);
+    endDrag();
+  };
+
+  const renderTrack = (track) => (
+    <>
+      <img src={albumArtSrc(track.albumArtUrl, 64)} alt="" width="40" height="40" className="album-art flex-shrink-0" />
+      <div className="overflow-hidden flex-grow-1">
+        <div className="text-truncate">{track.title}</div>
+        <small className="d-block text-truncate text-secondary">{track.artist}</small>
+      </div>
+    </>
+  );
+
+  return (
+    <Offcanvas show={show} onHide={onHide} placement="end" className="queue-panel bg-dark text-white">
+      <Offcanvas.Header closeButton closeVariant="white">
+        <Offcanvas.Title>Hàng đợi</Offcanvas.Title>
+      </Offcanvas.Header>
+      <Offcanvas.Body className="custom-scroll">
+        <div className="small text-secondary mb-2">Đang phát</div>
+        {current ? (
+          <div className="d-flex align-items-center gap-2 mb-4 fw-bold" style={{ color: "#1DB954" }}>
+            {renderTrack(current.track)}
+          </div>
+        ) : (
+          <div className="text-secondary mb-4">Chưa phát bài nào</div>
+        )}
+
+        <div className="d-flex justify-content-between align-items-center mb-2">
+          <span className="small text-secondary">Tiếp theo · {upcoming.length} bài</span>
+          {upcoming.length > 0 && (
+            <Button size="sm" variant="link" className="text-secondary p-0" onClick={queue.clearUpcoming}>
+              Xoá hết
+            </Button>
+          )}
+        </div>
+        <ListGroup variant="flush">
+          {upcoming.map((e, offset) => {
+            const position = index + 1 + offset;
+            return (
+              <ListGroup.Item
+                key={e.uid}
+                action
+                draggable
+                onDragStart={(ev) => {
+                  ev.dataTransfer.effectAllowed = "move";
+                  setDragFrom(position);
+                }}
+                onDragOver={(ev) => {
+                  ev.preventDefault();
+                  setDragOver(position);
+                }}
+                onDrop={(ev) => {
+                  ev.preventDefault();
+                  handleDrop(position);
+                }}
+                onDragEnd={endDrag}
+                onClick={() => queue.jumpTo(e.uid)}
+                className={`d-flex align-items-center gap-2 bg-transparent text-white border-secondary px-1${
+                  dragOver === position && dragFrom !== position ? " queue-drop-target" : ""
+                }`}
+                style={{ opacity: dragFrom === position ? 0.5 : 1 }}
+              >
+                <FaGripVertical size={12} className="text-secondary flex-shrink-0" style={{ cursor: "grab" }} />
+                {renderTrack(e.track)}
+                <FaTimes
+                  size={12}
+                  title="Xoá khỏi hàng đợi"
+                  className="flex-shrink-0"
+                  style={{ cursor: "pointer" }}
+                  onClick={(ev) => {
+                    ev.stopPropagation();
+                    queue.remove(e.uid);
+                  }}
+                />
+              </ListGroup.Item>
+            );
+          })}
+        </ListGroup>
+        {!upcoming.length && <div className="text-secondary small">Hàng đợi trống</div>}
+      </Offcanvas.Body>
+    </Offcanvas>
+  );
+}
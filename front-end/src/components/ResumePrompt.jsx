@@ -0,0 +1,31 @@
+import { Toast, Button } from "react-bootstrap";
+import { FaPlay } from "react-icons/fa";
+import { albumArtSrc, formatDuration } from "../utils/format";
+
+// Lời nhắc nghe tiếp bài đang dở ở lần mở trước (hoặc trên thiết bị khác)
+export default function ResumePrompt({ offer, onResume, onDismiss }) {
+  if (!offer) return null;
+  const { track, position, deviceName, source } = offer;
+
+  return (
+    <Toast show onClose={onDismiss} bg="dark" className="resume-prompt text-white">
+      <Toast.Header closeVariant="white" className="bg-dark text-white border-secondary">
+        <strong className="me-auto">Nghe tiếp?</strong>
+        {source === "remote" && deviceName && <small className="text-secondary">từ {deviceName}</small>}
+      </Toast.Header>
+      <Toast.Body className="d-flex align-items-center gap-2">
+        <img src={albumArtSrc(track.albumArtUrl, 64)} alt="" width="48" height="48" className="album-art flex-shrink-0" />
+        <div className="overflow-hidden flex-grow-1">
+          <div className="text-truncate fw-bold">{track.title}</div>
+          <small className="d-block text-truncate text-secondary">
+            {track.artist} · dừng ở {formatDuration(position)}
+          </small>
+        </div>
+        <Button size="sm" className="rounded-pill flex-shrink-0" style={{ backgroundColor: "#1DB954", border: "none" }} onClick={onResume}>
+          <FaPlay size={10} className="me-1" />
+          Tiếp tục
+        </Button>
+      </Toast.Body>
+    </Toast>
+  );
+}
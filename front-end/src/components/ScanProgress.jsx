@@ -0,0 +1,108 @@
+import { useEffect } from "react";
+import { Card, ProgressBar, Button } from "react-bootstrap";
+import axios from "axios";
+import { FaTimes, FaRedo, FaStop } from "react-icons/fa";
+
+const PHASE_LABELS = {
+  browsing: "Đang duyệt thư mục trên server...",
+  metadata: "Đang đọc metadata và ảnh bìa...",
+  saving: "Đang lưu thư viện...",
+  done: "Hoàn tất",
+};
+
+const STATUS_LABELS = {
+  completed: "Quét nhạc thành công",
+  cancelled: "Đã huỷ quét nhạc",
+  failed: "Có lỗi xảy ra khi quét nhạc",
+};
+
+export default function ScanProgress({ job, onUpdate, onDismiss }) {
+  const jobId = job?.id;
+  const running = job?.status === "running";
+
+  // Nhận tiến độ qua Server-Sent Events cho tới khi job kết thúc
+  useEffect(() => {
+    if (!jobId || !running) return;
+    const source = new EventSource(`/api/scans/${jobId}/events`);
+    const handleEvent = (e) => {
+      const data = JSON.parse(e.data);
+      onUpdate(data);
+      if (data.status !== "running") source.close();
+    };
+    source.addEventListener("progress", handleEvent);
+    source.addEventListener("status", handleEvent);
+    return () => source.close();
+  }, [jobId, running, onUpdate]);
+
+  if (!job) return null;
+
+  const { progress } = job;
+  const percent = progress.total ? Math.round((progress.processed / progress.total) * 100) : 0;
+  const browsing = running && job.phase === "browsing";
+
+  const handleCancel = async () => {
+    try {
+      const res = await axios.post(`/api/scans/${job.id}/cancel`);
+      onUpdate(res.data);
+    } catch (error) {
+      console.error("Lỗi khi huỷ quét nhạc:", error);
+    }
+  };
+
+  const handleResume = async () => {
+    try {
+      const res = await axios.post(`/api/scans/${job.id}/resume`);
+      onUpdate(res.data);
+    } catch (error) {
+      console.error("Lỗi khi tiếp tục quét nhạc:", error);
+    }
+  };
+
+  return (
+    <Card className="table-glass text-white mb-3">
+      <Card.Body className="py-2 px-3">
+        <div className="d-flex justify-content-between align-items-center mb-2">
+          <small className="fw-bold">
+            {running ? PHASE_LABELS[job.phase] : STATUS_LABELS[job.status]}
+            {job.error && ` — ${job.error}`}
+          </small>
+          <div className="d-flex gap-1">
+            {running && (
+              <Button size="sm" variant="outline-light" onClick={handleCancel} title="Huỷ">
+                <FaStop size={12} />
+              </Button>
+            )}
+            {["cancelled", "failed"].includes(job.status) && (
+              <Button size="sm" variant="outline-light" onClick={handleResume} title="Tiếp tục">
+                <FaRedo size={12} />
+              </Button>
+            )}
+            {!running && (
+              <Button size="sm" variant="link" className="text-white p-1" onClick={onDismiss} title="Đóng">
+                <FaTimes size={12} />
+              </Button>
+            )}
+          </div>
+        </div>
+        <ProgressBar
+          now={browsing ? 100 : percent}
+          animated={running}
+          striped={running}
+          variant={job.status === "failed" ? "danger" : "success"}
+          label={browsing ? "" : `${percent}%`}
+          style={{ height: "14px" }}
+        />
+        <div className="d-flex flex-wrap gap-3 mt-2" style={{ fontSize: "0.75rem", opacity: 0.85 }}>
+          <span>Thư mục: {progress.containers}</span>
+          <span>Tìm thấy: {progress.discovered} bài</span>
+          <span>
+            Đã xử lý: {progress.processed}/{progress.total}
+          </span>
+          <span>Metadata: {progress.metadataFetched}</span>
+          <span>Ảnh bìa: {progress.artExtracted}</span>
+          <span>Lỗi: {progress.failures}</span>
+        </div>
+      </Card.Body>
+    </Card>
+  );
+}
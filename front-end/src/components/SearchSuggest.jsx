@@ -0,0 +1,65 @@
+import { useEffect, useState } from "react";
+import { ListGroup } from "react-bootstrap";
+import axios from "axios";
+import Highlight from "./Highlight";
+
+// Gợi ý bài hát ngay khi gõ, hiện dưới ô tìm kiếm; bấm vào để phát
+export default function SearchSuggest({ query, visible, onPick }) {
+  const [result, setResult] = useState(null);
+
+  useEffect(() => {
+    const q = query.trim();
+    if (!q) {
+      setResult(null);
+      return;
+    }
+    const controller = new AbortController();
+    const timer = setTimeout(() => {
+      axios
+        .get("/api/search/suggest", { params: { q, limit: 8 }, signal: controller.signal })
+        .then((res) => setResult(res.data))
+        .catch((error) => {
+          if (!axios.isCancel(error)) console.error("Lỗi khi lấy gợi ý tìm kiếm:", error);
+        });
+    }, 150);
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [query]);
+
+  if (!visible || !query.trim() || !result?.items.length) return null;
+
+  return (
+    <ListGroup className="search-suggest shadow">
+      {result.items.map((t) => (
+        <ListGroup.Item
+          key={t.id}
+          action
+          // Giữ focus ở ô tìm kiếm để onBlur không đóng danh sách trước khi click
+          onMouseDown={(e) => e.preventDefault()}
+          onClick={() => onPick(t, result.items)}
+          className="bg-dark text-white border-secondary"
+        >
+          <div className="text-truncate">
+            <Highlight text={t.title} ranges={t.highlights?.title} />
+          </div>
+          <small className="d-block text-truncate text-secondary">
+            <Highlight text={t.artist} ranges={t.highlights?.artist} /> ·{" "}
+            <Highlight text={t.album} ranges={t.highlights?.album} />
+          </small>
+          {t.snippet && !t.highlights?.title && (
+            <small className="d-block text-truncate fst-italic">
+              <Highlight text={t.snippet.text} ranges={t.snippet.ranges} />
+            </small>
+          )}
+        </ListGroup.Item>
+      ))}
+      {result.total > result.items.length && (
+        <ListGroup.Item className="bg-dark text-secondary small border-secondary">
+          {result.total} kết quả · nhấn Enter để xem tất cả
+        </ListGroup.Item>
+      )}
+    </ListGroup>
+  );
+}
@@ -0,0 +1,92 @@
+import { useEffect, useState, useCallback } from "react";
+import { Dropdown, Form, Badge } from "react-bootstrap";
+import axios from "axios";
+import { FaServer, FaSync, FaCheck } from "react-icons/fa";
+
+// Chọn server để quét và bật/tắt từng nguồn trong thư viện gộp
+export default function ServerPicker({ value, onChange, onSourcesChange }) {
+  const [servers, setServers] = useState([]);
+  const [discovering, setDiscovering] = useState(false);
+
+  const loadServers = useCallback(async (refresh = false) => {
+    setDiscovering(true);
+    try {
+      const res = await axios.get("/api/servers", { params: refresh ? { refresh: true } : {} });
+      setServers(res.data.servers);
+    } catch (error) {
+      console.error("Lỗi khi tìm DLNA server:", error);
+    } finally {
+      setDiscovering(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadServers();
+  }, [loadServers]);
+
+  // Chưa chọn server nào (hoặc server cũ đã biến mất) thì lấy server đang bật đầu tiên
+  useEffect(() => {
+    const usable = servers.filter((s) => s.enabled);
+    if (usable.length && !usable.some((s) => s.id === value)) onChange(usable[0].id);
+  }, [servers, value, onChange]);
+
+  const toggleServer = async (server) => {
+    try {
+      const res = await axios.patch(`/api/servers/${encodeURIComponent(server.id)}`, { enabled: !server.enabled });
+      setServers((prev) => prev.map((s) => (s.id === server.id ? { ...s, ...res.data } : s)));
+      onSourcesChange?.();
+    } catch (error) {
+      console.error("Lỗi khi cập nhật server:", error);
+    }
+  };
+
+  const selected = servers.find((s) => s.id === value);
+
+  return (
+    <Dropdown autoClose="outside" align="end">
+      <Dropdown.Toggle
+        size="sm"
+        className="d-flex align-items-center gap-2"
+        style={{ backgroundColor: "#2a2a2a", border: "none", maxWidth: "200px" }}
+        title="DLNA server"
+      >
+        <FaServer size={14} />
+        <span className="text-truncate">
+          {selected?.name || (discovering ? "Đang tìm server..." : "Không có server")}
+        </span>
+      </Dropdown.Toggle>
+      <Dropdown.Menu variant="dark" style={{ minWidth: "280px" }}>
+        <Dropdown.Header>Nguồn nhạc</Dropdown.Header>
+        {servers.map((s) => (
+          <Dropdown.ItemText key={s.id} className="d-flex align-items-center gap-2">
+            <Form.Check
+              type="switch"
+              checked={s.enabled}
+              onChange={() => toggleServer(s)}
+              title={s.enabled ? "Tắt nguồn này" : "Bật nguồn này"}
+            />
+            <div
+              className="flex-grow-1 overflow-hidden"
+              style={{ cursor: s.enabled ? "pointer" : "default", opacity: s.enabled ? 1 : 0.5 }}
+              onClick={() => s.enabled && onChange(s.id)}
+            >
+              <div className="text-truncate text-white">
+                {s.id === value && <FaCheck size={10} className="me-1 text-success" />}
+                {s.name}
+              </div>
+              <small className="text-secondary">
+                {s.itemCount} bài {!s.online && <Badge bg="secondary">offline</Badge>}
+              </small>
+            </div>
+          </Dropdown.ItemText>
+        ))}
+        {!servers.length && <Dropdown.ItemText className="text-secondary">Không có server</Dropdown.ItemText>}
+        <Dropdown.Divider />
+        <Dropdown.Item onClick={() => loadServers(true)} disabled={discovering}>
+          <FaSync size={12} className={`me-2 ${discovering ? "fa-spin" : ""}`} />
+          Tìm lại server
+        </Dropdown.Item>
+      </Dropdown.Menu>
+    </Dropdown>
+  );
+}
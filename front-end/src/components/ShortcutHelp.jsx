@@ -0,0 +1,31 @@
+import { Modal, Table } from "react-bootstrap";
+import { SHORTCUTS, formatShortcut } from "../utils/shortcuts";
+
+// Bảng phím tắt, mở bằng phím "?"
+export default function ShortcutHelp({ show, onHide }) {
+  return (
+    <Modal show={show} onHide={onHide} centered contentClassName="bg-dark text-white">
+      <Modal.Header closeButton closeVariant="white" className="border-secondary">
+        <Modal.Title>Phím tắt</Modal.Title>
+      </Modal.Header>
+      <Modal.Body>
+        <Table size="sm" variant="dark" className="mb-0">
+          <tbody>
+            {SHORTCUTS.map((s) => (
+              <tr key={s.action}>
+                <td>{s.label}</td>
+                <td className="text-end text-nowrap">
+                  {s.keys.map((key) => (
+                    <kbd key={key} className="ms-1">
+                      {formatShortcut(s, key)}
+                    </kbd>
+                  ))}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </Table>
+      </Modal.Body>
+    </Modal>
+  );
+}
@@ -0,0 +1,106 @@
+import { useEffect, useState } from "react";
+import { Dropdown, Form } from "react-bootstrap";
+import { FaPlus, FaListUl, FaStepForward, FaListOl } from "react-icons/fa";
+
+// Menu chuột phải trên một bài hát: phát tiếp theo, thêm vào hàng đợi, thêm vào playlist có sẵn hoặc tạo playlist mới
+export default function TrackContextMenu({ menu, playlists, onAdd, onCreate, onPlayNext, onEnqueue, onClose }) {
+  const [newName, setNewName] = useState("");
+
+  useEffect(() => {
+    if (!menu) return;
+    const handleKey = (e) => e.key === "Escape" && onClose();
+    // Cuộn trang thì đóng, nhưng cuộn danh sách playlist trong menu thì không
+    const handleScroll = (e) => {
+      if (!(e.target instanceof Element && e.target.closest(".track-context-menu"))) onClose();
+    };
+    window.addEventListener("keydown", handleKey);
+    window.addEventListener("scroll", handleScroll, true);
+    return () => {
+      window.removeEventListener("keydown", handleKey);
+      window.removeEventListener("scroll", handleScroll, true);
+    };
+  }, [menu, onClose]);
+
+  if (!menu) return null;
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    if (!newName.trim()) return;
+    onCreate(newName.trim(), menu.track);
+    onClose();
+  };
+
+  return (
+    <>
+      {/* Lớp phủ trong suốt để bấm ra ngoài thì đóng menu */}
+      <div
+        style={{ position: "fixed", inset: 0, zIndex: 1060 }}
+        onClick={onClose}
+        onContextMenu={(e) => {
+          e.preventDefault();
+          onClose();
+        }}
+      />
+      <Dropdown.Menu
+        show
+        variant="dark"
+        className="track-context-menu"
+        style={{
+          position: "fixed",
+          top: Math.min(menu.y, window.innerHeight - 320),
+          left: Math.min(menu.x, window.innerWidth - 260),
+          zIndex: 1061,
+          minWidth: "240px",
+          maxHeight: "300px",
+          overflowY: "auto",
+        }}
+      >
+        <Dropdown.Header className="text-truncate">{menu.track.title}</Dropdown.Header>
+        <Dropdown.Item
+          onClick={() => {
+            onPlayNext(menu.track);
+            onClose();
+          }}
+        >
+          <FaStepForward size={12} className="me-2" />
+          Phát tiếp theo
+        </Dropdown.Item>
+        <Dropdown.Item
+          onClick={() => {
+            onEnqueue(menu.track);
+            onClose();
+          }}
+        >
+          <FaListOl size={12} className="me-2" />
+          Thêm vào hàng đợi
+        </Dropdown.Item>
+        <Dropdown.Divider />
+        <Dropdown.Header>Thêm vào playlist</Dropdown.Header>
+        {playlists.map((p) => (
+          <Dropdown.Item
+            key={p.id}
+            onClick={() => {
+              onAdd(p.id, menu.track);
+              onClose();
+            }}
+          >
+            <FaListUl size={12} className="me-2" />
+            {p.name}
+          </Dropdown.Item>
+        ))}
+        <Dropdown.Divider />
+        <Dropdown.ItemText>
+          <Form onSubmit={handleCreate} className="d-flex align-items-center gap-2">
+            <FaPlus size={12} />
+            <Form.Control
+              size="sm"
+              placeholder="Playlist mới"
+              value={newName}
+              onChange={(e) => setNewName(e.target.value)}
+            />
+          </Form>
+        </Dropdown.ItemText>
+      </Dropdown.Menu>
+    </>
+  );
+}
@@ -0,0 +1,52 @@
+import { Table } from "react-bootstrap";
+import QualityBadges from "./QualityBadges";
+
+// Bảng bài hát gọn cho trang album/nghệ sĩ; bấm để phát, chuột phải để thêm vào playlist.
+// showTrackNumber: cột # lấy số track trong tag (trang album), không có thì dùng thứ tự
+export default function TrackList({
+  tracks,
+  currentTrackId,
+  onPlay,
+  onContextMenu,
+  showArtist = true,
+  showAlbum = true,
+  showTrackNumber = false,
+}) {
+  return (
+    <Table hover bordered className="table-glass text-white mb-0">
+      <thead className="bg-dark">
+        <tr>
+          <th style={{ width: "48px" }}>#</th>
+          <th>Title</th>
+          {showArtist && <th>Artist</th>}
+          {showAlbum && <th className="d-none d-md-table-cell">Album</th>}
+          <th className="d-none d-lg-table-cell" style={{ width: "110px" }}>
+            Duration
+          </th>
+        </tr>
+      </thead>
+      <tbody>
+        {tracks.map((t, idx) => (
+          <tr
+            key={t.id}
+            onClick={() => onPlay(t, tracks)}
+            onContextMenu={(e) => {
+              e.preventDefault();
+              onContextMenu?.(e, t);
+            }}
+            style={{ cursor: "pointer", fontWeight: t.id === currentTrackId ? "bold" : "normal" }}
+          >
+            <td>{(showTrackNumber && t.trackNumber) || idx + 1}</td>
+            <td>
+              {t.title}
+              <QualityBadges quality={t.quality} className="ms-2" />
+            </td>
+            {showArtist && <td>{t.artist}</td>}
+            {showAlbum && <td className="d-none d-md-table-cell">{t.album}</td>}
+            <td className="d-none d-lg-table-cell">{t.duration}</td>
+          </tr>
+        ))}
+      </tbody>
+    </Table>
+  );
+}
@@ -0,0 +1,47 @@
+import { useState, useEffect, useRef, useCallback } from "react";
+import axios from "axios";
+
+// Lời của bài đang phát qua /api/lyrics/:id (nhúng trong file hoặc .lrc đi kèm).
+// Chỉ tải khi cần hiển thị (enabled); đã tải xong cho bài này rồi thì không tải lại.
+// saveLyrics(lines)/removeOverride ghi bản tự đồng bộ lên backend (backend ghi thành LRC); lỗi thì ném ra cho nơi gọi báo
+export default function useLyrics(trackId, enabled = true) {
+  const [state, setState] = useState({ id: null, lyrics: null, loading: false });
+  const loadedId = useRef(null);
+
+  useEffect(() => {
+    if (!trackId || !enabled || loadedId.current === trackId) return;
+    const controller = new AbortController();
+    setState({ id: trackId, lyrics: null, loading: true });
+    axios
+      .get(`/api/lyrics/${encodeURIComponent(trackId)}`, { signal: controller.signal })
+      .then((res) => {
+        loadedId.current = trackId;
+        setState({ id: trackId, lyrics: res.data, loading: false });
+      })
+      .catch((error) => {
+        if (axios.isCancel(error)) return;
+        console.error("Lỗi khi tải lời bài hát:", error);
+        loadedId.current = trackId;
+        setState({ id: trackId, lyrics: null, loading: false });
+      });
+    return () => controller.abort();
+  }, [trackId, enabled]);
+
+  const saveLyrics = useCallback(
+    async (lines) => {
+      const res = await axios.put(`/api/lyrics/${encodeURIComponent(trackId)}`, { lines });
+      loadedId.current = trackId;
+      setState({ id: trackId, lyrics: res.data, loading: false });
+    },
+    [trackId]
+  );
+
+  const removeOverride = useCallback(async () => {
+    const res = await axios.delete(`/api/lyrics/${encodeURIComponent(trackId)}`);
+    loadedId.current = trackId;
+    setState({ id: trackId, lyrics: res.data, loading: false });
+  }, [trackId]);
+
+  const current = state.id === trackId;
+  return { lyrics: current ? state.lyrics : null, loading: current && state.loading, saveLyrics, removeOverride };
+}
@@ -0,0 +1,84 @@
+import { useEffect, useRef } from "react";
+import { albumArtSrc } from "../utils/format";
+
+const DEFAULT_SEEK_OFFSET = 10;
+
+// Một số trình duyệt không hỗ trợ hết các action (vd. seekto trên Firefox cũ)
+const setHandler = (action, handler) => {
+  try {
+    navigator.mediaSession.setActionHandler(action, handler);
+  } catch {
+    // action không được hỗ trợ
+  }
+};
+
+// Đưa bài đang phát lên Media Session: phím media của hệ điều hành, màn hình khoá, nút tai nghe
+// điều khiển được player. handlers: { onNext, onPrev }
+export default function useMediaSession({ audioRef, ready, track, isPlaying, onNext, onPrev }) {
+  const handlers = useRef({});
+  handlers.current = { onNext, onPrev };
+
+  useEffect(() => {
+    if (!("mediaSession" in navigator)) return;
+    if (!track) {
+      navigator.mediaSession.metadata = null;
+      return;
+    }
+    const artwork = track.albumArtUrl
+      ? [{ src: new URL(albumArtSrc(track.albumArtUrl, 1000), window.location.href).href }]
+      : [];
+    navigator.mediaSession.metadata = new window.MediaMetadata({
+      title: track.title || "",
+      artist: track.artist || "",
+      album: track.album || "",
+      artwork,
+    });
+  }, [track]);
+
+  useEffect(() => {
+    if (!("mediaSession" in navigator)) return;
+    navigator.mediaSession.playbackState = track ? (isPlaying ? "playing" : "paused") : "none";
+  }, [track, isPlaying]);
+
+  useEffect(() => {
+    const audio = audioRef.current;
+    if (!("mediaSession" in navigator) || !audio) return;
+
+    const seekTo = (time, fast) => {
+      const target = Math.min(Math.max(time, 0), audio.duration || 0);
+      if (fast && audio.fastSeek) audio.fastSeek(target);
+      else audio.currentTime = target;
+    };
+
+    setHandler("play", () => audio.play().catch(console.error));
+    setHandler("pause", () => audio.pause());
+    setHandler("stop", () => {
+      audio.pause();
+      audio.currentTime = 0;
+    });
+    setHandler("nexttrack", () => handlers.current.onNext());
+    setHandler("previoustrack", () => handlers.current.onPrev());
+    setHandler("seekto", (details) => seekTo(details.seekTime, details.fastSeek));
+    setHandler("seekforward", (details) => seekTo(audio.currentTime + (details.seekOffset || DEFAULT_SEEK_OFFSET)));
+    setHandler("seekbackward", (details) => seekTo(audio.currentTime - (details.seekOffset || DEFAULT_SEEK_OFFSET)));
+
+    // Thanh tiến độ trên màn hình khoá; duration chưa biết (stream đang nạp) thì bỏ qua
+    const updatePosition = () => {
+      if (!Number.isFinite(audio.duration) || !navigator.mediaSession.setPositionState) return;
+      navigator.mediaSession.setPositionState({
+        duration: audio.duration,
+        playbackRate: audio.playbackRate || 1,
+        position: Math.min(audio.currentTime, audio.duration),
+      });
+    };
+    const events = ["loadedmetadata", "durationchange", "play", "pause", "seeked", "ratechange"];
+    events.forEach((name) => audio.addEventListener(name, updatePosition));
+
+    return () => {
+      events.forEach((name) => audio.removeEventListener(name, updatePosition));
+      ["play", "pause", "stop", "nexttrack", "previoustrack", "seekto", "seekforward", "seekbackward"].forEach((action) =>
+        setHandler(action, null)
+      );
+    };
+  }, [audioRef, ready]);
+}
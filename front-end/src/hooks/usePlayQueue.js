@@ -0,0 +1,299 @@
+import { useState, useCallback, useEffect } from "react";
+
+const STORAGE_KEY = "caramel.queue";
+const MAX_HISTORY = 100;
+const REPEAT_MODES = ["off", "all", "one"];
+
+const EMPTY_QUEUE = { entries: [], index: -1, history: [], original: null, shuffle: false, repeat: "off", token: 0 };
+
+// Mỗi lần thêm là một entry riêng (uid) để cùng một bài có thể nằm trong hàng đợi nhiều lần
+let uidCounter = 0;
+const makeEntries = (tracks) => tracks.map((track) => ({ uid: `${Date.now().toString(36)}-${uidCounter++}`, track }));
+
+// Fisher–Yates: mỗi bài xuất hiện đúng một lần
+const shuffled = (list) => {
+  const next = [...list];
+  for (let i = next.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [next[i], next[j]] = [next[j], next[i]];
+  }
+  return next;
+};
+
+// Bài đang phát lên đầu, phần còn lại xáo trộn
+const shuffleAround = (entries, current) =>
+  current ? [current, ...shuffled(entries.filter((e) => e !== current))] : shuffled(entries);
+
+// Tắt shuffle: trả về thứ tự ban đầu, bài thêm trong lúc shuffle giữ thứ tự hiện tại ở cuối
+const unshuffle = (entries, original) => {
+  const position = new Map((original || []).map((uid, idx) => [uid, idx]));
+  return entries
+    .map((e, idx) => ({ e, idx }))
+    .sort((a, b) => (position.get(a.e.uid) ?? Infinity) - (position.get(b.e.uid) ?? Infinity) || a.idx - b.idx)
+    .map(({ e }) => e);
+};
+
+const pushHistory = (state) => {
+  const current = state.entries[state.index];
+  return current ? [...state.history, current].slice(-MAX_HISTORY) : state.history;
+};
+
+// Chuyển sang entry ở vị trí index, bài đang phát vào lịch sử
+const advance = (state, entries, index) => ({
+  ...state,
+  entries,
+  index,
+  history: pushHistory(state),
+  token: state.token + 1
+});
+
+// Chèn entry vào original ngay sau uid (null = cuối danh sách)
+const insertOriginal = (original, afterUid, entries) => {
+  if (!original) return null;
+  const found = afterUid ? original.indexOf(afterUid) : -1;
+  const at = found >= 0 ? found + 1 : original.length;
+  return [...original.slice(0, at), ...entries.map((e) => e.uid), ...original.slice(at)];
+};
+
+// Bỏ phần nặng/tạm thời (kết quả tìm kiếm) trước khi ghi localStorage
+const storedEntry = ({ uid, track }, withLyrics) => {
+  const stored = { ...track };
+  delete stored.highlights;
+  delete stored.snippet;
+  if (!withLyrics) delete stored.lyrics;
+  return { uid, track: stored };
+};
+
+const loadQueue = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (!saved?.entries?.length) return EMPTY_QUEUE;
+    return {
+      ...EMPTY_QUEUE,
+      ...saved,
+      index: Math.min(Math.max(saved.index, 0), saved.entries.length - 1),
+      repeat: REPEAT_MODES.includes(saved.repeat) ? saved.repeat : "off",
+      // Mở lại trang thì chỉ nạp bài, không tự phát
+      token: 0
+    };
+  } catch {
+    return EMPTY_QUEUE;
+  }
+};
+
+const saveQueue = (state) => {
+  const write = (withLyrics) =>
+    localStorage.setItem(
+      STORAGE_KEY,
+      JSON.stringify({
+        entries: state.entries.map((e) => storedEntry(e, withLyrics)),
+        index: state.index,
+        history: state.history.map((e) => storedEntry(e, false)),
+        original: state.original,
+        shuffle: state.shuffle,
+        repeat: state.repeat
+      })
+    );
+  try {
+    write(true);
+  } catch {
+    // Vượt quota (hàng đợi dài, nhiều lời bài hát): bỏ lời bài hát rồi thử lại
+    try {
+      write(false);
+    } catch (error) {
+      console.error("Không lưu được hàng đợi:", error);
+    }
+  }
+};
+
+// Hàng đợi phát nhạc: phát tiếp theo, thêm vào cuối, kéo thả, lịch sử cho nút Previous,
+// shuffle không lặp bài trước khi hết vòng và 3 chế độ repeat. Lưu vào localStorage
+export default function usePlayQueue() {
+  const [state, setState] = useState(loadQueue);
+
+  useEffect(() => {
+    saveQueue(state);
+  }, [state]);
+
+  // Thay cả hàng đợi bằng tracks và phát start (track hoặc null = bài đầu / ngẫu nhiên khi shuffle)
+  const playList = useCallback((tracks, start) => {
+    if (!tracks.length) return;
+    setState((prev) => {
+      let entries = makeEntries(tracks);
+      const startIndex = start ? tracks.findIndex((t) => t.id === start.id) : -1;
+      const original = prev.shuffle ? entries.map((e) => e.uid) : null;
+      let index = Math.max(startIndex, 0);
+      if (prev.shuffle) {
+        entries = shuffleAround(entries, startIndex >= 0 ? entries[startIndex] : null);
+        index = 0;
+      }
+      return { ...advance(prev, entries, index), original };
+    });
+  }, []);
+
+  // Nhận lại hàng đợi lưu từ thiết bị khác (thứ tự đã xáo giữ nguyên như lúc lưu)
+  const restore = useCallback(({ tracks, index, shuffle, repeat }) => {
+    if (!tracks.length) return;
+    setState((prev) => ({
+      ...advance(prev, makeEntries(tracks), Math.min(Math.max(index, 0), tracks.length - 1)),
+      original: null,
+      shuffle: Boolean(shuffle),
+      repeat: REPEAT_MODES.includes(repeat) ? repeat : prev.repeat
+    }));
+  }, []);
+
+  // Chèn ngay sau bài đang phát; chưa phát gì thì phát luôn
+  const playNext = useCallback((tracks) => {
+    if (!tracks.length) return;
+    setState((prev) => {
+      const added = makeEntries(tracks);
+      const at = prev.index + 1;
+      const entries = [...prev.entries.slice(0, at), ...added, ...prev.entries.slice(at)];
+      const original = insertOriginal(prev.original, prev.entries[prev.index]?.uid, added);
+      if (prev.index < 0) return { ...advance(prev, entries, 0), original };
+      return { ...prev, entries, original };
+    });
+  }, []);
+
+  // Thêm vào cuối hàng đợi; chưa phát gì thì phát luôn bài đầu
+  const enqueue = useCallback((tracks) => {
+    if (!tracks.length) return;
+    setState((prev) => {
+      const added = makeEntries(tracks);
+      const entries = [...prev.entries, ...added];
+      const original = insertOriginal(prev.original, null, added);
+      if (prev.index < 0) return { ...advance(prev, entries, prev.entries.length), original };
+      return { ...prev, entries, original };
+    });
+  }, []);
+
+  // Phát ngay một bài, giữ nguyên phần còn lại của hàng đợi
+  const playNow = useCallback((track) => {
+    setState((prev) => {
+      const added = makeEntries([track]);
+      const at = prev.index + 1;
+      const entries = [...prev.entries.slice(0, at), ...added, ...prev.entries.slice(at)];
+      return { ...advance(prev, entries, at), original: insertOriginal(prev.original, prev.entries[prev.index]?.uid, added) };
+    });
+  }, []);
+
+  const jumpTo = useCallback((uid) => {
+    setState((prev) => {
+      const index = prev.entries.findIndex((e) => e.uid === uid);
+      return index < 0 ? prev : advance(prev, prev.entries, index);
+    });
+  }, []);
+
+  // Không xoá được bài đang phát
+  const remove = useCallback((uid) => {
+    setState((prev) => {
+      const at = prev.entries.findIndex((e) => e.uid === uid);
+      if (at < 0 || at === prev.index) return prev;
+      return {
+        ...prev,
+        entries: prev.entries.filter((e) => e.uid !== uid),
+        index: at < prev.index ? prev.index - 1 : prev.index,
+        original: prev.original?.filter((id) => id !== uid) ?? null
+      };
+    });
+  }, []);
+
+  // Kéo thả: chuyển entry từ vị trí from sang vị trí to
+  const move = useCallback((from, to) => {
+    setState((prev) => {
+      if (from === to || from < 0 || to < 0 || from >= prev.entries.length || to >= prev.entries.length) return prev;
+      const current = prev.entries[prev.index];
+      const entries = [...prev.entries];
+      const [moved] = entries.splice(from, 1);
+      entries.splice(to, 0, moved);
+      return { ...prev, entries, index: entries.indexOf(current) };
+    });
+  }, []);
+
+  // Xoá các bài sắp phát, giữ bài đang phát
+  const clearUpcoming = useCallback(() => {
+    setState((prev) => {
+      const entries = prev.entries.slice(0, prev.index + 1);
+      const kept = new Set(entries.map((e) => e.uid));
+      return { ...prev, entries, original: prev.original?.filter((uid) => kept.has(uid)) ?? null };
+    });
+  }, []);
+
+  // Hết hàng đợi: repeat all thì quay lại đầu (xáo lại nếu đang shuffle), không thì dừng
+  const next = useCallback(() => {
+    setState((prev) => {
+      if (!prev.entries.length) return prev;
+      if (prev.index + 1 < prev.entries.length) return advance(prev, prev.entries, prev.index + 1);
+      if (prev.repeat !== "all") return prev;
+      if (!prev.shuffle) return advance(prev, prev.entries, 0);
+      const current = prev.entries[prev.index];
+      const entries = shuffled(prev.entries);
+      // Tránh phát lại ngay bài vừa hết
+      if (entries.length > 1 && entries[0] === current) [entries[0], entries[1]] = [entries[1], entries[0]];
+      return advance(prev, entries, 0);
+    });
+  }, []);
+
+  // Quay về bài vừa phát theo lịch sử; bài đã bị xoá khỏi hàng đợi thì chèn lại trước bài hiện tại
+  const previous = useCallback(() => {
+    setState((prev) => {
+      if (!prev.history.length) {
+        return prev.index > 0 ? { ...prev, index: prev.index - 1, token: prev.token + 1 } : prev;
+      }
+      const last = prev.history[prev.history.length - 1];
+      const history = prev.history.slice(0, -1);
+      const index = prev.entries.findIndex((e) => e.uid === last.uid);
+      if (index >= 0) return { ...prev, index, history, token: prev.token + 1 };
+      const at = Math.max(prev.index, 0);
+      return {
+        ...prev,
+        entries: [...prev.entries.slice(0, at), last, ...prev.entries.slice(at)],
+        index: at,
+        history,
+        original: insertOriginal(prev.original, null, [last]),
+        token: prev.token + 1
+      };
+    });
+  }, []);
+
+  const toggleShuffle = useCallback(() => {
+    setState((prev) => {
+      const current = prev.entries[prev.index];
+      if (prev.shuffle) {
+        const entries = unshuffle(prev.entries, prev.original);
+        return { ...prev, shuffle: false, original: null, entries, index: entries.indexOf(current) };
+      }
+      const entries = shuffleAround(prev.entries, current);
+      return { ...prev, shuffle: true, original: prev.entries.map((e) => e.uid), entries, index: current ? 0 : -1 };
+    });
+  }, []);
+
+  // off -> all -> one -> off
+  const cycleRepeat = useCallback(() => {
+    setState((prev) => ({ ...prev, repeat: REPEAT_MODES[(REPEAT_MODES.indexOf(prev.repeat) + 1) % REPEAT_MODES.length] }));
+  }, []);
+
+  return {
+    entries: state.entries,
+    index: state.index,
+    current: state.entries[state.index]?.track || null,
+    // Tăng mỗi lần người dùng chuyển bài; 0 = vừa khôi phục từ localStorage
+    token: state.token,
+    canGoBack: state.history.length > 0 || state.index > 0,
+    shuffle: state.shuffle,
+    repeat: state.repeat,
+    playList,
+    restore,
+    playNext,
+    enqueue,
+    playNow,
+    jumpTo,
+    remove,
+    move,
+    clearUpcoming,
+    next,
+    previous,
+    toggleShuffle,
+    cycleRepeat
+  };
+}
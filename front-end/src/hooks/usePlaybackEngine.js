@@ -0,0 +1,35 @@
+import { useState, useEffect, useRef } from "react";
+import { createPlaybackEngine } from "../utils/playbackEngine";
+
+const CROSSFADE_KEY = "caramel.crossfade";
+
+// Engine phát nhạc gapless/crossfade dùng chung cho cả trang.
+// audioRef luôn trỏ tới thẻ audio đang phát; audio đổi (state) mỗi lần engine chuyển deck,
+// các effect gắn listener lên thẻ audio cần đưa nó vào deps
+export default function usePlaybackEngine({ onAdvance, onEnded }) {
+  const callbacks = useRef({});
+  callbacks.current = { onAdvance, onEnded };
+  const audioRef = useRef(null);
+  const [engine] = useState(() =>
+    createPlaybackEngine({
+      onAdvance: (track) => callbacks.current.onAdvance(track),
+      onEnded: () => callbacks.current.onEnded(),
+      onDeckChange: (el) => {
+        audioRef.current = el;
+        setAudio(el);
+      },
+    })
+  );
+  const [audio, setAudio] = useState(() => engine.audio());
+  audioRef.current = audio;
+  const [crossfade, setCrossfade] = useState(() => Number(localStorage.getItem(CROSSFADE_KEY)) || 0);
+
+  useEffect(() => {
+    engine.setCrossfade(crossfade);
+    localStorage.setItem(CROSSFADE_KEY, String(crossfade));
+  }, [engine, crossfade]);
+
+  useEffect(() => () => engine.stop(), [engine]);
+
+  return { engine, audioRef, audio, crossfade, setCrossfade };
+}
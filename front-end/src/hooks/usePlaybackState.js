@@ -0,0 +1,246 @@
+import { useState, useCallback, useEffect, useRef } from "react";
+import axios from "axios";
+
+const STORAGE_KEY = "caramel.playback";
+const DEVICE_KEY = "caramel.device";
+const SAVE_INTERVAL = 10 * 1000;
+// Nghe chưa tới chừng này giây thì không hỏi nghe tiếp
+const MIN_RESUME_POSITION = 5;
+// Hàng đợi gửi lên backend được cắt quanh bài đang phát
+const QUEUE_WINDOW_BEFORE = 100;
+const QUEUE_WINDOW = 1000;
+// Bài nghe tiếp từ thiết bị khác mà quá chừng này vẫn chưa nạp xong thì bỏ seek
+const RESUME_SEEK_TIMEOUT = 15 * 1000;
+
+const readLocal = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || null;
+  } catch {
+    return null;
+  }
+};
+
+const writeLocal = (state) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ ...readLocal(), ...state }));
+  } catch (error) {
+    console.error("Không lưu được trạng thái phát:", error);
+  }
+};
+
+// Âm lượng lưu lần trước, dùng làm giá trị ban đầu cho player
+const loadSavedVolume = () => {
+  const saved = readLocal();
+  return {
+    volume: Number.isFinite(saved?.volume) ? saved.volume : 0.6,
+    muted: Boolean(saved?.muted),
+    lastVolume: Number.isFinite(saved?.lastVolume) ? saved.lastVolume : 1,
+  };
+};
+
+const getDeviceId = () => {
+  let id = localStorage.getItem(DEVICE_KEY);
+  if (!id) {
+    id = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    localStorage.setItem(DEVICE_KEY, id);
+  }
+  return id;
+};
+
+// "Chrome · Windows": đủ để người dùng nhận ra thiết bị trong lời nhắc nghe tiếp
+const describeDevice = () => {
+  const ua = navigator.userAgent;
+  const browser = /Edg\//.test(ua) ? "Edge" : /Firefox\//.test(ua) ? "Firefox" : /Chrome\//.test(ua) ? "Chrome" : /Safari\//.test(ua) ? "Safari" : "Trình duyệt";
+  const os = /Android/.test(ua) ? "Android" : /iPhone|iPad/.test(ua) ? "iOS" : /Windows/.test(ua) ? "Windows" : /Mac OS/.test(ua) ? "macOS" : /Linux/.test(ua) ? "Linux" : "";
+  return os ? `${browser} · ${os}` : browser;
+};
+
+// Seek khi audio đã có metadata rồi phát
+const seekAndPlay = (audio, position) => {
+  const start = () => {
+    audio.currentTime = position;
+    audio.play().catch(console.error);
+  };
+  if (audio.readyState >= 1) start();
+  else audio.addEventListener("loadedmetadata", start, { once: true });
+};
+
+// Lưu trạng thái phát (bài, vị trí, hàng đợi, âm lượng, shuffle/repeat) định kỳ vào localStorage và backend.
+// Lúc mở trang đề nghị nghe tiếp: từ trạng thái của chính trình duyệt này, hoặc của thiết bị khác nếu mới hơn.
+// ready: thẻ audio đã render; player: { volume, muted, lastVolume, isFullPlayer }; onRestore nhận lại các giá trị đó khi nghe tiếp
+export default function usePlaybackState({ audioRef, ready, playQueue, player, onRestore }) {
+  const [offer, setOffer] = useState(null);
+  // { trackId, position }: seek chờ hàng đợi khôi phục xong và bài đó được nạp trên thẻ audio đang phát
+  const [pendingSeek, setPendingSeek] = useState(null);
+  const deviceRef = useRef(null);
+  // Chỉ ghi đè trạng thái đã lưu sau khi người dùng thực sự phát nhạc trong phiên này
+  const activeRef = useRef(false);
+  const latest = useRef({});
+  latest.current = { playQueue, player, onRestore };
+
+  const snapshot = useCallback(() => {
+    const { playQueue: queue, player: settings } = latest.current;
+    const audio = audioRef.current;
+    if (!queue.current || !audio) return null;
+    const from = Math.max(queue.index - QUEUE_WINDOW_BEFORE, 0);
+    const entries = queue.entries.slice(from, from + QUEUE_WINDOW);
+    return {
+      deviceId: deviceRef.current.id,
+      deviceName: deviceRef.current.name,
+      trackId: queue.current.id,
+      position: audio.currentTime || 0,
+      ...settings,
+      shuffle: queue.shuffle,
+      repeat: queue.repeat,
+      queue: { itemIds: entries.map((e) => e.track.id), index: queue.index - from },
+    };
+  }, [audioRef]);
+
+  // keepalive: request vẫn được gửi khi trang đang đóng
+  const save = useCallback(
+    ({ keepalive = false } = {}) => {
+      if (!activeRef.current) return;
+      const state = snapshot();
+      if (!state) return;
+      writeLocal({ ...state, updatedAt: new Date().toISOString() });
+      if (keepalive) {
+        fetch("/api/playback", {
+          method: "PUT",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify(state),
+          keepalive: true,
+        }).catch(() => {});
+      } else {
+        axios.put("/api/playback", state).catch((error) => console.error("Lỗi khi lưu trạng thái phát:", error));
+      }
+    },
+    [snapshot]
+  );
+
+  // Đề nghị nghe tiếp: trạng thái của thiết bị khác nếu mới hơn lần lưu cuối ở đây, không thì của chính trình duyệt này
+  useEffect(() => {
+    deviceRef.current = { id: getDeviceId(), name: describeDevice() };
+    const local = readLocal();
+    const controller = new AbortController();
+    const current = latest.current.playQueue.current;
+    const localOffer =
+      local && current && current.id === local.trackId && local.position >= MIN_RESUME_POSITION
+        ? { source: "local", track: current, position: local.position, state: local }
+        : null;
+
+    axios
+      .get("/api/playback", { signal: controller.signal })
+      .then(({ data: remote }) => {
+        const isNewer = remote && (!local?.updatedAt || remote.updatedAt > local.updatedAt);
+        if (remote && remote.deviceId !== deviceRef.current.id && isNewer) {
+          setOffer({ source: "remote", track: remote.track, position: remote.position, deviceName: remote.deviceName, state: remote });
+        } else {
+          setOffer(localOffer);
+        }
+      })
+      .catch((error) => {
+        if (axios.isCancel(error)) return;
+        console.error("Lỗi khi tải trạng thái phát:", error);
+        setOffer(localOffer);
+      });
+    return () => controller.abort();
+  }, []);
+
+  // Lưu định kỳ khi đang phát, khi tạm dừng và khi đóng/ẩn trang
+  useEffect(() => {
+    const audio = audioRef.current;
+    if (!audio) return;
+    const handlePlay = () => {
+      activeRef.current = true;
+      setOffer(null);
+    };
+    const handlePause = () => save();
+    const handleHide = () => {
+      if (document.visibilityState === "hidden") save({ keepalive: true });
+    };
+    const timer = setInterval(() => {
+      if (!audio.paused) save();
+    }, SAVE_INTERVAL);
+
+    audio.addEventListener("play", handlePlay);
+    audio.addEventListener("pause", handlePause);
+    document.addEventListener("visibilitychange", handleHide);
+    window.addEventListener("pagehide", handleHide);
+    return () => {
+      clearInterval(timer);
+      audio.removeEventListener("play", handlePlay);
+      audio.removeEventListener("pause", handlePause);
+      document.removeEventListener("visibilitychange", handleHide);
+      window.removeEventListener("pagehide", handleHide);
+    };
+  }, [audioRef, ready, save]);
+
+  // Đổi bài, đổi shuffle/repeat thì lưu ngay
+  const currentId = playQueue.current?.id;
+  useEffect(() => {
+    save();
+  }, [currentId, playQueue.shuffle, playQueue.repeat, save]);
+
+  // Âm lượng lưu cả khi chưa phát để lần sau mở lại đúng mức cũ
+  const { volume, muted, lastVolume, isFullPlayer } = player;
+  useEffect(() => {
+    writeLocal({ volume, muted, lastVolume });
+    save();
+  }, [volume, muted, lastVolume, isFullPlayer, save]);
+
+  // Chạy lại mỗi khi thẻ audio đang phát đổi (ready), vì bài có thể được phát trên deck đã nạp sẵn
+  // thay vì nạp lại trên thẻ cũ. Hàng đợi không còn ở bài đó (khôi phục lỗi, người dùng đổi bài) thì bỏ
+  useEffect(() => {
+    if (!pendingSeek) return;
+    if (currentId !== pendingSeek.trackId) {
+      setPendingSeek(null);
+      return;
+    }
+    const audio = audioRef.current;
+    if (!audio) return;
+    const src = `/api/stream/${encodeURIComponent(pendingSeek.trackId)}`;
+    const apply = () => {
+      if (!audio.src.endsWith(src) || audio.readyState < 1) return;
+      audio.currentTime = pendingSeek.position;
+      setPendingSeek(null);
+    };
+    // Đợi các effect nạp bài trong cùng lần render chạy xong (nạp lại src sẽ đưa currentTime về 0)
+    const timer = setTimeout(apply, 0);
+    audio.addEventListener("loadedmetadata", apply);
+    return () => {
+      clearTimeout(timer);
+      audio.removeEventListener("loadedmetadata", apply);
+    };
+  }, [pendingSeek, currentId, audioRef, ready]);
+
+  useEffect(() => {
+    if (!pendingSeek) return;
+    const timer = setTimeout(() => setPendingSeek(null), RESUME_SEEK_TIMEOUT);
+    return () => clearTimeout(timer);
+  }, [pendingSeek]);
+
+  const resume = useCallback(() => {
+    if (!offer) return;
+    const { playQueue: queue, onRestore: restorePlayer } = latest.current;
+    const { state } = offer;
+    restorePlayer({
+      volume: state.volume,
+      muted: state.muted,
+      lastVolume: state.lastVolume,
+      isFullPlayer: state.isFullPlayer,
+    });
+    if (offer.source === "remote") {
+      setPendingSeek({ trackId: offer.track.id, position: offer.position });
+      queue.restore({ tracks: state.queue.items, index: state.queue.index, shuffle: state.shuffle, repeat: state.repeat });
+    } else {
+      seekAndPlay(audioRef.current, offer.position);
+    }
+    setOffer(null);
+  }, [offer, audioRef]);
+
+  const dismiss = useCallback(() => setOffer(null), []);
+
+  return { offer, resume, dismiss };
+}
+
+export { loadSavedVolume };
@@ -0,0 +1,140 @@
+import { useState, useCallback, useEffect } from "react";
+import axios from "axios";
+
+// Đổi chỗ phần tử index với phần tử kế bên (direction = -1 lên, 1 xuống)
+const moveInList = (list, index, direction) => {
+  const target = index + direction;
+  if (index < 0 || target < 0 || target >= list.length) return null;
+  const next = [...list];
+  [next[index], next[target]] = [next[target], next[index]];
+  return next;
+};
+
+// Danh sách playlist và playlist đang mở, mọi thay đổi đều ghi thẳng xuống backend
+export default function usePlaylists() {
+  const [playlists, setPlaylists] = useState([]);
+  const [activePlaylist, setActivePlaylist] = useState(null);
+
+  const loadPlaylists = useCallback(async () => {
+    try {
+      const res = await axios.get("/api/playlists");
+      setPlaylists(res.data);
+    } catch (error) {
+      console.error("Lỗi khi tải playlist:", error);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadPlaylists();
+  }, [loadPlaylists]);
+
+  // Các API sửa entry đều trả về playlist đầy đủ
+  const applyPlaylist = useCallback(
+    (playlist) => {
+      setActivePlaylist((prev) => (prev?.id === playlist.id ? playlist : prev));
+      loadPlaylists();
+      return playlist;
+    },
+    [loadPlaylists]
+  );
+
+  const openPlaylist = useCallback(async (id) => {
+    try {
+      const res = await axios.get(`/api/playlists/${id}`);
+      setActivePlaylist(res.data);
+    } catch (error) {
+      console.error("Lỗi khi mở playlist:", error);
+    }
+  }, []);
+
+  const closePlaylist = useCallback(() => setActivePlaylist(null), []);
+
+  const createPlaylist = useCallback(
+    async (name, itemIds = []) => {
+      const res = await axios.post("/api/playlists", { name, itemIds });
+      await loadPlaylists();
+      return res.data;
+    },
+    [loadPlaylists]
+  );
+
+  // Gửi nguyên nội dung file; trả về report của backend (kể cả khi không khớp bài nào)
+  const importPlaylist = useCallback(
+    async (file) => {
+      try {
+        const res = await axios.post("/api/playlists/import", file, {
+          params: { filename: file.name },
+          headers: { "Content-Type": "text/plain" },
+        });
+        await loadPlaylists();
+        return res.data;
+      } catch (error) {
+        if (error.response?.data) return error.response.data;
+        throw error;
+      }
+    },
+    [loadPlaylists]
+  );
+
+  const renamePlaylist = useCallback(
+    async (id, name) => applyPlaylist((await axios.patch(`/api/playlists/${id}`, { name })).data),
+    [applyPlaylist]
+  );
+
+  const deletePlaylist = useCallback(
+    async (id) => {
+      await axios.delete(`/api/playlists/${id}`);
+      setActivePlaylist((prev) => (prev?.id === id ? null : prev));
+      await loadPlaylists();
+    },
+    [loadPlaylists]
+  );
+
+  const movePlaylist = useCallback(
+    async (id, direction) => {
+      const ids = moveInList(playlists.map((p) => p.id), playlists.findIndex((p) => p.id === id), direction);
+      if (!ids) return;
+      const res = await axios.put("/api/playlists/order", { ids });
+      setPlaylists(res.data);
+    },
+    [playlists]
+  );
+
+  const addToPlaylist = useCallback(
+    async (id, itemIds) => applyPlaylist((await axios.post(`/api/playlists/${id}/entries`, { itemIds })).data),
+    [applyPlaylist]
+  );
+
+  const removeEntry = useCallback(
+    async (id, entryId) => applyPlaylist((await axios.delete(`/api/playlists/${id}/entries/${entryId}`)).data),
+    [applyPlaylist]
+  );
+
+  const moveEntry = useCallback(
+    async (entryId, direction) => {
+      if (!activePlaylist) return;
+      const { entries } = activePlaylist;
+      const entryIds = moveInList(entries.map((e) => e.id), entries.findIndex((e) => e.id === entryId), direction);
+      if (!entryIds) return;
+      const res = await axios.put(`/api/playlists/${activePlaylist.id}/entries/order`, { entryIds });
+      applyPlaylist(res.data);
+    },
+    [activePlaylist, applyPlaylist]
+  );
+
+  return {
+    playlists,
+    activePlaylist,
+    loadPlaylists,
+    openPlaylist,
+    closePlaylist,
+    createPlaylist,
+    importPlaylist,
+    renamePlaylist,
+    deletePlaylist,
+    movePlaylist,
+    addToPlaylist,
+    removeEntry,
+    moveEntry,
+  };
+}
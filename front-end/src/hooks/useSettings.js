@@ -0,0 +1,49 @@
+import { useState, useCallback, useEffect, useRef } from "react";
+import axios from "axios";
+
+// Cài đặt người dùng lưu trên backend. updateSettings áp dụng ngay rồi mới ghi (PATCH),
+// ghi lỗi thì tải lại bản trên server.
+// settings và defaults (giá trị mặc định của backend) là null cho tới khi tải xong
+export default function useSettings() {
+  const [settings, setSettings] = useState(null);
+  const [defaults, setDefaults] = useState(null);
+  // Kéo thanh trượt sinh nhiều PATCH liên tiếp: chỉ nhận kết quả của lần ghi mới nhất
+  const latestRequest = useRef(0);
+
+  const loadSettings = useCallback(async () => {
+    try {
+      const res = await axios.get("/api/settings");
+      setSettings(res.data.settings);
+      setDefaults(res.data.defaults);
+    } catch (error) {
+      console.error("Lỗi khi tải cài đặt:", error);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadSettings();
+  }, [loadSettings]);
+
+  // patch theo nhóm: { replayGain: { mode: "album" } }
+  const updateSettings = useCallback(
+    async (patch) => {
+      setSettings((prev) => {
+        if (!prev) return prev;
+        const next = { ...prev };
+        for (const [group, value] of Object.entries(patch)) next[group] = { ...prev[group], ...value };
+        return next;
+      });
+      const request = ++latestRequest.current;
+      try {
+        const res = await axios.patch("/api/settings", patch);
+        if (request === latestRequest.current) setSettings(res.data);
+      } catch (error) {
+        console.error("Lỗi khi lưu cài đặt:", error);
+        if (request === latestRequest.current) loadSettings();
+      }
+    },
+    [loadSettings]
+  );
+
+  return { settings, defaults, updateSettings };
+}
@@ -0,0 +1,77 @@
+import { useEffect, useState } from "react";
+import { Spinner, Button } from "react-bootstrap";
+import { Link, useParams, useOutletContext } from "react-router-dom";
+import axios from "axios";
+import { FaPlay } from "react-icons/fa";
+import TrackList from "../components/TrackList";
+import { formatDuration, albumArtSrc } from "../utils/format";
+
+export default function AlbumDetail() {
+    const { id } = useParams();
+    const { playTrack, currentTrack, openTrackMenu } = useOutletContext();
+    const [album, setAlbum] = useState(null);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        const controller = new AbortController();
+        setAlbum(null);
+        setError(null);
+        axios.get(`/api/albums/${id}`, { signal: controller.signal })
+            .then((res) => setAlbum(res.data))
+            .catch((err) => {
+                if (axios.isCancel(err)) return;
+                setError(err.response?.status === 404 ? "Không tìm thấy album" : "Có lỗi xảy ra khi tải album");
+            });
+        return () => controller.abort();
+    }, [id]);
+
+    if (error) return <p className="text-white text-center mt-5">{error}</p>;
+    if (!album) return <div className="text-center mt-5"><Spinner animation="border" variant="light" /></div>;
+
+    return (
+        <div className="text-white">
+            <div className="d-flex align-items-end gap-4 mb-4">
+                <img
+                    src={albumArtSrc(album.albumArtUrl, 300)}
+                    alt={`${album.title} album art`}
+                    width="180"
+                    height="180"
+                    className="album-art flex-shrink-0"
+                />
+                <div className="overflow-hidden">
+                    <small className="text-secondary text-uppercase">Album</small>
+                    <h2 className="fw-bold text-truncate">{album.title}</h2>
+                    <div className="mb-3">
+                        {album.artistId ? (
+                            <Link to={`/artists/${album.artistId}`} className="text-white fw-bold">
+                                {album.artist}
+                            </Link>
+                        ) : (
+                            album.artist
+                        )}
+                        <span className="text-secondary">
+                            {album.year && ` · ${album.year}`} · {album.trackCount} bài · {formatDuration(album.totalDuration)}
+                        </span>
+                    </div>
+                    <Button
+                        className="d-flex align-items-center justify-content-center rounded-circle p-2"
+                        style={{ backgroundColor: "#1DB954", border: "none", width: "48px", height: "48px" }}
+                        onClick={() => playTrack(album.tracks[0], album.tracks)}
+                        disabled={!album.tracks.length}
+                        title="Phát album"
+                    >
+                        <FaPlay size={18} />
+                    </Button>
+                </div>
+            </div>
+            <TrackList
+                tracks={album.tracks}
+                currentTrackId={currentTrack?.id}
+                onPlay={playTrack}
+                onContextMenu={openTrackMenu}
+                showAlbum={false}
+                showTrackNumber
+            />
+        </div>
+    );
+}
@@ -0,0 +1,71 @@
+import { useEffect, useState, useCallback } from "react";
+import { Spinner, Form, Button } from "react-bootstrap";
+import axios from "axios";
+import AlbumGrid from "../components/AlbumGrid";
+
+const PAGE_SIZE = 60;
+
+const SORTS = [
+    { value: "title", label: "Tên album" },
+    { value: "artist", label: "Nghệ sĩ" },
+    { value: "year", label: "Năm" },
+    { value: "updatedAt", label: "Mới thêm" },
+];
+
+export default function Albums() {
+    const [albums, setAlbums] = useState([]);
+    const [total, setTotal] = useState(0);
+    const [page, setPage] = useState(1);
+    const [sort, setSort] = useState("title");
+    const [loading, setLoading] = useState(true);
+
+    const loadAlbums = useCallback(async (pageToLoad) => {
+        setLoading(true);
+        try {
+            const res = await axios.get("/api/albums", {
+                params: {
+                    page: pageToLoad,
+                    pageSize: PAGE_SIZE,
+                    sort,
+                    order: ["year", "updatedAt"].includes(sort) ? "desc" : "asc",
+                },
+            });
+            setAlbums((prev) => (pageToLoad === 1 ? res.data.albums : [...prev, ...res.data.albums]));
+            setTotal(res.data.total);
+            setPage(pageToLoad);
+        } catch (error) {
+            console.error("Lỗi khi tải album:", error);
+        } finally {
+            setLoading(false);
+        }
+    }, [sort]);
+
+    useEffect(() => {
+        loadAlbums(1);
+    }, [loadAlbums]);
+
+    return (
+        <div className="text-white">
+            <div className="d-flex align-items-center justify-content-between mb-3">
+                <h4 className="mb-0">Album <small className="text-secondary fs-6">({total})</small></h4>
+                <Form.Select size="sm" className="w-auto" value={sort} onChange={(e) => setSort(e.target.value)}>
+                    {SORTS.map((s) => (
+                        <option key={s.value} value={s.value}>{s.label}</option>
+                    ))}
+                </Form.Select>
+            </div>
+            <AlbumGrid albums={albums} />
+            <div className="text-center my-3">
+                {loading ? (
+                    <Spinner animation="border" size="sm" />
+                ) : (
+                    albums.length < total && (
+                        <Button variant="outline-light" size="sm" onClick={() => loadAlbums(page + 1)}>
+                            Xem thêm
+                        </Button>
+                    )
+                )}
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,78 @@
+import { useEffect, useState } from "react";
+import { Spinner, Button } from "react-bootstrap";
+import { useParams, useOutletContext } from "react-router-dom";
+import axios from "axios";
+import { FaPlay } from "react-icons/fa";
+import AlbumGrid from "../components/AlbumGrid";
+import TrackList from "../components/TrackList";
+import { formatDuration, albumArtSrc } from "../utils/format";
+
+export default function ArtistDetail() {
+    const { id } = useParams();
+    const { playTrack, currentTrack, openTrackMenu } = useOutletContext();
+    const [artist, setArtist] = useState(null);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        const controller = new AbortController();
+        setArtist(null);
+        setError(null);
+        axios.get(`/api/artists/${id}`, { signal: controller.signal })
+            .then((res) => setArtist(res.data))
+            .catch((err) => {
+                if (axios.isCancel(err)) return;
+                setError(err.response?.status === 404 ? "Không tìm thấy nghệ sĩ" : "Có lỗi xảy ra khi tải nghệ sĩ");
+            });
+        return () => controller.abort();
+    }, [id]);
+
+    if (error) return <p className="text-white text-center mt-5">{error}</p>;
+    if (!artist) return <div className="text-center mt-5"><Spinner animation="border" variant="light" /></div>;
+
+    return (
+        <div className="text-white">
+            <div className="d-flex align-items-end gap-4 mb-4">
+                <img
+                    src={albumArtSrc(artist.albumArtUrl, 300)}
+                    alt={artist.name}
+                    width="180"
+                    height="180"
+                    className="rounded-circle flex-shrink-0"
+                    style={{ objectFit: "cover" }}
+                />
+                <div className="overflow-hidden">
+                    <small className="text-secondary text-uppercase">Nghệ sĩ</small>
+                    <h2 className="fw-bold text-truncate">{artist.name}</h2>
+                    <div className="text-secondary mb-3">
+                        {artist.albumCount} album · {artist.trackCount} bài · {formatDuration(artist.totalDuration)}
+                    </div>
+                    <Button
+                        className="d-flex align-items-center justify-content-center rounded-circle p-2"
+                        style={{ backgroundColor: "#1DB954", border: "none", width: "48px", height: "48px" }}
+                        onClick={() => playTrack(artist.tracks[0], artist.tracks)}
+                        disabled={!artist.tracks.length}
+                        title="Phát tất cả"
+                    >
+                        <FaPlay size={18} />
+                    </Button>
+                </div>
+            </div>
+            {artist.albums.length > 0 && (
+                <>
+                    <h5 className="mb-3">Album</h5>
+                    <div className="mb-4">
+                        <AlbumGrid albums={artist.albums} showArtist={false} />
+                    </div>
+                </>
+            )}
+            <h5 className="mb-3">Bài hát</h5>
+            <TrackList
+                tracks={artist.tracks}
+                currentTrackId={currentTrack?.id}
+                onPlay={playTrack}
+                onContextMenu={openTrackMenu}
+                showArtist={false}
+            />
+        </div>
+    );
+}
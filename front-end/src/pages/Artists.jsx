@@ -0,0 +1,84 @@
+import { useEffect, useState, useCallback } from "react";
+import { Spinner, Form, Button, Row, Col } from "react-bootstrap";
+import { Link } from "react-router-dom";
+import axios from "axios";
+import { albumArtSrc } from "../utils/format";
+
+const PAGE_SIZE = 60;
+
+const SORTS = [
+    { value: "name", label: "Tên" },
+    { value: "tracks", label: "Số bài" },
+    { value: "albums", label: "Số album" },
+];
+
+export default function Artists() {
+    const [artists, setArtists] = useState([]);
+    const [total, setTotal] = useState(0);
+    const [page, setPage] = useState(1);
+    const [sort, setSort] = useState("name");
+    const [loading, setLoading] = useState(true);
+
+    const loadArtists = useCallback(async (pageToLoad) => {
+        setLoading(true);
+        try {
+            const res = await axios.get("/api/artists", {
+                params: { page: pageToLoad, pageSize: PAGE_SIZE, sort, order: sort === "name" ? "asc" : "desc" },
+            });
+            setArtists((prev) => (pageToLoad === 1 ? res.data.artists : [...prev, ...res.data.artists]));
+            setTotal(res.data.total);
+            setPage(pageToLoad);
+        } catch (error) {
+            console.error("Lỗi khi tải nghệ sĩ:", error);
+        } finally {
+            setLoading(false);
+        }
+    }, [sort]);
+
+    useEffect(() => {
+        loadArtists(1);
+    }, [loadArtists]);
+
+    return (
+        <div className="text-white">
+            <div className="d-flex align-items-center justify-content-between mb-3">
+                <h4 className="mb-0">Nghệ sĩ <small className="text-secondary fs-6">({total})</small></h4>
+                <Form.Select size="sm" className="w-auto" value={sort} onChange={(e) => setSort(e.target.value)}>
+                    {SORTS.map((s) => (
+                        <option key={s.value} value={s.value}>{s.label}</option>
+                    ))}
+                </Form.Select>
+            </div>
+            <Row xs={2} sm={3} md={4} xl={5} className="g-3">
+                {artists.map((a) => (
+                    <Col key={a.id}>
+                        <Link to={`/artists/${a.id}`} className="text-white text-decoration-none d-block text-center">
+                            <img
+                                src={albumArtSrc(a.albumArtUrl, 300)}
+                                alt={a.name}
+                                className="w-100 mb-2 rounded-circle"
+                                style={{ aspectRatio: "1 / 1", objectFit: "cover" }}
+                                loading="lazy"
+                            />
+                            <div className="fw-bold text-truncate" title={a.name}>{a.name}</div>
+                            <small className="text-secondary">
+                                {a.albumCount} album · {a.trackCount} bài
+                            </small>
+                        </Link>
+                    </Col>
+                ))}
+            </Row>
+            <div className="text-center my-3">
+                {loading ? (
+                    <Spinner animation="border" size="sm" />
+                ) : (
+                    artists.length < total && (
+                        <Button variant="outline-light" size="sm" onClick={() => loadArtists(page + 1)}>
+                            Xem thêm
+                        </Button>
+                    )
+                )}
+            </div>
+        </div>
+    );
+}
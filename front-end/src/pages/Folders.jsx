@@ -0,0 +1,144 @@
+import { useEffect, useState } from "react";
+import { Spinner, Button, ListGroup, Breadcrumb } from "react-bootstrap";
+import { Link, useParams, useOutletContext } from "react-router-dom";
+import axios from "axios";
+import { FaPlay, FaFolder, FaServer, FaPlus } from "react-icons/fa";
+import TrackList from "../components/TrackList";
+
+const folderLink = (id) => `/folders/${encodeURIComponent(id)}`;
+
+// "serverId::objectId" -> { serverId, objectId }; ObjectID của DLNA có thể chứa "::"
+const splitFolderId = (id) => {
+    const idx = id.indexOf("::");
+    return idx === -1 ? { serverId: null, objectId: id } : { serverId: id.slice(0, idx), objectId: id.slice(idx + 2) };
+};
+
+// Duyệt cây container của DLNA server; không có id thì liệt kê các server đang bật
+export default function Folders() {
+    const { id } = useParams();
+    const { playTrack, enqueueTracks, currentTrack, openTrackMenu } = useOutletContext();
+    const [folder, setFolder] = useState(null);
+    const [servers, setServers] = useState(null);
+    const [error, setError] = useState(null);
+    const [collecting, setCollecting] = useState(false);
+
+    useEffect(() => {
+        const controller = new AbortController();
+        setFolder(null);
+        setError(null);
+        if (!id) {
+            axios.get("/api/servers", { signal: controller.signal })
+                .then((res) => setServers(res.data.servers.filter((s) => s.enabled && s.online)))
+                .catch((err) => {
+                    if (!axios.isCancel(err)) setError("Có lỗi xảy ra khi tải danh sách server");
+                });
+        } else {
+            const { serverId, objectId } = splitFolderId(id);
+            axios.get(`/api/browse/${encodeURIComponent(objectId)}`, { params: { server: serverId }, signal: controller.signal })
+                .then((res) => setFolder(res.data))
+                .catch((err) => {
+                    if (axios.isCancel(err)) return;
+                    setError(err.response?.status === 404 ? "Không tìm thấy server" : "Có lỗi xảy ra khi tải thư mục");
+                });
+        }
+        return () => controller.abort();
+    }, [id]);
+
+    // Lấy mọi bài trong thư mục và các thư mục con rồi phát hoặc thêm vào hàng đợi
+    const collectTracks = async (play) => {
+        const { serverId, objectId } = splitFolderId(id);
+        setCollecting(true);
+        try {
+            const res = await axios.get(`/api/browse/${encodeURIComponent(objectId)}/tracks`, { params: { server: serverId } });
+            const tracks = res.data.items;
+            if (!tracks.length) return;
+            if (play) playTrack(tracks[0], tracks);
+            else enqueueTracks(tracks);
+        } catch (err) {
+            console.error("Lỗi khi tải bài trong thư mục:", err);
+        } finally {
+            setCollecting(false);
+        }
+    };
+
+    if (error) return <p className="text-white text-center mt-5">{error}</p>;
+
+    if (!id) {
+        if (!servers) return <div className="text-center mt-5"><Spinner animation="border" variant="light" /></div>;
+        return (
+            <ListGroup variant="flush" className="table-glass">
+                {servers.map((s) => (
+                    <ListGroup.Item key={s.id} as={Link} to={folderLink(`${s.id}::0`)} action className="bg-transparent text-white">
+                        <FaServer className="me-2" />
+                        {s.name}
+                    </ListGroup.Item>
+                ))}
+                {!servers.length && (
+                    <ListGroup.Item className="bg-transparent text-secondary">Không có DLNA server nào đang bật</ListGroup.Item>
+                )}
+            </ListGroup>
+        );
+    }
+
+    if (!folder) return <div className="text-center mt-5"><Spinner animation="border" variant="light" /></div>;
+
+    const isRoot = folder.container.objectId === "0";
+
+    return (
+        <div className="text-white">
+            <Breadcrumb className="folder-breadcrumb">
+                <Breadcrumb.Item linkAs={Link} linkProps={{ to: "/folders" }}>Thư mục</Breadcrumb.Item>
+                <Breadcrumb.Item linkAs={Link} linkProps={{ to: folderLink(`${folder.server.id}::0`) }} active={isRoot}>
+                    {folder.server.name}
+                </Breadcrumb.Item>
+                {folder.path.filter((c) => c.objectId !== "0").map((c) => (
+                    <Breadcrumb.Item key={c.id} linkAs={Link} linkProps={{ to: folderLink(c.id) }}>
+                        {c.title}
+                    </Breadcrumb.Item>
+                ))}
+                {!isRoot && <Breadcrumb.Item active>{folder.container.title || folder.container.objectId}</Breadcrumb.Item>}
+            </Breadcrumb>
+
+            <div className="d-flex align-items-center gap-2 mb-3">
+                <Button
+                    className="d-flex align-items-center justify-content-center rounded-circle p-2"
+                    style={{ backgroundColor: "#1DB954", border: "none", width: "44px", height: "44px" }}
+                    onClick={() => collectTracks(true)}
+                    disabled={collecting}
+                    title="Phát cả thư mục"
+                >
+                    {collecting ? <Spinner animation="border" size="sm" /> : <FaPlay size={16} />}
+                </Button>
+                <Button variant="outline-light" size="sm" onClick={() => collectTracks(false)} disabled={collecting}>
+                    <FaPlus className="me-1" />
+                    Thêm vào hàng đợi
+                </Button>
+            </div>
+
+            {folder.containers.length > 0 && (
+                <ListGroup variant="flush" className="table-glass mb-3">
+                    {folder.containers.map((c) => (
+                        <ListGroup.Item key={c.id} as={Link} to={folderLink(c.id)} action className="bg-transparent text-white">
+                            <FaFolder className="me-2" />
+                            {c.title}
+                            {c.childCount != null && <small className="text-secondary ms-2">{c.childCount}</small>}
+                        </ListGroup.Item>
+                    ))}
+                </ListGroup>
+            )}
+
+            {folder.items.length > 0 && (
+                <TrackList
+                    tracks={folder.items}
+                    currentTrackId={currentTrack?.id}
+                    onPlay={playTrack}
+                    onContextMenu={openTrackMenu}
+                />
+            )}
+
+            {!folder.containers.length && !folder.items.length && (
+                <p className="text-secondary text-center">Thư mục trống</p>
+            )}
+        </div>
+    );
+}
@@ -1,63 +1,265 @@
 import { useEffect, useState, useRef, useCallback } from "react";
-import { Container, Row, Col, Card, Spinner, Button, ListGroup, FormControl, Table, Navbar, Badge } from "react-bootstrap";
+import { Container, Row, Col, Card, Spinner, Button, ListGroup, FormControl, Form, Table, Navbar, Badge, CloseButton } from "react-bootstrap";
 import axios from "axios";
-import { FaPlay, FaPause, FaStepBackward, FaStepForward, FaRedo, FaRandom, FaSortDown, FaVolumeUp, FaVolumeMute, FaHome, FaSearch, FaBell, FaUsers, FaSync } from 'react-icons/fa';
+import { NavLink, useNavigate, useOutlet } from "react-router-dom";
+import { FaPlay, FaPause, FaStepBackward, FaStepForward, FaRedo, FaRandom, FaSort, FaSortUp, FaSortDown, FaVolumeUp, FaVolumeMute, FaHome, FaSearch, FaBell, FaUsers, FaSync, FaListOl, FaSlidersH, FaStopwatch, FaDownload } from 'react-icons/fa';
 import DynamicBackground from "../components/DynamicBackgroud";
+import ServerPicker from "../components/ServerPicker";
+import ScanProgress from "../components/ScanProgress";
+import PlaylistSidebar from "../components/PlaylistSidebar";
+import PlaylistView from "../components/PlaylistView";
+import TrackContextMenu from "../components/TrackContextMenu";
+import ExportMenu from "../components/ExportMenu";
+import QualityBadges from "../components/QualityBadges";
+import Highlight from "../components/Highlight";
+import SearchSuggest from "../components/SearchSuggest";
+import QueuePanel from "../components/QueuePanel";
+import ResumePrompt from "../components/ResumePrompt";
+import ShortcutHelp from "../components/ShortcutHelp";
+import PlaybackSettings from "../components/PlaybackSettings";
+import EqualizerPanel from "../components/EqualizerPanel";
+import LyricsPanel from "../components/LyricsPanel";
+import LyricsSyncEditor from "../components/LyricsSyncEditor";
+import usePlaylists from "../hooks/usePlaylists";
+import usePlayQueue from "../hooks/usePlayQueue";
+import usePlaybackState, { loadSavedVolume } from "../hooks/usePlaybackState";
+import usePlaybackEngine from "../hooks/usePlaybackEngine";
+import useMediaSession from "../hooks/useMediaSession";
+import useSettings from "../hooks/useSettings";
+import useLyrics from "../hooks/useLyrics";
+import { albumArtSrc } from "../utils/format";
+import { playerTheme } from "../utils/palette";
+import { matchShortcut } from "../utils/shortcuts";
+import { computeReplayGain, isAlbumContext } from "../utils/replayGain";
+
+const PAGE_SIZE = 100;
+
+const COLUMNS = [
+    { key: "title", label: "Title" },
+    { key: "artist", label: "Artist" },
+    { key: "album", label: "Album", className: "d-none d-md-table-cell" },
+    { key: "duration", label: "Duration", className: "d-none d-lg-table-cell" },
+    { key: "genre", label: "Genre", className: "d-none d-xl-table-cell" },
+];
+
+const DEFAULT_SORT = { column: "title", order: "asc" };
+// Đang tìm kiếm thì mặc định xếp theo độ liên quan (backend chấm điểm)
+const RELEVANCE_SORT = { column: "relevance", order: "desc" };
+
+const SEEK_STEP = 5;
+const SEEK_STEP_LONG = 10;
+const VOLUME_STEP = 0.05;
+
+// Màu chữ của trình phát đổi theo bảng màu ảnh bìa (biến CSS từ playerTheme), mặc định trắng
+const PLAYER_TEXT = "var(--player-text, white)";
+
+const REPEAT_TITLES = { off: "Lặp lại: tắt", all: "Lặp lại tất cả", one: "Lặp lại một bài" };
+
+const FILTER_LABELS = { artist: "Nghệ sĩ", album: "Album", genre: "Thể loại", tier: "Chất lượng", year: "Năm" };
 
 export default function Home() {
     const [items, setItems] = useState([]);
+    const [total, setTotal] = useState(0);
+    const [totalDuration, setTotalDuration] = useState(0);
+    const [page, setPage] = useState(1);
+    const [sort, setSort] = useState(DEFAULT_SORT);
+    const [filters, setFilters] = useState({});
+    const [facets, setFacets] = useState({ genres: [], tiers: [], years: [] });
     const [loading, setLoading] = useState(true);
-    const [scanning, setScanning] = useState(false);
-    const [currentTrack, setCurrentTrack] = useState(null);
+    const [loadingMore, setLoadingMore] = useState(false);
+    const [scanJob, setScanJob] = useState(null);
+    // Danh sách đang phát: trang thư viện đang hiển thị hoặc một playlist
+    const playQueue = usePlayQueue();
+    const { playList, playNow, enqueue, playNext: queueNext, next, previous, toggleShuffle, cycleRepeat, repeat, shuffle, canGoBack, token: playToken } = playQueue;
+    const currentTrack = playQueue.current;
+    // playToken mà lần chuyển bài do engine tự làm (gapless/crossfade) sẽ tạo ra: lúc đó không nạp lại bài
+    const advancedTokenRef = useRef(null);
+    const { engine, audioRef, audio: activeAudio, crossfade, setCrossfade } = usePlaybackEngine({
+        onAdvance: () => {
+            advancedTokenRef.current = playToken + 1;
+            next();
+        },
+        onEnded: () => {
+            if (repeat === "one") {
+                const audio = audioRef.current;
+                audio.currentTime = 0;
+                audio.play();
+            } else {
+                next();
+            }
+        },
+    });
+    // Bài kế tiếp để engine nạp sẵn; lặp một bài thì không cần
+    const { entries: queueEntries, index: queueIndex } = playQueue;
+    const upcomingTrack = repeat === "one"
+        ? null
+        : queueEntries[queueIndex + 1]?.track || (repeat === "all" && !shuffle ? queueEntries[0]?.track : null) || null;
+    // Chưa tải xong cài đặt thì replayGain/equalizer là undefined: không chuẩn hoá, không EQ
+    const { settings, defaults, updateSettings } = useSettings();
+    const replayGainSettings = settings?.replayGain;
+    const equalizer = settings?.equalizer;
+    const updateEqualizer = useCallback((patch) => updateSettings({ equalizer: patch }), [updateSettings]);
+    const [showEqualizer, setShowEqualizer] = useState(false);
+    const [showQueue, setShowQueue] = useState(false);
+    const [showShortcuts, setShowShortcuts] = useState(false);
+    const [contextMenu, setContextMenu] = useState(null);
     const [filterSearch, setFilterSearch] = useState('');
-    const audioRef = useRef(null);
+    const [debouncedSearch, setDebouncedSearch] = useState('');
+    const [suggestOpen, setSuggestOpen] = useState(false);
     const [isPlaying, setIsPlaying] = useState(false);
-    const [repeat, setRepeat] = useState(false);
-    const [shuffle, setShuffle] = useState(false);
-    const [currentLyricIndex, setCurrentLyricIndex] = useState(0);
     const [isFullPlayer, setIsFullPlayer] = useState(false);
+    const { lyrics, loading: lyricsLoading, saveLyrics, removeOverride } = useLyrics(currentTrack?.id, isFullPlayer);
+    // Id bài đang mở trình đồng bộ lời; chuyển bài là tự thoát
+    const [syncingLyricsFor, setSyncingLyricsFor] = useState(null);
+    const syncingLyrics = Boolean(currentTrack) && syncingLyricsFor === currentTrack.id;
     const [currentTime, setCurrentTime] = useState(0);
     const [duration, setDuration] = useState(0);
-    const [volume, setVolume] = useState(0.6);
-    const [isMuted, setIsMuted] = useState(false);
-    const [lastVolume, setLastVolume] = useState(1);
+    const [volume, setVolume] = useState(() => loadSavedVolume().volume);
+    const [isMuted, setIsMuted] = useState(() => loadSavedVolume().muted);
+    const [lastVolume, setLastVolume] = useState(() => loadSavedVolume().lastVolume);
+    const [serverId, setServerId] = useState(() => localStorage.getItem("caramel.server") || "");
 
-    useEffect(() => {
-        axios.get("/api/items")
-            .then((res) => {
-                setItems(res.data); // Load list nhạc ngay
+    const scanning = scanJob?.status === "running";
+    const {
+        playlists,
+        activePlaylist,
+        openPlaylist,
+        closePlaylist,
+        createPlaylist,
+        importPlaylist,
+        renamePlaylist,
+        deletePlaylist,
+        movePlaylist,
+        addToPlaylist,
+        removeEntry,
+        moveEntry,
+    } = usePlaylists();
+
+    const requestRef = useRef(0);
+
+    // Tải một trang từ server; trang 1 thay toàn bộ danh sách, các trang sau nối thêm vào
+    const loadItems = useCallback(async (pageToLoad = 1) => {
+        const requestId = ++requestRef.current;
+        if (pageToLoad > 1) setLoadingMore(true);
+        try {
+            const res = await axios.get("/api/items", {
+                params: {
+                    page: pageToLoad,
+                    pageSize: PAGE_SIZE,
+                    sort: sort.column,
+                    order: sort.order,
+                    q: debouncedSearch || undefined,
+                    ...filters,
+                },
+            });
+            // Bỏ qua kết quả của request cũ (đã đổi bộ lọc/sort trong lúc chờ)
+            if (requestId !== requestRef.current) return;
+            setItems((prev) => (pageToLoad === 1 ? res.data.items : [...prev, ...res.data.items]));
+            setTotal(res.data.total);
+            setTotalDuration(res.data.totalDuration);
+            setPage(pageToLoad);
+        } catch (error) {
+            console.error("Lỗi khi tải danh sách nhạc:", error);
+        } finally {
+            if (requestId === requestRef.current) {
                 setLoading(false);
+                setLoadingMore(false);
+            }
+        }
+    }, [sort, filters, debouncedSearch]);
+
+    const loadFacets = useCallback(() => {
+        axios.get("/api/items/facets")
+            .then((res) => setFacets(res.data))
+            .catch((error) => console.error("Lỗi khi tải bộ lọc:", error));
+    }, []);
+
+    const reloadLibrary = useCallback(() => {
+        loadItems(1);
+        loadFacets();
+    }, [loadItems, loadFacets]);
+
+    useEffect(() => {
+        loadItems(1);
+    }, [loadItems]);
+
+    // Chờ người dùng gõ xong mới gửi query tìm kiếm
+    useEffect(() => {
+        const timer = setTimeout(() => {
+            const search = filterSearch.trim();
+            setDebouncedSearch(search);
+            // Chỉ đổi sort khi người dùng chưa tự chọn cột khác
+            setSort((prev) => {
+                if (search && prev === DEFAULT_SORT) return RELEVANCE_SORT;
+                if (!search && prev === RELEVANCE_SORT) return DEFAULT_SORT;
+                return prev;
             });
+        }, 300);
+        return () => clearTimeout(timer);
+    }, [filterSearch]);
+
+    useEffect(() => {
+        loadFacets();
+        // Nếu đang có job quét chạy dở (ví dụ vừa reload trang) thì theo dõi tiếp
+        axios.get("/api/scans")
+            .then((res) => {
+                const running = res.data.find((job) => job.status === "running");
+                if (running) setScanJob(running);
+            })
+            .catch((error) => console.error("Lỗi khi lấy danh sách job quét:", error));
+    }, [loadFacets]);
+
+    // Quét xong thì tải lại thư viện
+    useEffect(() => {
+        if (scanJob?.status === "completed") reloadLibrary();
+    }, [scanJob?.status, reloadLibrary]);
+
+    const handleSort = (column) => {
+        setSort((prev) => ({
+            column,
+            order: prev.column === column && prev.order === "asc" ? "desc" : "asc",
+        }));
+    };
+
+    const setFilter = (field, value) => {
+        setFilters((prev) => {
+            const next = { ...prev };
+            if (value) next[field] = value;
+            else delete next[field];
+            return next;
+        });
+    };
+
+    // Cuộn gần cuối bảng thì tải trang tiếp theo
+    const handleTableScroll = (e) => {
+        const el = e.currentTarget;
+        if (loadingMore || items.length >= total) return;
+        if (el.scrollTop + el.clientHeight >= el.scrollHeight - 300) loadItems(page + 1);
+    };
+
+    const handleServerChange = useCallback((id) => {
+        setServerId(id);
+        localStorage.setItem("caramel.server", id);
     }, []);
 
     const handleScanMusic = async () => {
-        setScanning(true);
         try {
-            await axios.get("/1$4?metadata=true");
-            const res = await axios.get("/api/items");
-            setItems(res.data);
-            alert("Quét nhạc thành công");
+            const res = await axios.post("/api/scans", { server: serverId || undefined, metadata: true });
+            setScanJob(res.data);
         } catch (error) {
+            // Server đang quét sẵn thì hiển thị tiến độ của job đó
+            if (error.response?.status === 409 && error.response.data.job) {
+                setScanJob(error.response.data.job);
+                return;
+            }
             console.error("Lỗi khi quét nhạc:", error);
             alert("Có lỗi xảy ra khi quét nhạc!");
-        } finally {
-            setScanning(false);
         }
     }
 
+    // Tổng thời lượng do server tính trên toàn bộ kết quả lọc, không chỉ các trang đã tải
     const getTotalDuration = () => {
-        let totalSeconds = 0;
-        items.forEach(item => {
-            if (item.duration) {
-                const parts = item.duration.split(':');
-                if (parts.length === 2) {
-                    totalSeconds += parseInt(parts[0]) * 60 + parseInt(parts[1]);
-                } else if (parts.length === 3) {
-                    totalSeconds += parseInt(parts[0]) * 3600 + parseInt(parts[1]) * 60 + parseInt(parts[2]);
-                }
-            }
-        });
-        
+        const totalSeconds = Math.round(totalDuration);
         const hours = Math.floor(totalSeconds / 3600);
         const minutes = Math.floor((totalSeconds % 3600) / 60);
         const seconds = totalSeconds % 60;
@@ -68,35 +270,80 @@ export default function Home() {
         return `${minutes} phút ${seconds} giây`;
     };
 
-    const playTrack = useCallback((track) => {
-        setCurrentTrack(track);
-
-    }, [])
+    // list: danh sách thay thế hàng đợi; không có list thì chèn bài vào ngay sau bài đang phát
+    const playTrack = useCallback((track, list) => {
+        if (list) playList(list, track);
+        else playNow(track);
+    }, [playList, playNow])
 
-    const getCurrentIndex = useCallback(() => {
-        return items.findIndex(i => i.id === currentTrack?.id)
-    }, [items, currentTrack]);
+    const enqueueTracks = enqueue;
 
     //Bài tiếp theo
-    const playNext = useCallback(() => {
-        if (!items.length) return;
-        let nextIndex;
-        if (shuffle) {
-            nextIndex = Math.floor(Math.random() * items.length);
-        } else {
-            const currentIndex = getCurrentIndex();
-            nextIndex = (currentIndex + 1) % items.length;
-        }
-        playTrack(items[nextIndex]);
-    }, [items, shuffle, getCurrentIndex, playTrack]);
+    const playNext = next;
 
-    // Quay lại bài trước
+    // Quay lại bài trước; đã nghe quá 3 giây hoặc không còn lịch sử thì phát lại từ đầu
     const playPrev = useCallback(() => {
-        if (!items.length) return;
-        const currentIndex = getCurrentIndex();
-        const prevIndex = (currentIndex - 1 + items.length) % items.length;
-        playTrack(items[prevIndex]);
-    }, [items, getCurrentIndex, playTrack]);
+        const audio = audioRef.current;
+        if (audio && (audio.currentTime > 3 || !canGoBack)) {
+            audio.currentTime = 0;
+            return;
+        }
+        previous();
+    }, [audioRef, canGoBack, previous]);
+
+    // entry = null: phát cả playlist từ đầu (hoặc bài ngẫu nhiên nếu đang bật shuffle)
+    const playPlaylist = (entry) => {
+        const tracks = activePlaylist.entries.filter((e) => e.available).map((e) => e.item);
+        playList(tracks, entry?.item || null);
+    };
+
+    const handleAddToPlaylist = async (playlistId, track) => {
+        try {
+            await addToPlaylist(playlistId, [track.id]);
+        } catch (error) {
+            console.error("Lỗi khi thêm vào playlist:", error);
+        }
+    };
+
+    const handleCreatePlaylistWith = async (name, track) => {
+        try {
+            await createPlaylist(name, [track.id]);
+        } catch (error) {
+            console.error("Lỗi khi tạo playlist:", error);
+        }
+    };
+
+    const closeContextMenu = useCallback(() => setContextMenu(null), []);
+    const openTrackMenu = useCallback((e, track) => setContextMenu({ x: e.clientX, y: e.clientY, track }), []);
+
+    // Trang album/nghệ sĩ/thư mục (route con) dùng chung player và menu chuột phải với Home
+    const navigate = useNavigate();
+    const outlet = useOutlet({ playTrack, enqueueTracks, currentTrack, openTrackMenu });
+
+    const goHome = () => {
+        closePlaylist();
+        navigate("/");
+    };
+
+    const handleSelectPlaylist = (id) => {
+        navigate("/");
+        openPlaylist(id);
+    };
+
+    // Nghe tiếp bài đang dở từ lần mở trước hoặc từ thiết bị khác trong mạng LAN
+    const restorePlayer = useCallback((saved) => {
+        if (Number.isFinite(saved.volume)) setVolume(saved.volume);
+        if (saved.muted !== undefined) setIsMuted(saved.muted);
+        if (Number.isFinite(saved.lastVolume)) setLastVolume(saved.lastVolume);
+        if (saved.isFullPlayer !== undefined) setIsFullPlayer(saved.isFullPlayer);
+    }, []);
+    const playbackState = usePlaybackState({
+        audioRef,
+        ready: activeAudio,
+        playQueue,
+        player: { volume, muted: isMuted, lastVolume, isFullPlayer },
+        onRestore: restorePlayer,
+    });
 
     const togglePlayPause = useCallback(() => {
         const audio = audioRef.current;
@@ -107,97 +354,114 @@ export default function Home() {
         } else {
             audio.pause();
         }
-    }, []);
+    }, [audioRef]);
+    // Đặt trước effect nạp bài để bài đầu tiên cũng được chuẩn hoá âm lượng
     useEffect(() => {
-        if (currentTrack && audioRef.current) {
-            const audio = audioRef.current;
-            audio.src = currentTrack.url;
-            audio.load();
-            audio.onloadedmetadata = () => {
-                audio.play().catch(console.error);
-            };
-            setCurrentLyricIndex(0);
-            setCurrentTime(0);
-            const container = document.getElementById("lyrics-container");
-            if (container) container.scrollTop = 0;
-        }
-    }, [currentTrack]);
-    // Lắng nghe sự kiện audio
+        engine.setGainResolver((track) =>
+            computeReplayGain(track, replayGainSettings, isAlbumContext(track, queueEntries, shuffle))
+        );
+    }, [engine, replayGainSettings, queueEntries, shuffle]);
+    // playToken đổi mỗi lần chuyển bài (kể cả phát lại đúng bài đó); 0 = hàng đợi vừa khôi phục, chỉ nạp chứ không tự phát
     useEffect(() => {
-        const audio = audioRef.current;
-        if (!audio) return;
-
+        if (!currentTrack) return;
+        if (advancedTokenRef.current !== playToken) engine.load(currentTrack, { autoplay: playToken > 0 });
+        setCurrentTime(0);
+    }, [engine, currentTrack, playToken]);
+    useEffect(() => {
+        engine.preload(upcomingTrack);
+    }, [engine, upcomingTrack]);
+    useEffect(() => {
+        engine.setVolume(volume);
+    }, [engine, volume]);
+    useEffect(() => {
+        engine.setDsp(equalizer);
+    }, [engine, equalizer]);
+    // Lắng nghe sự kiện audio; engine chuyển deck thì gắn lại vào thẻ audio mới
+    useEffect(() => {
+        const audio = activeAudio;
+        // Deck cũ bị dừng sau khi đã chuyển: bỏ qua sự kiện pause của nó
+        const isActive = () => audio === audioRef.current;
         const handlePlay = () => setIsPlaying(true);
-        const handlePause = () => setIsPlaying(false);
-        const handleEnded = () => {
-            if (repeat) {
-                audio.currentTime = 0;
-                audio.play();
-                // 🔹 Reset lyric khi replay
-                setCurrentLyricIndex(0);
-                const container = document.getElementById("lyrics-container");
-                if (container) container.scrollTop = 0;
-            } else {
-                playNext();
-            }
-        };
-
+        const handlePause = () => isActive() && setIsPlaying(false);
         const updateTime = () => setCurrentTime(audio.currentTime);
         const setAudioData = () => setDuration(audio.duration);
 
+        // Deck mới có thể đã bắt đầu phát trước khi effect này chạy
+        setIsPlaying(!audio.paused);
+        if (audio.duration) setDuration(audio.duration);
+
         audio.addEventListener("play", handlePlay);
         audio.addEventListener("pause", handlePause);
-        audio.addEventListener("ended", handleEnded);
         audio.addEventListener("timeupdate", updateTime);
         audio.addEventListener("loadedmetadata", setAudioData);
         return () => {
             audio.removeEventListener("play", handlePlay);
             audio.removeEventListener("pause", handlePause);
-            audio.removeEventListener("ended", handleEnded);
             audio.removeEventListener("timeupdate", updateTime);
             audio.removeEventListener("loadedmetadata", setAudioData);
         };
-    }, [repeat, shuffle, items, currentTrack, playNext]);
-    useEffect(() => {
+    }, [activeAudio, audioRef]);
+    const seekBy = useCallback((delta) => {
         const audio = audioRef.current;
-        if (!audio || !currentTrack?.lyrics?.[0]?.syncText) return;
-
-        const checkLyric = () => {
-            const timeMs = audio.currentTime * 1000; // audio.currentTime là giây, dữ liệu timestamp là ms
-            const idx = currentTrack.lyrics[0].syncText.findIndex(
-                (line, i) =>
-                    timeMs >= line.timestamp &&
-                    timeMs < (currentTrack.lyrics[0].syncText[i + 1]?.timestamp || Infinity)
-            );
-            if (idx !== -1 && idx !== currentLyricIndex) setCurrentLyricIndex(idx);
-        };
+        if (!audio || !currentTrack) return;
+        audio.currentTime = Math.min(Math.max(audio.currentTime + delta, 0), audio.duration || 0);
+    }, [audioRef, currentTrack]);
+
+    // Đổi âm lượng (0..1); kéo lên khỏi 0 thì bỏ tắt tiếng
+    const changeVolume = useCallback((value) => {
+        const newVolume = Math.min(Math.max(value, 0), 1);
+        setVolume(newVolume);
+        if (newVolume > 0) setIsMuted(false);
+    }, []);
 
-        audio.addEventListener("timeupdate", checkLyric);
-        const container = document.getElementById("lyrics-container");
-        const element = document.getElementById(`lyric-${currentLyricIndex}`);
-        if (container && element) {
-            container.scrollTop = element.offsetTop - container.offsetTop - container.clientHeight / 2 + element.clientHeight / 2;
+    const toggleMute = useCallback(() => {
+        if (isMuted || volume === 0) {
+            setIsMuted(false);
+            setVolume(lastVolume || 1);
+        } else {
+            setIsMuted(true);
+            setLastVolume(volume);
+            setVolume(0);
         }
-        return () => audio.removeEventListener("timeupdate", checkLyric);
-    }, [currentTrack, currentLyricIndex]);
+    }, [isMuted, volume, lastVolume]);
+
+    useMediaSession({ audioRef, ready: activeAudio, track: currentTrack, isPlaying, onNext: playNext, onPrev: playPrev });
+
     useEffect(() => {
+        const actions = {
+            togglePlay: togglePlayPause,
+            seekBackward: () => seekBy(-SEEK_STEP),
+            seekForward: () => seekBy(SEEK_STEP),
+            seekBackwardLong: () => seekBy(-SEEK_STEP_LONG),
+            seekForwardLong: () => seekBy(SEEK_STEP_LONG),
+            previous: playPrev,
+            next: playNext,
+            volumeUp: () => changeVolume(volume + VOLUME_STEP),
+            volumeDown: () => changeVolume(volume - VOLUME_STEP),
+            toggleMute,
+            toggleShuffle,
+            cycleRepeat,
+            toggleFullPlayer: () => currentTrack && setIsFullPlayer((open) => !open),
+            closeFullPlayer: () => setIsFullPlayer(false),
+            toggleQueue: () => setShowQueue((open) => !open),
+            showHelp: () => setShowShortcuts(true),
+        };
         const handleKeyDown = (e) => {
             // Nếu đang gõ trong input/textarea thì bỏ qua
-            if (e.target.tagName === "INPUT" || e.target.tagName === "TEXTAREA") {
+            if (e.target.tagName === "INPUT" || e.target.tagName === "TEXTAREA" || e.target.isContentEditable) {
                 return;
             }
-
-            if (e.code === "Space") {
-                e.preventDefault(); // ngăn scroll khi bấm space
-                togglePlayPause();
-            }
+            const action = matchShortcut(e);
+            if (!action) return;
+            e.preventDefault(); // ngăn scroll khi bấm space/mũi tên
+            actions[action]();
         };
 
         window.addEventListener("keydown", handleKeyDown);
         return () => {
             window.removeEventListener("keydown", handleKeyDown);
         };
-    }, [togglePlayPause]);
+    }, [togglePlayPause, seekBy, playPrev, playNext, changeVolume, volume, toggleMute, toggleShuffle, cycleRepeat, currentTrack]);
 
     if (loading) {
         return (
@@ -215,25 +479,17 @@ export default function Home() {
     //     setLoading(false);
     // }, []);
 
-    //Loại bỏ dấu ở phiu tơ
-    const removeVietnameseTones = (str) => {
-        return String(str)
-            .normalize("NFD") // tách dấu
-            .replace(/[\u0300-\u036f]/g, "") // xóa dấu
-            .replace(/đ/g, "d").replace(/Đ/g, "D")
-            .toLowerCase(); // về lowercase cho dễ so sánh
-    };
-
-    //phiu tơ này
-    const filterMusic = items.filter(i => {
-        const keywords = (removeVietnameseTones(filterSearch) || "").split(" ").filter(Boolean);
-        const text = removeVietnameseTones(`${i.title ?? ""} ${i.artist ?? ""} ${i.genre}`);
-        return keywords.every(keyword => text.includes(keyword));
-    })
+    // Chỉ hiện tên nguồn khi thư viện gộp từ nhiều server
+    const multiSource = new Set(items.map(i => i.source?.id)).size > 1;
 
     const handleSearchChange = (e) => {
         setFilterSearch(e.target.value)
+        setSuggestOpen(true);
     }
+
+    const handleSearchKeyDown = (e) => {
+        if (e.key === "Enter" || e.key === "Escape") setSuggestOpen(false);
+    };
     // Hàm format mm:ss
     const formatTime = (seconds) => {
         if (!seconds) return "0:00";
@@ -252,16 +508,8 @@ export default function Home() {
     //     setIsMuted(!isMuted);
     // };
 
-    const encodeImageUrl = (url) => {
-        return url
-            ?.replace(/\s/g, '%20')
-            .replace(/\(/g, '%28')
-            .replace(/\)/g, '%29')
-            .replace(/#/g, '%23');
-    };
-
     return (
-        <div>
+        <div style={playerTheme(currentTrack?.albumArtPalette)}>
             <DynamicBackground track={currentTrack} isFullPlayer={isFullPlayer} />
             <Navbar
                 expand="lg"
@@ -280,13 +528,14 @@ export default function Home() {
                         <Button
                             className="d-flex align-items-center justify-content-center rounded-circle p-2 me-2 flex-shrink-0"
                             style={{ backgroundColor: "#2a2a2a", border: "none", width: "40px", height: "40px" }}
+                            onClick={goHome}
                         >
                             <FaHome size={18} />
                         </Button>
 
                         {/* Search bar */}
                         <div
-                            className="d-flex align-items-center px-3 rounded-pill flex-grow-1 flex-shrink-1"
+                            className="d-flex align-items-center px-3 rounded-pill flex-grow-1 flex-shrink-1 position-relative"
                             style={{
                                 backgroundColor: "#2a2a2a",
                                 height: "40px",
@@ -300,9 +549,20 @@ export default function Home() {
                                 placeholder="Search"
                                 value={filterSearch}
                                 onChange={handleSearchChange}
+                                onKeyDown={handleSearchKeyDown}
+                                onFocus={() => setSuggestOpen(true)}
+                                onBlur={() => setSuggestOpen(false)}
                                 className="bg-transparent border-0 text-white"
                                 style={{ boxShadow: "none" }}
                             />
+                            <SearchSuggest
+                                query={filterSearch}
+                                visible={suggestOpen}
+                                onPick={(track, list) => {
+                                    playTrack(track, list);
+                                    setSuggestOpen(false);
+                                }}
+                            />
                         </div>
 
                         <Button
@@ -318,6 +578,7 @@ export default function Home() {
 
                     {/* Right section */}
                     <div className="d-flex align-items-center gap-2 flex-shrink-0">
+                        <ServerPicker value={serverId} onChange={handleServerChange} onSourcesChange={reloadLibrary} />
                         <Button
                             variant="light"
                             className="fw-bold rounded-pill px-3 py-1 d-none d-xl-inline"
@@ -350,58 +611,241 @@ export default function Home() {
                 </Container>
             </Navbar>
 
-            <Container className="mt-3">
+            <PlaylistSidebar
+                playlists={playlists}
+                activeId={activePlaylist?.id}
+                onSelect={handleSelectPlaylist}
+                onCreate={createPlaylist}
+                onImport={importPlaylist}
+                onRename={renamePlaylist}
+                onDelete={deletePlaylist}
+                onMove={movePlaylist}
+            />
+            <TrackContextMenu
+                key={contextMenu ? `${contextMenu.track.id}-${contextMenu.x}-${contextMenu.y}` : "closed"}
+                menu={contextMenu}
+                playlists={playlists}
+                onAdd={handleAddToPlaylist}
+                onCreate={handleCreatePlaylistWith}
+                onPlayNext={(track) => queueNext([track])}
+                onEnqueue={(track) => enqueue([track])}
+                onClose={closeContextMenu}
+            />
+            <QueuePanel show={showQueue} onHide={() => setShowQueue(false)} queue={playQueue} />
+            {equalizer && defaults && (
+                <EqualizerPanel
+                    show={showEqualizer}
+                    onHide={() => setShowEqualizer(false)}
+                    equalizer={equalizer}
+                    defaults={defaults.equalizer}
+                    onChange={updateEqualizer}
+                />
+            )}
+            <ResumePrompt offer={playbackState.offer} onResume={playbackState.resume} onDismiss={playbackState.dismiss} />
+            <ShortcutHelp show={showShortcuts} onHide={() => setShowShortcuts(false)} />
+            <Container className="mt-3 library-main">
                 <Row className="mb-3 d-flex justify-content-center">
                     <Col md={10} lg={8}>
-                        <div className="d-flex gap-3 align-items-center justify-content-center">
-                            <Badge bg="secondary" className="px-3 py-2">
-                                Tổng: {items.length} bài hát
-                            </Badge>
-                            <Badge bg="info" className="px-3 py-2">
-                                Thời lượng: {getTotalDuration()}
-                            </Badge>
+                        <div className="d-flex gap-2 library-tabs">
+                            <NavLink to="/" end onClick={closePlaylist}>Bài hát</NavLink>
+                            <NavLink to="/albums">Album</NavLink>
+                            <NavLink to="/artists">Nghệ sĩ</NavLink>
+                            <NavLink to="/folders">Thư mục</NavLink>
                         </div>
                     </Col>
                 </Row>
-                <Row className="d-flex justify-content-center">
-                    <Col md={10} lg={8}>
-                        <div style={{ maxHeight: "85vh", overflowY: "auto" }} className="custom-scroll">
-                            <Table hover bordered className="table-glass text-white align-self-center mb-0">
-                                <thead className="bg-dark sticky-top">
-                                    <tr>
-                                        <th style={{ width: "72px" }}>#</th>
-                                        <th>Title</th>
-                                        <th>Artist</th>
-                                        <th className="d-none d-md-table-cell">Album</th>
-                                        <th className="d-none d-lg-table-cell">Duration</th>
-                                        <th className="d-none d-xl-table-cell">Genre</th>
-                                    </tr>
-                                </thead>
-                                <tbody>
-                                    {filterMusic.map((i) => (
-                                        <tr key={i.id} onClick={() => playTrack(i)} style={{ cursor: "pointer" }}>
-                                            <td>
-                                                <img
-                                                    src={encodeImageUrl(i.albumArtUrl)}
-                                                    // loading="lazy"
-                                                    width="50"
-                                                    height="50"
-                                                    className="album-art"
-                                                    alt={`${i.title} album art`}
-                                                />
-                                            </td>
-                                            <td>{i.title}</td>
-                                            <td>{i.artist}</td>
-                                            <td className="d-none d-md-table-cell">{i.album}</td>
-                                            <td className="d-none d-lg-table-cell">{i.duration}</td>
-                                            <td className="d-none d-xl-table-cell">{i.genre}</td>
-                                        </tr>
+                {outlet ? (
+                    <Row className="d-flex justify-content-center">
+                        <Col md={10} lg={8}>{outlet}</Col>
+                    </Row>
+                ) : activePlaylist ? (
+                    <Row className="d-flex justify-content-center">
+                        <Col md={10} lg={8}>
+                            <PlaylistView
+                                playlist={activePlaylist}
+                                currentTrackId={currentTrack?.id}
+                                onPlay={playPlaylist}
+                                onRemoveEntry={(entryId) => removeEntry(activePlaylist.id, entryId).catch(console.error)}
+                                onMoveEntry={(entryId, direction) => moveEntry(entryId, direction).catch(console.error)}
+                                onClose={closePlaylist}
+                            />
+                        </Col>
+                    </Row>
+                ) : (
+                    <>
+                        <Row className="mb-3 d-flex justify-content-center">
+                            <Col md={10} lg={8}>
+                                <div className="d-flex gap-3 align-items-center justify-content-center">
+                                    <Badge bg="secondary" className="px-3 py-2">
+                                        Tổng: {total} bài hát
+                                    </Badge>
+                                    <Badge bg="info" className="px-3 py-2">
+                                        Thời lượng: {getTotalDuration()}
+                                    </Badge>
+                                </div>
+                            </Col>
+                        </Row>
+                        <Row className="mb-3 d-flex justify-content-center">
+                            <Col md={10} lg={8}>
+                                <div className="d-flex flex-wrap gap-2 align-items-center">
+                                    <Form.Select
+                                        size="sm"
+                                        className="w-auto"
+                                        value={filters.genre || ""}
+                                        onChange={(e) => setFilter("genre", e.target.value)}
+                                    >
+                                        <option value="">Tất cả thể loại</option>
+                                        {facets.genres.map((f) => (
+                                            <option key={f.value} value={f.value}>{f.value} ({f.total})</option>
+                                        ))}
+                                    </Form.Select>
+                                    <Form.Select
+                                        size="sm"
+                                        className="w-auto"
+                                        value={filters.tier || ""}
+                                        onChange={(e) => setFilter("tier", e.target.value)}
+                                    >
+                                        <option value="">Mọi chất lượng</option>
+                                        {facets.tiers.map((f) => (
+                                            <option key={f.value} value={f.value}>{f.value} ({f.total})</option>
+                                        ))}
+                                    </Form.Select>
+                                    <Form.Select
+                                        size="sm"
+                                        className="w-auto"
+                                        value={filters.year || ""}
+                                        onChange={(e) => setFilter("year", e.target.value)}
+                                    >
+                                        <option value="">Mọi năm</option>
+                                        {facets.years.map((f) => (
+                                            <option key={f.value} value={f.value}>{f.value} ({f.total})</option>
+                                        ))}
+                                    </Form.Select>
+                                    {["artist", "album"].filter((field) => filters[field]).map((field) => (
+                                        <Badge key={field} bg="secondary" className="d-flex align-items-center gap-2 px-2 py-1">
+                                            {FILTER_LABELS[field]}: {filters[field]}
+                                            <CloseButton variant="white" style={{ fontSize: "0.6rem" }} onClick={() => setFilter(field, "")} />
+                                        </Badge>
                                     ))}
-                                </tbody>
-                            </Table>
-                        </div>
-                    </Col>
-                </Row>
+                                    <div className="ms-auto">
+                                        <ExportMenu
+                                            url="/api/items/export"
+                                            params={{ sort: sort.column, order: sort.order, q: debouncedSearch, ...filters }}
+                                        />
+                                    </div>
+                                </div>
+                            </Col>
+                        </Row>
+                        {scanJob && (
+                            <Row className="d-flex justify-content-center">
+                                <Col md={10} lg={8}>
+                                    <ScanProgress job={scanJob} onUpdate={setScanJob} onDismiss={() => setScanJob(null)} />
+                                </Col>
+                            </Row>
+                        )}
+                        <Row className="d-flex justify-content-center">
+                            <Col md={10} lg={8}>
+                                <div style={{ maxHeight: "85vh", overflowY: "auto" }} className="custom-scroll" onScroll={handleTableScroll}>
+                                    <Table hover bordered className="table-glass text-white align-self-center mb-0">
+                                        <thead className="bg-dark sticky-top">
+                                            <tr>
+                                                <th style={{ width: "72px" }}>#</th>
+                                                {COLUMNS.map((col) => (
+                                                    <th
+                                                        key={col.key}
+                                                        className={col.className}
+                                                        style={{ cursor: "pointer", whiteSpace: "nowrap" }}
+                                                        onClick={() => handleSort(col.key)}
+                                                    >
+                                                        {col.label}{" "}
+                                                        {sort.column !== col.key ? (
+                                                            <FaSort size={10} style={{ opacity: 0.4 }} />
+                                                        ) : sort.order === "asc" ? (
+                                                            <FaSortUp size={10} />
+                                                        ) : (
+                                                            <FaSortDown size={10} />
+                                                        )}
+                                                    </th>
+                                                ))}
+                                            </tr>
+                                        </thead>
+                                        <tbody>
+                                            {items.map((i) => (
+                                                <tr
+                                                    key={i.id}
+                                                    onClick={() => playTrack(i, items)}
+                                                    onContextMenu={(e) => {
+                                                        e.preventDefault();
+                                                        openTrackMenu(e, i);
+                                                    }}
+                                                    style={{ cursor: "pointer" }}
+                                                >
+                                                    <td>
+                                                        <img
+                                                            src={albumArtSrc(i.albumArtUrl, 64)}
+                                                            // loading="lazy"
+                                                            width="50"
+                                                            height="50"
+                                                            className="album-art"
+                                                            alt={`${i.title} album art`}
+                                                        />
+                                                    </td>
+                                                    <td>
+                                                        <Highlight text={i.title} ranges={i.highlights?.title} />
+                                                        <QualityBadges quality={i.quality} className="ms-2" />
+                                                        {multiSource && i.source && (
+                                                            <Badge bg="dark" className="ms-2 fw-normal" title="Nguồn">
+                                                                {i.source.name}
+                                                            </Badge>
+                                                        )}
+                                                        {i.snippet && !i.highlights?.title && (
+                                                            <small className="d-block text-secondary fst-italic text-truncate">
+                                                                <Highlight text={i.snippet.text} ranges={i.snippet.ranges} />
+                                                            </small>
+                                                        )}
+                                                    </td>
+                                                    <td>
+                                                        <span
+                                                            className="filter-link"
+                                                            title="Lọc theo nghệ sĩ"
+                                                            onClick={(e) => {
+                                                                e.stopPropagation();
+                                                                setFilter("artist", i.artist);
+                                                            }}
+                                                        >
+                                                            <Highlight text={i.artist} ranges={i.highlights?.artist} />
+                                                        </span>
+                                                    </td>
+                                                    <td className="d-none d-md-table-cell">
+                                                        <span
+                                                            className="filter-link"
+                                                            title="Lọc theo album"
+                                                            onClick={(e) => {
+                                                                e.stopPropagation();
+                                                                setFilter("album", i.album);
+                                                            }}
+                                                        >
+                                                            <Highlight text={i.album} ranges={i.highlights?.album} />
+                                                        </span>
+                                                    </td>
+                                                    <td className="d-none d-lg-table-cell">{i.duration}</td>
+                                                    <td className="d-none d-xl-table-cell">{i.genre}</td>
+                                                </tr>
+                                            ))}
+                                            {loadingMore && (
+                                                <tr>
+                                                    <td colSpan={COLUMNS.length + 1} className="text-center">
+                                                        <Spinner animation="border" size="sm" />
+                                                    </td>
+                                                </tr>
+                                            )}
+                                        </tbody>
+                                    </Table>
+                                </div>
+                            </Col>
+                        </Row>
+                    </>
+                )}
             </Container>
 
             <div className="sticky-bottom ">
@@ -412,7 +856,8 @@ export default function Home() {
                             bottom: 0,
                             left: 0,
                             right: 0,
-                            backgroundColor: "#000000ff",
+                            background: "var(--player-bar, #000000)",
+                            color: PLAYER_TEXT,
                             border: "none",
                             cursor: currentTrack ? "pointer" : "default",
                             height: "72px",
@@ -421,7 +866,7 @@ export default function Home() {
                     >
                         <Card.Body className="py-2 px-3">
                             <Row
-                                className="align-items-center text-white justify-content-center"
+                                className="align-items-center justify-content-center"
                                 style={{
                                     opacity: currentTrack ? 1 : 0.5,
                                     pointerEvents: currentTrack ? "auto" : "none",
@@ -435,7 +880,7 @@ export default function Home() {
                                     {currentTrack && (
                                         <>
                                             <img
-                                                src={encodeImageUrl(currentTrack.albumArtUrl)}
+                                                src={albumArtSrc(currentTrack.albumArtUrl, 64)}
                                                 alt="Album Art"
                                                 width="48"
                                                 height="48"
@@ -446,7 +891,8 @@ export default function Home() {
                                                     {currentTrack.title}
                                                 </div>
                                                 <div className="small text-truncate" style={{ fontSize: "0.75rem" }}>
-                                                    {currentTrack.artist} - {currentTrack.quality?.label}
+                                                    {currentTrack.artist}
+                                                    <QualityBadges quality={currentTrack.quality} className="ms-2" />
                                                 </div>
                                             </div>
                                         </>
@@ -462,10 +908,10 @@ export default function Home() {
                                     <div className="d-flex justify-content-center align-items-center gap-4 mb-2">
                                         <FaRandom
                                             size={14}
-                                            style={{ color: shuffle ? "#1DB954" : "white" }}
+                                            style={{ color: shuffle ? "#1DB954" : PLAYER_TEXT }}
                                             onClick={(e) => {
                                                 e.stopPropagation();
-                                                setShuffle(!shuffle);
+                                                toggleShuffle();
                                             }}
                                         />
                                         <FaStepBackward
@@ -502,14 +948,18 @@ export default function Home() {
                                                 playNext();
                                             }}
                                         />
-                                        <FaRedo
-                                            size={14}
-                                            style={{ color: repeat ? "#1DB954" : "white" }}
+                                        <span
+                                            className="repeat-toggle"
+                                            title={REPEAT_TITLES[repeat]}
+                                            style={{ color: repeat !== "off" ? "#1DB954" : PLAYER_TEXT }}
                                             onClick={(e) => {
                                                 e.stopPropagation();
-                                                setRepeat(!repeat);
+                                                cycleRepeat();
                                             }}
-                                        />
+                                        >
+                                            <FaRedo size={14} />
+                                            {repeat === "one" && <span className="repeat-one">1</span>}
+                                        </span>
                                     </div>
 
                                     {/* Progress bar */}
@@ -548,15 +998,31 @@ export default function Home() {
                                     md={4}
                                     className="d-flex justify-content-end align-items-center d-none d-lg-flex"
                                 >
+                                    {replayGainSettings && (
+                                        <PlaybackSettings
+                                            crossfade={crossfade}
+                                            onCrossfadeChange={setCrossfade}
+                                            replayGain={replayGainSettings}
+                                            onReplayGainChange={(patch) => updateSettings({ replayGain: patch })}
+                                            onOpenEqualizer={() => setShowEqualizer(true)}
+                                        />
+                                    )}
+                                    <FaListOl
+                                        size={15}
+                                        title="Hàng đợi"
+                                        style={{ cursor: "pointer", marginRight: "16px", color: showQueue ? "#1DB954" : PLAYER_TEXT }}
+                                        onClick={(e) => {
+                                            e.stopPropagation();
+                                            setShowQueue(!showQueue);
+                                        }}
+                                    />
                                     {(isMuted || volume === 0) ? (
                                         <FaVolumeMute
                                             size={16}
                                             style={{ cursor: "pointer", marginRight: "6px" }}
                                             onClick={(e) => {
                                                 e.stopPropagation();
-                                                setIsMuted(false);
-                                                setVolume(lastVolume || 1);
-                                                audioRef.current.volume = lastVolume || 1;
+                                                toggleMute();
                                             }}
                                         />
                                     ) : (
@@ -565,10 +1031,7 @@ export default function Home() {
                                             style={{ cursor: "pointer", marginRight: "6px" }}
                                             onClick={(e) => {
                                                 e.stopPropagation();
-                                                setIsMuted(true);
-                                                setLastVolume(volume);
-                                                setVolume(0);
-                                                audioRef.current.volume = 0;
+                                                toggleMute();
                                             }}
                                         />
                                     )}
@@ -582,12 +1045,7 @@ export default function Home() {
                                         className="progress-bar-custom"
                                         style={{ "--progress": `${volume * 100}%`, width: "90px" }}
                                         onClick={(e) => e.stopPropagation()}
-                                        onChange={(e) => {
-                                            const newVolume = parseFloat(e.target.value);
-                                            setVolume(newVolume);
-                                            audioRef.current.volume = newVolume;
-                                            if (newVolume > 0) setIsMuted(false);
-                                        }}
+                                        onChange={(e) => changeVolume(parseFloat(e.target.value))}
                                     />
                                 </Col>
                             </Row>
@@ -600,26 +1058,29 @@ export default function Home() {
                     <div className="fullscreen-overlay">
                         <Container >
                             <Row className="d-flex justify-content-center mb-3">
-                                <Button variant="link" style={{ color: "white" }} onClick={() => setIsFullPlayer(false)}><FaSortDown size={100} /></Button>
+                                <Button variant="link" style={{ color: PLAYER_TEXT }} onClick={() => setIsFullPlayer(false)}><FaSortDown size={100} /></Button>
                             </Row>
                             <Row className="mb-3">
                                 {/* Album art bên trái */}
                                 <Col md={5} className="text-center">
-                                    <img src={encodeImageUrl(currentTrack.albumArtUrl)} alt="Album Art"
+                                    <img src={albumArtSrc(currentTrack.albumArtUrl, 1000)} alt="Album Art"
                                         style={{ height: "300px", width: "300px", maxWidth: "100%", borderRadius: "20px", boxShadow: "0 8px 24px rgba(0,0,0,0.5)" }} />
 
                                     <Card.Title className="mt-4 mb-3 fw-bold ">{currentTrack.title}</Card.Title>
                                     <Card.Text>{currentTrack.artist} — {currentTrack.album}</Card.Text>
-                                    <Card.Text>{currentTrack.quality?.bitDepth} - {currentTrack.quality?.sampleRate} - {currentTrack.quality?.bitrate}</Card.Text>
+                                    <div className="mb-3">
+                                        <QualityBadges quality={currentTrack.quality} size="md" />
+                                    </div>
+                                    {currentTrack.source && <Card.Text className="small" style={{ color: "var(--player-text-muted, #6c757d)" }}>{currentTrack.source.name}</Card.Text>}
                                     <div className="d-flex justify-content-center align-items-center gap-4 mb-2">
                                         <Button
                                             variant="link"
-                                            onClick={() => setShuffle(!shuffle)}
-                                            style={{ color: shuffle ? "#1DB954" : "white" }}
+                                            onClick={toggleShuffle}
+                                            style={{ color: shuffle ? "#1DB954" : PLAYER_TEXT }}
                                         >
                                             <FaRandom size={20} />
                                         </Button>
-                                        <Button variant="link" onClick={playPrev} style={{ color: "white" }}>
+                                        <Button variant="link" onClick={playPrev} style={{ color: PLAYER_TEXT }}>
                                             <FaStepBackward size={24} />
                                         </Button>
                                         <Button
@@ -629,67 +1090,82 @@ export default function Home() {
                                         >
                                             {isPlaying ? <FaPause size={28} /> : <FaPlay size={28} />}
                                         </Button>
-                                        <Button variant="link" onClick={playNext} style={{ color: "white" }}>
+                                        <Button variant="link" onClick={playNext} style={{ color: PLAYER_TEXT }}>
                                             <FaStepForward size={24} />
                                         </Button>
                                         <Button
                                             variant="link"
-                                            onClick={() => setRepeat(!repeat)}
-                                            style={{ color: repeat ? "#1DB954" : "white" }}
+                                            onClick={cycleRepeat}
+                                            title={REPEAT_TITLES[repeat]}
+                                            className="repeat-toggle"
+                                            style={{ color: repeat !== "off" ? "#1DB954" : PLAYER_TEXT }}
                                         >
                                             <FaRedo size={20} />
+                                            {repeat === "one" && <span className="repeat-one">1</span>}
                                         </Button>
                                     </div>
+                                    {equalizer && (
+                                        <div className="d-flex justify-content-center align-items-center gap-2">
+                                            <Form.Check
+                                                type="switch"
+                                                id="full-player-eq"
+                                                label={`EQ${equalizer.enabled && equalizer.preset ? `: ${equalizer.preset}` : ""}`}
+                                                title={equalizer.enabled ? "Tắt EQ (bypass)" : "Bật EQ"}
+                                                checked={equalizer.enabled}
+                                                onChange={(e) => updateEqualizer({ enabled: e.target.checked })}
+                                            />
+                                            <Button variant="link" size="sm" title="Chỉnh equalizer" onClick={() => setShowEqualizer(true)} style={{ color: PLAYER_TEXT }}>
+                                                <FaSlidersH size={14} />
+                                            </Button>
+                                        </div>
+                                    )}
                                 </Col>
 
                                 {/* Lyric bên phải */}
                                 <Col md={7}>
-                                    {currentTrack?.lyrics?.[0]?.syncText?.length > 0 ? (
-                                        <ListGroup
-                                            id="lyrics-container"
-                                            variant="flush"
-                                            style={{
-                                                maxHeight: "70vh",
-                                                overflowY: "auto",
-                                                scrollbarWidth: "none"
-                                            }}>
-                                            {currentTrack.lyrics[0].syncText.map((line, idx) => (
-                                                <ListGroup.Item
-                                                    id={`lyric-${idx}`}
-                                                    key={idx}
-                                                    style={{
-                                                        background: "transparent",
-                                                        border: "none",
-                                                        textAlign: "center",
-                                                        fontSize: idx === currentLyricIndex ? "1.3em" : "1em",
-                                                        color: idx === currentLyricIndex ? "#ff4081" : "#ccc",
-                                                        fontWeight: idx === currentLyricIndex ? "bold" : "normal",
-                                                        transition: "all 0.3s ease"
-                                                    }}
-                                                >
-                                                    {line.text}
-                                                </ListGroup.Item>
-                                            ))}
-                                        </ListGroup>
+                                    {syncingLyrics ? (
+                                        <LyricsSyncEditor
+                                            track={currentTrack}
+                                            lyrics={lyrics}
+                                            audio={activeAudio}
+                                            onSave={saveLyrics}
+                                            onRemoveOverride={removeOverride}
+                                            onClose={() => setSyncingLyricsFor(null)}
+                                        />
                                     ) : (
-                                        <div
-                                            id="lyrics-container"
-                                            variant="flush"
-                                            className="d-flex flex-column justify-content-center align-items-center"
-                                            style={{
-                                                height: "70vh",
-                                                textAlign: "center",
-                                                color: "#999",
-                                                fontStyle: "italic"
-                                            }}>
-                                            Không có lời bài hát
-                                        </div>
+                                        <>
+                                            {!lyricsLoading && (
+                                                <div className="d-flex justify-content-end gap-2 mb-2">
+                                                    <Button variant="link" size="sm" title="Tự đồng bộ lời" onClick={() => setSyncingLyricsFor(currentTrack.id)} style={{ color: PLAYER_TEXT }}>
+                                                        <FaStopwatch size={14} /> Đồng bộ lời
+                                                    </Button>
+                                                    {lyrics?.synced && (
+                                                        <Button
+                                                            variant="link"
+                                                            size="sm"
+                                                            title="Tải file .lrc"
+                                                            href={`/api/lyrics/${encodeURIComponent(currentTrack.id)}/lrc`}
+                                                            download
+                                                            style={{ color: PLAYER_TEXT }}
+                                                        >
+                                                            <FaDownload size={14} /> .lrc
+                                                        </Button>
+                                                    )}
+                                                </div>
+                                            )}
+                                            <LyricsPanel
+                                                lyrics={lyrics}
+                                                loading={lyricsLoading}
+                                                audio={activeAudio}
+                                                onSeek={(time) => (audioRef.current.currentTime = time)}
+                                            />
+                                        </>
                                     )}
                                 </Col>
                             </Row>
                             <div className="d-flex align-items-center gap-2 w-100 mb-3" >
                                 {/* Thời gian hiện tại */}
-                                <small style={{ width: "40px", textAlign: "right", color: "white" }}>
+                                <small style={{ width: "40px", textAlign: "right", color: PLAYER_TEXT }}>
                                     {formatTime(currentTime)}
                                 </small>
                                 {/* Thanh progress */}
@@ -708,14 +1184,13 @@ export default function Home() {
                                     className="progress-bar-custom flex-grow-1"
                                 />
                                 {/* Thời lượng tổng */}
-                                <small style={{ width: "40px", color: "white" }}>{formatTime(duration)}</small>
+                                <small style={{ width: "40px", color: PLAYER_TEXT }}>{formatTime(duration)}</small>
                             </div>
                         </Container>
                     </div>
                 )}
             </div>
             {/* Music Player */}
-            <audio ref={audioRef} style={{ display: "none" }} />
         </div >
 
     );
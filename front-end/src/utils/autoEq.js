@@ -0,0 +1,93 @@
+import { MAX_EQ_GAIN } from "./dspChain";
+
+// Kiểu filter của Equalizer APO / AutoEq (ParametricEQ.txt) -> type của BiquadFilterNode
+const FILTER_TYPES = {
+  PK: "peaking",
+  PEQ: "peaking",
+  LS: "lowshelf",
+  LSC: "lowshelf",
+  HS: "highshelf",
+  HSC: "highshelf",
+  LP: "lowpass",
+  LPQ: "lowpass",
+  HP: "highpass",
+  HPQ: "highpass",
+  NO: "notch",
+};
+
+// Filter 1: ON PK Fc 105 Hz Gain 5.5 dB Q 0.70
+const FILTER_LINE = /^Filter\s*\d*\s*:\s*(ON|OFF)\s+([A-Z]+)\s+Fc\s+([\d.]+)\s*Hz(?:\s+Gain\s+([-+\d.]+)\s*dB)?(?:\s+Q\s+([\d.]+))?/i;
+const PREAMP_LINE = /^Preamp\s*:\s*([-+\d.]+)\s*dB/i;
+
+const clampGain = (gain) => Math.min(Math.max(gain, -MAX_EQ_GAIN), MAX_EQ_GAIN);
+
+// GraphicEQ: 20 -5.1; 21 -5.1; ... -> lấy mẫu đường cong tại tần số các band mặc định (nội suy theo log tần số)
+const parseGraphicEq = (line, defaultBands) => {
+  const points = line
+    .slice(line.indexOf(":") + 1)
+    .split(";")
+    .map((pair) => pair.trim().split(/\s+/).map(Number))
+    .filter(([freq, gain]) => freq > 0 && Number.isFinite(gain))
+    .sort((a, b) => a[0] - b[0]);
+  if (!points.length) return null;
+
+  const gainAt = (freq) => {
+    if (freq <= points[0][0]) return points[0][1];
+    const upper = points.findIndex(([f]) => f >= freq);
+    if (upper < 0) return points[points.length - 1][1];
+    const [f1, g1] = points[upper - 1];
+    const [f2, g2] = points[upper];
+    const t = Math.log(freq / f1) / Math.log(f2 / f1);
+    return g1 + (g2 - g1) * t;
+  };
+
+  return defaultBands.map((band) => ({ ...band, gain: Math.round(clampGain(gainAt(band.frequency)) * 10) / 10 }));
+};
+
+// Đọc profile AutoEq (ParametricEQ.txt hoặc GraphicEQ.txt); defaultBands: band phẳng mặc định của backend.
+// Trả về { preamp, bands, warnings }; không đọc được filter nào thì ném lỗi
+export const parseAutoEq = (text, defaultBands) => {
+  const warnings = [];
+  let preamp = 0;
+  const filters = [];
+
+  for (const raw of String(text).split(/\r?\n/)) {
+    const line = raw.trim();
+    if (!line || line.startsWith("#")) continue;
+
+    const preampMatch = line.match(PREAMP_LINE);
+    if (preampMatch) {
+      preamp = clampGain(Number(preampMatch[1]) || 0);
+      continue;
+    }
+    if (/^GraphicEQ\s*:/i.test(line)) {
+      const bands = parseGraphicEq(line, defaultBands);
+      if (bands) return { preamp, bands, warnings: [`GraphicEQ được chuyển gần đúng sang ${bands.length} band.`] };
+      continue;
+    }
+
+    const match = line.match(FILTER_LINE);
+    if (!match) continue;
+    const [, state, code, fc, gain, q] = match;
+    if (state.toUpperCase() === "OFF") continue;
+    const type = FILTER_TYPES[code.toUpperCase()];
+    if (!type) {
+      warnings.push(`Bỏ qua filter không hỗ trợ: ${code}`);
+      continue;
+    }
+    filters.push({
+      type,
+      frequency: Math.min(Math.max(Math.round(Number(fc)), 20), 20000),
+      gain: clampGain(Number(gain) || 0),
+      q: Number(q) > 0 ? Number(q) : 0.71,
+    });
+  }
+
+  if (!filters.length) throw new Error("Không tìm thấy filter nào trong file");
+  if (filters.length > defaultBands.length) {
+    warnings.push(`Profile có ${filters.length} filter, chỉ dùng ${defaultBands.length} filter đầu.`);
+  }
+  // Ít filter hơn số band thì các band còn lại để phẳng
+  const bands = defaultBands.map((band, idx) => filters[idx] || band);
+  return { preamp, bands, warnings };
+};
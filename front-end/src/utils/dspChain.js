@@ -0,0 +1,66 @@
+// Chuỗi xử lý sau âm lượng tổng: preamp -> các band EQ (BiquadFilter) -> downmix mono -> balance.
+// Bypass chỉ bỏ qua preamp + EQ; balance và mono vẫn giữ vì là cài đặt theo tai nghe/loa.
+// Số band và band mặc định do backend quyết định (GET /api/settings)
+export const EQ_FILTER_TYPES = ["peaking", "lowshelf", "highshelf", "lowpass", "highpass", "notch"];
+export const MAX_EQ_GAIN = 24;
+
+const dbToGain = (db) => Math.pow(10, db / 20);
+
+export const createDspChain = (context) => {
+  const preamp = context.createGain();
+  let filters = [];
+  // Gain node với channelCount = 1 (explicit) tự trộn stereo thành mono; destination lại nhân ra hai kênh
+  const mono = context.createGain();
+  const panner = context.createStereoPanner();
+  const input = context.createGain();
+  let bypassed = null;
+
+  mono.connect(panner);
+
+  const lastNode = () => filters[filters.length - 1] || preamp;
+
+  // Mỗi band một BiquadFilter; số band đổi thì dựng lại chuỗi filter
+  const buildFilters = (count) => {
+    if (count === filters.length) return;
+    preamp.disconnect();
+    filters.forEach((filter) => filter.disconnect());
+    filters = Array.from({ length: count }, () => context.createBiquadFilter());
+    [preamp, ...filters].reduce((from, to) => from.connect(to));
+    bypassed = null;
+  };
+
+  const route = (bypass) => {
+    if (bypass === bypassed) return;
+    input.disconnect();
+    lastNode().disconnect();
+    if (bypass) input.connect(mono);
+    else {
+      input.connect(preamp);
+      lastNode().connect(mono);
+    }
+    bypassed = bypass;
+  };
+
+  // settings: { enabled, preamp, balance, mono, bands }
+  const apply = (settings) => {
+    const now = context.currentTime;
+    buildFilters(settings.bands?.length || 0);
+    preamp.gain.setTargetAtTime(dbToGain(settings.preamp || 0), now, 0.02);
+    filters.forEach((filter, idx) => {
+      const band = settings.bands[idx];
+      filter.type = band.type;
+      filter.frequency.setTargetAtTime(band.frequency, now, 0.02);
+      filter.gain.setTargetAtTime(band.gain, now, 0.02);
+      filter.Q.setTargetAtTime(band.q, now, 0.02);
+    });
+    mono.channelCount = settings.mono ? 1 : 2;
+    mono.channelCountMode = settings.mono ? "explicit" : "max";
+    panner.pan.setTargetAtTime(settings.balance || 0, now, 0.02);
+    route(!settings.enabled);
+  };
+
+  // Chưa có cài đặt thì cho tín hiệu đi thẳng (như bypass)
+  route(true);
+
+  return { input, output: panner, apply };
+};
@@ -0,0 +1,28 @@
+// Tổng thời lượng (giây) -> "1 giờ 5 phút" / "3 phút 20 giây"
+export const formatDuration = (seconds) => {
+  const total = Math.round(seconds || 0);
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  return hours > 0 ? `${hours} giờ ${minutes} phút` : `${minutes} phút ${total % 60} giây`;
+};
+
+// Mốc thời gian (ms) -> "1:23.46", hiển thị tới phần trăm giây
+export const formatTimestamp = (ms) => {
+  const centis = Math.round(Math.max(ms, 0) / 10);
+  return `${Math.floor(centis / 6000)}:${((centis % 6000) / 100).toFixed(2).padStart(5, "0")}`;
+};
+
+// Tên file ảnh bìa có thể chứa khoảng trắng, ngoặc, dấu #
+export const encodeImageUrl = (url) =>
+  url
+    ?.replace(/\s/g, "%20")
+    .replace(/\(/g, "%28")
+    .replace(/\)/g, "%29")
+    .replace(/#/g, "%23");
+
+// Ảnh trong kho ảnh bìa của backend (/api/art/:id) có sẵn bản thu nhỏ 64/300/1000px theo cạnh dài;
+// ảnh mặc định thì giữ nguyên URL
+export const albumArtSrc = (url, size) => {
+  const encoded = encodeImageUrl(url);
+  return encoded?.includes("/api/art/") && size ? `${encoded}?size=${size}` : encoded;
+};
@@ -0,0 +1,15 @@
+// Ghi LRC do backend làm (PUT /api/lyrics/:id nhận { lines }, tải về qua /api/lyrics/:id/lrc)
+
+// Dời cả dòng (kể cả mốc từng từ) tới thời điểm time
+export const retimeLine = (line, time) => {
+  const delta = Number.isFinite(line.time) ? time - line.time : 0;
+  const words =
+    line.words && delta
+      ? line.words.map((w) => ({
+          ...w,
+          time: Math.max(w.time + delta, 0),
+          ...(Number.isFinite(w.end) && { end: Math.max(w.end + delta, 0) }),
+        }))
+      : line.words;
+  return { ...line, time: Math.max(Math.round(time), 0), words };
+};
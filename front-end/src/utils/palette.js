@@ -0,0 +1,68 @@
+// "#rrggbb" <-> [r, g, b]
+const toRgb = (hex) => [1, 3, 5].map((i) => parseInt(hex.slice(i, i + 2), 16));
+const toHex = (rgb) => `#${rgb.map((c) => Math.round(c).toString(16).padStart(2, "0")).join("")}`;
+const rgba = (hex, alpha) => `rgba(${toRgb(hex).join(", ")}, ${alpha})`;
+
+const mix = (hex, target, amount) => {
+  const to = toRgb(target);
+  return toHex(toRgb(hex).map((c, i) => c + (to[i] - c) * amount));
+};
+
+// Độ chói tương đối và tỉ lệ tương phản theo WCAG
+const luminance = (hex) => {
+  const [r, g, b] = toRgb(hex).map((c) => {
+    const v = c / 255;
+    return v <= 0.03928 ? v / 12.92 : ((v + 0.055) / 1.055) ** 2.4;
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+};
+
+const contrast = (a, b) => {
+  const [hi, lo] = [luminance(a), luminance(b)].sort((x, y) => y - x);
+  return (hi + 0.05) / (lo + 0.05);
+};
+
+const WHITE = "#ffffff";
+const BLACK = "#000000";
+const TEXT_DARK = "#111111";
+
+// Chữ trắng hoặc đen, chọn màu tương phản hơn với nền (nền gradient: xét chỗ kém tương phản nhất)
+const readableText = (...backgrounds) => {
+  const worst = (text) => Math.min(...backgrounds.map((background) => contrast(background, text)));
+  return worst(WHITE) >= worst(TEXT_DARK) ? WHITE : TEXT_DARK;
+};
+
+// Pha dần màu về trắng (nền tối) hoặc đen (nền sáng) tới khi đủ tương phản với nền
+const ensureContrast = (color, background, minRatio) => {
+  const target = readableText(background) === WHITE ? WHITE : BLACK;
+  let result = color;
+  for (let step = 1; step <= 10 && contrast(result, background) < minRatio; step++) result = mix(color, target, step / 10);
+  return result;
+};
+
+// Nền của trình phát lấy màu tối của ảnh bìa rồi pha thêm đen để giữ giao diện tối
+const BACKGROUND_SHADE = 0.35;
+// WCAG: thành phần giao diện (thanh trượt) cần tương phản 3:1 với nền
+const MIN_ACCENT_CONTRAST = 3;
+
+// Biến CSS cho mini player và trình phát toàn màn hình từ bảng màu của ảnh bìa (albumArtPalette).
+// Không có bảng màu (ảnh mặc định, GIF/WebP) thì trả về {} để CSS dùng màu mặc định
+export const playerTheme = (palette) => {
+  const base = palette?.darkVibrant || palette?.darkMuted || palette?.dominant;
+  if (!base) return {};
+  const start = mix(base, BLACK, BACKGROUND_SHADE);
+  const end = mix(palette.darkMuted || palette.muted || base, BLACK, BACKGROUND_SHADE);
+  const text = readableText(start, end);
+  const accent = ensureContrast(palette.vibrant || palette.lightVibrant || palette.dominant, start, MIN_ACCENT_CONTRAST);
+
+  return {
+    "--player-bar": `linear-gradient(90deg, ${start}, ${end})`,
+    "--player-gradient": `linear-gradient(160deg, ${rgba(start, 0.85)}, ${rgba(end, 0.85)})`,
+    // Lớp phủ của trình phát toàn màn hình nhạt đi để thấy màu nền
+    "--player-overlay": "rgba(0, 0, 0, 0.25)",
+    "--player-text": text,
+    "--player-text-muted": rgba(text, 0.7),
+    "--player-accent": accent,
+    "--player-track": rgba(text, 0.25),
+  };
+};
@@ -0,0 +1,275 @@
+import { createDspChain } from "./dspChain";
+
+// Hai "deck" <audio>: deck đang phát và deck chờ đã nạp sẵn bài kế tiếp.
+// Gần hết bài thì hẹn giờ (từ timeupdate) bật deck chờ sớm vài chục ms để bù độ trễ của play(),
+// "ended" chỉ còn là dự phòng; bật crossfade thì hai deck chồng lên nhau qua GainNode của Web Audio
+// trong vài giây cuối bài.
+// Mỗi deck: source -> normalize (ReplayGain của bài) -> gain (fade) -> master (âm lượng) -> DSP (EQ...).
+export const MAX_CROSSFADE = 12;
+
+// play() cần vài chục ms mới ra tiếng nên deck chờ được bật trước lúc hết bài một chút
+const GAPLESS_LEAD = 0.05;
+// timeupdate bắn khoảng 250ms một lần: còn ít hơn ngưỡng này thì hẹn giờ chuyển deck
+const GAPLESS_WINDOW = 0.5;
+
+const FADE_STEPS = 64;
+// Equal-power: tổng công suất hai deck không đổi trong lúc chuyển
+const FADE_OUT = Float32Array.from({ length: FADE_STEPS }, (_, i) => Math.cos((i / (FADE_STEPS - 1)) * (Math.PI / 2)));
+const FADE_IN = Float32Array.from({ length: FADE_STEPS }, (_, i) => Math.sin((i / (FADE_STEPS - 1)) * (Math.PI / 2)));
+
+// Phát qua backend thay vì URL của NAS (tránh mixed content/CORS)
+const streamUrl = (track) => `/api/stream/${encodeURIComponent(track.id)}`;
+
+const albumKey = (track) =>
+  `${String(track.albumArtist || track.artist || "").trim().toLowerCase()}\u0000${String(track.album || "").trim().toLowerCase()}`;
+
+// b nối tiếp a trong cùng một album (live, nhạc cổ điển...): không crossfade để giữ liền mạch.
+// Không có số track thì coi hai bài cùng album là liền nhau
+export const isAlbumContinuation = (a, b) => {
+  if (!a?.album || !b?.album || albumKey(a) !== albumKey(b)) return false;
+  if (!a.trackNumber || !b.trackNumber) return true;
+  const discA = a.discNumber || 1;
+  const discB = b.discNumber || 1;
+  return (discA === discB && b.trackNumber === a.trackNumber + 1) || (discB === discA + 1 && b.trackNumber === 1);
+};
+
+// onAdvance(track): engine tự chuyển sang bài đã nạp sẵn; onEnded: hết bài mà không có bài nạp sẵn;
+// onDeckChange(audio): thẻ audio đang phát đổi sang deck khác
+export const createPlaybackEngine = ({ onAdvance, onEnded, onDeckChange }) => {
+  const decks = [0, 1].map(() => {
+    const el = new Audio();
+    el.preload = "auto";
+    return { el, track: null, gain: null, normalize: null, level: 1 };
+  });
+  let active = 0;
+  let preloaded = false;
+  let crossfade = 0;
+  let volume = 1;
+  let context = null;
+  let master = null;
+  let dsp = null;
+  let dspSettings = null;
+  let fadeTimer = null;
+  let gaplessTimer = null;
+  // track -> hệ số ReplayGain tuyến tính
+  let resolveGain = () => 1;
+  // Bài cần nạp sẵn được yêu cầu trong lúc deck chờ còn đang fade out
+  let pendingPreload;
+
+  const current = () => decks[active];
+  const standby = () => decks[1 - active];
+
+  // AudioContext chỉ tạo được sau thao tác của người dùng, nên dựng graph ở lần phát đầu tiên
+  const ensureGraph = () => {
+    if (!context && window.AudioContext) {
+      context = new AudioContext();
+      master = context.createGain();
+      master.gain.value = volume;
+      dsp = createDspChain(context);
+      if (dspSettings) dsp.apply(dspSettings);
+      master.connect(dsp.input);
+      dsp.output.connect(context.destination);
+      for (const deck of decks) {
+        deck.gain = context.createGain();
+        deck.normalize = context.createGain();
+        deck.normalize.gain.value = deck.level;
+        context.createMediaElementSource(deck.el).connect(deck.normalize).connect(deck.gain).connect(master);
+        deck.el.volume = 1;
+      }
+    }
+    if (context?.state === "suspended") context.resume().catch(console.error);
+  };
+
+  const setGain = (deck, value) => {
+    if (!deck.gain) return;
+    deck.gain.gain.cancelScheduledValues(0);
+    deck.gain.gain.value = value;
+  };
+
+  // Chưa có Web Audio thì nhân thẳng vào volume của thẻ audio (không vượt quá 1)
+  const applyLevel = (deck) => {
+    deck.level = deck.track ? resolveGain(deck.track) : 1;
+    if (deck.normalize) deck.normalize.gain.setTargetAtTime(deck.level, context.currentTime, 0.05);
+    else deck.el.volume = Math.min(volume * deck.level, 1);
+  };
+
+  const play = (deck) => deck.el.play().catch(console.error);
+
+  const resetDeck = (deck) => {
+    deck.el.pause();
+    deck.el.removeAttribute("src");
+    deck.el.load();
+    deck.track = null;
+    setGain(deck, 1);
+  };
+
+  const swap = () => {
+    active = 1 - active;
+    preloaded = false;
+    onDeckChange(current().el);
+  };
+
+  const finishFade = () => {
+    if (!fadeTimer) return;
+    clearTimeout(fadeTimer);
+    fadeTimer = null;
+    resetDeck(standby());
+    setGain(current(), 1);
+    if (pendingPreload !== undefined) {
+      const track = pendingPreload;
+      pendingPreload = undefined;
+      preload(track);
+    }
+  };
+
+  const cancelGapless = () => {
+    clearTimeout(gaplessTimer);
+    gaplessTimer = null;
+  };
+
+  // Chuyển hẳn sang deck chờ ngay lập tức (hết bài, hoặc người dùng chọn đúng bài đã nạp sẵn)
+  const switchToStandby = (autoplay) => {
+    cancelGapless();
+    finishFade();
+    const finished = current();
+    const next = standby();
+    setGain(next, 1);
+    if (autoplay) play(next);
+    swap();
+    resetDeck(finished);
+    return next.track;
+  };
+
+  const maybeStartCrossfade = () => {
+    const from = current();
+    const to = standby();
+    if (!crossfade || fadeTimer || !preloaded || !context || !to.track) return;
+    const remaining = from.el.duration - from.el.currentTime;
+    if (!Number.isFinite(remaining) || remaining > crossfade || remaining <= 0) return;
+    if (isAlbumContinuation(from.track, to.track)) return;
+
+    const now = context.currentTime;
+    from.gain.gain.cancelScheduledValues(now);
+    from.gain.gain.setValueCurveAtTime(FADE_OUT, now, remaining);
+    to.gain.gain.cancelScheduledValues(now);
+    to.gain.gain.setValueCurveAtTime(FADE_IN, now, remaining);
+    play(to);
+    swap();
+    fadeTimer = setTimeout(finishFade, remaining * 1000 + 100);
+    onAdvance(to.track);
+  };
+
+  // Không crossfade: hẹn giờ bật deck chờ đúng lúc bài hiện tại sắp hết
+  const maybeScheduleGapless = () => {
+    const from = current().el;
+    if (gaplessTimer || fadeTimer || !preloaded || !standby().track || from.paused) return;
+    const remaining = (from.duration - from.currentTime) / (from.playbackRate || 1);
+    if (!Number.isFinite(remaining) || remaining > GAPLESS_WINDOW) return;
+    gaplessTimer = setTimeout(
+      () => {
+        gaplessTimer = null;
+        if (preloaded && standby().track) onAdvance(switchToStandby(true));
+      },
+      Math.max(remaining - GAPLESS_LEAD, 0) * 1000
+    );
+  };
+
+  decks.forEach((deck, idx) => {
+    deck.el.addEventListener("play", ensureGraph);
+    deck.el.addEventListener("timeupdate", () => {
+      if (idx !== active) return;
+      maybeStartCrossfade();
+      maybeScheduleGapless();
+    });
+    // Deck vừa fade out cũng phát "ended", bỏ qua
+    deck.el.addEventListener("ended", () => {
+      if (idx !== active) return;
+      cancelGapless();
+      if (preloaded && standby().track) onAdvance(switchToStandby(true));
+      else onEnded();
+    });
+    // Tua lại thì giờ hẹn không còn đúng, timeupdate kế tiếp sẽ hẹn lại
+    deck.el.addEventListener("seeking", () => idx === active && cancelGapless());
+    // Tạm dừng giữa lúc crossfade thì cắt luôn phần đuôi của bài trước
+    deck.el.addEventListener("pause", () => {
+      if (idx !== active) return;
+      cancelGapless();
+      finishFade();
+    });
+  });
+
+  // Phát track trên deck đang dùng; nếu deck chờ đã nạp sẵn đúng bài thì chỉ cần chuyển deck
+  const load = (track, { autoplay = true } = {}) => {
+    if (preloaded && standby().track?.id === track.id) {
+      standby().el.currentTime = 0;
+      switchToStandby(autoplay);
+      return;
+    }
+    cancelGapless();
+    finishFade();
+    const deck = current();
+    deck.track = track;
+    applyLevel(deck);
+    deck.el.src = streamUrl(track);
+    deck.el.load();
+    if (autoplay) play(deck);
+  };
+
+  // Nạp sẵn bài kế tiếp vào deck chờ (null = không có bài kế tiếp)
+  const preload = (track) => {
+    if (fadeTimer) {
+      pendingPreload = track;
+      return;
+    }
+    const deck = standby();
+    // Bài kế tiếp đổi thì bỏ giờ hẹn chuyển sang bài cũ
+    if (deck.track?.id !== track?.id) cancelGapless();
+    if (!track) {
+      if (deck.track) resetDeck(deck);
+      preloaded = false;
+      return;
+    }
+    if (preloaded && deck.track?.id === track.id) return;
+    deck.track = track;
+    applyLevel(deck);
+    deck.el.src = streamUrl(track);
+    deck.el.load();
+    preloaded = true;
+  };
+
+  const setVolume = (value) => {
+    volume = value;
+    if (master) master.gain.value = value;
+    else decks.forEach(applyLevel);
+  };
+
+  // Đổi cách tính ReplayGain (chế độ, preamp, ngữ cảnh hàng đợi) thì áp lại cho cả hai deck
+  const setGainResolver = (fn) => {
+    resolveGain = fn || (() => 1);
+    decks.forEach(applyLevel);
+  };
+
+  // Cài đặt equalizer/balance/mono; chưa có graph thì giữ lại để áp khi dựng
+  const setDsp = (settings) => {
+    dspSettings = settings;
+    if (dsp && settings) dsp.apply(settings);
+  };
+
+  return {
+    audio: () => current().el,
+    load,
+    preload,
+    setVolume,
+    setGainResolver,
+    setDsp,
+    // Crossfade cần Web Audio; không có thì vẫn chuyển bài không khoảng lặng
+    setCrossfade: (seconds) => {
+      crossfade = Math.min(Math.max(Number(seconds) || 0, 0), MAX_CROSSFADE);
+    },
+    stop: () => {
+      cancelGapless();
+      finishFade();
+      decks.forEach((deck) => deck.el.pause());
+    }
+  };
+};
@@ -0,0 +1,40 @@
+import { isAlbumContinuation } from "./playbackEngine";
+
+export const REPLAY_GAIN_MODES = [
+  { value: "off", label: "Tắt" },
+  { value: "track", label: "Theo bài" },
+  { value: "album", label: "Theo album" },
+  { value: "auto", label: "Tự động" },
+];
+
+export const MAX_PREAMP = 15;
+
+const dbToGain = (db) => Math.pow(10, db / 20);
+
+// Chế độ "auto": dùng gain album khi bài đang nằm giữa các bài liền nhau của cùng album
+// trong hàng đợi (nghe cả album), còn lại dùng gain bài. Phát ngẫu nhiên thì luôn theo bài
+export const isAlbumContext = (track, entries, shuffle) => {
+  if (shuffle || !track) return false;
+  const index = entries.findIndex((entry) => entry.track.id === track.id);
+  if (index < 0) return false;
+  return (
+    isAlbumContinuation(entries[index - 1]?.track, track) || isAlbumContinuation(track, entries[index + 1]?.track)
+  );
+};
+
+// Hệ số khuếch đại (tuyến tính) cho track theo cài đặt replayGain { mode, preamp, preventClipping }.
+// Bài không có tag thì giữ nguyên (1), không cộng preamp để khỏi lệch hẳn so với bài có tag
+export const computeReplayGain = (track, settings, albumContext = false) => {
+  const rg = track?.replayGain;
+  if (!settings || settings.mode === "off" || !rg) return 1;
+
+  const useAlbum = settings.mode === "album" || (settings.mode === "auto" && albumContext);
+  const gainDb = useAlbum ? rg.albumGain ?? rg.trackGain : rg.trackGain ?? rg.albumGain;
+  if (!Number.isFinite(gainDb)) return 1;
+  const peak = useAlbum ? rg.albumPeak ?? rg.trackPeak : rg.trackPeak ?? rg.albumPeak;
+
+  let gain = dbToGain(gainDb + (Number(settings.preamp) || 0));
+  // Không để đỉnh sóng vượt 0 dBFS sau khi khuếch đại
+  if (settings.preventClipping && peak > 0) gain = Math.min(gain, 1 / peak);
+  return gain;
+};
@@ -0,0 +1,34 @@
+// Phím tắt của player. key so với KeyboardEvent.key (không phân biệt hoa thường với chữ cái)
+export const SHORTCUTS = [
+  { action: "togglePlay", keys: [" ", "k"], label: "Phát / tạm dừng" },
+  { action: "seekBackward", keys: ["ArrowLeft"], label: "Tua lùi 5 giây" },
+  { action: "seekForward", keys: ["ArrowRight"], label: "Tua tới 5 giây" },
+  { action: "seekBackwardLong", keys: ["j"], label: "Tua lùi 10 giây" },
+  { action: "seekForwardLong", keys: ["l"], label: "Tua tới 10 giây" },
+  { action: "previous", keys: ["p"], shift: true, label: "Bài trước" },
+  { action: "next", keys: ["n"], shift: true, label: "Bài tiếp theo" },
+  { action: "volumeUp", keys: ["ArrowUp"], label: "Tăng âm lượng" },
+  { action: "volumeDown", keys: ["ArrowDown"], label: "Giảm âm lượng" },
+  { action: "toggleMute", keys: ["m"], label: "Tắt / bật tiếng" },
+  { action: "toggleShuffle", keys: ["s"], label: "Phát ngẫu nhiên" },
+  { action: "cycleRepeat", keys: ["r"], label: "Chế độ lặp lại" },
+  { action: "toggleFullPlayer", keys: ["f"], label: "Mở / đóng trình phát toàn màn hình" },
+  { action: "closeFullPlayer", keys: ["Escape"], label: "Đóng trình phát toàn màn hình" },
+  { action: "toggleQueue", keys: ["q"], label: "Mở / đóng hàng đợi" },
+  { action: "showHelp", keys: ["?"], label: "Xem phím tắt" },
+];
+
+const KEY_LABELS = { " ": "Space", Escape: "Esc", ArrowLeft: "←", ArrowRight: "→", ArrowUp: "↑", ArrowDown: "↓" };
+
+export const formatShortcut = (shortcut, key) =>
+  `${shortcut.shift ? "Shift + " : ""}${KEY_LABELS[key] || key.toUpperCase()}`;
+
+// Action ứng với phím vừa bấm, null nếu không phải phím tắt (hoặc đang giữ Ctrl/Alt/Meta)
+export const matchShortcut = (e) => {
+  if (e.ctrlKey || e.altKey || e.metaKey) return null;
+  const key = e.key.length === 1 ? e.key.toLowerCase() : e.key;
+  const found = SHORTCUTS.find(
+    (s) => s.keys.includes(key) && (key === "?" || Boolean(s.shift) === e.shiftKey)
+  );
+  return found?.action || null;
+};
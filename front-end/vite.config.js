@@ -32,14 +32,52 @@ export default defineConfig({
         secure: false
       },
       '/api/items': {
-        target: 'http://0.0.0.0:9999',
+        target: 'http://0.0.0.0:5000',
         changeOrigin: true,
-        rewrite: path => path.replace(/^\/api/, ''),
       },
       '/api/browse': {
         target: 'http://0.0.0.0:5000',
         changeOrigin: true,
-        rewrite: path => path.replace(/^\/api/, ''),
+      },
+      '/api/scan': {
+        target: 'http://0.0.0.0:5000',
+        changeOrigin: true,
+      },
+      '/api/search': {
+        target: 'http://0.0.0.0:5000',
+        changeOrigin: true,
+      },
+      '/api/servers': {
+        target: 'http://0.0.0.0:5000',
+        changeOrigin: true,
+      },
+      '/api/stream': {
+        target: 'http://0.0.0.0:5000',
+        changeOrigin: true,
+      },
+      '/api/playlists': {
+        target: 'http://0.0.0.0:5000',
+        changeOrigin: true,
+      },
+      '/api/albums': {
+        target: 'http://0.0.0.0:5000',
+        changeOrigin: true,
+      },
+      '/api/artists': {
+        target: 'http://0.0.0.0:5000',
+        changeOrigin: true,
+      },
+      '/api/playback': {
+        target: 'http://0.0.0.0:5000',
+        changeOrigin: true,
+      },
+      '/api/settings': {
+        target: 'http://0.0.0.0:5000',
+        changeOrigin: true,
+      },
+      '/api/lyrics': {
+        target: 'http://0.0.0.0:5000',
+        changeOrigin: true,
       },
     },
   }